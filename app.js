@@ -69,6 +69,10 @@ app.set("layout extractStyles", true);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
+
+// Payment webhooks are signed over the raw body, so they are routed before the body parsers
+app.use('/webhooks/payments', require('./routes/webhooks'));
+
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
@@ -48,6 +48,24 @@ module.exports = {
         console.log('User authorized to proceed');
         return next();
     },
+    // Guests may fill a cart before they log in; signed-in accounts must be active buyers
+    ensureShopper: function(req, res, next) {
+        if (!req.isAuthenticated()) {
+            return next();
+        }
+
+        if (req.user.role !== 'user') {
+            req.flash('error_msg', 'Only regular users can access the shopping features.');
+            return res.redirect('/dashboard');
+        }
+
+        if (!req.user.isActive) {
+            req.flash('error_msg', 'Your account is inactive. Please contact support.');
+            return res.redirect('/dashboard');
+        }
+
+        return next();
+    },
     ensurePsychologist: function(req, res, next) {
         if (req.isAuthenticated() && req.user.role === 'psychologist' && req.user.isActive) {
             return next();
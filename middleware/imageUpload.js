@@ -0,0 +1,42 @@
+const ImageService = require('../services/imageService');
+
+/**
+ * Files multer left on a request, from single(), array() or fields()
+ * @param {Object} req - Express request object
+ * @returns {Array}
+ */
+const uploadedFiles = (req) => {
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    return [req.file, ...files].filter(Boolean);
+};
+
+/**
+ * Middleware to run after multer: every uploaded image is cleaned up and resized by
+ * ImageService.process, and what was learned about it is left on file.imageMeta for the route
+ * to save. Images that cannot be read are deleted and the form is shown again.
+ * @param {Object} options - { watermark: draw the uploading seller's watermark on the images }
+ * @returns {Function} - Express middleware
+ */
+const processImages = ({ watermark = false } = {}) => async (req, res, next) => {
+    const files = uploadedFiles(req);
+    const settings = watermark && req.user ? req.user.watermark : null;
+    
+    const processed = [];
+    try {
+        for (const file of files) {
+            file.imageMeta = await ImageService.process(file.path, { watermark: settings });
+            processed.push(file);
+        }
+    } catch (error) {
+        console.error('Error processing uploaded image:', error.message);
+        processed.forEach(file => ImageService.removeVariants(file.imageMeta));
+        files.forEach(file => ImageService.removeUpload(file.path));
+        req.flash('error_msg', 'One of the images could not be read. Please upload a JPG, PNG or GIF image.');
+        return res.redirect('back');
+    }
+    next();
+};
+
+module.exports = {
+    processImages
+}; 
\ No newline at end of file
@@ -64,6 +64,7 @@ const bidSchema = new mongoose.Schema({
             type: String,
             default: null
         },
+        // Certificates uploaded by hand before they were generated (see services/certificateService)
         certificateOfAuthenticityPath: {
             type: String,
             default: null
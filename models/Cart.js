@@ -7,6 +7,19 @@ const cartItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // Chosen variant of the product, null for products without variants
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    variantName: {
+        type: String,
+        default: ''
+    },
+    sku: {
+        type: String,
+        default: null
+    },
     quantity: {
         type: Number,
         required: true,
@@ -19,14 +32,58 @@ const cartItemSchema = new mongoose.Schema({
     }
 });
 
-// Define the main cart schema
+// Define the main cart schema. Visitors who are not logged in get a guest cart keyed by their
+// session's tracking id, which is merged into their own cart when they log in.
 const cartSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null
+    },
+    trackingId: {
+        type: String,
+        default: null
     },
     items: [cartItemSchema],
+    // Carts left alone are marked abandoned and sent reminder emails; changing or restoring an
+    // abandoned cart marks it recovered, and changing a recovered cart makes it active again
+    status: {
+        type: String,
+        enum: ['active', 'abandoned', 'recovered'],
+        default: 'active'
+    },
+    recovery: {
+        campaign: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CartRecoveryCampaign',
+            default: null
+        },
+        // Secret in the one-click restore link of the reminder emails
+        token: {
+            type: String,
+            default: null
+        },
+        abandonedAt: {
+            type: Date,
+            default: null
+        },
+        emailsSent: {
+            type: Number,
+            default: 0
+        },
+        lastEmailAt: {
+            type: Date,
+            default: null
+        },
+        couponCode: {
+            type: String,
+            default: null
+        },
+        restoredAt: {
+            type: Date,
+            default: null
+        }
+    },
     totalQuantity: {
         type: Number,
         default: 0
@@ -45,6 +102,19 @@ const cartSchema = new mongoose.Schema({
     }
 });
 
+cartSchema.index({ user: 1 });
+cartSchema.index({ trackingId: 1 });
+cartSchema.index({ status: 1, updatedAt: 1 });
+cartSchema.index({ 'recovery.token': 1 });
+
+// Every cart belongs to a user or to a guest session
+cartSchema.pre('validate', function(next) {
+    if (!this.user && !this.trackingId) {
+        this.invalidate('user', 'A cart needs a user or a guest session');
+    }
+    next();
+});
+
 // Calculate totals before saving
 cartSchema.pre('save', function(next) {
     let totalQuantity = 0;
@@ -59,7 +129,35 @@ cartSchema.pre('save', function(next) {
     this.totalAmount = totalAmount;
     this.updatedAt = Date.now();
     
+    // A buyer changing an abandoned cart has come back, which ends the reminder emails. Changed
+    // again after that, it is an ordinary cart that can be abandoned and followed up anew; the
+    // recovery details stay until then so an order placed from it is still credited.
+    if (!this.isNew && this.isModified('items')) {
+        if (this.status === 'abandoned') {
+            this.status = 'recovered';
+        } else if (this.status === 'recovered') {
+            this.status = 'active';
+        }
+    }
+    
     next();
 });
 
+/**
+ * Find the position of a product (and optional variant) in the cart
+ * @param {String|ObjectId} productId - Product id
+ * @param {String|ObjectId} variantId - Variant id, or null
+ * @returns {Number} - Index of the item, or -1
+ */
+cartSchema.methods.findItemIndex = function(productId, variantId) {
+    const variantKey = variantId ? variantId.toString() : '';
+    const productKey = productId.toString();
+    
+    return this.items.findIndex(item => {
+        const itemProduct = item.product && item.product._id ? item.product._id : item.product;
+        const itemVariant = item.variant ? item.variant.toString() : '';
+        return itemProduct.toString() === productKey && itemVariant === variantKey;
+    });
+};
+
 module.exports = mongoose.model('Cart', cartSchema); 
\ No newline at end of file
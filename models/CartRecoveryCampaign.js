@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A series of reminder emails sent to buyers who leave items in their cart. Each step goes out
+// a number of hours after the cart was abandoned and can carry a one-time discount coupon.
+const cartRecoveryCampaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    steps: [{
+        // Hours after the cart was abandoned
+        delayHours: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        subject: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // Percent off with a single-use coupon; 0 sends the reminder without one
+        discountPercent: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 90
+        }
+    }],
+    // How long the coupons of this campaign can be used
+    couponValidDays: {
+        type: Number,
+        default: 7,
+        min: 1
+    },
+    // Only one campaign is active at a time; carts keep the campaign they were enrolled in
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Orders and revenue are counted from the orders attributed to the campaign
+    stats: {
+        cartsEnrolled: {
+            type: Number,
+            default: 0
+        },
+        emailsSent: {
+            type: Number,
+            default: 0
+        },
+        restores: {
+            type: Number,
+            default: 0
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+cartRecoveryCampaignSchema.pre('validate', function(next) {
+    if (this.steps.length === 0) {
+        this.invalidate('steps', 'A campaign needs at least one email');
+    }
+    const outOfOrder = this.steps.some((step, index) => index > 0 && step.delayHours <= this.steps[index - 1].delayHours);
+    if (outOfOrder) {
+        this.invalidate('steps', 'Each email must go out later than the one before it');
+    }
+    next();
+});
+
+cartRecoveryCampaignSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('CartRecoveryCampaign', cartRecoveryCampaignSchema); 
\ No newline at end of file
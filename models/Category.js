@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Materialized path of parent ids, root first, so a subtree can be queried in one step
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+categorySchema.index({ ancestors: 1 });
+
+// Build the slug and ancestor path before saving
+categorySchema.pre('validate', async function(next) {
+    try {
+        if (!this.slug && this.name) {
+            this.slug = this.constructor.slugify(this.name);
+        }
+        
+        if (this.isModified('parent')) {
+            if (this.parent) {
+                const parent = await this.constructor.findById(this.parent);
+                if (!parent) {
+                    throw new Error('Parent category not found');
+                }
+                if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+                    throw new Error('A category cannot be moved under itself');
+                }
+                this.ancestors = [...parent.ancestors, parent._id];
+            } else {
+                this.ancestors = [];
+            }
+        }
+        
+        this.updatedAt = Date.now();
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Keep descendants' ancestor paths in sync when a category is moved
+categorySchema.post('save', async function(doc) {
+    const descendants = await doc.constructor.find({ ancestors: doc._id });
+    
+    for (const descendant of descendants) {
+        const index = descendant.ancestors.findIndex(id => id.equals(doc._id));
+        const ancestors = [...doc.ancestors, doc._id, ...descendant.ancestors.slice(index + 1)];
+        
+        if (ancestors.map(String).join() !== descendant.ancestors.map(String).join()) {
+            await doc.constructor.updateOne({ _id: descendant._id }, { $set: { ancestors } });
+        }
+    }
+});
+
+/**
+ * Create a URL-friendly slug from a category name
+ * @param {String} name - Category name
+ * @returns {String} - Slug
+ */
+categorySchema.statics.slugify = function(name) {
+    return name
+        .toString()
+        .toLowerCase()
+        .trim()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Load categories as a nested tree
+ * @param {Object} options - { activeOnly: Boolean }
+ * @returns {Promise<Array>} - Root categories, each with a children array
+ */
+categorySchema.statics.getTree = async function(options = {}) {
+    const query = options.activeOnly ? { isActive: true } : {};
+    const categories = await this.find(query).sort({ sortOrder: 1, name: 1 }).lean();
+    
+    const byId = {};
+    categories.forEach(category => {
+        category.children = [];
+        byId[category._id.toString()] = category;
+    });
+    
+    const roots = [];
+    categories.forEach(category => {
+        const parent = category.parent ? byId[category.parent.toString()] : null;
+        if (parent) {
+            parent.children.push(category);
+        } else if (!category.parent) {
+            roots.push(category);
+        }
+    });
+    
+    return roots;
+};
+
+/**
+ * Flatten the category tree into a list with depth, for select boxes
+ * @param {Object} options - { activeOnly: Boolean }
+ * @returns {Promise<Array>} - Categories in tree order with a depth field
+ */
+categorySchema.statics.getFlatTree = async function(options = {}) {
+    const tree = await this.getTree(options);
+    const flat = [];
+    
+    const walk = (nodes, depth) => {
+        nodes.forEach(node => {
+            flat.push({ ...node, depth });
+            walk(node.children, depth + 1);
+        });
+    };
+    walk(tree, 0);
+    
+    return flat;
+};
+
+/**
+ * Get the ids of a category and everything below it
+ * @param {ObjectId} categoryId - Category id
+ * @returns {Promise<Array>} - Category ids
+ */
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+    const descendants = await this.find({ ancestors: categoryId }).select('_id').lean();
+    return [categoryId, ...descendants.map(category => category._id)];
+};
+
+module.exports = mongoose.model('Category', categorySchema); 
\ No newline at end of file
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Certificate of authenticity for an original artwork sold through a shop order or a custom
+// request (see services/certificateService). The artwork details are copied when the certificate
+// is issued, so later changes to the listing do not change the certificate.
+const certificateSchema = new mongoose.Schema({
+    // Printed on the certificate and used in its /verify/:serial link
+    serial: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    source: {
+        type: String,
+        enum: ['order', 'custom_request'],
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Which of the pieces bought in one order item, starting at 1
+    unit: {
+        type: Number,
+        default: 1
+    },
+    customRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CustomRequest',
+        default: null
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null
+    },
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // null for artworks sold by the platform itself
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    artistName: {
+        type: String,
+        required: true
+    },
+    // JPEG copy of the artwork image kept for the certificate
+    image: {
+        type: String,
+        default: null
+    },
+    medium: {
+        type: String,
+        default: null
+    },
+    dimensions: {
+        // All measurements in centimetres
+        width: {
+            type: Number,
+            default: null
+        },
+        height: {
+            type: Number,
+            default: null
+        },
+        depth: {
+            type: Number,
+            default: null
+        }
+    },
+    saleDate: {
+        type: Date,
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // HMAC of the serial and artwork details; a record that no longer matches it does not verify
+    signature: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['valid', 'revoked'],
+        default: 'valid'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: ''
+    }
+});
+
+certificateSchema.index(
+    { order: 1, orderItem: 1, unit: 1 },
+    { unique: true, partialFilterExpression: { source: 'order' } }
+);
+certificateSchema.index(
+    { customRequest: 1 },
+    { unique: true, partialFilterExpression: { source: 'custom_request' } }
+);
+certificateSchema.index({ buyer: 1, issuedAt: -1 });
+certificateSchema.index({ seller: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema); 
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    value: {
+        type: Number,
+        default: 0
+    }
+});
+
+/**
+ * Increment a sequence and return its new value
+ * @param {String} name - Sequence name
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Number>} - Next value, starting at 1
+ */
+counterSchema.statics.next = async function(name, session = null) {
+    const counter = await this.findOneAndUpdate(
+        { name },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema); 
\ No newline at end of file
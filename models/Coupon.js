@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: /^[A-Z0-9_-]{3,30}$/
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true
+    },
+    // Percent (0-100) for percentage coupons, currency amount for fixed ones
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Upper bound on the discount of a percentage coupon
+    maxDiscount: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Scope; when all three are empty the coupon applies to the whole cart
+    sellers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    // Total redemptions allowed across all buyers; null means unlimited
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    // Redemptions allowed per buyer; null means unlimited
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+couponSchema.virtual('isScoped').get(function() {
+    return this.sellers.length > 0 || this.categories.length > 0 || this.products.length > 0;
+});
+
+couponSchema.pre('validate', function(next) {
+    if (this.discountType === 'percentage' && this.discountValue > 100) {
+        this.invalidate('discountValue', 'A percentage discount cannot be more than 100');
+    }
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'The end date must be after the start date');
+    }
+    next();
+});
+
+couponSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Normalize a code typed by a buyer
+ * @param {String} code - Raw code
+ * @returns {String} - Trimmed, upper-case code
+ */
+couponSchema.statics.normalizeCode = function(code) {
+    return (code || '').toString().trim().toUpperCase();
+};
+
+module.exports = mongoose.model('Coupon', couponSchema); 
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const taxBreakdownSchema = require('./schemas/taxBreakdownSchema');
 
 const customRequestSchema = new mongoose.Schema({
     user: {
@@ -27,6 +29,11 @@ const customRequestSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Size, palette and responsive copies of the image (see services/imageService)
+    imageMeta: {
+        type: imageMetaSchema,
+        default: null
+    },
     status: {
         type: String,
         enum: ['open', 'assigned', 'in_progress', 'completed', 'cancelled'],
@@ -72,6 +79,29 @@ const customRequestSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Accepted bid amount plus GST, recorded when the buyer pays
+    payment: {
+        amount: {
+            type: Number,
+            default: null
+        },
+        tax: {
+            type: taxBreakdownSchema,
+            default: null
+        },
+        totalAmount: {
+            type: Number,
+            default: null
+        },
+        paidAt: {
+            type: Date,
+            default: null
+        },
+        refundedAmount: {
+            type: Number,
+            default: 0
+        }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const { COLORS } = require('../utils/productAttributes');
 
 const gallerySchema = new mongoose.Schema({
     image: {
         type: String,
         required: true
     },
+    // Size, palette and responsive copies of the image (see services/imageService)
+    imageMeta: {
+        type: imageMetaSchema,
+        default: null
+    },
     artistName: {
         type: String,
         required: true
@@ -34,6 +41,15 @@ const gallerySchema = new mongoose.Schema({
         ref: 'PsychometricTest',
         default: null
     },
+    // Read from the image, used to match pieces to psychometric test results
+    dominantColors: [{
+        type: String,
+        enum: COLORS
+    }],
+    colorsExtractedAt: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -1,4 +1,89 @@
 const mongoose = require('mongoose');
+const taxBreakdownSchema = require('./schemas/taxBreakdownSchema');
+
+// Fulfilment steps in the order they happen; cancelled is kept out of the ranking
+const FULFILMENT_STATUSES = ['processing', 'approved', 'in_transit', 'delivered'];
+
+// The items of one seller, approved, shipped and tracked separately from the rest of the order
+const fulfilmentSchema = new mongoose.Schema({
+    // null for items sold by the platform itself
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: [...FULFILMENT_STATUSES, 'cancelled'],
+        default: 'processing'
+    },
+    trackingNumber: {
+        type: String,
+        default: null
+    },
+    estimatedDeliveryDate: {
+        type: Date,
+        default: null
+    },
+    shippedAt: {
+        type: Date,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One change of status, appended by the order lifecycle and never edited afterwards
+const statusHistorySchema = new mongoose.Schema({
+    // Fulfilment that changed, null when the change was to the whole order
+    fulfilment: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        immutable: true
+    },
+    // null for the entry made when the order is placed
+    from: {
+        type: String,
+        default: null,
+        immutable: true
+    },
+    to: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        immutable: true
+    },
+    role: {
+        type: String,
+        enum: ['user', 'seller', 'admin', 'system'],
+        required: true,
+        immutable: true
+    },
+    note: {
+        type: String,
+        default: '',
+        immutable: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+// Id of a reference whether or not it has been populated
+const refId = value => (value && value._id ? value._id : value);
 
 const orderSchema = new mongoose.Schema({
     user: {
@@ -15,6 +100,18 @@ const orderSchema = new mongoose.Schema({
             },
             title: String,
             artistName: String,
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null
+            },
+            variantName: {
+                type: String,
+                default: ''
+            },
+            sku: {
+                type: String,
+                default: null
+            },
             quantity: {
                 type: Number,
                 required: true,
@@ -27,23 +124,106 @@ const orderSchema = new mongoose.Schema({
             seller: {
                 type: mongoose.Schema.Types.ObjectId,
                 ref: 'User'
+            },
+            hsnCode: {
+                type: String,
+                default: null
             }
         }
     ],
+    // Amount charged: items less any coupon discount, plus GST and shipping
     totalAmount: {
         type: Number,
         required: true
     },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    coupon: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            default: null
+        },
+        code: {
+            type: String,
+            default: null
+        },
+        description: {
+            type: String,
+            default: ''
+        },
+        // Set when the order was cancelled or fully refunded and its redemption given back
+        releasedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Cart recovery campaign whose reminder emails brought the buyer back to place this order
+    recoveryCampaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CartRecoveryCampaign',
+        default: null
+    },
     shippingAddress: {
         firstName: String,
         lastName: String,
         email: String,
         address: String,
         city: String,
+        state: String,
         postalCode: String,
         country: String,
         phone: String
     },
+    tax: {
+        type: taxBreakdownSchema,
+        default: null
+    },
+    // Shipping charged on the order, a separate line of totalAmount
+    shipping: {
+        zone: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ShippingZone',
+            default: null
+        },
+        zoneName: {
+            type: String,
+            default: null
+        },
+        // Billed weight in kg
+        weight: {
+            type: Number,
+            default: 0
+        },
+        charge: {
+            type: Number,
+            default: 0
+        },
+        codSurcharge: {
+            type: Number,
+            default: 0
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        freeShipping: {
+            type: Boolean,
+            default: false
+        }
+    },
+    invoice: {
+        number: {
+            type: String,
+            default: null
+        },
+        issuedAt: {
+            type: Date,
+            default: null
+        }
+    },
     paymentMethod: {
         type: String,
         required: true
@@ -53,11 +233,14 @@ const orderSchema = new mongoose.Schema({
         enum: ['pending', 'completed', 'failed', 'refunded'],
         default: 'pending'
     },
+    // Derived from the fulfilments once an order has them; see deriveStatus
     orderStatus: {
         type: String,
         enum: ['processing', 'approved', 'shipped', 'in_transit', 'delivered', 'cancelled'],
         default: 'processing'
     },
+    fulfilments: [fulfilmentSchema],
+    statusHistory: [statusHistorySchema],
     trackingNumber: {
         type: String,
         default: null
@@ -71,6 +254,11 @@ const orderSchema = new mongoose.Schema({
             type: String,
             enum: ['processing', 'approved', 'in_transit', 'delivered', 'cancelled']
         },
+        // Fulfilment the notification was about, null for the whole order
+        fulfilment: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
         sentAt: {
             type: Date,
             default: Date.now
@@ -90,4 +278,75 @@ const orderSchema = new mongoose.Schema({
     }
 });
 
+orderSchema.index({ 'coupon.coupon': 1, user: 1 });
+orderSchema.index({ 'fulfilments.seller': 1, createdAt: -1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } });
+
+// Sum of the line items before discounts
+orderSchema.virtual('itemsSubtotal').get(function() {
+    return this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+});
+
+/**
+ * Fulfilment of one seller
+ * @param {ObjectId|null} sellerId - Seller id, null for platform items
+ * @returns {Object|undefined} - Fulfilment subdocument
+ */
+orderSchema.methods.getFulfilment = function(sellerId) {
+    const id = String(refId(sellerId) || '');
+    return this.fulfilments.find(fulfilment => String(refId(fulfilment.seller) || '') === id);
+};
+
+/**
+ * Items that ship with a fulfilment
+ * @param {Object} fulfilment - Fulfilment subdocument
+ * @returns {Array} - Order items
+ */
+orderSchema.methods.getFulfilmentItems = function(fulfilment) {
+    const id = String(refId(fulfilment.seller) || '');
+    return this.items.filter(item => String(refId(item.seller) || '') === id);
+};
+
+/**
+ * Add a fulfilment for every seller in the order that has none yet.
+ * Orders from before fulfilments existed start their groups at the order's own status and tracking.
+ */
+orderSchema.methods.syncFulfilments = function() {
+    const sellerIds = [...new Set(this.items.map(item => String(refId(item.seller) || '')))];
+    sellerIds.forEach(sellerId => {
+        if (this.getFulfilment(sellerId || null)) return;
+        this.fulfilments.push({
+            seller: sellerId || null,
+            status: this.orderStatus === 'shipped' ? 'in_transit' : this.orderStatus,
+            trackingNumber: this.trackingNumber,
+            estimatedDeliveryDate: this.estimatedDeliveryDate
+        });
+    });
+    
+    // Groups whose items moved to another seller are dropped
+    this.fulfilments
+        .filter(fulfilment => this.getFulfilmentItems(fulfilment).length === 0)
+        .forEach(fulfilment => this.fulfilments.pull(fulfilment._id));
+};
+
+/**
+ * Set the order status from its fulfilments: the least advanced of the groups that are
+ * still going, or cancelled when every group is cancelled
+ * @returns {String} - The new order status
+ */
+orderSchema.methods.deriveStatus = function() {
+    const active = this.fulfilments.filter(fulfilment => fulfilment.status !== 'cancelled');
+    if (this.fulfilments.length > 0) {
+        this.orderStatus = active.length === 0
+            ? 'cancelled'
+            : FULFILMENT_STATUSES[Math.min(...active.map(fulfilment => FULFILMENT_STATUSES.indexOf(fulfilment.status)))];
+    }
+    return this.orderStatus;
+};
+
+orderSchema.pre('validate', function(next) {
+    this.syncFulfilments();
+    next();
+});
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
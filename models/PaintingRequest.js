@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
 
 const paintingRequestSchema = new mongoose.Schema({
     seller: {
@@ -26,6 +27,11 @@ const paintingRequestSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Size, palette and responsive copies of the image (see services/imageService)
+    imageMeta: {
+        type: imageMetaSchema,
+        default: null
+    },
     status: {
         type: String,
         enum: ['pending', 'approved', 'rejected'],
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const taxBreakdownSchema = require('./schemas/taxBreakdownSchema');
+
+// What a payment is for, and the model its reference points at
+const PAYMENT_PURPOSES = {
+    order: 'Order',
+    custom_request: 'CustomRequest',
+    psychometric_test: 'PsychometricTest',
+    psychometric_order: 'PsychometricTest'
+};
+
+// One attempt to collect money through a payment gateway
+const paymentSchema = new mongoose.Schema({
+    purpose: {
+        type: String,
+        enum: Object.keys(PAYMENT_PURPOSES),
+        required: true
+    },
+    referenceModel: {
+        type: String,
+        enum: [...new Set(Object.values(PAYMENT_PURPOSES))],
+        required: true
+    },
+    reference: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'referenceModel',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // e.g. 'razorpay' or 'mock'
+    provider: {
+        type: String,
+        required: true
+    },
+    // Gateway order created before checkout; the buyer pays against it
+    providerOrderId: {
+        type: String,
+        required: true
+    },
+    providerPaymentId: {
+        type: String,
+        default: null
+    },
+    // In rupees
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // GST included in the amount, copied to the paid record once the payment goes through
+    tax: {
+        type: taxBreakdownSchema,
+        default: null
+    },
+    // Purpose-specific details, e.g. the bid a custom request payment accepts
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'failed', 'refunded'],
+        default: 'created'
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    refunds: [{
+        providerRefundId: {
+            type: String,
+            required: true
+        },
+        // In rupees
+        amount: {
+            type: Number,
+            required: true
+        },
+        processedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    failureReason: {
+        type: String,
+        default: null
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+paymentSchema.index({ purpose: 1, reference: 1, createdAt: -1 });
+
+paymentSchema.pre('validate', function(next) {
+    this.referenceModel = PAYMENT_PURPOSES[this.purpose];
+    next();
+});
+
+paymentSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Most recent payment for a purpose and reference
+ * @param {String} purpose - Payment purpose
+ * @param {ObjectId} reference - Id of the order, request or test
+ * @returns {Promise<Object|null>} - Payment
+ */
+paymentSchema.statics.findLatest = function(purpose, reference) {
+    return this.findOne({ purpose, reference }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Payment', paymentSchema); 
\ No newline at end of file
@@ -1,4 +1,50 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const { MEDIUMS, ORIENTATIONS, STYLES, COLORS, deriveOrientation } = require('../utils/productAttributes');
+const { DEFAULT_HSN_CODE } = require('../utils/tax');
+
+// A purchasable version of an artwork, e.g. an A3 print or the framed original
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Print size label such as A3, A2 or 30x40 cm
+    size: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    framed: {
+        type: Boolean,
+        default: false
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    stock: {
+        type: Number,
+        required: true,
+        default: 0,
+        min: 0
+    },
+    image: {
+        type: String,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
 
 const productSchema = new mongoose.Schema({
     title: {
@@ -9,6 +55,11 @@ const productSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Size, palette and responsive copies of the main image (see services/imageService)
+    imageMeta: {
+        type: imageMetaSchema,
+        default: null
+    },
     artistName: {
         type: String,
         required: true
@@ -26,6 +77,73 @@ const productSchema = new mongoose.Schema({
         required: true,
         default: 1
     },
+    // The seller is alerted once stock, or the stock of any variant, falls to this level
+    // (see services/stockAlertService); 0 alerts only when sold out
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    medium: {
+        type: String,
+        enum: [...MEDIUMS, null],
+        default: null
+    },
+    dimensions: {
+        // All measurements in centimetres
+        width: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        height: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        depth: {
+            type: Number,
+            min: 0,
+            default: null
+        }
+    },
+    // Packed weight in kg, used for shipping rates
+    weight: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    orientation: {
+        type: String,
+        enum: [...ORIENTATIONS, null],
+        default: null
+    },
+    style: {
+        type: String,
+        enum: [...STYLES, null],
+        default: null
+    },
+    dominantColors: [{
+        type: String,
+        enum: COLORS
+    }],
+    // Set when dominantColors were read from the image because the seller picked none
+    colorsExtractedAt: {
+        type: Date,
+        default: null
+    },
+    // HSN code that decides the GST rate (see utils/tax)
+    hsnCode: {
+        type: String,
+        trim: true,
+        default: DEFAULT_HSN_CODE
+    },
+    variants: [variantSchema],
     seller: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -40,10 +158,122 @@ const productSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    viewCount: {
+        type: Number,
+        default: 0
+    },
+    salesCount: {
+        type: Number,
+        default: 0
+    },
+    // Denormalized from published reviews, see Review.updateProductRating
+    ratingAverage: {
+        type: Number,
+        default: 0
+    },
+    ratingCount: {
+        type: Number,
+        default: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Fill in orientation from the dimensions when it was not chosen explicitly
+productSchema.pre('save', function(next) {
+    if (!this.orientation && this.dimensions) {
+        this.orientation = deriveOrientation(this.dimensions.width, this.dimensions.height);
+    }
+    next();
+});
+
+// Give every variant a SKU and keep the listing price and stock in line with the variants
+productSchema.pre('validate', function(next) {
+    if (!this.variants || this.variants.length === 0) {
+        return next();
+    }
+    
+    const prefix = this._id.toString().slice(-6).toUpperCase();
+    const seen = new Set();
+    
+    for (const variant of this.variants) {
+        if (!variant.sku) {
+            const suffix = (variant.name || 'variant').toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            variant.sku = `${prefix}-${suffix}`;
+        }
+        if (seen.has(variant.sku)) {
+            return next(new Error(`Duplicate variant SKU: ${variant.sku}`));
+        }
+        seen.add(variant.sku);
+    }
+    
+    const active = this.variants.filter(variant => variant.isActive);
+    if (active.length > 0) {
+        this.price = Math.min(...active.map(variant => variant.price));
+        this.stock = active.reduce((sum, variant) => sum + variant.stock, 0);
+    } else {
+        this.stock = 0;
+    }
+    
+    next();
+});
+
+productSchema.virtual('hasVariants').get(function() {
+    return Array.isArray(this.variants) && this.variants.some(variant => variant.isActive);
+});
+
+/**
+ * Find an active variant of this product
+ * @param {String|ObjectId} variantId - Variant id
+ * @returns {Object|null} - Variant subdocument or null
+ */
+productSchema.methods.getVariant = function(variantId) {
+    if (!variantId || !this.variants) return null;
+    const variant = this.variants.id(variantId);
+    return variant && variant.isActive ? variant : null;
+};
+
+/**
+ * Resolve the price, stock and label a buyer gets for an optional variant
+ * @param {String|ObjectId} variantId - Variant id, or null for products without variants
+ * @returns {Object|null} - { variant, price, stock, image, label } or null when the variant is invalid
+ */
+productSchema.methods.getPurchaseOption = function(variantId) {
+    if (!this.hasVariants) {
+        return { variant: null, price: this.price, stock: this.stock, image: this.image, label: '' };
+    }
+    
+    const variant = this.getVariant(variantId);
+    if (!variant) return null;
+    
+    return {
+        variant,
+        price: variant.price,
+        stock: variant.stock,
+        image: variant.image || this.image,
+        label: variant.name
+    };
+};
+
+// Full-text search over the shop catalog
+productSchema.index(
+    { title: 'text', artistName: 'text', description: 'text' },
+    { name: 'product_text_search', weights: { title: 5, artistName: 3, description: 1 } }
+);
+
+// Indexes for shop listing filters and sorting
+productSchema.index({ status: 1, createdAt: -1 });
+productSchema.index({ status: 1, price: 1 });
+productSchema.index({ status: 1, artistName: 1 });
+productSchema.index({ status: 1, seller: 1 });
+productSchema.index({ status: 1, category: 1 });
+productSchema.index({ status: 1, medium: 1 });
+productSchema.index({ status: 1, style: 1 });
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
 module.exports = mongoose.model('Product', productSchema); 
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A product another one is often seen or bought with, scored from 0 to 1
+const relatedProductSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+// Item-to-item recommendations of one product, rebuilt from shopper activity and orders by the
+// scheduler. Documents are replaced on every rebuild, so nothing here is edited by hand.
+const productRecommendationSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        unique: true
+    },
+    // Products the same shoppers looked at, added to their cart or bought
+    alsoViewed: [relatedProductSchema],
+    // Products the same shoppers bought
+    alsoBought: [relatedProductSchema],
+    // Weighted interest across all shoppers, used when there is no history to go on
+    popularity: {
+        type: Number,
+        default: 0
+    },
+    builtAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+productRecommendationSchema.index({ popularity: -1 });
+
+module.exports = mongoose.model('ProductRecommendation', productRecommendationSchema); 
\ No newline at end of file
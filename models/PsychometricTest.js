@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const taxBreakdownSchema = require('./schemas/taxBreakdownSchema');
 
 const PsychometricTestSchema = new Schema({
     user: {
@@ -38,10 +39,19 @@ const PsychometricTestSchema = new Schema({
         type: Number,
         default: null
     },
+    paymentTax: {
+        type: taxBreakdownSchema,
+        default: null
+    },
     paymentDate: {
         type: Date,
         default: null
     },
+    // Part of the test fee refunded through the payment gateway
+    paymentRefundedAmount: {
+        type: Number,
+        default: 0
+    },
     psychologistFeedback: {
         text: {
             type: String,
@@ -83,10 +93,18 @@ const PsychometricTestSchema = new Schema({
             type: Number,
             default: null
         },
+        tax: {
+            type: taxBreakdownSchema,
+            default: null
+        },
         paymentDate: {
             type: Date,
             default: null
         },
+        refundedAmount: {
+            type: Number,
+            default: 0
+        },
         status: {
             type: String,
             enum: ['pending', 'placed', 'in_progress', 'completed'],
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+// What a refund is for, and the model its reference points at
+const REFUND_PURPOSES = {
+    order: 'Order',
+    custom_request: 'CustomRequest'
+};
+
+const REFUND_REASONS = {
+    order_cancelled: 'Order cancelled',
+    request_cancelled: 'Custom request cancelled',
+    damaged: 'Arrived damaged',
+    not_as_described: 'Not as described',
+    returned: 'Items returned',
+    goodwill: 'Goodwill gesture',
+    other: 'Other'
+};
+
+// Money returned to a buyer. Refunds wait for an admin to approve them and are then paid
+// back through the payment provider, or by hand when the buyer paid cash.
+const refundSchema = new mongoose.Schema({
+    purpose: {
+        type: String,
+        enum: Object.keys(REFUND_PURPOSES),
+        required: true
+    },
+    referenceModel: {
+        type: String,
+        enum: Object.values(REFUND_PURPOSES),
+        required: true
+    },
+    reference: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'referenceModel',
+        required: true
+    },
+    // Gateway payment being refunded; null when the buyer paid cash
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // In rupees
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: Object.keys(REFUND_REASONS),
+        required: true
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    // Order items the refund covers; restock puts them back on sale once the refund is processed
+    items: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        seller: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        title: String,
+        quantity: {
+            type: Number,
+            min: 1
+        },
+        // Value of the items before discount and tax, taken off the seller's revenue
+        value: {
+            type: Number,
+            default: 0
+        },
+        restock: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    status: {
+        type: String,
+        enum: ['requested', 'processed', 'rejected', 'failed'],
+        default: 'requested'
+    },
+    // gateway: through the payment provider; manual: paid back outside the site
+    method: {
+        type: String,
+        enum: ['gateway', 'manual'],
+        default: 'gateway'
+    },
+    providerRefundId: {
+        type: String,
+        default: null
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    rejectionReason: {
+        type: String,
+        default: null
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    },
+    stockRestored: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+refundSchema.index({ purpose: 1, reference: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+refundSchema.virtual('reasonLabel').get(function() {
+    return REFUND_REASONS[this.reason] || this.reason;
+});
+
+refundSchema.pre('validate', function(next) {
+    this.referenceModel = REFUND_PURPOSES[this.purpose];
+    next();
+});
+
+refundSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Reasons a refund can be given for, keyed by value
+ * @returns {Object} - { value: label }
+ */
+refundSchema.statics.getReasons = function() {
+    return REFUND_REASONS;
+};
+
+/**
+ * Totals of the refunds for an order or request that are waiting for approval and already paid back
+ * @param {String} purpose - Refund purpose
+ * @param {ObjectId} reference - Id of the order or request
+ * @param {ObjectId} excludeId - Refund to leave out, e.g. the one being approved
+ * @param {ObjectId} payment - Only count refunds of this payment, null for cash refunds; all when left out
+ * @returns {Promise<Object>} - { requested, processed }
+ */
+refundSchema.statics.getTotals = async function(purpose, reference, excludeId = null, payment = undefined) {
+    const refunds = await this.find({
+        purpose,
+        reference,
+        status: { $in: ['requested', 'processed'] },
+        ...(payment !== undefined ? { payment } : {}),
+        ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    }).select('amount status');
+    
+    return refunds.reduce((totals, refund) => {
+        totals[refund.status] += refund.amount;
+        return totals;
+    }, { requested: 0, processed: 0 });
+};
+
+module.exports = mongoose.model('Refund', refundSchema); 
\ No newline at end of file
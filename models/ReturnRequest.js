@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = {
+    damaged: 'Arrived damaged',
+    defective: 'Defective or not working',
+    wrong_item: 'Wrong item sent',
+    not_as_described: 'Not as described',
+    changed_mind: 'No longer needed',
+    other: 'Other'
+};
+
+// Steps of a return in the order they happen; rejected and cancelled end it early
+const RETURN_STATUSES = ['requested', 'approved', 'in_transit', 'received', 'refunded'];
+
+// Items of one seller's fulfilment that the buyer is sending back. The seller or an admin
+// approves the return, the buyer ships it back, and receiving it restocks the items and requests a refund.
+const returnRequestSchema = new mongoose.Schema({
+    rmaNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Seller of the fulfilment the items shipped with; null for items sold by the platform itself
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    items: [{
+        // Id of the line in the order
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        title: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        price: {
+            type: Number,
+            default: 0
+        }
+    }],
+    reason: {
+        type: String,
+        enum: Object.keys(RETURN_REASONS),
+        required: true
+    },
+    comments: {
+        type: String,
+        default: ''
+    },
+    // Paths under /uploads/returns
+    photos: [String],
+    status: {
+        type: String,
+        enum: [...RETURN_STATUSES, 'rejected', 'cancelled'],
+        default: 'requested'
+    },
+    // The parcel the buyer sends back
+    returnShipment: {
+        carrier: {
+            type: String,
+            default: null
+        },
+        trackingNumber: {
+            type: String,
+            default: null
+        },
+        shippedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    rejectionReason: {
+        type: String,
+        default: null
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    receivedAt: {
+        type: Date,
+        default: null
+    },
+    refund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+returnRequestSchema.index({ order: 1, createdAt: -1 });
+returnRequestSchema.index({ seller: 1, status: 1 });
+
+returnRequestSchema.virtual('reasonLabel').get(function() {
+    return RETURN_REASONS[this.reason] || this.reason;
+});
+
+returnRequestSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Reasons a return can be asked for, keyed by value
+ * @returns {Object} - { value: label }
+ */
+returnRequestSchema.statics.getReasons = function() {
+    return RETURN_REASONS;
+};
+
+/**
+ * Quantity of each order line already in a return that was not rejected or cancelled
+ * @param {ObjectId} orderId - Order id
+ * @returns {Promise<Object>} - { orderItemId: quantity }
+ */
+returnRequestSchema.statics.getReturnedQuantities = async function(orderId) {
+    const returns = await this.find({
+        order: orderId,
+        status: { $nin: ['rejected', 'cancelled'] }
+    }).select('items');
+    
+    return returns.reduce((quantities, returnRequest) => {
+        returnRequest.items.forEach(item => {
+            const key = item.orderItem.toString();
+            quantities[key] = (quantities[key] || 0) + item.quantity;
+        });
+        return quantities;
+    }, {});
+};
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema); 
\ No newline at end of file
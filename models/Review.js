@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Delivered order that makes this a verified purchase
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 120,
+        default: ''
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        default: ''
+    },
+    photos: [{
+        type: String
+    }],
+    status: {
+        type: String,
+        enum: ['published', 'hidden'],
+        default: 'published'
+    },
+    reports: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            default: ''
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    moderation: {
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        moderatedAt: {
+            type: Date,
+            default: null
+        },
+        note: {
+            type: String,
+            default: ''
+        }
+    },
+    sellerReply: {
+        text: {
+            type: String,
+            trim: true,
+            maxlength: 1000,
+            default: null
+        },
+        seller: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        repliedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One review per buyer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, 'reports.0': 1 });
+
+reviewSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Find an order of this user in which the product has been delivered. In an order split
+ * between sellers only the shipment holding the product has to be delivered.
+ * @param {ObjectId} userId - Buyer id
+ * @param {ObjectId} productId - Product id
+ * @returns {Promise<Object|null>} - Order or null when the user has not received the product
+ */
+reviewSchema.statics.findVerifiedOrder = async function(userId, productId) {
+    const orders = await mongoose.model('Order').find({
+        user: userId,
+        'items.product': productId,
+        $or: [
+            { orderStatus: 'delivered' },
+            { 'fulfilments.status': 'delivered' }
+        ]
+    }).sort({ createdAt: -1 });
+    
+    return orders.find(order => {
+        if (order.orderStatus === 'delivered') return true;
+        return order.fulfilments.some(fulfilment => fulfilment.status === 'delivered' &&
+            order.getFulfilmentItems(fulfilment).some(item => item.product && item.product.toString() === productId.toString()));
+    }) || null;
+};
+
+/**
+ * Recalculate a product's average rating and review count from its published reviews
+ * @param {ObjectId} productId - Product id
+ * @returns {Promise<Object>} - { ratingAverage, ratingCount }
+ */
+reviewSchema.statics.updateProductRating = async function(productId) {
+    const [stats] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'published' } },
+        { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    
+    const rating = {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats ? stats.count : 0
+    };
+    
+    await mongoose.model('Product').updateOne({ _id: productId }, { $set: rating });
+    return rating;
+};
+
+/**
+ * Count published reviews per star value for a product
+ * @param {ObjectId} productId - Product id
+ * @returns {Promise<Object>} - Map of star value (1-5) to count
+ */
+reviewSchema.statics.getRatingBreakdown = async function(productId) {
+    const rows = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'published' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => {
+        breakdown[row._id] = row.count;
+    });
+    return breakdown;
+};
+
+module.exports = mongoose.model('Review', reviewSchema); 
\ No newline at end of file
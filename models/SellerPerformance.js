@@ -45,6 +45,11 @@ const SellerPerformanceSchema = new Schema({
             type: Number,
             default: 0
         },
+        // Refunds taken off totalRevenue
+        refundedAmount: {
+            type: Number,
+            default: 0
+        },
         averageOrderValue: {
             type: Number,
             default: 0
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// What a shipment carries, and the model its reference points at
+const SHIPMENT_PURPOSES = {
+    order: 'Order',
+    custom_request: 'CustomRequest'
+};
+
+// Tracking statuses in the order they happen; exception is kept out of the ranking
+const SHIPMENT_STATUSES = ['booked', 'in_transit', 'out_for_delivery', 'delivered'];
+
+// A parcel handed to a courier, with the scans the courier reports for it. Shipments with a
+// tracked carrier are polled until they are delivered.
+const shipmentSchema = new mongoose.Schema({
+    purpose: {
+        type: String,
+        enum: Object.keys(SHIPMENT_PURPOSES),
+        required: true
+    },
+    referenceModel: {
+        type: String,
+        enum: Object.values(SHIPMENT_PURPOSES),
+        required: true
+    },
+    reference: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'referenceModel',
+        required: true
+    },
+    // Seller's fulfilment of the order, for order shipments
+    fulfilment: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Accepted bid, for custom request shipments
+    bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid',
+        default: null
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Carrier adapter name, or 'other' for couriers that are not tracked
+    carrier: {
+        type: String,
+        required: true
+    },
+    // Courier name shown to buyers
+    carrierLabel: {
+        type: String,
+        default: ''
+    },
+    // Air waybill, the courier's tracking number
+    awb: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: [...SHIPMENT_STATUSES, 'exception'],
+        default: 'booked'
+    },
+    events: [{
+        status: {
+            type: String,
+            enum: [...SHIPMENT_STATUSES, 'exception']
+        },
+        description: String,
+        location: {
+            type: String,
+            default: ''
+        },
+        occurredAt: Date
+    }],
+    // When the parcel was handed to the courier
+    shippedAt: {
+        type: Date,
+        default: Date.now
+    },
+    estimatedDeliveryDate: {
+        type: Date,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    lastPolledAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+shipmentSchema.index({ purpose: 1, reference: 1 });
+shipmentSchema.index({ carrier: 1, status: 1, shippedAt: 1 });
+
+shipmentSchema.pre('validate', function(next) {
+    this.referenceModel = SHIPMENT_PURPOSES[this.purpose];
+    next();
+});
+
+shipmentSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Add scans the shipment does not have yet, keeping the events in the order they happened
+ * @param {Array} events - [{ status, description, location, occurredAt }]
+ * @returns {Number} - How many scans were new
+ */
+shipmentSchema.methods.mergeEvents = function(events) {
+    const key = event => `${new Date(event.occurredAt).getTime()}|${event.status}|${event.description}`;
+    const known = new Set(this.events.map(key));
+    const added = events.filter(event => !known.has(key(event)));
+    
+    if (added.length > 0) {
+        const merged = [...this.events.map(event => event.toObject()), ...added]
+            .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+        this.events = merged;
+    }
+    return added.length;
+};
+
+/**
+ * Tracking statuses in the order they happen
+ * @returns {Array}
+ */
+shipmentSchema.statics.getStatuses = function() {
+    return SHIPMENT_STATUSES;
+};
+
+module.exports = mongoose.model('Shipment', shipmentSchema); 
\ No newline at end of file
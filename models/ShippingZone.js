@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const PINCODE_PREFIX_PATTERN = /^[1-9][0-9]{0,5}$/;
+
+// Charge for parcels up to maxWeight kg; slabs are kept sorted by weight
+const slabSchema = new mongoose.Schema({
+    maxWeight: {
+        type: Number,
+        required: true,
+        min: 0.1
+    },
+    // Parcel picked up in another zone
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Parcel picked up inside this zone; falls back to rate when not set
+    withinZoneRate: {
+        type: Number,
+        default: null,
+        min: 0
+    }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Delivery pincodes starting with one of these belong to the zone, e.g. '11' for Delhi or '400' for Mumbai
+    pincodePrefixes: [{
+        type: String,
+        trim: true,
+        match: PINCODE_PREFIX_PATTERN
+    }],
+    // Used for addresses no other zone matches, including deliveries outside India
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    slabs: {
+        type: [slabSchema],
+        validate: [slabs => slabs.length > 0, 'A zone needs at least one weight slab']
+    },
+    // Charged for each started kg above the heaviest slab
+    additionalPerKg: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Orders worth at least this much (after discounts) ship free; null means never free
+    freeShippingThreshold: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Flat fee added to cash on delivery orders
+    codSurcharge: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+shippingZoneSchema.index({ pincodePrefixes: 1 });
+
+shippingZoneSchema.pre('validate', function(next) {
+    this.slabs.sort((a, b) => a.maxWeight - b.maxWeight);
+    if (!this.isDefault && this.pincodePrefixes.length === 0) {
+        this.invalidate('pincodePrefixes', 'Add at least one pincode prefix or make this the default zone');
+    }
+    next();
+});
+
+shippingZoneSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Whether a pincode falls in this zone
+ * @param {String} pincode - Six-digit Indian pincode
+ * @returns {Number} - Length of the longest matching prefix, 0 when it does not match
+ */
+shippingZoneSchema.methods.matchLength = function(pincode) {
+    const value = (pincode || '').toString().trim();
+    return this.pincodePrefixes
+        .filter(prefix => value.startsWith(prefix))
+        .reduce((longest, prefix) => Math.max(longest, prefix.length), 0);
+};
+
+/**
+ * Read pincode prefixes typed by an admin, separated by commas, spaces or new lines
+ * @param {String} text - Raw input
+ * @returns {Object} - { prefixes, invalid } with the unique valid prefixes and anything rejected
+ */
+shippingZoneSchema.statics.parsePrefixes = function(text) {
+    const values = [...new Set((text || '').toString().split(/[\s,]+/).filter(Boolean))];
+    return {
+        prefixes: values.filter(value => PINCODE_PREFIX_PATTERN.test(value)),
+        invalid: values.filter(value => !PINCODE_PREFIX_PATTERN.test(value))
+    };
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema); 
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// How long checkout holds stock for a buyer
+const RESERVATION_MINUTES = 15;
+
+// Short-lived hold on product stock while a buyer is checking out
+const stockReservationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockReservationSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+stockReservationSchema.index({ product: 1, variant: 1, expiresAt: 1 });
+// MongoDB removes expired reservations in the background; queries still filter on expiresAt
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+stockReservationSchema.statics.RESERVATION_MINUTES = RESERVATION_MINUTES;
+
+/**
+ * Sum the active reservations on a product (variant) held by other buyers
+ * @param {ObjectId} productId - Product id
+ * @param {ObjectId} variantId - Variant id, or null
+ * @param {ObjectId} excludeUserId - Buyer whose own reservations are ignored
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Number>} - Reserved quantity
+ */
+stockReservationSchema.statics.getReservedQuantity = async function(productId, variantId, excludeUserId, session = null) {
+    const match = {
+        product: new mongoose.Types.ObjectId(productId),
+        variant: variantId ? new mongoose.Types.ObjectId(variantId) : null,
+        expiresAt: { $gt: new Date() }
+    };
+    if (excludeUserId) {
+        match.user = { $ne: new mongoose.Types.ObjectId(excludeUserId) };
+    }
+    
+    const [result] = await this.aggregate([
+        { $match: match },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]).session(session);
+    
+    return result ? result.quantity : 0;
+};
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema); 
\ No newline at end of file
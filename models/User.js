@@ -28,6 +28,55 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // GST registration of a seller, used to decide CGST/SGST vs IGST on their sales
+    taxProfile: {
+        legalName: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+        gstin: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            default: ''
+        },
+        state: {
+            type: String,
+            default: ''
+        }
+    },
+    // Pincode a seller's parcels are picked up from, used for shipping rates
+    pickupPincode: {
+        type: String,
+        trim: true,
+        match: /^$|^[1-9][0-9]{5}$/,
+        default: ''
+    },
+    // Text a seller has drawn on the images they upload (see services/imageService)
+    watermark: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        text: {
+            type: String,
+            trim: true,
+            maxlength: 60,
+            default: ''
+        },
+        position: {
+            type: String,
+            enum: ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'center'],
+            default: 'bottom-right'
+        },
+        opacity: {
+            type: Number,
+            min: 0.1,
+            max: 1,
+            default: 0.5
+        }
+    },
     otp: {
         code: String,
         expiresAt: Date
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A payment gateway webhook delivery, kept so a redelivered event is only applied once
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    // Id the gateway gives the event; redeliveries carry the same id
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    // ignored: no payment of ours matched or nothing changed; failed events are applied again when redelivered
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema); 
\ No newline at end of file
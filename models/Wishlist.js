@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Define the wishlist item schema
+const wishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Price when the product was saved, to show price drops on the favorites page
+    priceWhenAdded: {
+        type: Number,
+        default: null
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Define the main wishlist schema
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: [wishlistItemSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+wishlistSchema.index({ 'items.product': 1 });
+
+wishlistSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Check whether a product is saved in this wishlist
+ * @param {String|ObjectId} productId - Product id
+ * @returns {Boolean}
+ */
+wishlistSchema.methods.hasProduct = function(productId) {
+    return this.items.some(item => item.product && item.product.toString() === productId.toString());
+};
+
+/**
+ * Get the ids of all products a user has saved
+ * @param {ObjectId} userId - User id
+ * @returns {Promise<Set>} - Set of product id strings
+ */
+wishlistSchema.statics.getProductIds = async function(userId) {
+    const wishlist = await this.findOne({ user: userId }).select('items.product').lean();
+    return new Set(wishlist ? wishlist.items.map(item => item.product.toString()) : []);
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema); 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One responsive size of an uploaded image, written next to the original by services/imageService
+const imageVariantSchema = new mongoose.Schema({
+    width: Number,
+    webp: String,
+    avif: String
+}, { _id: false });
+
+// What the upload pipeline learned about an image, embedded next to the image url it describes
+const imageMetaSchema = new mongoose.Schema({
+    width: Number,
+    height: Number,
+    // Dominant colors, as names from utils/productAttributes COLORS
+    palette: [String],
+    // Smallest first, the last one is the full size
+    variants: [imageVariantSchema],
+    processedAt: Date
+}, { _id: false });
+
+module.exports = imageMetaSchema; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// GST breakdown produced by utils/tax calculateTax, embedded wherever a payment is taxed
+const taxLineSchema = new mongoose.Schema({
+    description: String,
+    hsnCode: String,
+    rate: Number,
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state', 'export']
+    },
+    supplierState: String,
+    taxableAmount: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+}, { _id: false });
+
+const taxBreakdownSchema = new mongoose.Schema({
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state', 'export', 'mixed']
+    },
+    supplierState: String,
+    placeOfSupply: String,
+    taxableAmount: {
+        type: Number,
+        default: 0
+    },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
+    totalTax: {
+        type: Number,
+        default: 0
+    },
+    lines: [taxLineSchema]
+}, { _id: false });
+
+module.exports = taxBreakdownSchema; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { ensureAuthenticated, ensureAdmin } = require('../middleware/auth');
+const { processImages } = require('../middleware/imageUpload');
 const User = require('../models/User');
 const Gallery = require('../models/Gallery');
 const PaintingRequest = require('../models/PaintingRequest');
@@ -18,6 +19,27 @@ const emailService = require('../services/emailService');
 const CustomRequest = require('../models/CustomRequest');
 const UserActivity = require('../models/UserActivity');
 const EmailCampaign = require('../models/EmailCampaign');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const CartRecoveryCampaign = require('../models/CartRecoveryCampaign');
+const ShippingZone = require('../models/ShippingZone');
+const CouponService = require('../services/couponService');
+const CartRecoveryService = require('../services/cartRecoveryService');
+const InvoiceService = require('../services/invoiceService');
+const RefundService = require('../services/refundService');
+const ReturnService = require('../services/returnService');
+const OrderLifecycleService = require('../services/orderLifecycleService');
+const PersonalityMatchService = require('../services/personalityMatchService');
+const ImageService = require('../services/imageService');
+const CatalogService = require('../services/catalogService');
+const CertificateService = require('../services/certificateService');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const Certificate = require('../models/Certificate');
+const productAttributes = require('../utils/productAttributes');
+const { MAX_VARIANTS, productImageFields, getMainImage, parseProductVariants } = require('../utils/productVariants');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -93,6 +115,12 @@ const productUpload = multer({
     }
 });
 
+// Catalog imports are kept in memory, they are read once and nothing is stored until import
+const catalogUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit, for the images ZIP
+});
+
 // Check file type
 function checkFileType(file, cb) {
     const filetypes = /jpeg|jpg|png|gif/;
@@ -302,7 +330,7 @@ router.get('/gallery', ensureAuthenticated, ensureAdmin, async (req, res) => {
 });
 
 // Add new gallery item
-router.post('/gallery/add', ensureAuthenticated, ensureAdmin, galleryUpload.single('image'), async (req, res) => {
+router.post('/gallery/add', ensureAuthenticated, ensureAdmin, galleryUpload.single('image'), processImages(), async (req, res) => {
     try {
         if (!req.file) {
             req.flash('error_msg', 'Please select an image');
@@ -311,11 +339,14 @@ router.post('/gallery/add', ensureAuthenticated, ensureAdmin, galleryUpload.sing
 
         const newGalleryItem = new Gallery({
             image: `/uploads/gallery/${req.file.filename}`,
+            imageMeta: req.file.imageMeta,
             artistName: req.body.artistName,
             createdDate: req.body.createdDate,
             description: req.body.description
         });
 
+        // Colors are used to match pieces to psychometric test results
+        await PersonalityMatchService.applyExtractedColors(newGalleryItem);
         await newGalleryItem.save();
         req.flash('success_msg', 'Gallery item added successfully');
         res.redirect('/admin/gallery');
@@ -327,7 +358,7 @@ router.post('/gallery/add', ensureAuthenticated, ensureAdmin, galleryUpload.sing
 });
 
 // Update gallery item
-router.post('/gallery/:id/update', ensureAuthenticated, ensureAdmin, galleryUpload.single('image'), async (req, res) => {
+router.post('/gallery/:id/update', ensureAuthenticated, ensureAdmin, galleryUpload.single('image'), processImages(), async (req, res) => {
     try {
         const galleryItem = await Gallery.findById(req.params.id);
         if (!galleryItem) {
@@ -347,7 +378,10 @@ router.post('/gallery/:id/update', ensureAuthenticated, ensureAdmin, galleryUplo
             if (fs.existsSync(oldImagePath)) {
                 fs.unlinkSync(oldImagePath);
             }
+            ImageService.removeVariants(galleryItem.imageMeta);
             galleryItem.image = `/uploads/gallery/${req.file.filename}`;
+            galleryItem.imageMeta = req.file.imageMeta;
+            await PersonalityMatchService.applyExtractedColors(galleryItem);
         }
 
         await galleryItem.save();
@@ -374,6 +408,7 @@ router.post('/gallery/:id/delete', ensureAuthenticated, ensureAdmin, async (req,
         if (fs.existsSync(imagePath)) {
             fs.unlinkSync(imagePath);
         }
+        ImageService.removeVariants(galleryItem.imageMeta);
 
         await galleryItem.deleteOne();
         req.flash('success_msg', 'Gallery item deleted successfully');
@@ -509,10 +544,12 @@ router.post('/requests/:id/approve', ensureAuthenticated, ensureAdmin, async (re
         // Add the painting to the gallery
         const newGalleryItem = new Gallery({
             image: paintingRequest.imageUrl,
+            imageMeta: paintingRequest.imageMeta,
             artistName: paintingRequest.title,
             description: paintingRequest.description,
             createdDate: paintingRequest.createdDate || new Date()
         });
+        await PersonalityMatchService.applyExtractedColors(newGalleryItem);
         await newGalleryItem.save();
 
         req.flash('success_msg', 'Painting request approved successfully');
@@ -553,10 +590,12 @@ router.post('/painting-requests/:id/handle', ensureAuthenticated, ensureAdmin, a
         if (status === 'approved') {
             const newGalleryItem = new Gallery({
                 image: request.imageUrl,
+                imageMeta: request.imageMeta,
                 artistName: request.title,
                 description: request.description,
                 createdDate: request.createdDate || new Date()
             });
+            await PersonalityMatchService.applyExtractedColors(newGalleryItem);
             await newGalleryItem.save();
         }
 
@@ -620,10 +659,37 @@ router.get('/products', ensureAuthenticated, ensureAdmin, async (req, res) => {
 });
 
 // Add product form
-router.get('/products/add', ensureAuthenticated, ensureAdmin, (req, res) => {
-    res.render('admin/add-product', {
+router.get('/products/add', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const categories = await Category.getFlatTree({ activeOnly: true });
+        
+        res.render('admin/add-product', {
+            user: req.user,
+            title: 'Add New Product',
+            categories,
+            attributes: productAttributes,
+            maxVariants: MAX_VARIANTS,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading add product form:', error);
+        req.flash('error_msg', 'Error loading add product form');
+        res.redirect('/admin/products');
+    }
+});
+
+// Bulk product import from a CSV or XLSX file, with the images in a ZIP
+router.get('/products/import', ensureAuthenticated, ensureAdmin, (req, res) => {
+    res.render('admin/product-import', {
         user: req.user,
-        title: 'Add New Product',
+        title: 'Import Products',
+        columns: CatalogService.COLUMNS,
+        maxRows: CatalogService.MAX_ROWS,
+        report: null,
+        result: null,
         messages: {
             success: req.flash('success_msg'),
             error: req.flash('error_msg')
@@ -631,8 +697,60 @@ router.get('/products/add', ensureAuthenticated, ensureAdmin, (req, res) => {
     });
 });
 
+router.post('/products/import', ensureAuthenticated, ensureAdmin, catalogUpload.fields([{ name: 'sheet', maxCount: 1 }, { name: 'images', maxCount: 1 }]), async (req, res) => {
+    try {
+        const sheetFile = req.files && req.files.sheet ? req.files.sheet[0] : null;
+        const imagesFile = req.files && req.files.images ? req.files.images[0] : null;
+        if (!sheetFile) {
+            req.flash('error_msg', 'Please choose a CSV or XLSX file to import');
+            return res.redirect('/admin/products/import');
+        }
+        
+        const sheet = await CatalogService.readSheet(sheetFile);
+        const images = imagesFile ? await CatalogService.readImageArchive(imagesFile) : null;
+        const report = await CatalogService.validateImport(sheet, { seller: req.user, images });
+        
+        // A dry run only reports what would be imported. Imported products are not approved
+        // automatically, unlike those added through the form.
+        let result = null;
+        if (req.body.mode === 'import' && report.products.length > 0) {
+            result = await CatalogService.importProducts(report, { seller: req.user });
+        }
+        
+        res.render('admin/product-import', {
+            user: req.user,
+            title: 'Import Products',
+            columns: CatalogService.COLUMNS,
+            maxRows: CatalogService.MAX_ROWS,
+            fileName: sheetFile.originalname,
+            report,
+            result,
+            messages: {}
+        });
+    } catch (error) {
+        console.error('Error importing products:', error);
+        req.flash('error_msg', `Error importing products: ${error.message}`);
+        res.redirect('/admin/products/import');
+    }
+});
+
+// Download the catalog with the import columns, optionally only products with one status
+router.get('/products/export', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const filter = ['pending', 'approved', 'rejected'].includes(req.query.status) ? { status: req.query.status } : {};
+        const file = await CatalogService.exportProducts(filter, req.query.format);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="catalog-${new Date().toISOString().slice(0, 10)}.${file.extension}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        req.flash('error_msg', 'Error exporting products');
+        res.redirect('/admin/products');
+    }
+});
+
 // Handle new product submission
-router.post('/products/add', ensureAuthenticated, ensureAdmin, upload.single('image'), async (req, res) => {
+router.post('/products/add', ensureAuthenticated, ensureAdmin, productUpload.single('image'), processImages(), async (req, res) => {
     try {
         const { title, description, price, stock, artistName } = req.body;
         
@@ -655,7 +773,9 @@ router.post('/products/add', ensureAuthenticated, ensureAdmin, upload.single('im
             price: parseFloat(price),
             stock: parseInt(stock) || 1,
             artistName,
+            ...productAttributes.parseProductAttributes(req.body),
             image: `/uploads/products/${req.file.filename}`,
+            imageMeta: req.file.imageMeta,
             status: 'approved' // Auto-approve admin-added products
         });
 
@@ -733,10 +853,15 @@ router.get('/products/:id/edit', ensureAuthenticated, ensureAdmin, async (req, r
             return res.redirect('/admin/products');
         }
         
+        const categories = await Category.getFlatTree();
+        
         res.render('admin/edit-product', {
             user: req.user,
             title: 'Edit Product',
             product: product,
+            categories,
+            attributes: productAttributes,
+            maxVariants: MAX_VARIANTS,
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -749,7 +874,7 @@ router.get('/products/:id/edit', ensureAuthenticated, ensureAdmin, async (req, r
 });
 
 // Update product (admin)
-router.post('/products/:id/update', ensureAuthenticated, ensureAdmin, productUpload.single('image'), async (req, res) => {
+router.post('/products/:id/update', ensureAuthenticated, ensureAdmin, productUpload.fields(productImageFields), processImages(), async (req, res) => {
     try {
         const { title, artistName, description, price, stock, status } = req.body;
         const product = await Product.findById(req.params.id);
@@ -767,8 +892,24 @@ router.post('/products/:id/update', ensureAuthenticated, ensureAdmin, productUpl
         product.stock = stock;
         if (status) product.status = status;
         
+        // Update taxonomy and structured attributes
+        const attributes = productAttributes.parseProductAttributes(req.body);
+        product.category = attributes.category;
+        product.medium = attributes.medium;
+        product.style = attributes.style;
+        product.orientation = attributes.orientation;
+        product.dimensions = attributes.dimensions;
+        product.weight = attributes.weight;
+        product.dominantColors = attributes.dominantColors;
+        product.hsnCode = attributes.hsnCode;
+        product.lowStockThreshold = attributes.lowStockThreshold;
+        
+        // Replace variants; ids are kept for existing rows
+        product.variants = parseProductVariants(req.body, req.files);
+        
         // Update image if provided
-        if (req.file) {
+        const imageFile = getMainImage(req.files);
+        if (imageFile) {
             // Delete old image if exists and not a default image
             if (product.image && !product.image.includes('default')) {
                 const oldImagePath = path.join(__dirname, '../public', product.image);
@@ -776,7 +917,9 @@ router.post('/products/:id/update', ensureAuthenticated, ensureAdmin, productUpl
                     fs.unlinkSync(oldImagePath);
                 }
             }
-            product.image = `/uploads/products/${req.file.filename}`;
+            ImageService.removeVariants(product.imageMeta);
+            product.image = `/uploads/products/${imageFile.filename}`;
+            product.imageMeta = imageFile.imageMeta;
         }
         
         await product.save();
@@ -807,8 +950,10 @@ router.post('/products/:id/delete', ensureAuthenticated, ensureAdmin, async (req
                 fs.unlinkSync(imagePath);
             }
         }
+        ImageService.removeVariants(product.imageMeta);
         
         await Product.findByIdAndDelete(req.params.id);
+        await Review.deleteMany({ product: req.params.id });
         
         req.flash('success_msg', 'Product deleted successfully');
         res.redirect('/admin/products');
@@ -889,9 +1034,10 @@ router.post('/products/:id/reject', ensureAuthenticated, ensureAdmin, async (req
 });
 
 // Add new product (admin)
-router.post('/products', ensureAuthenticated, ensureAdmin, productUpload.single('image'), async (req, res) => {
+router.post('/products', ensureAuthenticated, ensureAdmin, productUpload.fields(productImageFields), processImages(), async (req, res) => {
     try {
         const { title, artistName, description, price, stock } = req.body;
+        const imageFile = getMainImage(req.files);
         
         // Validation
         if (!title || !artistName || !description || !price || !stock) {
@@ -899,7 +1045,7 @@ router.post('/products', ensureAuthenticated, ensureAdmin, productUpload.single(
             return res.redirect('/admin/products/add');
         }
         
-        if (!req.file) {
+        if (!imageFile) {
             req.flash('error_msg', 'Please upload an image');
             return res.redirect('/admin/products/add');
         }
@@ -911,7 +1057,10 @@ router.post('/products', ensureAuthenticated, ensureAdmin, productUpload.single(
             description,
             price,
             stock,
-            image: `/uploads/products/${req.file.filename}`,
+            ...productAttributes.parseProductAttributes(req.body),
+            variants: parseProductVariants(req.body, req.files),
+            image: `/uploads/products/${imageFile.filename}`,
+            imageMeta: imageFile.imageMeta,
             status: 'approved' // Admin-added products are automatically approved
         });
         
@@ -926,6 +1075,638 @@ router.post('/products', ensureAuthenticated, ensureAdmin, productUpload.single(
     }
 });
 
+// Category management
+router.get('/categories', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const categories = await Category.getFlatTree();
+        
+        // Count products directly assigned to each category
+        const productCounts = await Product.aggregate([
+            { $match: { category: { $ne: null } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+        ]);
+        const countsById = {};
+        productCounts.forEach(entry => {
+            countsById[entry._id.toString()] = entry.count;
+        });
+        
+        res.render('admin/categories', {
+            user: req.user,
+            currentPath: '/admin/categories',
+            title: 'Product Categories',
+            categories,
+            countsById,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading categories:', error);
+        req.flash('error_msg', 'Error loading categories');
+        res.redirect('/admin/dashboard');
+    }
+});
+
+// Create category
+router.post('/categories', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const { name, slug, description, parent, sortOrder } = req.body;
+        
+        if (!name || !name.trim()) {
+            req.flash('error_msg', 'Category name is required');
+            return res.redirect('/admin/categories');
+        }
+        
+        const category = new Category({
+            name,
+            slug: slug ? Category.slugify(slug) : Category.slugify(name),
+            description,
+            parent: parent || null,
+            sortOrder: parseInt(sortOrder) || 0
+        });
+        
+        await category.save();
+        
+        req.flash('success_msg', `Category "${category.name}" created`);
+        res.redirect('/admin/categories');
+    } catch (error) {
+        console.error('Error creating category:', error);
+        req.flash('error_msg', error.code === 11000
+            ? 'A category with this slug already exists'
+            : 'Error creating category: ' + error.message);
+        res.redirect('/admin/categories');
+    }
+});
+
+// Update category
+router.post('/categories/:id/update', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const { name, slug, description, parent, sortOrder, isActive } = req.body;
+        const category = await Category.findById(req.params.id);
+        
+        if (!category) {
+            req.flash('error_msg', 'Category not found');
+            return res.redirect('/admin/categories');
+        }
+        
+        category.name = name || category.name;
+        category.slug = slug ? Category.slugify(slug) : category.slug;
+        category.description = description || '';
+        category.parent = parent || null;
+        category.sortOrder = parseInt(sortOrder) || 0;
+        category.isActive = isActive === 'on' || isActive === 'true';
+        
+        await category.save();
+        
+        req.flash('success_msg', `Category "${category.name}" updated`);
+        res.redirect('/admin/categories');
+    } catch (error) {
+        console.error('Error updating category:', error);
+        req.flash('error_msg', error.code === 11000
+            ? 'A category with this slug already exists'
+            : 'Error updating category: ' + error.message);
+        res.redirect('/admin/categories');
+    }
+});
+
+// Delete category
+router.post('/categories/:id/delete', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        
+        if (!category) {
+            req.flash('error_msg', 'Category not found');
+            return res.redirect('/admin/categories');
+        }
+        
+        const childCount = await Category.countDocuments({ parent: category._id });
+        if (childCount > 0) {
+            req.flash('error_msg', 'Move or delete the sub-categories of this category first');
+            return res.redirect('/admin/categories');
+        }
+        
+        // Products fall back to the parent category, or become uncategorized
+        const result = await Product.updateMany(
+            { category: category._id },
+            { $set: { category: category.parent || null } }
+        );
+        
+        await Category.findByIdAndDelete(category._id);
+        
+        req.flash('success_msg', `Category "${category.name}" deleted (${result.modifiedCount} product(s) reassigned)`);
+        res.redirect('/admin/categories');
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        req.flash('error_msg', 'Error deleting category');
+        res.redirect('/admin/categories');
+    }
+});
+
+// Coupon management
+router.get('/coupons', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const [coupons, stats, categories, sellers, products] = await Promise.all([
+            Coupon.find().sort({ createdAt: -1 }),
+            CouponService.getRedemptionStats(),
+            Category.getFlatTree(),
+            User.find({ role: 'seller' }).select('name email').sort({ name: 1 }),
+            Product.find({ status: 'approved' }).select('title artistName').sort({ title: 1 })
+        ]);
+        
+        res.render('admin/coupons', {
+            user: req.user,
+            currentPath: '/admin/coupons',
+            title: 'Coupons',
+            coupons,
+            stats,
+            categories,
+            sellers,
+            products,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading coupons:', error);
+        req.flash('error_msg', 'Error loading coupons');
+        res.redirect('/admin/dashboard');
+    }
+});
+
+// Create coupon
+router.post('/coupons', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const {
+            code, description, discountType, discountValue, maxDiscount, minCartValue,
+            usageLimit, perUserLimit, startsAt, endsAt
+        } = req.body;
+        
+        // Multi-selects arrive as a string for one choice and an array for several
+        const toIdList = value => [].concat(value || []).filter(Boolean);
+        const toLimit = value => (parseInt(value) > 0 ? parseInt(value) : null);
+        
+        const coupon = new Coupon({
+            code: Coupon.normalizeCode(code),
+            description,
+            discountType,
+            discountValue: parseFloat(discountValue),
+            maxDiscount: parseFloat(maxDiscount) > 0 ? parseFloat(maxDiscount) : null,
+            minCartValue: parseFloat(minCartValue) || 0,
+            sellers: toIdList(req.body.sellers),
+            categories: toIdList(req.body.categories),
+            products: toIdList(req.body.products),
+            usageLimit: toLimit(usageLimit),
+            perUserLimit: toLimit(perUserLimit),
+            startsAt: startsAt ? new Date(startsAt) : null,
+            endsAt: endsAt ? new Date(endsAt) : null,
+            createdBy: req.user._id
+        });
+        
+        await coupon.save();
+        
+        req.flash('success_msg', `Coupon ${coupon.code} created`);
+        res.redirect('/admin/coupons');
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        req.flash('error_msg', error.code === 11000
+            ? 'A coupon with this code already exists'
+            : 'Error creating coupon: ' + error.message);
+        res.redirect('/admin/coupons');
+    }
+});
+
+// Activate or deactivate a coupon
+router.post('/coupons/:id/toggle', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        
+        if (!coupon) {
+            req.flash('error_msg', 'Coupon not found');
+            return res.redirect('/admin/coupons');
+        }
+        
+        coupon.isActive = !coupon.isActive;
+        await coupon.save();
+        
+        req.flash('success_msg', `Coupon ${coupon.code} ${coupon.isActive ? 'activated' : 'deactivated'}`);
+        res.redirect('/admin/coupons');
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        req.flash('error_msg', 'Error updating coupon');
+        res.redirect('/admin/coupons');
+    }
+});
+
+// Coupon redemption details
+router.get('/coupons/:id', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('sellers', 'name')
+            .populate('categories', 'name')
+            .populate('products', 'title');
+        
+        if (!coupon) {
+            req.flash('error_msg', 'Coupon not found');
+            return res.redirect('/admin/coupons');
+        }
+        
+        const [stats, orders] = await Promise.all([
+            CouponService.getRedemptionStats([coupon._id]),
+            Order.find({ 'coupon.coupon': coupon._id })
+                .populate('user', 'name email')
+                .sort({ createdAt: -1 })
+                .limit(50)
+        ]);
+        
+        res.render('admin/coupon-details', {
+            user: req.user,
+            currentPath: '/admin/coupons',
+            title: `Coupon ${coupon.code}`,
+            coupon,
+            stats: stats[coupon._id.toString()] || { orders: 0, customers: 0, discountTotal: 0, revenue: 0 },
+            orders,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading coupon:', error);
+        req.flash('error_msg', 'Error loading coupon');
+        res.redirect('/admin/coupons');
+    }
+});
+
+// Reminder emails a cart recovery campaign form can submit
+const MAX_RECOVERY_STEPS = 4;
+
+// Cart recovery campaigns and what they brought back
+router.get('/cart-recovery', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        // Makes sure the default campaign exists before the first abandoned cart is found
+        await CartRecoveryService.getActiveCampaign();
+        
+        const [campaigns, revenue, abandonedCarts] = await Promise.all([
+            CartRecoveryCampaign.find().sort({ createdAt: -1 }),
+            CartRecoveryService.getRecoveredRevenue(),
+            Cart.countDocuments({ status: 'abandoned' })
+        ]);
+        
+        res.render('admin/cart-recovery', {
+            user: req.user,
+            currentPath: '/admin/cart-recovery',
+            title: 'Cart Recovery',
+            campaigns,
+            revenue,
+            abandonedCarts,
+            abandonAfterHours: CartRecoveryService.ABANDON_AFTER_HOURS,
+            maxSteps: MAX_RECOVERY_STEPS,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading cart recovery campaigns:', error);
+        req.flash('error_msg', 'Error loading cart recovery campaigns');
+        res.redirect('/admin/dashboard');
+    }
+});
+
+// Create a cart recovery campaign; it replaces the active one
+router.post('/cart-recovery', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const { name, couponValidDays } = req.body;
+        
+        // Rows left without a delay are skipped
+        const steps = [].concat(req.body.steps || [])
+            .slice(0, MAX_RECOVERY_STEPS)
+            .filter(step => step && parseFloat(step.delayHours) > 0)
+            .map(step => ({
+                delayHours: parseFloat(step.delayHours),
+                subject: step.subject,
+                discountPercent: parseFloat(step.discountPercent) || 0
+            }));
+        
+        const campaign = new CartRecoveryCampaign({
+            name,
+            steps,
+            couponValidDays: parseInt(couponValidDays) || 7,
+            isActive: false,
+            createdBy: req.user._id
+        });
+        await campaign.validate();
+        await CartRecoveryService.activate(campaign);
+        
+        req.flash('success_msg', `Campaign ${campaign.name} created. New abandoned carts will get its emails.`);
+        res.redirect('/admin/cart-recovery');
+    } catch (error) {
+        console.error('Error creating cart recovery campaign:', error);
+        req.flash('error_msg', 'Error creating campaign: ' + error.message);
+        res.redirect('/admin/cart-recovery');
+    }
+});
+
+// Switch a campaign on or off; switching one on switches the others off
+router.post('/cart-recovery/:id/toggle', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const campaign = await CartRecoveryCampaign.findById(req.params.id);
+        
+        if (!campaign) {
+            req.flash('error_msg', 'Campaign not found');
+            return res.redirect('/admin/cart-recovery');
+        }
+        
+        if (campaign.isActive) {
+            campaign.isActive = false;
+            await campaign.save();
+        } else {
+            await CartRecoveryService.activate(campaign);
+        }
+        
+        req.flash('success_msg', campaign.isActive
+            ? `Campaign ${campaign.name} is now active`
+            : `Campaign ${campaign.name} switched off. Carts already enrolled still get its emails.`);
+        res.redirect('/admin/cart-recovery');
+    } catch (error) {
+        console.error('Error updating cart recovery campaign:', error);
+        req.flash('error_msg', 'Error updating campaign');
+        res.redirect('/admin/cart-recovery');
+    }
+});
+
+// Weight slab rows a shipping zone form can submit
+const MAX_SHIPPING_SLABS = 6;
+
+/**
+ * Read a shipping zone form
+ * @param {Object} body - Express req.body, with slabs[n][field] entries
+ * @returns {Object} - { fields, invalidPrefixes } with fields ready to be assigned to a ShippingZone
+ */
+const parseShippingZoneForm = (body = {}) => {
+    const toAmount = value => (value === undefined || value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+    const { prefixes, invalid } = ShippingZone.parsePrefixes(body.pincodePrefixes);
+    
+    const slabs = Object.values(body.slabs || {}).slice(0, MAX_SHIPPING_SLABS)
+        .filter(row => row && toAmount(row.maxWeight) !== null && toAmount(row.rate) !== null)
+        .map(row => ({
+            maxWeight: toAmount(row.maxWeight),
+            rate: toAmount(row.rate),
+            withinZoneRate: toAmount(row.withinZoneRate)
+        }));
+    
+    return {
+        fields: {
+            name: body.name,
+            pincodePrefixes: prefixes,
+            isDefault: body.isDefault === 'on',
+            slabs,
+            additionalPerKg: toAmount(body.additionalPerKg) || 0,
+            freeShippingThreshold: toAmount(body.freeShippingThreshold),
+            codSurcharge: toAmount(body.codSurcharge) || 0
+        },
+        invalidPrefixes: invalid
+    };
+};
+
+/**
+ * Save a shipping zone, keeping at most one default zone
+ * @param {Object} zone - ShippingZone document with the form fields assigned
+ */
+const saveShippingZone = async (zone) => {
+    await zone.save();
+    if (zone.isDefault) {
+        await ShippingZone.updateMany({ _id: { $ne: zone._id }, isDefault: true }, { isDefault: false });
+    }
+};
+
+// Shipping zones and rates
+router.get('/shipping-zones', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const zones = await ShippingZone.find().sort({ isDefault: 1, name: 1 });
+        
+        res.render('admin/shipping-zones', {
+            user: req.user,
+            currentPath: '/admin/shipping-zones',
+            title: 'Shipping Zones',
+            zones,
+            maxSlabs: MAX_SHIPPING_SLABS,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading shipping zones:', error);
+        req.flash('error_msg', 'Error loading shipping zones');
+        res.redirect('/admin/dashboard');
+    }
+});
+
+// Create shipping zone
+router.post('/shipping-zones', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const { fields, invalidPrefixes } = parseShippingZoneForm(req.body);
+        if (invalidPrefixes.length > 0) {
+            req.flash('error_msg', `These are not valid pincode prefixes: ${invalidPrefixes.join(', ')}`);
+            return res.redirect('/admin/shipping-zones');
+        }
+        
+        const zone = new ShippingZone(fields);
+        await saveShippingZone(zone);
+        
+        req.flash('success_msg', `Shipping zone ${zone.name} created`);
+        res.redirect('/admin/shipping-zones');
+    } catch (error) {
+        console.error('Error creating shipping zone:', error);
+        req.flash('error_msg', 'Error creating shipping zone: ' + error.message);
+        res.redirect('/admin/shipping-zones');
+    }
+});
+
+// Edit shipping zone form
+router.get('/shipping-zones/:id/edit', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        
+        if (!zone) {
+            req.flash('error_msg', 'Shipping zone not found');
+            return res.redirect('/admin/shipping-zones');
+        }
+        
+        res.render('admin/shipping-zone-edit', {
+            user: req.user,
+            currentPath: '/admin/shipping-zones',
+            title: `Edit ${zone.name}`,
+            zone,
+            maxSlabs: MAX_SHIPPING_SLABS,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading shipping zone:', error);
+        req.flash('error_msg', 'Error loading shipping zone');
+        res.redirect('/admin/shipping-zones');
+    }
+});
+
+// Update shipping zone
+router.post('/shipping-zones/:id', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        
+        if (!zone) {
+            req.flash('error_msg', 'Shipping zone not found');
+            return res.redirect('/admin/shipping-zones');
+        }
+        
+        const { fields, invalidPrefixes } = parseShippingZoneForm(req.body);
+        if (invalidPrefixes.length > 0) {
+            req.flash('error_msg', `These are not valid pincode prefixes: ${invalidPrefixes.join(', ')}`);
+            return res.redirect(`/admin/shipping-zones/${zone._id}/edit`);
+        }
+        
+        zone.set(fields);
+        await saveShippingZone(zone);
+        
+        req.flash('success_msg', `Shipping zone ${zone.name} updated`);
+        res.redirect('/admin/shipping-zones');
+    } catch (error) {
+        console.error('Error updating shipping zone:', error);
+        req.flash('error_msg', 'Error updating shipping zone: ' + error.message);
+        res.redirect(`/admin/shipping-zones/${req.params.id}/edit`);
+    }
+});
+
+// Activate or deactivate a shipping zone
+router.post('/shipping-zones/:id/toggle', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        
+        if (!zone) {
+            req.flash('error_msg', 'Shipping zone not found');
+            return res.redirect('/admin/shipping-zones');
+        }
+        
+        zone.isActive = !zone.isActive;
+        await zone.save();
+        
+        req.flash('success_msg', `Shipping zone ${zone.name} ${zone.isActive ? 'activated' : 'deactivated'}`);
+        res.redirect('/admin/shipping-zones');
+    } catch (error) {
+        console.error('Error updating shipping zone:', error);
+        req.flash('error_msg', 'Error updating shipping zone');
+        res.redirect('/admin/shipping-zones');
+    }
+});
+
+// Delete shipping zone; orders keep the zone name they were charged under
+router.post('/shipping-zones/:id/delete', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+        
+        if (!zone) {
+            req.flash('error_msg', 'Shipping zone not found');
+            return res.redirect('/admin/shipping-zones');
+        }
+        
+        req.flash('success_msg', `Shipping zone ${zone.name} deleted`);
+        res.redirect('/admin/shipping-zones');
+    } catch (error) {
+        console.error('Error deleting shipping zone:', error);
+        req.flash('error_msg', 'Error deleting shipping zone');
+        res.redirect('/admin/shipping-zones');
+    }
+});
+
+// Review moderation queue
+router.get('/reviews', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const views = {
+            reported: { status: 'published', 'reports.0': { $exists: true } },
+            published: { status: 'published' },
+            hidden: { status: 'hidden' }
+        };
+        const view = views[req.query.view] ? req.query.view : 'reported';
+        
+        const [reviews, counts] = await Promise.all([
+            Review.find(views[view])
+                .populate('product', 'title image')
+                .populate('user', 'name email')
+                .populate('moderation.moderatedBy', 'name')
+                .sort(view === 'reported' ? { updatedAt: -1 } : { createdAt: -1 })
+                .limit(100),
+            Promise.all(Object.values(views).map(query => Review.countDocuments(query)))
+        ]);
+        
+        // Most reported first in the queue
+        if (view === 'reported') {
+            reviews.sort((a, b) => b.reports.length - a.reports.length);
+        }
+        
+        res.render('admin/reviews', {
+            user: req.user,
+            currentPath: '/admin/reviews',
+            title: 'Review Moderation',
+            reviews,
+            view,
+            counts: {
+                reported: counts[0],
+                published: counts[1],
+                hidden: counts[2]
+            },
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading reviews:', error);
+        req.flash('error_msg', 'Error loading reviews');
+        res.redirect('/admin/dashboard');
+    }
+});
+
+// Hide or restore a review
+router.post('/reviews/:id/:action(hide|publish)', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    const returnView = ['reported', 'published', 'hidden'].includes(req.body.returnView) ? req.body.returnView : 'reported';
+    
+    try {
+        const review = await Review.findById(req.params.id);
+        
+        if (!review) {
+            req.flash('error_msg', 'Review not found');
+            return res.redirect(`/admin/reviews?view=${returnView}`);
+        }
+        
+        review.status = req.params.action === 'hide' ? 'hidden' : 'published';
+        review.moderation = {
+            moderatedBy: req.user._id,
+            moderatedAt: Date.now(),
+            note: (req.body.note || '').trim()
+        };
+        
+        // Restoring a review dismisses the reports against it
+        if (req.params.action === 'publish') {
+            review.reports = [];
+        }
+        
+        await review.save();
+        await Review.updateProductRating(review.product);
+        
+        req.flash('success_msg', req.params.action === 'hide' ? 'Review hidden from the shop' : 'Review published');
+        res.redirect(`/admin/reviews?view=${returnView}`);
+    } catch (error) {
+        console.error('Error moderating review:', error);
+        req.flash('error_msg', 'Error updating review');
+        res.redirect(`/admin/reviews?view=${returnView}`);
+    }
+});
+
 // Psychometric Tests Management
 
 // Get all psychologist-reviewed tests
@@ -1294,7 +2075,7 @@ router.post('/psychometric-test/:id/status', ensureAuthenticated, ensureAdmin, a
 });
 
 // Route for uploading project photos
-router.post('/psychometric-test/:id/photos', ensureAuthenticated, ensureAdmin, upload.single('projectPhoto'), async (req, res) => {
+router.post('/psychometric-test/:id/photos', ensureAuthenticated, ensureAdmin, upload.single('projectPhoto'), processImages(), async (req, res) => {
     try {
         console.log('File upload attempt:', req.file);
         
@@ -1427,11 +2208,37 @@ router.get('/orders/:id', ensureAuthenticated, ensureAdmin, async (req, res) =>
             return res.redirect('/admin/orders');
         }
         
+        // Orders from before fulfilments existed get their groups saved, so each can be updated on its own
+        if (order.fulfilments.length === 0) {
+            await order.save();
+        }
+        await order.populate('fulfilments.seller', 'name email');
+        await order.populate('statusHistory.changedBy', 'name');
+        
+        // Statuses the admin can move at least one seller's items to
+        const nextStatuses = [...new Set(order.fulfilments.flatMap(fulfilment => OrderLifecycleService.getNextStatuses(fulfilment, 'admin')))];
+        
+        const refunds = await Refund.find({ purpose: 'order', reference: order._id })
+            .populate('reviewedBy', 'name')
+            .sort({ createdAt: -1 });
+        const refundable = await RefundService.getRefundable('order', order);
+        const returns = await ReturnRequest.find({ order: order._id })
+            .populate('seller', 'name')
+            .sort({ createdAt: -1 });
+        const certificates = await CertificateService.ensureForOrder(order);
+        
         res.render('admin/order-detail', {
             user: req.user,
             currentPath: '/admin/orders',
             title: 'Order Detail',
             order,
+            refunds,
+            refundable,
+            refundReasons: Refund.getReasons(),
+            returns,
+            certificates,
+            nextStatuses,
+            statusLabels: OrderLifecycleService.STATUS_LABELS,
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -1444,125 +2251,338 @@ router.get('/orders/:id', ensureAuthenticated, ensureAdmin, async (req, res) =>
     }
 });
 
-// Update order status
+// Download the tax invoice of an order
+router.get('/orders/:id/invoice', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('items.seller', 'name taxProfile');
+        
+        if (!order) {
+            req.flash('error_msg', 'Order not found');
+            return res.redirect('/admin/orders');
+        }
+        
+        await InvoiceService.ensureInvoice(order);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${InvoiceService.getFileName(order)}"`);
+        InvoiceService.renderOrderInvoice(order, res);
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        req.flash('error_msg', 'Error generating invoice');
+        res.redirect(`/admin/orders/${req.params.id}`);
+    }
+});
+
+// Download the certificate of authenticity of any artwork sold
+router.get('/certificates/:serial', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ serial: req.params.serial });
+        
+        if (!certificate) {
+            req.flash('error_msg', 'Certificate not found');
+            return res.redirect('/admin/orders');
+        }
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${CertificateService.getFileName(certificate)}"`);
+        await CertificateService.renderCertificate(certificate, res);
+    } catch (error) {
+        console.error('Error generating certificate:', error);
+        req.flash('error_msg', 'Error generating certificate');
+        res.redirect('/admin/orders');
+    }
+});
+
+// Move an order, or one seller's part of it, to the next status
 router.post('/orders/:id/status', ensureAuthenticated, ensureAdmin, async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, fulfilment: fulfilmentId, note } = req.body;
         const order = await Order.findById(req.params.id)
-            .populate('user', 'name email')
-            .populate('items.seller');
+            .populate('user', 'name email');
         
         if (!order) {
             req.flash('error_msg', 'Order not found');
             return res.redirect('/admin/orders');
         }
         
-        const oldStatus = order.orderStatus;
+        // Admins may move any seller's part of the order, or all of it at once
+        order.syncFulfilments();
+        const fulfilments = fulfilmentId
+            ? order.fulfilments.filter(fulfilment => fulfilment._id.toString() === fulfilmentId)
+            : order.fulfilments;
         
-        // Update status
-        order.orderStatus = status;
-        await order.save();
+        if (fulfilments.length === 0) {
+            req.flash('error_msg', 'Fulfilment not found');
+            return res.redirect(`/admin/orders/${order._id}`);
+        }
         
-        // Update seller performance metrics when order is delivered
-        if (status === 'delivered' && oldStatus !== 'delivered') {
-            // Group items by seller
-            const sellerItems = {};
-            
-            for (const item of order.items) {
-                if (item.seller) {
-                    if (!sellerItems[item.seller._id]) {
-                        sellerItems[item.seller._id] = {
-                            items: [],
-                            totalAmount: 0
-                        };
-                    }
-                    
-                    sellerItems[item.seller._id].items.push(item);
-                    sellerItems[item.seller._id].totalAmount += (item.price * item.quantity);
-                }
-            }
-            
-            // Update performance metrics for each seller
-            for (const sellerId in sellerItems) {
-                const now = new Date();
-                const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-                const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-                
-                let performance = await SellerPerformance.findOne({
-                    seller: sellerId,
-                    period: 'monthly',
-                    startDate: { $lte: now },
-                    endDate: { $gte: now }
-                });
-                
-                if (!performance) {
-                    performance = new SellerPerformance({
-                        seller: sellerId,
-                        period: 'monthly',
-                        startDate: monthStart,
-                        endDate: monthEnd,
-                        metrics: {
-                            leadsAssigned: 0,
-                            leadsContacted: 0,
-                            leadsQualified: 0,
-                            proposalsSent: 0,
-                            salesClosed: 0,
-                            totalRevenue: 0,
-                            averageOrderValue: 0,
-                            conversionRate: 0,
-                            responseTime: 0
-                        }
-                    });
-                }
-                
-                // Update metrics
-                performance.metrics.salesClosed += 1;
-                performance.metrics.totalRevenue += sellerItems[sellerId].totalAmount;
-                
-                // Recalculate average order value
-                if (performance.metrics.salesClosed > 0) {
-                    performance.metrics.averageOrderValue = 
-                        performance.metrics.totalRevenue / performance.metrics.salesClosed;
-                }
-                
-                // Calculate conversion rate if leads were assigned
-                if (performance.metrics.leadsAssigned > 0) {
-                    performance.metrics.conversionRate = 
-                        (performance.metrics.salesClosed / performance.metrics.leadsAssigned) * 100;
-                }
-                
-                await performance.save();
-                console.log(`Updated performance metrics for seller ${sellerId}`);
+        const { updated } = await OrderLifecycleService.transition(order, fulfilments, status === 'shipped' ? 'in_transit' : status, {
+            actor: req.user,
+            note
+        });
+        
+        req.flash('success_msg', updated.length < fulfilments.length
+            ? 'Order status updated. Sellers whose items could not make this change were left as they are.'
+            : 'Order status updated successfully');
+        res.redirect(fulfilmentId ? `/admin/orders/${order._id}` : '/admin/orders');
+    } catch (error) {
+        if (error instanceof OrderLifecycleService.OrderTransitionError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/admin/orders/${req.params.id}`);
+        }
+        console.error('Error updating order status:', error);
+        req.flash('error_msg', 'Error updating order status');
+        res.redirect('/admin/orders');
+    }
+});
+
+// Issue a refund for an order; refunds made by an admin are approved straight away
+router.post('/orders/:id/refunds', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const { amount, reason, note, restock } = req.body;
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            req.flash('error_msg', 'Order not found');
+            return res.redirect('/admin/orders');
+        }
+        
+        // Items are picked with a quantity field per order item
+        const items = order.items
+            .map(item => ({
+                item,
+                quantity: Math.min(item.quantity, Math.max(0, parseInt(req.body[`quantity_${item._id}`], 10) || 0)),
+                restock: restock === 'on'
+            }))
+            .filter(entry => entry.quantity > 0);
+        
+        // Without an amount, the refund is what the buyer paid for the picked items
+        const refundAmount = amount ? parseFloat(amount) : RefundService.getItemsAmount(order, items);
+        
+        const refund = await RefundService.requestRefund({
+            purpose: 'order',
+            reference: order,
+            amount: refundAmount,
+            reason,
+            note,
+            items,
+            requestedBy: req.user,
+            notify: false
+        });
+        await RefundService.approve(refund, req.user);
+        
+        req.flash('success_msg', refund.method === 'manual'
+            ? `Refund of ₹${refund.amount.toFixed(2)} recorded. Pay it back to the customer by hand, as the order was paid in cash.`
+            : `Refund of ₹${refund.amount.toFixed(2)} processed`);
+        res.redirect(`/admin/orders/${order._id}`);
+    } catch (error) {
+        if (error instanceof RefundService.RefundError) {
+            req.flash('error_msg', error.message);
+        } else {
+            console.error('Error issuing refund:', error);
+            req.flash('error_msg', 'Error issuing refund');
+        }
+        res.redirect(`/admin/orders/${req.params.id}`);
+    }
+});
+
+// Refunds management
+router.get('/refunds', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const status = ['requested', 'processed', 'rejected', 'failed'].includes(req.query.status) ? req.query.status : null;
+        const refunds = await Refund.find(status ? { status } : {})
+            .sort({ createdAt: -1 })
+            .populate('user', 'name email')
+            .populate('reference');
+        
+        const counts = await Refund.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ]);
+        
+        res.render('admin/refunds', {
+            user: req.user,
+            currentPath: '/admin/refunds',
+            title: 'Refunds',
+            refunds,
+            status,
+            counts: counts.reduce((map, entry) => ({ ...map, [entry._id]: entry }), {}),
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
             }
+        });
+    } catch (error) {
+        console.error('Error loading refunds:', error);
+        req.flash('error_msg', 'Error loading refunds');
+        res.redirect('/admin/dashboard');
+    }
+});
+
+// View single refund
+router.get('/refunds/:id', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const refund = await Refund.findById(req.params.id)
+            .populate('user', 'name email')
+            .populate('requestedBy', 'name role')
+            .populate('reviewedBy', 'name')
+            .populate('payment')
+            .populate('reference');
+        
+        if (!refund || !refund.reference) {
+            req.flash('error_msg', 'Refund not found');
+            return res.redirect('/admin/refunds');
         }
         
-        // Send email notification
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASSWORD
+        const refundable = await RefundService.getRefundable(refund.purpose, refund.reference, refund._id, refund.payment ? refund.payment._id : null);
+        
+        res.render('admin/refund-detail', {
+            user: req.user,
+            currentPath: '/admin/refunds',
+            title: 'Refund Detail',
+            refund,
+            refundable,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
             }
         });
+    } catch (error) {
+        console.error('Error loading refund:', error);
+        req.flash('error_msg', 'Error loading refund');
+        res.redirect('/admin/refunds');
+    }
+});
+
+// Approve a refund and pay it back
+router.post('/refunds/:id/approve', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const refund = await Refund.findById(req.params.id);
         
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: order.user.email,
-            subject: `Your Order #${order._id.toString().slice(-6)} Status Updated`,
-            html: `
-                <h2>Hello ${order.user.name},</h2>
-                <p>Your order #${order._id.toString().slice(-6)} status has been updated to <strong>${status}</strong>.</p>
-                <p>Thank you for shopping with us!</p>
-            `
-        };
+        if (!refund) {
+            req.flash('error_msg', 'Refund not found');
+            return res.redirect('/admin/refunds');
+        }
+        
+        await RefundService.approve(refund, req.user);
+        
+        req.flash('success_msg', refund.method === 'manual'
+            ? 'Refund approved. Pay it back to the customer by hand, as they paid in cash.'
+            : 'Refund approved and processed');
+        res.redirect(`/admin/refunds/${refund._id}`);
+    } catch (error) {
+        if (error instanceof RefundService.RefundError) {
+            req.flash('error_msg', error.message);
+        } else {
+            console.error('Error approving refund:', error);
+            req.flash('error_msg', 'Error approving refund');
+        }
+        res.redirect(`/admin/refunds/${req.params.id}`);
+    }
+});
+
+// Reject a refund
+router.post('/refunds/:id/reject', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const refund = await Refund.findById(req.params.id);
+        
+        if (!refund) {
+            req.flash('error_msg', 'Refund not found');
+            return res.redirect('/admin/refunds');
+        }
+        
+        await RefundService.reject(refund, req.user, req.body.rejectionReason);
+        
+        req.flash('success_msg', 'Refund rejected');
+        res.redirect(`/admin/refunds/${refund._id}`);
+    } catch (error) {
+        if (error instanceof RefundService.RefundError) {
+            req.flash('error_msg', error.message);
+        } else {
+            console.error('Error rejecting refund:', error);
+            req.flash('error_msg', 'Error rejecting refund');
+        }
+        res.redirect(`/admin/refunds/${req.params.id}`);
+    }
+});
+
+// Accept a return so the buyer can send the items back
+router.post('/returns/:id/approve', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/admin/orders');
+        }
         
-        await transporter.sendMail(mailOptions);
+        await ReturnService.approve(returnRequest, req.user);
         
-        req.flash('success_msg', 'Order status updated successfully');
+        req.flash('success_msg', `Return ${returnRequest.rmaNumber} approved`);
+        res.redirect(`/admin/orders/${returnRequest.order}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/admin/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error approving return:', error);
+        req.flash('error_msg', 'Error approving return');
         res.redirect('/admin/orders');
+    }
+});
+
+// Reject a return
+router.post('/returns/:id/reject', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/admin/orders');
+        }
+        
+        await ReturnService.reject(returnRequest, req.user, req.body.rejectionReason);
+        
+        req.flash('success_msg', `Return ${returnRequest.rmaNumber} rejected`);
+        res.redirect(`/admin/orders/${returnRequest.order}`);
     } catch (error) {
-        console.error('Error updating order status:', error);
-        req.flash('error_msg', 'Error updating order status');
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/admin/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error rejecting return:', error);
+        req.flash('error_msg', 'Error rejecting return');
+        res.redirect('/admin/orders');
+    }
+});
+
+// The returned items arrived: put them back on sale and refund the buyer
+router.post('/returns/:id/receive', ensureAuthenticated, ensureAdmin, async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id);
+        
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/admin/orders');
+        }
+        
+        const { refund, refundError } = await ReturnService.markReceived(returnRequest, req.user);
+        
+        if (refundError) {
+            req.flash('error_msg', `Return ${returnRequest.rmaNumber} received, but the refund could not be requested: ${refundError}. It can be issued from the order page.`);
+        } else {
+            req.flash('success_msg', refund
+                ? `Return ${returnRequest.rmaNumber} received. A refund of ₹${refund.amount.toFixed(2)} is waiting for approval on the refunds page.`
+                : `Return ${returnRequest.rmaNumber} received. Nothing was paid for the items, so there is nothing to refund.`);
+        }
+        res.redirect(`/admin/orders/${returnRequest.order}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/admin/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error receiving return:', error);
+        req.flash('error_msg', 'Error receiving return');
         res.redirect('/admin/orders');
     }
 });
@@ -1590,7 +2610,7 @@ router.get('/sellers', ensureAuthenticated, ensureAdmin, async (req, res) => {
 });
 
 // Route for completing an order and uploading photos
-router.post('/psychometric-test/:id/complete', ensureAuthenticated, ensureAdmin, upload.array('photos', 5), async (req, res) => {
+router.post('/psychometric-test/:id/complete', ensureAuthenticated, ensureAdmin, upload.array('photos', 5), processImages(), async (req, res) => {
     try {
         const test = await PsychometricTest.findById(req.params.id);
         
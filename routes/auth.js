@@ -5,6 +5,7 @@ const User = require('../models/User');
 const { sendOTP, sendPasswordResetEmail } = require('../utils/emailService');
 const otpGenerator = require('otp-generator');
 const activityTracker = require('../middleware/activityTracker');
+const CartService = require('../services/cartService');
 
 // Register page
 router.get('/register', (req, res) => {
@@ -98,6 +99,8 @@ router.get('/login', (req, res) => {
 // Login handle
 router.post('/login', (req, res, next) => {
     console.log('Login attempt:', req.body.email); // Debug log
+    // Logging in starts a new session, so note which guest cart this visitor was filling
+    const guestTrackingId = req.session.trackingId;
     passport.authenticate('local', async (err, user, info) => {
         if (err) {
             console.error('Passport error:', err); // Debug log
@@ -150,6 +153,22 @@ router.post('/login', (req, res, next) => {
                 console.error('Error tracking login activity:', error);
             }
             
+            // Bring over anything added to the cart before logging in
+            if (user.role === 'user') {
+                try {
+                    const { merged, adjustments } = await CartService.mergeGuestCart(guestTrackingId, user);
+                    if (adjustments.length > 0) {
+                        req.flash('error_msg', adjustments.join('. '));
+                    }
+                    if (merged > 0) {
+                        req.flash('success_msg', 'Items you added before logging in are now in your cart');
+                        return res.redirect('/shop/cart');
+                    }
+                } catch (error) {
+                    console.error('Error merging guest cart:', error);
+                }
+            }
+            
             // Redirect based on user role
             if (user.role === 'admin') {
                 return res.redirect('/admin/dashboard');
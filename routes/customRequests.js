@@ -2,15 +2,38 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const crypto = require('crypto');
 const { ensureAuthenticated, ensureSeller } = require('../middleware/auth');
+const { processImages } = require('../middleware/imageUpload');
 const CustomRequest = require('../models/CustomRequest');
 const Bid = require('../models/Bid');
 const User = require('../models/User');
 const PaintingRequest = require('../models/PaintingRequest');
-const Razorpay = require('razorpay');
-const { sendDeliveryDateEmail, sendShippingUpdateEmail } = require('../utils/emailService');
-const nodemailer = require('nodemailer');
+const { sendDeliveryDateEmail, sendShippingUpdateEmail, sendRequestDeliveredEmail } = require('../utils/emailService');
+const { DEFAULT_HSN_CODE, calculateTax, round2 } = require('../utils/tax');
+const PaymentService = require('../services/paymentService');
+const RefundService = require('../services/refundService');
+const Refund = require('../models/Refund');
+const Shipment = require('../models/Shipment');
+const Certificate = require('../models/Certificate');
+const ShipmentService = require('../services/shipmentService');
+const CertificateService = require('../services/certificateService');
+const ImageService = require('../services/imageService');
+const productAttributes = require('../utils/productAttributes');
+
+// GST on an accepted bid: the artwork is supplied from the seller's state to the request's delivery state
+const getBidTax = (request, bid) => calculateTax([{
+    description: request.title,
+    hsnCode: DEFAULT_HSN_CODE,
+    amount: bid.amount,
+    supplierState: bid.seller && bid.seller.taxProfile ? bid.seller.taxProfile.state : null
+}], { placeOfSupply: request.address.state });
+
+// A request can be cancelled until the accepted seller has shipped the artwork
+const isCancellable = (request, acceptedBid) => ['open', 'assigned', 'in_progress'].includes(request.status) &&
+    !(acceptedBid && (acceptedBid.delivered || (acceptedBid.shippingDetails && acceptedBid.shippingDetails.trackingId)));
+
+// Only the winning bid of a request still under way can be shipped, certified and delivered
+const isShippable = (bid) => bid.status === 'accepted' && Boolean(bid.customRequest) && bid.customRequest.status === 'in_progress';
 
 // Root route handler
 router.get('/', ensureAuthenticated, async (req, res) => {
@@ -21,17 +44,6 @@ router.get('/', ensureAuthenticated, async (req, res) => {
     }
 });
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
-// Verify if Razorpay is properly initialized
-if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-    console.error('Razorpay credentials are not properly configured in environment variables');
-}
-
 // Configure multer for request image upload
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -71,7 +83,8 @@ const pdfStorage = multer.diskStorage({
     filename: function (req, file, cb) {
         // Generate unique filename
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + '.pdf')
+        const extension = file.fieldname === 'artworkImage' ? path.extname(file.originalname).toLowerCase() : '.pdf';
+        cb(null, file.fieldname + '-' + uniqueSuffix + extension)
     }
 });
 
@@ -79,6 +92,10 @@ const uploadPDF = multer({
     storage: pdfStorage,
     limits: { fileSize: 10000000 }, // 10MB limit
     fileFilter: function (req, file, cb) {
+        // The photo of the finished artwork goes on its certificate of authenticity
+        if (file.fieldname === 'artworkImage') {
+            return checkFileType(file, cb);
+        }
         checkPDFFileType(file, cb);
     }
 });
@@ -126,7 +143,7 @@ router.get('/create', ensureAuthenticated, (req, res) => {
 });
 
 // Submit new custom request
-router.post('/create', ensureAuthenticated, upload.single('image'), async (req, res) => {
+router.post('/create', ensureAuthenticated, upload.single('image'), processImages(), async (req, res) => {
     try {
         const { type, title, description, budget, phoneNumber, address } = req.body;
         
@@ -148,7 +165,8 @@ router.post('/create', ensureAuthenticated, upload.single('image'), async (req,
                 state: address.state,
                 pincode: address.pincode
             },
-            imageUrl: `/uploads/custom_requests/${req.file.filename}`
+            imageUrl: `/uploads/custom_requests/${req.file.filename}`,
+            imageMeta: req.file.imageMeta
         });
 
         await newRequest.save();
@@ -183,10 +201,20 @@ router.get('/:id', ensureAuthenticated, async (req, res) => {
             .populate('seller', 'name email')
             .sort({ createdAt: -1 });
 
+        const refunds = await Refund.find({ purpose: 'custom_request', reference: request._id })
+            .sort({ createdAt: -1 });
+        const shipment = await Shipment.findOne({ purpose: 'custom_request', reference: request._id })
+            .sort({ shippedAt: -1 });
+        const certificate = await Certificate.findOne({ customRequest: request._id });
+
         res.render('custom-requests/view', {
             user: req.user,
             request: request,
             bids: bids,
+            refunds,
+            shipment,
+            certificate,
+            canCancel: isCancellable(request, bids.find(bid => bid.status === 'accepted')),
             title: 'Custom Request Details'
         });
     } catch (error) {
@@ -203,7 +231,7 @@ router.post('/:requestId/accept-bid/:bidId', ensureAuthenticated, async (req, re
         const request = await CustomRequest.findById(req.params.requestId)
             .populate('user', 'name email');
         const bid = await Bid.findById(req.params.bidId)
-            .populate('seller', 'name email');
+            .populate('seller', 'name email taxProfile');
 
         // Validate request and bid existence
         if (!request || !bid) {
@@ -229,11 +257,25 @@ router.post('/:requestId/accept-bid/:bidId', ensureAuthenticated, async (req, re
             return res.redirect(`/customRequests/${request._id}`);
         }
 
+        // The bid is accepted once the payment for it is verified
+        const tax = getBidTax(request, bid);
+        const payment = await PaymentService.createPayment({
+            purpose: 'custom_request',
+            reference: request._id,
+            user: req.user,
+            amount: round2(tax.taxableAmount + tax.totalTax),
+            tax,
+            description: `Custom request: ${request.title}`.slice(0, 250),
+            metadata: { bid: bid._id.toString() }
+        });
+        
         // Render payment page
         res.render('custom-requests/payment', {
             user: req.user,
             request: request,
             bid: bid,
+            tax,
+            checkout: PaymentService.getCheckout(payment, req.user),
             title: 'Payment'
         });
 
@@ -244,100 +286,96 @@ router.post('/:requestId/accept-bid/:bidId', ensureAuthenticated, async (req, re
     }
 });
 
-// Complete payment and update request status
-router.post('/:requestId/complete-payment/:bidId', ensureAuthenticated, async (req, res) => {
+// Verify the payment for an accepted bid and assign the request to its seller
+router.post('/:requestId/verify-payment', ensureAuthenticated, async (req, res) => {
     try {
         const request = await CustomRequest.findById(req.params.requestId);
-        const bid = await Bid.findById(req.params.bidId);
 
-        if (!request || !bid) {
-            req.flash('error_msg', 'Request or bid not found');
+        if (!request || request.user.toString() !== req.user._id.toString()) {
+            req.flash('error_msg', 'Custom request not found');
             return res.redirect('/customRequests/my-requests');
         }
 
-        // Update request status
-        request.status = 'in_progress';
-        request.assignedSeller = bid.seller;
-        await request.save();
-
-        // Update bid status
-        bid.status = 'accepted';
-        await bid.save();
-
-        // Reject all other bids
-        await Bid.updateMany(
-            { 
-                customRequest: request._id,
-                _id: { $ne: bid._id }
-            },
-            { status: 'rejected' }
-        );
+        let payment;
+        try {
+            // Accepts the paid bid and assigns the request to its seller
+            payment = await PaymentService.confirmPayment('custom_request', request._id, req.body);
+        } catch (paymentError) {
+            if (!(paymentError instanceof PaymentService.PaymentError)) throw paymentError;
 
-        req.flash('success_msg', 'Payment completed successfully! The seller has been notified.');
+            console.error('Custom request payment not verified:', paymentError.message);
+            req.flash('error_msg', paymentError.message);
+            return res.redirect(`/customRequests/${request._id}`);
+        }
+        
+        // Payments for a request that was cancelled or won by another bid meanwhile are refunded
+        const updated = await CustomRequest.findById(request._id).select('paymentId');
+        if (!updated || updated.paymentId !== payment.providerPaymentId) {
+            req.flash('error_msg', 'This request was cancelled or taken by another bid before your payment came through, so the payment will be refunded.');
+            return res.redirect(`/customRequests/${request._id}`);
+        }
+        
+        req.flash('success_msg', 'Payment successful! The seller has been notified and will start working on your request.');
         res.redirect(`/customRequests/${request._id}`);
-
     } catch (error) {
-        console.error('Error completing payment:', error);
-        req.flash('error_msg', 'Error processing payment');
-        res.redirect('/customRequests/my-requests');
+        console.error('Error verifying payment:', error);
+        req.flash('error_msg', 'Error processing payment verification. Please contact support.');
+        res.status(500).redirect(`/customRequests/${req.params.requestId}`);
     }
 });
 
-// Verify payment and update order status
-router.post('/:requestId/verify-payment', ensureAuthenticated, async (req, res) => {
+// Cancel a request before it ships; the buyer or the assigned seller can cancel, and a paid
+// request gets a refund once an admin approves it
+router.post('/:id/cancel', ensureAuthenticated, async (req, res) => {
     try {
-        const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
+        const request = await CustomRequest.findById(req.params.id);
         
-        console.log('Payment verification received:', {
-            paymentId: razorpay_payment_id,
-            orderId: razorpay_order_id
-        });
-
-        // Verify payment signature
-        const generated_signature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-            .update(razorpay_order_id + "|" + razorpay_payment_id)
-            .digest('hex');
-
-        if (generated_signature === razorpay_signature) {
-            // Find the request and update its status
-            const request = await CustomRequest.findById(req.params.requestId)
-                .populate('assignedSeller', 'name email');
-
-            if (!request) {
-                throw new Error('Custom request not found');
-            }
-
-            // Update request status and payment details
-            request.paymentId = razorpay_payment_id;
-            request.status = 'in_progress';
-            await request.save();
-
-            // Find the accepted bid and update its status
-            const acceptedBid = await Bid.findOne({
-                customRequest: request._id,
-                status: 'accepted'
-            }).populate('seller', 'name email');
-
-            if (acceptedBid) {
-                // You might want to send email notifications here
-                console.log('Bid accepted and payment verified for:', {
-                    seller: acceptedBid.seller.name,
-                    amount: acceptedBid.amount,
-                    requestTitle: request.title
+        if (!request) {
+            req.flash('error_msg', 'Custom request not found');
+            return res.redirect('/customRequests/my-requests');
+        }
+        
+        const isOwner = request.user.toString() === req.user._id.toString();
+        const isAssignedSeller = request.assignedSeller && request.assignedSeller.toString() === req.user._id.toString();
+        if (!isOwner && !isAssignedSeller) {
+            req.flash('error_msg', 'Not authorized');
+            return res.redirect('/customRequests/my-requests');
+        }
+        
+        const acceptedBid = await Bid.findOne({ customRequest: request._id, status: 'accepted' });
+        if (!isCancellable(request, acceptedBid)) {
+            req.flash('error_msg', 'This request can no longer be cancelled');
+            return res.redirect(`/customRequests/${request._id}`);
+        }
+        
+        request.status = 'cancelled';
+        await request.save();
+        
+        let message = 'Custom request cancelled';
+        const { available } = await RefundService.getRefundable('custom_request', request);
+        if (available > 0) {
+            try {
+                await RefundService.requestRefund({
+                    purpose: 'custom_request',
+                    reference: request,
+                    amount: available,
+                    reason: 'request_cancelled',
+                    note: isOwner ? '' : 'Cancelled by the seller',
+                    requestedBy: req.user
                 });
+                message += '. A refund has been requested for the buyer and will be processed once approved.';
+            } catch (refundError) {
+                console.error('Error requesting refund for cancelled request:', refundError);
+                message += ', but the refund could not be requested. Please contact support.';
             }
-
-            req.flash('success_msg', 'Payment successful! The seller has been notified and will start working on your request.');
-            res.redirect(`/customRequests/${req.params.requestId}`);
-        } else {
-            console.error('Payment signature verification failed');
-            req.flash('error_msg', 'Payment verification failed. Please contact support if amount was deducted.');
-            res.status(400).redirect(`/customRequests/${req.params.requestId}`);
         }
+        
+        req.flash('success_msg', message);
+        res.redirect(`/customRequests/${request._id}`);
     } catch (error) {
-        console.error('Error verifying payment:', error);
-        req.flash('error_msg', 'Error processing payment verification. Please contact support.');
-        res.status(500).redirect(`/customRequests/${req.params.requestId}`);
+        console.error('Error cancelling custom request:', error);
+        req.flash('error_msg', 'Error cancelling custom request');
+        res.redirect(`/customRequests/${req.params.id}`);
     }
 });
 
@@ -468,10 +506,10 @@ router.post('/bid/:bidId/delivery-date', ensureAuthenticated, ensureSeller, asyn
 // Update shipping details
 router.post('/bid/:bidId/shipping', ensureAuthenticated, ensureSeller, uploadPDF.fields([
     { name: 'billPdf', maxCount: 1 },
-    { name: 'certificateOfAuthenticity', maxCount: 1 }
+    { name: 'artworkImage', maxCount: 1 }
 ]), async (req, res) => {
     try {
-        const { billNumber, trackingId } = req.body;
+        const { billNumber, trackingId, carrier } = req.body;
         const bid = await Bid.findById(req.params.bidId)
             .populate('customRequest')
             .populate('seller');
@@ -480,10 +518,32 @@ router.post('/bid/:bidId/shipping', ensureAuthenticated, ensureSeller, uploadPDF
             req.flash('error_msg', 'Bid not found or not authorized');
             return res.redirect('/seller/dashboard');
         }
+        if (!isShippable(bid)) {
+            req.flash('error_msg', 'Only the accepted bid of a request in progress can be shipped');
+            return res.redirect('/seller/dashboard');
+        }
 
         // Get file paths if files were uploaded
         const billPdfPath = req.files.billPdf ? '/uploads/shipping_documents/' + req.files.billPdf[0].filename : null;
-        const certificateOfAuthenticityPath = req.files.certificateOfAuthenticity ? '/uploads/shipping_documents/' + req.files.certificateOfAuthenticity[0].filename : null;
+        const artworkImage = req.files.artworkImage ? req.files.artworkImage[0] : null;
+
+        // Tracked couriers complete the request on their own once the parcel is delivered
+        await ShipmentService.shipBid(bid.customRequest, bid, { carrier, awb: trackingId });
+
+        // The certificate keeps its own copy of the photo, so the upload is not needed afterwards
+        try {
+            const { medium, dimensions } = productAttributes.parseProductAttributes(req.body);
+            await CertificateService.issueForCustomRequest(bid.customRequest, bid, {
+                imageUrl: artworkImage ? '/uploads/shipping_documents/' + artworkImage.filename : null,
+                medium,
+                dimensions
+            });
+        } catch (error) {
+            console.error('Error issuing certificate of authenticity:', error);
+        }
+        if (artworkImage) {
+            ImageService.removeUpload(artworkImage.path);
+        }
 
         // Use findByIdAndUpdate instead of save to avoid validation issues
         await Bid.findByIdAndUpdate(
@@ -493,7 +553,6 @@ router.post('/bid/:bidId/shipping', ensureAuthenticated, ensureSeller, uploadPDF
                     billNumber,
                     trackingId,
                     billPdfPath,
-                    certificateOfAuthenticityPath,
                     updatedAt: new Date()
                 }
             },
@@ -512,6 +571,10 @@ router.post('/bid/:bidId/shipping', ensureAuthenticated, ensureSeller, uploadPDF
         req.flash('success_msg', 'Shipping details updated successfully');
         res.redirect('/seller/dashboard');
     } catch (error) {
+        if (error instanceof ShipmentService.ShipmentError) {
+            req.flash('error_msg', error.message);
+            return res.redirect('/seller/dashboard');
+        }
         console.error('Error updating shipping details:', error);
         req.flash('error_msg', 'Error updating shipping details');
         res.redirect('/seller/dashboard');
@@ -529,6 +592,10 @@ router.post('/bid/:bidId/mark-delivered', ensureAuthenticated, ensureSeller, asy
             req.flash('error_msg', 'Bid not found or not authorized');
             return res.redirect('/seller/dashboard');
         }
+        if (!isShippable(bid)) {
+            req.flash('error_msg', 'Only the accepted bid of a request in progress can be marked as delivered');
+            return res.redirect('/seller/dashboard');
+        }
 
         // Check if delivery date and shipping details are set with required fields
         if (!bid.tentativeDeliveryDate || 
@@ -558,37 +625,10 @@ router.post('/bid/:bidId/mark-delivered', ensureAuthenticated, ensureSeller, asy
         // Send email notification to the buyer
         const buyer = await User.findById(bid.customRequest.user);
         
-        // Create a simple email service function for delivery notification
-        const emailSubject = `Your order "${bid.customRequest.title}" has been delivered`;
-        const emailHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <h2 style="color: #4a90e2; text-align: center;">Order Delivered</h2>
-                <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
-                    <p>Hello ${buyer.name},</p>
-                    <p>Great news! Your custom request "${bid.customRequest.title}" has been marked as delivered by ${req.user.name}.</p>
-                    <p>If you have received your order, please check that everything is as expected.</p>
-                    <p>If you have any questions or concerns, please contact the seller directly.</p>
-                    <p>Thank you for using our platform!</p>
-                </div>
-            </div>
-        `;
-
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASSWORD
-            },
-            tls: {
-                rejectUnauthorized: false
-            }
-        });
-
-        await transporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: buyer.email,
-            subject: emailSubject,
-            html: emailHtml
+        await sendRequestDeliveredEmail(buyer.email, {
+            name: buyer.name,
+            requestTitle: bid.customRequest.title,
+            sellerName: req.user.name
         });
 
         req.flash('success_msg', 'Order marked as delivered successfully');
@@ -4,6 +4,8 @@ const router = express.Router();
 const { ensureAuthenticated } = require('../middleware/auth');
 const Gallery = require('../models/Gallery');
 const PsychometricTest = require('../models/PsychometricTest');
+const Certificate = require('../models/Certificate');
+const CertificateService = require('../services/certificateService');
 const path = require('path');
 
 
@@ -90,6 +92,42 @@ router.get('/home-decor-gallery', async (req, res) => {
     }
 });
 
+// Certificate of authenticity lookup by serial number
+router.get('/verify', (req, res) => {
+    const serial = typeof req.query.serial === 'string' ? req.query.serial.trim().toUpperCase() : '';
+    if (serial) {
+        return res.redirect(`/verify/${encodeURIComponent(serial)}`);
+    }
+    res.render('verify', {
+        title: 'Verify a Certificate',
+        serial: '',
+        certificate: null,
+        genuine: false
+    });
+});
+
+// Public page a certificate's QR code links to, confirming whether it is genuine
+router.get('/verify/:serial', async (req, res) => {
+    try {
+        const serial = req.params.serial.trim().toUpperCase();
+        const certificate = await Certificate.findOne({ serial }).populate('seller', 'name');
+        
+        res.render('verify', {
+            title: 'Verify a Certificate',
+            serial,
+            certificate,
+            genuine: certificate ? CertificateService.isGenuine(certificate) : false,
+            verificationCode: certificate ? CertificateService.getVerificationCode(certificate) : ''
+        });
+    } catch (error) {
+        console.error('Error verifying certificate:', error);
+        res.status(500).render('error', {
+            message: 'The certificate could not be checked right now. Please try again later.',
+            error: { status: 500 }
+        });
+    }
+});
+
 // Dashboard redirect based on role
 router.get('/dashboard', ensureAuthenticated, (req, res) => {
     switch (req.user.role) {
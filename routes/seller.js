@@ -4,15 +4,30 @@ const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const { ensureAuthenticated, ensureSeller } = require('../middleware/auth');
+const { processImages } = require('../middleware/imageUpload');
 const PaintingRequest = require('../models/PaintingRequest');
 const fs = require('fs');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const User = require('../models/User');
-const { sendOrderStatusEmail } = require('../utils/emailService');
 const CustomRequest = require('../models/CustomRequest');
 const Bid = require('../models/Bid');
-const SellerPerformance = require('../models/SellerPerformance');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const ReturnRequest = require('../models/ReturnRequest');
+const Shipment = require('../models/Shipment');
+const Certificate = require('../models/Certificate');
+const productAttributes = require('../utils/productAttributes');
+const FulfilmentService = require('../services/fulfilmentService');
+const ReturnService = require('../services/returnService');
+const OrderLifecycleService = require('../services/orderLifecycleService');
+const ShipmentService = require('../services/shipmentService');
+const ImageService = require('../services/imageService');
+const CatalogService = require('../services/catalogService');
+const StockAlertService = require('../services/stockAlertService');
+const CertificateService = require('../services/certificateService');
+const { MAX_VARIANTS, productImageFields, getMainImage, parseProductVariants } = require('../utils/productVariants');
+const { INDIAN_STATES, GSTIN_PATTERN, normalizeState } = require('../utils/tax');
 
 // Configure multer for painting image upload
 const paintingStorage = multer.diskStorage({
@@ -50,6 +65,12 @@ const productUpload = multer({
     }
 });
 
+// Catalog imports are kept in memory, they are read once and nothing is stored until import
+const catalogUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit, for the images ZIP
+});
+
 // Check file type
 function checkFileType(file, cb) {
     const filetypes = /jpeg|jpg|png|gif/;
@@ -112,6 +133,9 @@ router.get('/dashboard', ensureAuthenticated, ensureSeller, async (req, res) =>
             assignedSeller: req.user._id
         });
 
+        // Sold out and low stock products
+        const stockAlerts = await StockAlertService.getAlerts(req.user._id);
+
         res.render('seller/dashboard', {
             user: req.user,
             recentOrders,
@@ -122,6 +146,7 @@ router.get('/dashboard', ensureAuthenticated, ensureSeller, async (req, res) =>
             acceptedBids,
             activeBids: activeBidsList.length,
             customOrders,
+            stockAlerts,
             title: 'Seller Dashboard',
             products: [], // Provide empty array as fallback
             orders: [] // Provide empty array as fallback
@@ -134,7 +159,7 @@ router.get('/dashboard', ensureAuthenticated, ensureSeller, async (req, res) =>
 });
 
 // Submit painting request
-router.post('/paintings/request', ensureSeller, paintingUpload.single('image'), async (req, res) => {
+router.post('/paintings/request', ensureSeller, paintingUpload.single('image'), processImages({ watermark: true }), async (req, res) => {
     try {
         const { artistName, createdDate, description } = req.body;
         
@@ -155,7 +180,8 @@ router.post('/paintings/request', ensureSeller, paintingUpload.single('image'),
             title: artistName, // Using artistName as title
             description,
             createdDate: new Date(createdDate), // Ensure it's a Date object
-            imageUrl: `/uploads/paintings/${req.file.filename}`
+            imageUrl: `/uploads/paintings/${req.file.filename}`,
+            imageMeta: req.file.imageMeta
         });
 
         await newRequest.save();
@@ -254,10 +280,37 @@ router.get('/products', ensureSeller, async (req, res) => {
 });
 
 // Add new product page
-router.get('/products/add', ensureSeller, (req, res) => {
-    res.render('seller/add-product', {
+router.get('/products/add', ensureSeller, async (req, res) => {
+    try {
+        const categories = await Category.getFlatTree({ activeOnly: true });
+        
+        res.render('seller/add-product', {
+            user: req.user,
+            title: 'Add New Product',
+            categories,
+            attributes: productAttributes,
+            maxVariants: MAX_VARIANTS,
+            messages: {
+                success: req.flash('success_msg'),
+                error_msg: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading add product page:', error);
+        req.flash('error_msg', 'Error loading add product page');
+        res.redirect('/seller/products');
+    }
+});
+
+// Bulk product import from a CSV or XLSX file, with the images in a ZIP
+router.get('/products/import', ensureSeller, (req, res) => {
+    res.render('seller/product-import', {
         user: req.user,
-        title: 'Add New Product',
+        title: 'Import Products',
+        columns: CatalogService.COLUMNS,
+        maxRows: CatalogService.MAX_ROWS,
+        report: null,
+        result: null,
         messages: {
             success: req.flash('success_msg'),
             error_msg: req.flash('error_msg')
@@ -265,18 +318,119 @@ router.get('/products/add', ensureSeller, (req, res) => {
     });
 });
 
+router.post('/products/import', ensureSeller, catalogUpload.fields([{ name: 'sheet', maxCount: 1 }, { name: 'images', maxCount: 1 }]), async (req, res) => {
+    try {
+        const sheetFile = req.files && req.files.sheet ? req.files.sheet[0] : null;
+        const imagesFile = req.files && req.files.images ? req.files.images[0] : null;
+        if (!sheetFile) {
+            req.flash('error_msg', 'Please choose a CSV or XLSX file to import');
+            return res.redirect('/seller/products/import');
+        }
+        
+        const sheet = await CatalogService.readSheet(sheetFile);
+        const images = imagesFile ? await CatalogService.readImageArchive(imagesFile) : null;
+        const report = await CatalogService.validateImport(sheet, { seller: req.user, images });
+        
+        // A dry run only reports what would be imported
+        let result = null;
+        if (req.body.mode === 'import' && report.products.length > 0) {
+            result = await CatalogService.importProducts(report, { seller: req.user, watermark: req.user.watermark });
+        }
+        
+        res.render('seller/product-import', {
+            user: req.user,
+            title: 'Import Products',
+            columns: CatalogService.COLUMNS,
+            maxRows: CatalogService.MAX_ROWS,
+            fileName: sheetFile.originalname,
+            report,
+            result,
+            messages: {}
+        });
+    } catch (error) {
+        console.error('Error importing products:', error);
+        req.flash('error_msg', `Error importing products: ${error.message}`);
+        res.redirect('/seller/products/import');
+    }
+});
+
+// Download the seller's products with the import columns
+router.get('/products/export', ensureSeller, async (req, res) => {
+    try {
+        const file = await CatalogService.exportProducts({ seller: req.user._id }, req.query.format);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${file.extension}"`);
+        res.send(file.buffer);
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        req.flash('error_msg', 'Error exporting products');
+        res.redirect('/seller/products');
+    }
+});
+
+// Sold out and low stock products, with the level each product alerts at
+router.get('/stock-alerts', ensureSeller, async (req, res) => {
+    try {
+        const [alerts, products] = await Promise.all([
+            StockAlertService.getAlerts(req.user._id),
+            Product.find({ seller: req.user._id, status: { $ne: 'rejected' } })
+                .select('title image stock lowStockThreshold variants status')
+                .sort({ title: 1 })
+        ]);
+        
+        res.render('seller/stock-alerts', {
+            user: req.user,
+            title: 'Stock Alerts',
+            alerts,
+            products,
+            messages: {
+                success: req.flash('success_msg'),
+                error_msg: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading stock alerts:', error);
+        req.flash('error_msg', 'Error loading stock alerts');
+        res.redirect('/seller/dashboard');
+    }
+});
+
+router.post('/products/:id/low-stock-threshold', ensureSeller, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            req.flash('error_msg', 'Product not found');
+            return res.redirect('/seller/stock-alerts');
+        }
+        
+        const product = await StockAlertService.setThreshold(req.user._id, req.params.id, req.body.lowStockThreshold);
+        if (!product) {
+            req.flash('error_msg', 'Product not found');
+        } else if (product.lowStockThreshold === 0) {
+            req.flash('success_msg', `You will hear about "${product.title}" when it sells out`);
+        } else {
+            req.flash('success_msg', `You will hear about "${product.title}" once ${product.lowStockThreshold} or fewer are left`);
+        }
+        res.redirect('/seller/stock-alerts');
+    } catch (error) {
+        console.error('Error saving low stock threshold:', error);
+        req.flash('error_msg', `Error saving alert level: ${error.message}`);
+        res.redirect('/seller/stock-alerts');
+    }
+});
+
 // Submit product request
-router.post('/products/request', ensureSeller, productUpload.single('image'), async (req, res) => {
+router.post('/products/request', ensureSeller, productUpload.fields(productImageFields), processImages({ watermark: true }), async (req, res) => {
     try {
         const { title, description, price, stock, artistName } = req.body;
+        const imageFile = getMainImage(req.files);
         
-        if (!req.file) {
+        if (!imageFile) {
             req.flash('error_msg', 'Please upload an image');
             return res.redirect('/seller/products/add');
         }
 
         // Make sure the file exists before continuing
-        const filePath = path.join(__dirname, '../public', `/uploads/products/${req.file.filename}`);
+        const filePath = path.join(__dirname, '../public', `/uploads/products/${imageFile.filename}`);
         if (!fs.existsSync(filePath)) {
             req.flash('error_msg', 'Error saving image. Please try again.');
             return res.redirect('/seller/products/add');
@@ -289,7 +443,10 @@ router.post('/products/request', ensureSeller, productUpload.single('image'), as
             price: parseFloat(price),
             stock: parseInt(stock) || 1,
             artistName,
-            image: `/uploads/products/${req.file.filename}`
+            ...productAttributes.parseProductAttributes(req.body),
+            variants: parseProductVariants(req.body, req.files),
+            image: `/uploads/products/${imageFile.filename}`,
+            imageMeta: imageFile.imageMeta
         });
 
         await newProduct.save();
@@ -302,6 +459,184 @@ router.post('/products/request', ensureSeller, productUpload.single('image'), as
     }
 });
 
+// Reviews on the seller's products
+router.get('/reviews', ensureSeller, async (req, res) => {
+    try {
+        const products = await Product.find({ seller: req.user._id }).select('_id title image ratingAverage ratingCount');
+        const filter = req.query.filter === 'unanswered' ? 'unanswered' : 'all';
+        
+        const query = { product: { $in: products.map(product => product._id) }, status: 'published' };
+        if (filter === 'unanswered') {
+            query['sellerReply.text'] = null;
+        }
+        
+        const reviews = await Review.find(query)
+            .populate('product', 'title image')
+            .populate('user', 'name')
+            .sort({ createdAt: -1 });
+        
+        res.render('seller/reviews', {
+            user: req.user,
+            title: 'Product Reviews',
+            reviews,
+            products,
+            filter,
+            messages: {
+                success: req.flash('success_msg'),
+                error_msg: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading seller reviews:', error);
+        req.flash('error_msg', 'Error loading reviews');
+        res.redirect('/seller/dashboard');
+    }
+});
+
+// Post or update the public reply to a review
+router.post('/reviews/:id/reply', ensureSeller, async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id).populate('product', 'seller');
+        
+        if (!review || !review.product || !review.product.seller.equals(req.user._id)) {
+            req.flash('error_msg', 'Review not found');
+            return res.redirect('/seller/reviews');
+        }
+        
+        const text = (req.body.reply || '').trim();
+        if (!text) {
+            req.flash('error_msg', 'Reply cannot be empty');
+            return res.redirect('/seller/reviews');
+        }
+        
+        review.sellerReply = {
+            text: text.slice(0, 1000),
+            seller: req.user._id,
+            repliedAt: Date.now()
+        };
+        await review.save();
+        
+        req.flash('success_msg', 'Your reply has been published');
+        res.redirect('/seller/reviews');
+    } catch (error) {
+        console.error('Error replying to review:', error);
+        req.flash('error_msg', 'Error saving reply');
+        res.redirect('/seller/reviews');
+    }
+});
+
+// GST registration used on tax invoices for the seller's sales
+router.get('/tax-profile', ensureSeller, (req, res) => {
+    res.render('seller/tax-profile', {
+        user: req.user,
+        title: 'Tax Profile',
+        taxProfile: req.user.taxProfile || {},
+        indianStates: INDIAN_STATES,
+        messages: {
+            success: req.flash('success_msg'),
+            error_msg: req.flash('error_msg')
+        }
+    });
+});
+
+router.post('/tax-profile', ensureSeller, async (req, res) => {
+    try {
+        const legalName = (req.body.legalName || '').trim();
+        const gstin = (req.body.gstin || '').trim().toUpperCase();
+        const state = normalizeState(req.body.state);
+        
+        if (!state) {
+            req.flash('error_msg', 'Please choose the state you ship from');
+            return res.redirect('/seller/tax-profile');
+        }
+        
+        // The first two digits of a GSTIN are the code of the state it is registered in
+        if (gstin && (!GSTIN_PATTERN.test(gstin) || gstin.slice(0, 2) !== state.code)) {
+            req.flash('error_msg', `Please enter a valid GSTIN registered in ${state.name}`);
+            return res.redirect('/seller/tax-profile');
+        }
+        
+        await User.updateOne({ _id: req.user._id }, {
+            taxProfile: { legalName, gstin, state: state.name }
+        });
+        
+        req.flash('success_msg', 'Tax profile saved');
+        res.redirect('/seller/tax-profile');
+    } catch (error) {
+        console.error('Error saving tax profile:', error);
+        req.flash('error_msg', 'Error saving tax profile');
+        res.redirect('/seller/tax-profile');
+    }
+});
+
+// Pincode parcels are picked up from, which decides within-zone shipping rates
+router.post('/pickup-pincode', ensureSeller, async (req, res) => {
+    try {
+        const pickupPincode = (req.body.pickupPincode || '').trim();
+        
+        if (!/^[1-9][0-9]{5}$/.test(pickupPincode)) {
+            req.flash('error_msg', 'Please enter a valid 6-digit pincode');
+            return res.redirect('/seller/tax-profile');
+        }
+        
+        await User.updateOne({ _id: req.user._id }, { pickupPincode });
+        
+        req.flash('success_msg', 'Pickup pincode saved');
+        res.redirect('/seller/tax-profile');
+    } catch (error) {
+        console.error('Error saving pickup pincode:', error);
+        req.flash('error_msg', 'Error saving pickup pincode');
+        res.redirect('/seller/tax-profile');
+    }
+});
+
+// Watermark drawn on the images the seller uploads from now on
+router.get('/watermark', ensureSeller, (req, res) => {
+    res.render('seller/watermark', {
+        user: req.user,
+        title: 'Image Watermark',
+        watermark: req.user.watermark || {},
+        positions: ImageService.WATERMARK_POSITIONS,
+        messages: {
+            success: req.flash('success_msg'),
+            error_msg: req.flash('error_msg')
+        }
+    });
+});
+
+router.post('/watermark', ensureSeller, async (req, res) => {
+    try {
+        const enabled = req.body.enabled === 'on';
+        const text = (req.body.text || '').trim();
+        const position = req.body.position;
+        const opacity = parseFloat(req.body.opacity);
+        
+        if (enabled && !text) {
+            req.flash('error_msg', 'Please enter the text of your watermark');
+            return res.redirect('/seller/watermark');
+        }
+        if (text.length > 60) {
+            req.flash('error_msg', 'Watermark text can be at most 60 characters');
+            return res.redirect('/seller/watermark');
+        }
+        if (!ImageService.WATERMARK_POSITIONS.includes(position) || isNaN(opacity) || opacity < 0.1 || opacity > 1) {
+            req.flash('error_msg', 'Please choose a position and an opacity between 10% and 100%');
+            return res.redirect('/seller/watermark');
+        }
+        
+        await User.updateOne({ _id: req.user._id }, {
+            watermark: { enabled, text, position, opacity }
+        });
+        
+        req.flash('success_msg', enabled ? 'Watermark saved, it will be added to the images you upload' : 'Watermark turned off');
+        res.redirect('/seller/watermark');
+    } catch (error) {
+        console.error('Error saving watermark:', error);
+        req.flash('error_msg', 'Error saving watermark');
+        res.redirect('/seller/watermark');
+    }
+});
+
 // Seller orders page
 router.get('/orders', ensureAuthenticated, ensureSeller, async (req, res) => {
     try {
@@ -311,8 +646,6 @@ router.get('/orders', ensureAuthenticated, ensureSeller, async (req, res) => {
         const sellerProducts = await Product.find({ seller: req.user._id }).select('_id');
         const sellerProductIds = sellerProducts.map(product => product._id);
         
-        console.log('Seller product IDs:', sellerProductIds);
-        
         // Find all orders containing products sold by this seller
         // This query will find orders where either:
         // 1. items.seller is explicitly set to the seller's ID, OR
@@ -329,20 +662,22 @@ router.get('/orders', ensureAuthenticated, ensureSeller, async (req, res) => {
         
         console.log(`Found ${orders.length} orders for seller`);
         
-        // Group orders by status
-        const processingOrders = orders.filter(order => order.orderStatus === 'processing');
-        const approvedOrders = orders.filter(order => order.orderStatus === 'approved');
-        const shippedOrders = orders.filter(order => order.orderStatus === 'in_transit');
-        const deliveredOrders = orders.filter(order => order.orderStatus === 'delivered');
+        // Sellers work with their own part of each order, not the overall order status
+        const fulfilments = {};
+        for (const order of orders) {
+            fulfilments[order._id] = await FulfilmentService.getSellerFulfilment(order, req.user._id);
+        }
+        const byStatus = status => orders.filter(order => fulfilments[order._id] && fulfilments[order._id].status === status);
         
         res.render('seller/orders', {
             user: req.user,
             title: 'Manage Orders',
             orders: orders,
-            processingOrders: processingOrders,
-            approvedOrders: approvedOrders,
-            shippedOrders: shippedOrders,
-            deliveredOrders: deliveredOrders,
+            fulfilments,
+            processingOrders: byStatus('processing'),
+            approvedOrders: byStatus('approved'),
+            shippedOrders: byStatus('in_transit'),
+            deliveredOrders: byStatus('delivered'),
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -355,6 +690,26 @@ router.get('/orders', ensureAuthenticated, ensureSeller, async (req, res) => {
     }
 });
 
+// Download the certificate of authenticity of an artwork the seller sold
+router.get('/certificates/:serial', ensureAuthenticated, ensureSeller, async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ serial: req.params.serial, seller: req.user._id });
+        
+        if (!certificate) {
+            req.flash('error_msg', 'Certificate not found');
+            return res.redirect('/seller/orders');
+        }
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${CertificateService.getFileName(certificate)}"`);
+        await CertificateService.renderCertificate(certificate, res);
+    } catch (error) {
+        console.error('Error generating certificate:', error);
+        req.flash('error_msg', 'Error generating certificate');
+        res.redirect('/seller/orders');
+    }
+});
+
 // Order details page
 router.get('/orders/:id', ensureAuthenticated, ensureSeller, async (req, res) => {
     try {
@@ -370,32 +725,31 @@ router.get('/orders/:id', ensureAuthenticated, ensureSeller, async (req, res) =>
             return res.redirect('/seller/orders');
         }
         
-        console.log('Order found, checking seller authorization');
+        // Sellers only see their own part of the order
+        const fulfilment = await FulfilmentService.getSellerFulfilment(order, req.user._id);
         
-        // Get product IDs for this seller
-        const sellerProducts = await Product.find({ seller: req.user._id }).select('_id');
-        const sellerProductIds = sellerProducts.map(product => product._id.toString());
-        
-        // Check if seller is authorized to view this order
-        // Either items.seller is explicitly set to this seller OR items.product is one of this seller's products
-        const sellerItems = order.items.filter(item => 
-            (item.seller && item.seller.toString() === req.user._id.toString()) || 
-            (item.product && sellerProductIds.includes(item.product._id.toString()))
-        );
-        
-        if (sellerItems.length === 0) {
+        if (!fulfilment) {
             console.log('Seller not authorized to view this order');
             req.flash('error_msg', 'You are not authorized to view this order');
             return res.redirect('/seller/orders');
         }
         
-        console.log('Seller authorized, rendering order details');
+        const returns = await ReturnRequest.find({ order: order._id, seller: req.user._id }).sort({ createdAt: -1 });
+        const shipment = await Shipment.findOne({ purpose: 'order', reference: order._id, fulfilment: fulfilment._id });
+        const certificates = (await CertificateService.ensureForOrder(order))
+            .filter(certificate => String(certificate.seller) === String(req.user._id));
         
         res.render('seller/order-details', {
             user: req.user,
             title: 'Order Details',
             order: order,
-            sellerItems: sellerItems,
+            fulfilment,
+            sellerItems: order.getFulfilmentItems(fulfilment),
+            returns,
+            shipment,
+            certificates,
+            awaitingPayment: OrderLifecycleService.isAwaitingPayment(order),
+            carriers: ShipmentService.getCarrierOptions(),
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -408,281 +762,202 @@ router.get('/orders/:id', ensureAuthenticated, ensureSeller, async (req, res) =>
     }
 });
 
-// Update order status (approve order)
+/**
+ * Load an order and the fulfilment of the signed-in seller for a status change
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { order, fulfilment } with either null when not found or not the seller's
+ */
+const loadSellerFulfilment = async (req) => {
+    const order = await Order.findById(req.params.id)
+        .populate('user', 'name email');
+    if (!order) {
+        return { order: null, fulfilment: null };
+    }
+    return { order, fulfilment: await FulfilmentService.getSellerFulfilment(order, req.user._id) };
+};
+
+// Approve the seller's part of an order
 router.post('/orders/:id/approve', ensureAuthenticated, ensureSeller, async (req, res) => {
     try {
-        console.log('Approving order:', req.params.id);
+        const { order, fulfilment } = await loadSellerFulfilment(req);
         
-        const order = await Order.findById(req.params.id)
-            .populate('user', 'name email');
-        
-        if (!order) {
-            console.log('Order not found');
+        if (!order || !fulfilment) {
             req.flash('error_msg', 'Order not found');
             return res.redirect('/seller/orders');
         }
         
-        // Get product IDs for this seller
-        const sellerProducts = await Product.find({ seller: req.user._id }).select('_id');
-        const sellerProductIds = sellerProducts.map(product => product._id.toString());
-        
-        // Check if seller is authorized to update this order
-        const sellerItems = order.items.filter(item => 
-            (item.seller && item.seller.toString() === req.user._id.toString()) || 
-            (item.product && sellerProductIds.includes(item.product.toString()))
-        );
-        
-        if (sellerItems.length === 0) {
-            console.log('Seller not authorized to update this order');
-            req.flash('error_msg', 'You are not authorized to update this order');
-            return res.redirect('/seller/orders');
-        }
-        
-        // Update order status to approved
-        if (order.orderStatus === 'processing') {
-            order.orderStatus = 'approved';
-            order.updatedAt = Date.now();
-            
-            // Add email notification record
-            order.emailNotifications.push({
-                status: 'approved',
-                sentAt: new Date(),
-                successful: true
-            });
-            
-            await order.save();
-            console.log('Order approved successfully');
+        await OrderLifecycleService.transition(order, [fulfilment], 'approved', { actor: req.user });
             
-            // Send email notification to customer
-            try {
-                await sendOrderStatusEmail(order, order.user);
-                console.log('Approval notification email sent to customer');
-            } catch (emailError) {
-                console.error('Error sending approval notification email:', emailError);
-                // Update the email notification record
-                order.emailNotifications[order.emailNotifications.length - 1].successful = false;
-                await order.save();
-            }
-            
-            req.flash('success_msg', 'Order has been approved');
-        } else {
-            console.log('Order cannot be approved - incorrect status:', order.orderStatus);
-            req.flash('error_msg', 'Order cannot be approved because it is not in processing status');
-        }
-        
+        req.flash('success_msg', 'Your items in this order have been approved');
         res.redirect(`/seller/orders/${order._id}`);
     } catch (error) {
+        if (error instanceof OrderLifecycleService.OrderTransitionError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/seller/orders/${req.params.id}`);
+        }
         console.error('Error approving order:', error);
         req.flash('error_msg', 'Error approving order');
         res.redirect('/seller/orders');
     }
 });
 
-// Update shipping details
+// Ship the seller's part of an order
 router.post('/orders/:id/ship', ensureAuthenticated, ensureSeller, async (req, res) => {
     try {
-        console.log('Shipping order:', req.params.id);
-        const { trackingNumber, estimatedDeliveryDate } = req.body;
+        const { carrier, trackingNumber, estimatedDeliveryDate } = req.body;
         
         if (!trackingNumber) {
-            console.log('Tracking number not provided');
             req.flash('error_msg', 'Tracking number is required');
             return res.redirect(`/seller/orders/${req.params.id}`);
         }
         
-        const order = await Order.findById(req.params.id)
-            .populate('user', 'name email');
+        const { order, fulfilment } = await loadSellerFulfilment(req);
         
-        if (!order) {
-            console.log('Order not found');
+        if (!order || !fulfilment) {
             req.flash('error_msg', 'Order not found');
             return res.redirect('/seller/orders');
         }
         
-        // Get product IDs for this seller
-        const sellerProducts = await Product.find({ seller: req.user._id }).select('_id');
-        const sellerProductIds = sellerProducts.map(product => product._id.toString());
-        
-        // Check if seller is authorized to update this order
-        const sellerItems = order.items.filter(item => 
-            (item.seller && item.seller.toString() === req.user._id.toString()) || 
-            (item.product && sellerProductIds.includes(item.product.toString()))
-        );
-        
-        if (sellerItems.length === 0) {
-            console.log('Seller not authorized to update this order');
-            req.flash('error_msg', 'You are not authorized to update this order');
-            return res.redirect('/seller/orders');
-        }
-        
-        // Update order status and tracking information
-        if (order.orderStatus === 'approved') {
-            order.orderStatus = 'in_transit';
-            order.trackingNumber = trackingNumber;
-            
-            if (estimatedDeliveryDate) {
-                order.estimatedDeliveryDate = new Date(estimatedDeliveryDate);
-            }
-            
-            order.updatedAt = Date.now();
-            
-            // Add email notification record
-            order.emailNotifications.push({
-                status: 'in_transit',
-                sentAt: new Date(),
-                successful: true
-            });
-            
-            await order.save();
-            console.log('Order marked as shipped successfully');
-            
-            // Send email notification to customer
-            try {
-                await sendOrderStatusEmail(order, order.user);
-                console.log('Shipping notification email sent to customer');
-            } catch (emailError) {
-                console.error('Error sending shipping notification email:', emailError);
-                // Update the email notification record
-                order.emailNotifications[order.emailNotifications.length - 1].successful = false;
-                await order.save();
-            }
+        const shipment = await ShipmentService.shipFulfilment(order, fulfilment, {
+            carrier,
+            awb: trackingNumber,
+            estimatedDeliveryDate: estimatedDeliveryDate || null,
+            actor: req.user
+        });
             
-            req.flash('success_msg', 'Order has been marked as shipped and tracking information has been updated');
+        if (ShipmentService.isTracked(shipment) && fulfilment.status === 'approved') {
+            req.flash('success_msg', 'Shipment booked. Your items will be marked as shipped when the courier picks them up');
         } else {
-            console.log('Order must be approved before shipping - current status:', order.orderStatus);
-            req.flash('error_msg', 'Order must be approved before it can be shipped');
+            req.flash('success_msg', 'Your items have been marked as shipped and the buyer has the tracking number');
         }
-        
         res.redirect(`/seller/orders/${order._id}`);
     } catch (error) {
+        if (error instanceof OrderLifecycleService.OrderTransitionError || error instanceof ShipmentService.ShipmentError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/seller/orders/${req.params.id}`);
+        }
         console.error('Error updating shipping details:', error);
         req.flash('error_msg', 'Error updating shipping details');
         res.redirect(`/seller/orders/${req.params.id}`);
     }
 });
 
-// Mark order as delivered
+// Mark the seller's part of an order as delivered
 router.post('/orders/:id/deliver', ensureAuthenticated, ensureSeller, async (req, res) => {
     try {
-        console.log('Marking order as delivered:', req.params.id);
-        
-        const order = await Order.findById(req.params.id)
-            .populate('user', 'name email');
+        const { order, fulfilment } = await loadSellerFulfilment(req);
         
-        if (!order) {
-            console.log('Order not found');
+        if (!order || !fulfilment) {
             req.flash('error_msg', 'Order not found');
             return res.redirect('/seller/orders');
         }
         
-        // Get product IDs for this seller
-        const sellerProducts = await Product.find({ seller: req.user._id }).select('_id');
-        const sellerProductIds = sellerProducts.map(product => product._id.toString());
+        // Also counts the sale in the seller's performance metrics
+        await OrderLifecycleService.transition(order, [fulfilment], 'delivered', { actor: req.user });
+            
+        req.flash('success_msg', 'Your items have been marked as delivered');
+        res.redirect(`/seller/orders/${order._id}`);
+    } catch (error) {
+        if (error instanceof OrderLifecycleService.OrderTransitionError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/seller/orders/${req.params.id}`);
+        }
+        console.error('Error marking order as delivered:', error);
+        req.flash('error_msg', 'Error marking order as delivered');
+        res.redirect('/seller/orders');
+    }
+});
+
+/**
+ * Load a return of the signed-in seller's items
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - ReturnRequest document, null when not found or not the seller's
+ */
+const loadSellerReturn = async (req) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest || !ReturnService.canManage(returnRequest, req.user)) {
+        return null;
+    }
+    return returnRequest;
+};
+
+// Accept a return so the buyer can send the items back
+router.post('/returns/:id/approve', ensureAuthenticated, ensureSeller, async (req, res) => {
+    try {
+        const returnRequest = await loadSellerReturn(req);
+        
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/seller/orders');
+        }
         
-        // Check if seller is authorized to update this order
-        const sellerItems = order.items.filter(item => 
-            (item.seller && item.seller.toString() === req.user._id.toString()) || 
-            (item.product && sellerProductIds.includes(item.product.toString()))
-        );
+        await ReturnService.approve(returnRequest, req.user);
+        
+        req.flash('success_msg', `Return ${returnRequest.rmaNumber} approved. The buyer has been asked to send the items back.`);
+        res.redirect(`/seller/orders/${returnRequest.order}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/seller/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error approving return:', error);
+        req.flash('error_msg', 'Error approving return');
+        res.redirect('/seller/orders');
+    }
+});
+
+// Turn a return down
+router.post('/returns/:id/reject', ensureAuthenticated, ensureSeller, async (req, res) => {
+    try {
+        const returnRequest = await loadSellerReturn(req);
         
-        if (sellerItems.length === 0) {
-            console.log('Seller not authorized to update this order');
-            req.flash('error_msg', 'You are not authorized to update this order');
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
             return res.redirect('/seller/orders');
         }
         
-        // Update order status to delivered
-        if (order.orderStatus === 'in_transit') {
-            order.orderStatus = 'delivered';
-            order.updatedAt = Date.now();
-            
-            // Add email notification record
-            order.emailNotifications.push({
-                status: 'delivered',
-                sentAt: new Date(),
-                successful: true
-            });
-            
-            await order.save();
-            console.log('Order marked as delivered successfully');
-            
-            // Update seller performance metrics
-            const now = new Date();
-            const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-            
-            let performance = await SellerPerformance.findOne({
-                seller: req.user._id,
-                period: 'monthly',
-                startDate: { $lte: now },
-                endDate: { $gte: now }
-            });
-            
-            if (!performance) {
-                performance = new SellerPerformance({
-                    seller: req.user._id,
-                    period: 'monthly',
-                    startDate: monthStart,
-                    endDate: monthEnd,
-                    metrics: {
-                        leadsAssigned: 0,
-                        leadsContacted: 0,
-                        leadsQualified: 0,
-                        proposalsSent: 0,
-                        salesClosed: 0,
-                        totalRevenue: 0,
-                        averageOrderValue: 0,
-                        conversionRate: 0,
-                        responseTime: 0
-                    }
-                });
-            }
-            
-            // Calculate total amount from seller's items
-            const sellerTotalAmount = sellerItems.reduce((total, item) => {
-                return total + (item.price * item.quantity);
-            }, 0);
-            
-            // Update metrics
-            performance.metrics.salesClosed += 1;
-            performance.metrics.totalRevenue += sellerTotalAmount;
-            
-            // Recalculate average order value
-            if (performance.metrics.salesClosed > 0) {
-                performance.metrics.averageOrderValue = 
-                    performance.metrics.totalRevenue / performance.metrics.salesClosed;
-            }
-            
-            // Calculate conversion rate if leads were assigned
-            if (performance.metrics.leadsAssigned > 0) {
-                performance.metrics.conversionRate = 
-                    (performance.metrics.salesClosed / performance.metrics.leadsAssigned) * 100;
-            }
-            
-            await performance.save();
-            console.log(`Updated performance metrics for seller ${req.user._id}`);
-            
-            // Send email notification to customer
-            try {
-                await sendOrderStatusEmail(order, order.user);
-                console.log('Delivery notification email sent to customer');
-            } catch (emailError) {
-                console.error('Error sending delivery notification email:', emailError);
-                // Update the email notification record
-                order.emailNotifications[order.emailNotifications.length - 1].successful = false;
-                await order.save();
-            }
-            
-            req.flash('success_msg', 'Order has been marked as delivered');
-        } else {
-            console.log('Order must be in transit before delivery - current status:', order.orderStatus);
-            req.flash('error_msg', 'Order must be in transit before it can be marked as delivered');
+        await ReturnService.reject(returnRequest, req.user, req.body.rejectionReason);
+        
+        req.flash('success_msg', `Return ${returnRequest.rmaNumber} rejected`);
+        res.redirect(`/seller/orders/${returnRequest.order}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/seller/orders/${error.returnRequest.order}`);
         }
+        console.error('Error rejecting return:', error);
+        req.flash('error_msg', 'Error rejecting return');
+        res.redirect('/seller/orders');
+    }
+});
+
+// The returned items arrived: put them back on sale and refund the buyer
+router.post('/returns/:id/receive', ensureAuthenticated, ensureSeller, async (req, res) => {
+    try {
+        const returnRequest = await loadSellerReturn(req);
         
-        res.redirect(`/seller/orders/${order._id}`);
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/seller/orders');
+        }
+        
+        const { refund, refundError } = await ReturnService.markReceived(returnRequest, req.user);
+        
+        if (refundError) {
+            req.flash('error_msg', `Return ${returnRequest.rmaNumber} received, but the refund could not be requested: ${refundError}. Our team will follow it up.`);
+        } else {
+            req.flash('success_msg', refund
+                ? `Return ${returnRequest.rmaNumber} received. A refund of ₹${refund.amount.toFixed(2)} has been requested for the buyer.`
+                : `Return ${returnRequest.rmaNumber} received`);
+        }
+        res.redirect(`/seller/orders/${returnRequest.order}`);
     } catch (error) {
-        console.error('Error marking order as delivered:', error);
-        req.flash('error_msg', 'Error marking order as delivered');
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/seller/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error receiving return:', error);
+        req.flash('error_msg', 'Error receiving return');
         res.redirect('/seller/orders');
     }
 });
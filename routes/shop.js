@@ -1,47 +1,105 @@
 const express = require('express');
 const router = express.Router();
-const { ensureAuthenticated, ensureUser } = require('../middleware/auth');
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const { ensureAuthenticated, ensureUser, ensureShopper } = require('../middleware/auth');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
-const Order = require('../models/Order');
 const mongoose = require('mongoose');
 const activityTracker = require('../middleware/activityTracker');
 const User = require('../models/User');
+const ProductSearchService = require('../services/productSearchService');
+const { formatLabel } = require('../utils/productAttributes');
+const Review = require('../models/Review');
+const Wishlist = require('../models/Wishlist');
+const InventoryService = require('../services/inventoryService');
+const CheckoutService = require('../services/checkoutService');
+const CartService = require('../services/cartService');
+const CartRecoveryService = require('../services/cartRecoveryService');
+const CouponService = require('../services/couponService');
+const RecommendationService = require('../services/recommendationService');
+const ShippingService = require('../services/shippingService');
+const PaymentService = require('../services/paymentService');
+const Order = require('../models/Order');
+const { INDIAN_STATES, isIndia, normalizeState } = require('../utils/tax');
+
+// Create a directory for review photos
+const reviewUploadsDir = path.join(__dirname, '../public/uploads/reviews');
+if (!fs.existsSync(reviewUploadsDir)) {
+    fs.mkdirSync(reviewUploadsDir, { recursive: true });
+}
+
+// Configure multer for review photo upload
+const reviewStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, 'public/uploads/reviews')
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'review-' + uniqueSuffix + path.extname(file.originalname))
+    }
+});
+
+const reviewUpload = multer({
+    storage: reviewStorage,
+    limits: { fileSize: 5000000, files: 4 }, // 5MB per photo, up to 4 photos
+    fileFilter: function (req, file, cb) {
+        const filetypes = /jpeg|jpg|png|gif/;
+        const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = filetypes.test(file.mimetype);
+        
+        if (mimetype && extname) {
+            return cb(null, true);
+        }
+        cb(new Error('Review photos must be JPG, PNG or GIF images'));
+    }
+});
 
-// Shop home - Display all approved products
+/**
+ * Cart shown on the shop pages. It is read as saved: revalidating happens on /shop/cart and at
+ * checkout, where the changes are shown to the buyer. Guests have theirs by tracking id;
+ * accounts that cannot shop have none.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Cart with items.product populated, null when there is none
+ */
+const loadShopCart = async (req) => {
+    if (req.user && req.user.role !== 'user') {
+        return null;
+    }
+    const cart = await CartService.findCart(req);
+    if (cart) {
+        await cart.populate('items.product');
+    }
+    return cart;
+};
+
+// Shop home - Search, filter and paginate approved products
 router.get('/', async (req, res) => {
     try {
-        // Get approved products
-        const products = await Product.find({ status: 'approved' })
-            .sort({ createdAt: -1 });
+        const search = ProductSearchService.parseParams(req.query);
+        const { products, facets, pagination, sortOptions, category } = await ProductSearchService.search(search);
         
-        // Get cart if user is logged in and has 'user' role
-        let cart = null;
-        if (req.user && req.user.role === 'user') {
-            cart = await Cart.findOne({ user: req.user._id })
-                .populate({
-                    path: 'items.product',
-                    model: 'Product'
-                });
-                
-            // Calculate cart total
-            if (cart) {
-                cart.totalQuantity = 0;
-                cart.totalAmount = 0;
-                
-                cart.items.forEach(item => {
-                    if (item.product) {
-                        cart.totalQuantity += item.quantity;
-                        cart.totalAmount += (item.price * item.quantity);
-                    }
-                });
-            }
-        }
+        const cart = await loadShopCart(req);
+        
+        // Products the user has saved to favorites
+        const favoriteIds = req.user && req.user.role === 'user'
+            ? await Wishlist.getProductIds(req.user._id)
+            : new Set();
         
         res.render('shop/index', {
             user: req.user,
             title: 'Shop',
+            favoriteIds,
             products: products,
+            search,
+            facets,
+            pagination,
+            sortOptions,
+            category,
+            shopUrl: overrides => ProductSearchService.buildUrl(search, overrides),
+            shopFields: (exclude = []) => ProductSearchService.toQueryPairs({ ...search, page: 1 })
+                .filter(([name]) => !exclude.includes(name)),
             cart: cart,
             messages: {
                 success: req.flash('success_msg'),
@@ -58,13 +116,17 @@ router.get('/', async (req, res) => {
 // Product details
 router.get('/product/:id', async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findById(req.params.id).populate('category', 'name slug');
         
         if (!product || product.status !== 'approved') {
             req.flash('error_msg', 'Product not found');
             return res.redirect('/shop');
         }
         
+        // Count the view towards product popularity
+        Product.updateOne({ _id: product._id }, { $inc: { viewCount: 1 } })
+            .catch(err => console.error('Error updating product view count:', err));
+        
         // Track product view
         if (req.user) {
             try {
@@ -73,7 +135,7 @@ router.get('/product/:id', async (req, res) => {
                     details: {
                         productId: product._id,
                         productTitle: product.title,
-                        category: product.category,
+                        category: product.category ? product.category.slug : null,
                         price: product.price
                     }
                 });
@@ -82,27 +144,30 @@ router.get('/product/:id', async (req, res) => {
             }
         }
         
-        // Get cart if user is logged in and has 'user' role
-        let cart = null;
+        const cart = await loadShopCart(req);
+        
+        // Products the user has saved to favorites
+        const favoriteIds = req.user && req.user.role === 'user'
+            ? await Wishlist.getProductIds(req.user._id)
+            : new Set();
+        
+        // Load published reviews and work out whether this visitor may write one
+        const [reviews, ratingBreakdown] = await Promise.all([
+            Review.find({ product: product._id, status: 'published' })
+                .populate('user', 'name')
+                .sort({ createdAt: -1 })
+                .limit(50),
+            Review.getRatingBreakdown(product._id)
+        ]);
+        
+        // "Customers also bought/viewed", from the recommendations rebuilt by the scheduler
+        const related = await RecommendationService.getRelated(product._id);
+        
+        let reviewState = { canReview: false, existingReview: null };
         if (req.user && req.user.role === 'user') {
-            cart = await Cart.findOne({ user: req.user._id })
-                .populate({
-                    path: 'items.product',
-                    model: 'Product'
-                });
-                
-            // Calculate cart total
-            if (cart) {
-                cart.totalQuantity = 0;
-                cart.totalAmount = 0;
-                
-                cart.items.forEach(item => {
-                    if (item.product) {
-                        cart.totalQuantity += item.quantity;
-                        cart.totalAmount += (item.price * item.quantity);
-                    }
-                });
-            }
+            const existingReview = await Review.findOne({ product: product._id, user: req.user._id });
+            const verifiedOrder = existingReview ? null : await Review.findVerifiedOrder(req.user._id, product._id);
+            reviewState = { canReview: !!(existingReview || verifiedOrder), existingReview };
         }
         
         res.render('shop/product-details', {
@@ -110,6 +175,12 @@ router.get('/product/:id', async (req, res) => {
             title: product.title,
             product: product,
             cart: cart,
+            reviews,
+            ratingBreakdown,
+            reviewState,
+            favoriteIds,
+            related,
+            formatLabel,
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -122,69 +193,110 @@ router.get('/product/:id', async (req, res) => {
     }
 });
 
-// Fix existing carts with galleryItem instead of product
-router.get('/fix-carts', ensureAuthenticated, async (req, res) => {
+// Submit or update a review (verified buyers only)
+router.post('/product/:id/reviews', ensureAuthenticated, ensureUser, (req, res, next) => {
+    reviewUpload.array('photos', 4)(req, res, (err) => {
+        if (err) {
+            req.flash('error_msg', err.message || 'Error uploading review photos');
+            return res.redirect(`/shop/product/${req.params.id}#reviews`);
+        }
+        next();
+    });
+}, async (req, res) => {
+    const productId = req.params.id;
+    
     try {
-        console.log('Fixing carts for user:', req.user._id);
+        const rating = parseInt(req.body.rating);
+        const title = (req.body.title || '').trim();
+        const comment = (req.body.comment || '').trim();
+        const photos = (req.files || []).map(file => `/uploads/reviews/${file.filename}`);
         
-        // Get the user's cart
-        const cart = await Cart.findOne({ user: req.user._id });
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            req.flash('error_msg', 'Product not found');
+            return res.redirect('/shop');
+        }
         
-        if (!cart) {
-            return res.json({ 
-                success: true, 
-                message: 'No cart found to fix' 
+        if (isNaN(rating) || rating < 1 || rating > 5) {
+            req.flash('error_msg', 'Please choose a rating between 1 and 5 stars');
+            return res.redirect(`/shop/product/${productId}#reviews`);
+        }
+        
+        let review = await Review.findOne({ product: productId, user: req.user._id });
+        
+        if (review) {
+            // Editing an existing review keeps its moderation state and previous photos unless replaced
+            review.rating = rating;
+            review.title = title;
+            review.comment = comment;
+            if (photos.length > 0) {
+                review.photos = photos;
+            }
+        } else {
+            const verifiedOrder = await Review.findVerifiedOrder(req.user._id, productId);
+            if (!verifiedOrder) {
+                req.flash('error_msg', 'Only buyers who have received this product can review it');
+                return res.redirect(`/shop/product/${productId}#reviews`);
+            }
+            
+            review = new Review({
+                product: productId,
+                user: req.user._id,
+                order: verifiedOrder._id,
+                rating,
+                title,
+                comment,
+                photos
             });
         }
         
-        // Log the cart items before fixing
-        console.log('Cart items before fixing:', cart.items);
+        await review.save();
+        await Review.updateProductRating(productId);
         
-        // Fix cart items
-        let modified = false;
+        req.flash('success_msg', 'Thank you! Your review has been saved.');
+        res.redirect(`/shop/product/${productId}#reviews`);
+    } catch (error) {
+        console.error('Error saving review:', error);
+        req.flash('error_msg', 'Error saving your review. Please try again.');
+        res.redirect(`/shop/product/${productId}#reviews`);
+    }
+});
+
+// Report an abusive review to the moderators
+router.post('/reviews/:id/report', ensureAuthenticated, async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id);
         
-        for (let i = 0; i < cart.items.length; i++) {
-            // If an item has galleryItem but no product, copy galleryItem to product
-            if (cart.items[i].galleryItem && !cart.items[i].product) {
-                console.log(`Fixing item ${i}: Copying galleryItem to product`);
-                cart.items[i].product = cart.items[i].galleryItem;
-                modified = true;
-            }
+        if (!review) {
+            req.flash('error_msg', 'Review not found');
+            return res.redirect('/shop');
         }
         
-        if (modified) {
-            console.log('Cart was modified, saving changes');
-            await cart.save();
-            console.log('Cart fixed successfully');
-            
-            return res.json({
-                success: true,
-                message: 'Cart fixed successfully',
-                cart: cart
-            });
-        } else {
-            return res.json({
-                success: true,
-                message: 'No issues found in cart',
-                cart: cart
+        const alreadyReported = review.reports.some(report => report.user && report.user.equals(req.user._id));
+        if (!alreadyReported && !review.user.equals(req.user._id)) {
+            review.reports.push({
+                user: req.user._id,
+                reason: (req.body.reason || '').trim().slice(0, 500)
             });
+            await review.save();
         }
+        
+        req.flash('success_msg', 'Thanks for letting us know. Our team will review it.');
+        res.redirect(`/shop/product/${review.product}#reviews`);
     } catch (error) {
-        console.error('Error fixing cart:', error);
-        return res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('Error reporting review:', error);
+        req.flash('error_msg', 'Error reporting review');
+        res.redirect('/shop');
     }
 });
 
 // Add to cart
-router.post('/cart/add/:id', ensureAuthenticated, ensureUser, async (req, res) => {
+router.post('/cart/add/:id', ensureShopper, async (req, res) => {
     try {
-        console.log('Adding to cart - User:', req.user._id);
+        console.log('Adding to cart - User:', req.user ? req.user._id : 'guest');
         
         const productId = req.params.id;
         const quantity = parseInt(req.body.quantity) || 1;
+        const variantId = req.body.variantId || null;
         
         console.log(`Adding product ${productId} to cart, quantity: ${quantity}`);
         
@@ -210,9 +322,20 @@ router.post('/cart/add/:id', ensureAuthenticated, ensureUser, async (req, res) =
             return res.redirect(`/shop/product/${productId}`);
         }
         
-        if (quantity > product.stock) {
-            console.log(`Requested quantity (${quantity}) exceeds available stock (${product.stock})`);
-            req.flash('error_msg', `Sorry, only ${product.stock} items available in stock`);
+        // Resolve the chosen variant's price and stock
+        const option = product.getPurchaseOption(variantId);
+        if (!option) {
+            console.log(`Invalid or missing variant ${variantId} for product ${productId}`);
+            req.flash('error_msg', 'Please choose an available option for this product');
+            return res.redirect(`/shop/product/${productId}`);
+        }
+        
+        // Stock held by other buyers at checkout is not available
+        const available = await InventoryService.getAvailableStock(product, variantId, req.user ? req.user._id : null);
+        
+        if (quantity > available) {
+            console.log(`Requested quantity (${quantity}) exceeds available stock (${available})`);
+            req.flash('error_msg', `Sorry, only ${available} items available in stock`);
             return res.redirect(`/shop/product/${productId}`);
         }
         
@@ -223,31 +346,20 @@ router.post('/cart/add/:id', ensureAuthenticated, ensureUser, async (req, res) =
                 details: {
                     productId: product._id,
                     productTitle: product.title,
+                    variant: option.label,
                     quantity: quantity,
-                    price: product.price
+                    price: option.price
                 }
             });
         } catch (error) {
             console.error('Error tracking add to cart:', error);
         }
         
-        // Find or create user's cart
-        let cart = await Cart.findOne({ user: req.user._id });
+        // Find or create the cart of the user, or of the guest's session
+        const cart = await CartService.findOrCreateCart(req);
         
-        if (!cart) {
-            console.log('Creating new cart for user');
-            cart = new Cart({
-                user: req.user._id,
-                items: [],
-                totalQuantity: 0,
-                totalAmount: 0
-            });
-        }
-        
-        // Check if product is already in cart
-        const existingItemIndex = cart.items.findIndex(item => 
-            item.product.toString() === productId
-        );
+        // Check if product (in the same variant) is already in cart
+        const existingItemIndex = cart.findItemIndex(productId, option.variant ? option.variant._id : null);
         
         if (existingItemIndex > -1) {
             console.log('Product already in cart, updating quantity');
@@ -255,9 +367,9 @@ router.post('/cart/add/:id', ensureAuthenticated, ensureUser, async (req, res) =
             const newQuantity = cart.items[existingItemIndex].quantity + quantity;
             
             // Check if the new quantity exceeds stock
-            if (newQuantity > product.stock) {
-                console.log(`New quantity (${newQuantity}) would exceed stock (${product.stock})`);
-                req.flash('error_msg', `Cannot add more of this item. Maximum stock available is ${product.stock}`);
+            if (newQuantity > available) {
+                console.log(`New quantity (${newQuantity}) would exceed stock (${available})`);
+                req.flash('error_msg', `Cannot add more of this item. Maximum stock available is ${available}`);
                 return res.redirect(`/shop/product/${productId}`);
             }
             
@@ -267,8 +379,11 @@ router.post('/cart/add/:id', ensureAuthenticated, ensureUser, async (req, res) =
             // Add new item to cart
             cart.items.push({
                 product: productId,
+                variant: option.variant ? option.variant._id : null,
+                variantName: option.label,
+                sku: option.variant ? option.variant.sku : null,
                 quantity: quantity,
-                price: product.price
+                price: option.price
             });
         }
         
@@ -290,9 +405,9 @@ router.post('/cart/add/:id', ensureAuthenticated, ensureUser, async (req, res) =
 });
 
 // View cart
-router.get('/cart', ensureAuthenticated, ensureUser, async (req, res) => {
+router.get('/cart', ensureShopper, async (req, res) => {
     try {
-        console.log('Viewing cart - User:', req.user._id);
+        console.log('Viewing cart - User:', req.user ? req.user._id : 'guest');
         
         // Track cart view
         try {
@@ -304,14 +419,14 @@ router.get('/cart', ensureAuthenticated, ensureUser, async (req, res) => {
             console.error('Error tracking cart view:', error);
         }
         
-        // Find cart and populate product details
-        const cart = await Cart.findOne({ user: req.user._id })
-            .populate('items.product');
+        // Find cart, bring it up to date with the catalog and populate product details
+        const { cart, changes } = await CartService.loadCart(req);
         
         res.render('shop/cart', {
             title: 'Shopping Cart',
             user: req.user,
             cart: cart || { items: [], totalQuantity: 0, totalAmount: 0 },
+            cartChanges: [...req.flash('cart_changes'), ...changes],
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -324,8 +439,44 @@ router.get('/cart', ensureAuthenticated, ensureUser, async (req, res) => {
     }
 });
 
+// Bring back an abandoned cart from the link in a reminder email
+router.get('/cart/restore/:token', async (req, res) => {
+    try {
+        const cart = await CartRecoveryService.restore(req.params.token);
+        
+        if (!cart) {
+            req.flash('error_msg', 'This cart is no longer available');
+            return res.redirect('/shop');
+        }
+        
+        const couponNote = cart.recovery.couponCode ? ` Use code ${cart.recovery.couponCode} at checkout for your discount.` : '';
+        
+        if (!req.user) {
+            req.flash('success_msg', `Log in to pick up your cart where you left it.${couponNote}`);
+            return res.redirect('/auth/login');
+        }
+        
+        if (cart.user.toString() !== req.user._id.toString()) {
+            req.flash('error_msg', 'This link is for a cart on another account');
+            return res.redirect('/shop/cart');
+        }
+        
+        // The checkout page applies the coupon from the email
+        if (cart.recovery.couponCode) {
+            req.session.couponCode = cart.recovery.couponCode;
+        }
+        
+        req.flash('success_msg', 'Welcome back! Your cart is just as you left it.');
+        res.redirect('/shop/cart');
+    } catch (error) {
+        console.error('Error restoring cart:', error);
+        req.flash('error_msg', 'Error restoring your cart');
+        res.redirect('/shop');
+    }
+});
+
 // Remove item from cart
-router.post('/cart/remove/:id', ensureAuthenticated, ensureUser, async (req, res) => {
+router.post('/cart/remove/:id', ensureShopper, async (req, res) => {
     try {
         const productId = req.params.id;
         console.log(`Removing product ${productId} from cart`);
@@ -348,7 +499,7 @@ router.post('/cart/remove/:id', ensureAuthenticated, ensureUser, async (req, res
             }
         }
         
-        const cart = await Cart.findOne({ user: req.user._id });
+        const cart = await CartService.findCart(req);
         
         if (!cart) {
             console.log('Cart not found');
@@ -356,21 +507,18 @@ router.post('/cart/remove/:id', ensureAuthenticated, ensureUser, async (req, res
             return res.redirect('/shop');
         }
         
-        // Remove the item from cart
-        const initialLength = cart.items.length;
-        cart.items = cart.items.filter(item => 
-            item.product.toString() !== productId
-        );
+        // Remove the item (in the given variant) from cart
+        const itemIndex = cart.findItemIndex(productId, req.body.variantId || null);
         
-        const itemsRemoved = initialLength - cart.items.length;
-        console.log(`Removed ${itemsRemoved} item(s) from cart`);
-        
-        if (itemsRemoved === 0) {
+        if (itemIndex === -1) {
             console.log('No items were removed from cart');
             req.flash('error_msg', 'Item not found in your cart');
             return res.redirect('/shop/cart');
         }
         
+        cart.items.splice(itemIndex, 1);
+        console.log('Removed 1 item from cart');
+        
         // Save cart (totals are calculated in the pre-save hook)
         await cart.save();
         console.log('Cart updated after removal');
@@ -385,12 +533,12 @@ router.post('/cart/remove/:id', ensureAuthenticated, ensureUser, async (req, res
 });
 
 // Decrease cart item quantity
-router.post('/cart/decrease/:id', ensureAuthenticated, ensureUser, async (req, res) => {
+router.post('/cart/decrease/:id', ensureShopper, async (req, res) => {
     try {
         const productId = req.params.id;
         console.log(`Decreasing quantity for product ${productId} in cart`);
         
-        const cart = await Cart.findOne({ user: req.user._id });
+        const cart = await CartService.findCart(req);
         
         if (!cart) {
             console.log('Cart not found');
@@ -399,9 +547,7 @@ router.post('/cart/decrease/:id', ensureAuthenticated, ensureUser, async (req, r
         }
         
         // Find the item in the cart
-        const itemIndex = cart.items.findIndex(item => 
-            item.product.toString() === productId
-        );
+        const itemIndex = cart.findItemIndex(productId, req.body.variantId || null);
         
         if (itemIndex === -1) {
             console.log('Item not found in cart');
@@ -433,7 +579,7 @@ router.post('/cart/decrease/:id', ensureAuthenticated, ensureUser, async (req, r
 });
 
 // Update cart item quantity
-router.post('/cart/update/:id', ensureAuthenticated, ensureUser, async (req, res) => {
+router.post('/cart/update/:id', ensureShopper, async (req, res) => {
     try {
         const productId = req.params.id;
         const quantity = parseInt(req.body.quantity);
@@ -445,7 +591,7 @@ router.post('/cart/update/:id', ensureAuthenticated, ensureUser, async (req, res
             return res.redirect('/shop/cart');
         }
         
-        const cart = await Cart.findOne({ user: req.user._id });
+        const cart = await CartService.findCart(req);
         
         if (!cart) {
             console.log('Cart not found');
@@ -454,9 +600,7 @@ router.post('/cart/update/:id', ensureAuthenticated, ensureUser, async (req, res
         }
         
         // Find the item in the cart
-        const itemIndex = cart.items.findIndex(item => 
-            item.product.toString() === productId
-        );
+        const itemIndex = cart.findItemIndex(productId, req.body.variantId || null);
         
         if (itemIndex === -1) {
             console.log('Item not found in cart');
@@ -469,11 +613,14 @@ router.post('/cart/update/:id', ensureAuthenticated, ensureUser, async (req, res
             console.log('Quantity is 0, removing item from cart');
             cart.items.splice(itemIndex, 1);
         } else {
-            // Verify stock availability
+            // Verify stock availability for the item's variant; stock held by other buyers at checkout is not available
             const product = await Product.findById(productId);
-            if (!product || quantity > product.stock) {
-                console.log(`Only ${product ? product.stock : 0} items available`);
-                req.flash('error_msg', `Only ${product ? product.stock : 0} items available`);
+            const variantId = cart.items[itemIndex].variant;
+            const option = product ? product.getPurchaseOption(variantId) : null;
+            const available = option ? await InventoryService.getAvailableStock(product, variantId, req.user ? req.user._id : null) : 0;
+            if (quantity > available) {
+                console.log(`Only ${available} items available`);
+                req.flash('error_msg', `Only ${available} items available`);
                 return res.redirect('/shop/cart');
             }
             
@@ -508,15 +655,49 @@ router.get('/checkout', ensureAuthenticated, ensureUser, async (req, res) => {
             console.error('Error tracking checkout view:', error);
         }
         
-        // Find cart and populate product details
-        const cart = await Cart.findOne({ user: req.user._id })
-            .populate('items.product');
+        // Find cart, bring it up to date with the catalog and populate product details
+        const { cart, changes } = await CartService.loadCart(req);
+        const cartChanges = [...req.flash('cart_changes'), ...changes];
         
         if (!cart || cart.items.length === 0) {
+            cartChanges.forEach(change => req.flash('cart_changes', change));
             req.flash('error_msg', 'Your cart is empty');
             return res.redirect('/shop/cart');
         }
         
+        // Hold the stock for this buyer while they fill in the checkout form
+        const reservation = await InventoryService.reserveCart(cart, req.user._id);
+        if (!reservation.reserved) {
+            const details = reservation.problems
+                .map(problem => `${problem.title}: ${problem.available} available`)
+                .join(', ');
+            cartChanges.forEach(change => req.flash('cart_changes', change));
+            req.flash('error_msg', `Some items in your cart are no longer available in the quantity requested (${details}). Please update your cart.`);
+            return res.redirect('/shop/cart');
+        }
+        
+        // Re-check any coupon applied earlier, since the cart may have changed
+        let applied = null;
+        let appliedCoupon = null;
+        let couponError = null;
+        if (req.session.couponCode) {
+            applied = await CouponService.applyCode(req.session.couponCode, cart, req.user._id);
+            if (applied.valid) {
+                appliedCoupon = {
+                    code: applied.coupon.code,
+                    description: applied.coupon.description,
+                    discount: applied.discount
+                };
+            } else {
+                couponError = applied.message;
+                applied = null;
+                delete req.session.couponCode;
+            }
+        }
+        
+        // GST is estimated for a delivery in India until the address is known
+        const totals = await CheckoutService.calculateTotals(cart, { applied });
+        
         // Get user's addresses
         const user = await User.findById(req.user._id);
         
@@ -524,6 +705,12 @@ router.get('/checkout', ensureAuthenticated, ensureUser, async (req, res) => {
             title: 'Checkout',
             user: user,
             cart: cart,
+            reservationExpiresAt: reservation.expiresAt,
+            cartChanges,
+            appliedCoupon,
+            couponError,
+            totals,
+            indianStates: INDIAN_STATES,
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -536,21 +723,92 @@ router.get('/checkout', ensureAuthenticated, ensureUser, async (req, res) => {
     }
 });
 
+// Apply a coupon code at checkout
+router.post('/checkout/coupon', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const code = (req.body.couponCode || '').trim();
+        if (!code) {
+            req.flash('error_msg', 'Please enter a coupon code');
+            return res.redirect('/shop/checkout');
+        }
+        
+        const cart = await Cart.findOne({ user: req.user._id })
+            .populate('items.product');
+        
+        if (!cart || cart.items.length === 0) {
+            req.flash('error_msg', 'Your cart is empty');
+            return res.redirect('/shop/cart');
+        }
+        
+        const applied = await CouponService.applyCode(code, cart, req.user._id);
+        if (!applied.valid) {
+            req.flash('error_msg', applied.message);
+            return res.redirect('/shop/checkout');
+        }
+        
+        req.session.couponCode = applied.coupon.code;
+        req.flash('success_msg', `Coupon ${applied.coupon.code} applied. You save $${applied.discount.toFixed(2)}`);
+        res.redirect('/shop/checkout');
+    } catch (error) {
+        console.error('Error applying coupon:', error);
+        req.flash('error_msg', 'Error applying coupon');
+        res.redirect('/shop/checkout');
+    }
+});
+
+// Shipping and total for the delivery address typed so far, used by the checkout page
+router.get('/checkout/shipping', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const { postalCode, state, country, paymentMethod } = req.query;
+        
+        const cart = await Cart.findOne({ user: req.user._id })
+            .populate('items.product');
+        
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({ success: false, message: 'Your cart is empty' });
+        }
+        
+        let applied = null;
+        if (req.session.couponCode) {
+            applied = await CouponService.applyCode(req.session.couponCode, cart, req.user._id);
+            if (!applied.valid) applied = null;
+        }
+        
+        const totals = await CheckoutService.calculateTotals(cart, {
+            applied,
+            shippingAddress: { postalCode: (postalCode || '').trim(), state, country },
+            paymentMethod
+        });
+        
+        res.json({
+            success: true,
+            shipping: totals.shipping,
+            taxAmount: totals.tax.totalTax,
+            total: totals.total
+        });
+    } catch (error) {
+        console.error('Error calculating shipping:', error);
+        res.status(500).json({ success: false, message: 'Error calculating shipping' });
+    }
+});
+
+// Remove the applied coupon
+router.post('/checkout/coupon/remove', ensureAuthenticated, ensureUser, (req, res) => {
+    delete req.session.couponCode;
+    req.flash('success_msg', 'Coupon removed');
+    res.redirect('/shop/checkout');
+});
+
 // Place order
 router.post('/place-order', ensureAuthenticated, ensureUser, async (req, res) => {
     try {
         console.log('Processing order - User:', req.user._id);
         
         const { 
-            firstName, lastName, email, address, city, 
+            firstName, lastName, email, address, city, state,
             postalCode, country, phone, paymentMethod, terms 
         } = req.body;
         
-        console.log('Order details received:', {
-            firstName, lastName, email, address, city, 
-            postalCode, country, phone, paymentMethod
-        });
-        
         // Validate input
         if (!firstName || !lastName || !email || !address || !city || 
             !postalCode || !country || !phone || !paymentMethod || !terms) {
@@ -559,254 +817,186 @@ router.post('/place-order', ensureAuthenticated, ensureUser, async (req, res) =>
             return res.redirect('/shop/checkout');
         }
         
+        if (![ShippingService.COD_PAYMENT_METHOD, PaymentService.ONLINE_PAYMENT_METHOD].includes(paymentMethod)) {
+            req.flash('error_msg', 'Please choose a payment method');
+            return res.redirect('/shop/checkout');
+        }
+        
+        // The state decides between CGST/SGST and IGST for deliveries in India
+        if (isIndia(country) && !normalizeState(state)) {
+            req.flash('error_msg', 'Please choose the state you want your order delivered to');
+            return res.redirect('/shop/checkout');
+        }
+        
+        // Shipping zones are matched on the pincode
+        if (isIndia(country) && !/^[1-9][0-9]{5}$/.test(postalCode.trim())) {
+            req.flash('error_msg', 'Please enter a valid 6-digit pincode');
+            return res.redirect('/shop/checkout');
+        }
+        
+        // Prices or stock may have changed while the buyer was on the checkout page; the order
+        // is only placed for a cart they have seen
+        const { changes } = await CartService.loadCart(req);
+        if (changes.length > 0) {
+            changes.forEach(change => req.flash('cart_changes', change));
+            req.flash('error_msg', 'Your cart changed since you opened checkout. Please review it before placing your order.');
+            return res.redirect('/shop/checkout');
+        }
+        
+        // Stock, order and cart are updated together in one transaction
+        const { order, cart } = await CheckoutService.placeOrder(req.user, {
+            shippingAddress: {
+                firstName,
+                lastName,
+                email,
+                address,
+                city,
+                state: isIndia(country) ? normalizeState(state).name : (state || ''),
+                postalCode: postalCode.trim(),
+                country,
+                phone
+            },
+            paymentMethod,
+            couponCode: req.session.couponCode || null
+        });
+        console.log('Order saved successfully with ID:', order._id);
+        delete req.session.couponCode;
+        
         try {
-            // Get user's cart
-            const cart = await Cart.findOne({ user: req.user._id })
-                .populate('items.product');
-            
-            if (!cart || cart.items.length === 0) {
-                console.log('Cart is empty or not found');
-                req.flash('error_msg', 'Your cart is empty');
-                return res.redirect('/shop/cart');
-            }
-            
-            console.log('Cart found with items:', {
-                itemCount: cart.items.length,
-                totalAmount: cart.totalAmount
-            });
-            
-            // Check for invalid items in cart (product might have been deleted)
-            const invalidItems = cart.items.filter(item => !item.product);
-            if (invalidItems.length > 0) {
-                console.log('Found invalid items in cart:', invalidItems);
-                req.flash('error_msg', 'Some items in your cart are no longer available');
-                return res.redirect('/shop/cart');
-            }
-            
-            try {
-                // Create new order object
-                const orderItems = cart.items.map(item => ({
-                    product: item.product._id,
-                    title: item.product.title,
-                    artistName: item.product.artist ? item.product.artist.name : 'Unknown Artist',
-                    quantity: item.quantity,
-                    price: item.price,
-                    seller: item.product.seller
-                }));
-                
-                console.log('Mapped order items:', orderItems.length);
-                
-                const orderData = {
-                    user: req.user._id,
-                    items: orderItems,
-                    totalAmount: cart.totalAmount,
-                    shippingAddress: {
-                        firstName,
-                        lastName,
-                        email,
-                        address,
-                        city,
-                        postalCode,
-                        country,
-                        phone
-                    },
-                    paymentMethod,
-                    paymentStatus: paymentMethod === 'cash' ? 'pending' : 'paid',
-                    orderStatus: 'processing'
-                };
-                
-                console.log('Order data prepared:', {
-                    userID: orderData.user,
-                    itemCount: orderData.items.length,
-                    totalAmount: orderData.totalAmount,
-                    paymentMethod: orderData.paymentMethod,
-                    paymentStatus: orderData.paymentStatus,
-                    orderStatus: orderData.orderStatus
-                });
-                
-                // Create new order
-                const newOrder = new Order(orderData);
-                
-                console.log('Order object created, validating...');
-                
-                // Validate order before saving
-                const validationError = newOrder.validateSync();
-                if (validationError) {
-                    console.error('Order validation error:', validationError);
-                    req.flash('error_msg', 'Invalid order data: ' + validationError.message);
-                    return res.redirect('/shop/checkout');
-                }
-                
-                console.log('Order validated, saving to database...');
-                
-                // Save order to database
-                await newOrder.save();
-                console.log('Order saved successfully with ID:', newOrder._id);
-                
-                try {
-                    // Track order placement success
-                    await activityTracker.trackActivity(req, {
-                        activityType: 'purchase',
-                        details: {
-                            orderId: newOrder._id,
-                            orderAmount: cart.totalAmount,
-                            itemCount: cart.items.length,
-                            paymentMethod: paymentMethod,
-                            products: cart.items.map(item => ({
-                                id: item.product._id,
-                                title: item.product.title,
-                                quantity: item.quantity,
-                                price: item.price
-                            }))
-                        }
-                    });
-                    console.log('Purchase activity tracked');
-                } catch (trackError) {
-                    console.error('Error tracking purchase:', trackError);
-                    // Continue with order process even if tracking fails
-                }
-                
-                try {
-                    // Update product stocks
-                    console.log('Updating product stock levels');
-                    for (const item of cart.items) {
-                        if (item.product) {
-                            await Product.findByIdAndUpdate(
-                                item.product._id,
-                                { $inc: { stock: -item.quantity } }
-                            );
-                        }
-                    }
-                    console.log('Product stock levels updated');
-                } catch (stockError) {
-                    console.error('Error updating product stocks:', stockError);
-                    // Continue with order process even if stock update fails
-                }
-                
-                try {
-                    // Clear cart
-                    console.log('Clearing user cart');
-                    await Cart.findOneAndDelete({ user: req.user._id });
-                    console.log('User cart cleared');
-                } catch (cartError) {
-                    console.error('Error clearing cart:', cartError);
-                    // Continue with order process even if cart clearing fails
+            // Track order placement success
+            await activityTracker.trackActivity(req, {
+                activityType: 'purchase',
+                details: {
+                    orderId: order._id,
+                    orderAmount: order.totalAmount,
+                    itemCount: order.items.length,
+                    paymentMethod: paymentMethod,
+                    couponCode: order.coupon.code,
+                    discountAmount: order.discountAmount,
+                    products: cart.items.map(item => ({
+                        id: item.product._id,
+                        title: item.product.title,
+                        quantity: item.quantity,
+                        price: item.price
+                    }))
                 }
-                
-                console.log('Order process completed successfully');
-                req.flash('success_msg', 'Order placed successfully');
-                return res.redirect(`/user/orders/${newOrder._id}`);
-                
-            } catch (orderError) {
-                console.error('Error creating or saving order:', orderError);
-                req.flash('error_msg', 'Error creating order: ' + orderError.message);
-                return res.redirect('/shop/checkout');
-            }
-        } catch (cartError) {
-            console.error('Error retrieving cart:', cartError);
-            req.flash('error_msg', 'Error retrieving your shopping cart: ' + cartError.message);
-            return res.redirect('/shop/checkout');
+            });
+        } catch (trackError) {
+            console.error('Error tracking purchase:', trackError);
+            // Continue with order process even if tracking fails
+        }
+        
+        if (paymentMethod === PaymentService.ONLINE_PAYMENT_METHOD) {
+            req.flash('success_msg', 'Order placed. Complete the payment to confirm it.');
+            return res.redirect(`/shop/orders/${order._id}/pay`);
         }
+        
+        req.flash('success_msg', 'Order placed successfully');
+        return res.redirect(`/user/orders/${order._id}`);
     } catch (error) {
-        console.error('Error placing order (outer try/catch):', error);
-        req.flash('error_msg', 'Error processing your order. Please try again. Details: ' + error.message);
+        if (error instanceof CheckoutService.CheckoutError) {
+            console.log('Order rejected:', error.message);
+            if (error.reason === 'coupon') {
+                delete req.session.couponCode;
+            }
+            req.flash('error_msg', error.message);
+            return res.redirect(error.redirectTo);
+        }
+        
+        console.error('Error placing order:', error);
+        req.flash('error_msg', 'Error processing your order. Nothing was charged and your cart is unchanged. Please try again.');
         return res.redirect('/shop/checkout');
     }
 });
 
-// Reset cart - completely removes and recreates the cart
-router.get('/reset-cart', ensureAuthenticated, async (req, res) => {
+/**
+ * Load an unpaid online order of the signed-in buyer
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { order, redirectTo } with redirectTo set when the order cannot be paid
+ */
+const loadPayableOrder = async (req) => {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+        return { order: null, redirectTo: '/user/orders', message: 'Order not found' };
+    }
+    if (order.paymentMethod !== PaymentService.ONLINE_PAYMENT_METHOD || order.paymentStatus === 'completed') {
+        return { order, redirectTo: `/user/orders/${order._id}`, message: 'This order does not need a payment' };
+    }
+    if (order.orderStatus === 'cancelled') {
+        return { order, redirectTo: `/user/orders/${order._id}`, message: 'This order has been cancelled' };
+    }
+    return { order, redirectTo: null };
+};
+
+// Pay for an order online
+router.get('/orders/:id/pay', ensureAuthenticated, ensureUser, async (req, res) => {
     try {
-        console.log('Resetting cart for user:', req.user._id);
-        
-        // Find and log the current cart for debugging
-        const oldCart = await Cart.findOne({ user: req.user._id });
-        if (oldCart) {
-            console.log('Old cart found:', {
-                id: oldCart._id,
-                itemCount: oldCart.items.length,
-                items: oldCart.items.map(item => ({
-                    product: item.product,
-                    galleryItem: item.galleryItem,
-                    quantity: item.quantity,
-                    price: item.price
-                }))
-            });
-        } else {
-            console.log('No existing cart found');
+        const { order, redirectTo, message } = await loadPayableOrder(req);
+        if (redirectTo) {
+            req.flash('error_msg', message);
+            return res.redirect(redirectTo);
         }
         
-        // Delete the existing cart
-        await Cart.findOneAndDelete({ user: req.user._id });
-        console.log('Existing cart deleted');
-        
-        // Create a new empty cart
-        const newCart = new Cart({
-            user: req.user._id,
-            items: []
+        const payment = await PaymentService.createPayment({
+            purpose: 'order',
+            reference: order._id,
+            user: req.user,
+            amount: order.totalAmount,
+            tax: order.tax,
+            description: `Order #${order._id.toString().slice(-6)}`
         });
         
-        await newCart.save();
-        console.log('New empty cart created with ID:', newCart._id);
-        
-        req.flash('success_msg', 'Your cart has been reset');
-        res.redirect('/shop');
+        res.render('shop/order-payment', {
+            title: 'Payment',
+            user: req.user,
+            order,
+            checkout: PaymentService.getCheckout(payment, req.user),
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
     } catch (error) {
-        console.error('Error resetting cart:', error);
-        req.flash('error_msg', 'Error resetting cart');
-        res.redirect('/shop');
+        console.error('Error starting order payment:', error);
+        req.flash('error_msg', 'The payment could not be started. Please try again.');
+        res.redirect(`/user/orders/${req.params.id}`);
     }
 });
 
-// Test route to diagnose cart issues
-router.get('/test-cart', ensureAuthenticated, async (req, res) => {
+// Verify an online order payment posted back by the payment checkout
+router.post('/orders/:id/verify-payment', ensureAuthenticated, ensureUser, async (req, res) => {
     try {
-        console.log('USER INFO:', {
-            id: req.user._id,
-            name: req.user.name,
-            email: req.user.email,
-            role: req.user.role,
-            isActive: req.user.isActive
-        });
+        const { order, redirectTo, message } = await loadPayableOrder(req);
+        // A payment made for an order that was cancelled meanwhile is still confirmed, so it is refunded
+        const cancelled = Boolean(order) && order.orderStatus === 'cancelled'
+            && order.paymentMethod === PaymentService.ONLINE_PAYMENT_METHOD && order.paymentStatus !== 'completed';
+        if (redirectTo && !cancelled) {
+            req.flash(order && order.paymentStatus === 'completed' ? 'success_msg' : 'error_msg', message);
+            return res.redirect(redirectTo);
+        }
         
-        // Try to get cart data without ensureUser middleware
-        const cart = await Cart.findOne({ user: req.user._id });
+        try {
+            // Marks the order paid, or failed when the payment did not go through
+            await PaymentService.confirmPayment('order', order._id, req.body);
+        } catch (paymentError) {
+            if (!(paymentError instanceof PaymentService.PaymentError)) throw paymentError;
+            
+            req.flash('error_msg', `${paymentError.message} You can try the payment again.`);
+            return res.redirect(`/shop/orders/${order._id}/pay`);
+        }
         
-        console.log('CART INFO:', cart ? {
-            id: cart._id,
-            itemCount: cart.items.length,
-            items: cart.items.map(item => ({
-                product: item.product,
-                quantity: item.quantity,
-                price: item.price
-            }))
-        } : 'No cart found');
+        if (cancelled) {
+            req.flash('error_msg', 'This order was cancelled before your payment came through, so the payment will be refunded.');
+            return res.redirect(`/user/orders/${order._id}`);
+        }
         
-        res.json({
-            success: true,
-            user: {
-                id: req.user._id,
-                name: req.user.name,
-                email: req.user.email,
-                role: req.user.role,
-                isActive: req.user.isActive
-            },
-            cart: cart ? {
-                id: cart._id,
-                itemCount: cart.items.length,
-                items: cart.items.map(item => ({
-                    product: item.product,
-                    quantity: item.quantity,
-                    price: item.price
-                }))
-            } : null
-        });
+        req.flash('success_msg', 'Payment received. Your order is confirmed.');
+        res.redirect(`/user/orders/${order._id}`);
     } catch (error) {
-        console.error('Error in test-cart route:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('Error verifying order payment:', error);
+        req.flash('error_msg', 'Error processing payment verification. Please contact support.');
+        res.redirect(`/user/orders/${req.params.id}`);
     }
 });
 
@@ -1,13 +1,61 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const { ensureAuthenticated, ensureUser } = require('../middleware/auth');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const CustomRequest = require('../models/CustomRequest');
 const PsychometricTest = require('../models/PsychometricTest');
-const nodemailer = require('nodemailer');
 const activityTracker = require('../middleware/activityTracker');
+const Wishlist = require('../models/Wishlist');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const Shipment = require('../models/Shipment');
+const Certificate = require('../models/Certificate');
+const InvoiceService = require('../services/invoiceService');
+const CertificateService = require('../services/certificateService');
+const PaymentService = require('../services/paymentService');
+const RefundService = require('../services/refundService');
+const ReturnService = require('../services/returnService');
+const OrderLifecycleService = require('../services/orderLifecycleService');
+const RecommendationService = require('../services/recommendationService');
+const PersonalityMatchService = require('../services/personalityMatchService');
+const { INDIAN_STATES, SERVICE_CODES, calculateTax, normalizeState, round2 } = require('../utils/tax');
+
+// Create a directory for photos of returned items
+const returnUploadsDir = path.join(__dirname, '../public/uploads/returns');
+if (!fs.existsSync(returnUploadsDir)) {
+    fs.mkdirSync(returnUploadsDir, { recursive: true });
+}
+
+// Configure multer for return photo upload
+const returnStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, 'public/uploads/returns')
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'return-' + uniqueSuffix + path.extname(file.originalname))
+    }
+});
+
+const returnUpload = multer({
+    storage: returnStorage,
+    limits: { fileSize: 5000000, files: 4 }, // 5MB per photo, up to 4 photos
+    fileFilter: function (req, file, cb) {
+        const filetypes = /jpeg|jpg|png|gif/;
+        const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = filetypes.test(file.mimetype);
+        
+        if (mimetype && extname) {
+            return cb(null, true);
+        }
+        cb(new Error('Return photos must be JPG, PNG or GIF images'));
+    }
+});
 
 // Custom middleware to ensure user role
 const ensureUserRole = (req, res, next) => {
@@ -32,6 +80,23 @@ const ensureUserRole = (req, res, next) => {
     res.redirect('/auth/login');
 };
 
+// Psychologist review fee in INR, before GST
+const PSYCHOMETRIC_TEST_FEE = 100;
+
+// GST on the review fee; the buyer's state, when known from their tax profile, is the place of supply
+const getTestFeeTax = (user) => calculateTax([{
+    description: 'Psychologist review fee',
+    hsnCode: SERVICE_CODES.PSYCHOMETRIC_REVIEW,
+    amount: PSYCHOMETRIC_TEST_FEE
+}], { placeOfSupply: user.taxProfile ? user.taxProfile.state : null });
+
+// GST on an admin's home decor quote, supplied to the state the project is delivered in
+const getQuoteTax = (budget, state = null) => calculateTax([{
+    description: 'Home decor project',
+    hsnCode: SERVICE_CODES.DECOR_PROJECT,
+    amount: budget
+}], { placeOfSupply: state });
+
 // User dashboard (root path)
 router.get('/', ensureAuthenticated, ensureUser, async (req, res) => {
     try {
@@ -91,11 +156,19 @@ router.get('/dashboard', ensureAuthenticated, async (req, res) => {
         const tests = await PsychometricTest.find({ user: req.user._id })
             .sort({ createdAt: -1 });
 
+        // Products picked from the user's browsing and orders, popular ones for new users
+        const recommendations = await RecommendationService.getForUser(req.user._id);
+
+        // Pieces that match the results of the user's latest psychometric test
+        const personalityPicks = await PersonalityMatchService.matchForUser(req.user._id);
+
         res.render('user/dashboard', {
             user: req.user,
             orders,
             customRequests,
-            tests
+            tests,
+            recommendations,
+            personalityPicks
         });
     } catch (err) {
         console.error('Error loading dashboard:', err);
@@ -138,6 +211,49 @@ router.get('/orders', ensureAuthenticated, ensureUser, async (req, res) => {
     }
 });
 
+// Download the tax invoice of an order
+router.get('/orders/:id/invoice', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('items.seller', 'name taxProfile');
+        
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            req.flash('error_msg', 'Order not found');
+            return res.redirect('/user/orders');
+        }
+        
+        await InvoiceService.ensureInvoice(order);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${InvoiceService.getFileName(order)}"`);
+        InvoiceService.renderOrderInvoice(order, res);
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        req.flash('error_msg', 'Error generating invoice');
+        res.redirect(`/user/orders/${req.params.id}`);
+    }
+});
+
+// Download the certificate of authenticity of an artwork the user bought
+router.get('/certificates/:serial', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ serial: req.params.serial, buyer: req.user._id });
+        
+        if (!certificate) {
+            req.flash('error_msg', 'Certificate not found');
+            return res.redirect('/user/orders');
+        }
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${CertificateService.getFileName(certificate)}"`);
+        await CertificateService.renderCertificate(certificate, res);
+    } catch (error) {
+        console.error('Error generating certificate:', error);
+        req.flash('error_msg', 'Error generating certificate');
+        res.redirect('/user/orders');
+    }
+});
+
 // View order details
 router.get('/orders/:id', ensureAuthenticated, ensureUser, async (req, res) => {
     try {
@@ -148,6 +264,16 @@ router.get('/orders/:id', ensureAuthenticated, ensureUser, async (req, res) => {
             return res.redirect('/user/orders');
         }
         
+        // Each seller's items are shown as a separate shipment
+        order.syncFulfilments();
+        await order.populate('fulfilments.seller', 'name');
+        
+        const refunds = await Refund.find({ purpose: 'order', reference: order._id }).sort({ createdAt: -1 });
+        const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+        const returnable = await ReturnService.getReturnableItems(order);
+        const shipments = await Shipment.find({ purpose: 'order', reference: order._id });
+        const certificates = await CertificateService.ensureForOrder(order);
+        
         // Track order details view
         try {
             await activityTracker.trackActivity(req, {
@@ -166,6 +292,11 @@ router.get('/orders/:id', ensureAuthenticated, ensureUser, async (req, res) => {
             user: req.user,
             title: 'Order Details',
             order,
+            refunds,
+            returns,
+            shipments,
+            certificates,
+            canReturn: returnable.length > 0,
             messages: {
                 success: req.flash('success_msg'),
                 error: req.flash('error_msg')
@@ -216,15 +347,118 @@ router.get('/paintings/:id', ensureUser, (req, res) => {
 });
 
 // Favorites
-router.get('/favorites', ensureAuthenticated, ensureUser, (req, res) => {
-    res.render('user/favorites', {
-        user: req.user,
-        title: 'My Favorites',
-        messages: {
-            success: req.flash('success_msg'),
-            error: req.flash('error_msg')
+router.get('/favorites', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ user: req.user._id })
+            .populate('items.product');
+        
+        // Products that were deleted since being saved are skipped; newest first
+        const items = wishlist
+            ? wishlist.items.filter(item => item.product).sort((a, b) => b.addedAt - a.addedAt)
+            : [];
+        
+        res.render('user/favorites', {
+            user: req.user,
+            title: 'My Favorites',
+            items,
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading favorites:', error);
+        req.flash('error_msg', 'Error loading your favorites');
+        res.redirect('/user/dashboard');
+    }
+});
+
+// Add product to favorites
+router.post('/favorites/add/:id', ensureAuthenticated, ensureUser, async (req, res) => {
+    const referer = req.get('Referer');
+    
+    try {
+        const product = await Product.findById(req.params.id);
+        
+        if (!product || product.status !== 'approved') {
+            req.flash('error_msg', 'Product not found');
+            return res.redirect(referer || '/shop');
         }
-    });
+        
+        let wishlist = await Wishlist.findOne({ user: req.user._id });
+        if (!wishlist) {
+            wishlist = new Wishlist({ user: req.user._id, items: [] });
+        }
+        
+        if (!wishlist.hasProduct(product._id)) {
+            wishlist.items.push({
+                product: product._id,
+                priceWhenAdded: product.price
+            });
+            await wishlist.save();
+            
+            // Track wishlist activity for lead scoring
+            try {
+                await activityTracker.trackActivity(req, {
+                    activityType: 'wishlist_add',
+                    targetId: product._id,
+                    targetModel: 'Product',
+                    details: {
+                        productId: product._id,
+                        productTitle: product.title,
+                        price: product.price
+                    }
+                });
+            } catch (error) {
+                console.error('Error tracking wishlist add:', error);
+            }
+        }
+        
+        req.flash('success_msg', 'Saved to your favorites');
+        res.redirect(referer || '/user/favorites');
+    } catch (error) {
+        console.error('Error adding to favorites:', error);
+        req.flash('error_msg', 'Error saving to favorites');
+        res.redirect(referer || '/shop');
+    }
+});
+
+// Remove product from favorites
+router.post('/favorites/remove/:id', ensureAuthenticated, ensureUser, async (req, res) => {
+    const referer = req.get('Referer');
+    
+    try {
+        const wishlist = await Wishlist.findOne({ user: req.user._id });
+        
+        if (!wishlist || !wishlist.hasProduct(req.params.id)) {
+            req.flash('error_msg', 'Item not found in your favorites');
+            return res.redirect(referer || '/user/favorites');
+        }
+        
+        wishlist.items = wishlist.items.filter(item => item.product.toString() !== req.params.id);
+        await wishlist.save();
+        
+        // Track wishlist activity for lead scoring
+        try {
+            await activityTracker.trackActivity(req, {
+                activityType: 'wishlist_remove',
+                targetId: req.params.id,
+                targetModel: 'Product',
+                details: {
+                    productId: req.params.id
+                }
+            });
+        } catch (error) {
+            console.error('Error tracking wishlist remove:', error);
+        }
+        
+        req.flash('success_msg', 'Removed from your favorites');
+        res.redirect(referer || '/user/favorites');
+    } catch (error) {
+        console.error('Error removing from favorites:', error);
+        req.flash('error_msg', 'Error removing from favorites');
+        res.redirect(referer || '/user/favorites');
+    }
 });
 
 // Cancel order
@@ -237,30 +471,30 @@ router.post('/orders/:id/cancel', ensureAuthenticated, ensureUser, async (req, r
             return res.redirect('/user/orders');
         }
         
-        if (order.orderStatus === 'delivered' || order.orderStatus === 'cancelled') {
+        // Only the parts of the order that have not shipped yet can be cancelled
+        order.syncFulfilments();
+        const cancellable = order.fulfilments.filter(fulfilment => OrderLifecycleService.canTransition(fulfilment, 'cancelled', 'user'));
+        
+        if (cancellable.length === 0) {
             req.flash('error_msg', 'Cannot cancel this order');
             return res.redirect(`/user/orders/${order._id}`);
         }
         
-        // Update order status
-        order.orderStatus = 'cancelled';
-        await order.save();
+        // Cancelled items are restocked and paid orders get a refund, once an admin approves it
+        const { refund } = await OrderLifecycleService.transition(order, cancellable, 'cancelled', { actor: req.user });
         
-        // Restore product stock
-        for (const item of order.items) {
-            try {
-                const product = await Product.findById(item.product);
-                if (product) {
-                    product.stock += item.quantity;
-                    await product.save();
-                }
-            } catch (err) {
-                console.error('Error restoring product stock:', err);
-                // Continue with other items even if one fails
-            }
+        let refundMessage = '';
+        if (refund) {
+            refundMessage = ' A refund has been requested and we will email you once it is processed.';
+        } else if (order.paymentStatus === 'completed' && (await RefundService.getRefundable('order', order)).available > 0) {
+            req.flash('error_msg', 'Your order was cancelled, but the refund could not be requested. Please contact support.');
         }
         
-        req.flash('success_msg', 'Order cancelled successfully');
+        if (order.orderStatus === 'cancelled') {
+            req.flash('success_msg', `Order cancelled successfully.${refundMessage}`);
+        } else {
+            req.flash('success_msg', `The items that had not shipped yet have been cancelled.${refundMessage}`);
+        }
         res.redirect('/user/orders');
     } catch (error) {
         console.error('Error cancelling order:', error);
@@ -269,6 +503,153 @@ router.post('/orders/:id/cancel', ensureAuthenticated, ensureUser, async (req, r
     }
 });
 
+/**
+ * Load one of the signed-in buyer's returns
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - ReturnRequest document, null when not found or not the buyer's
+ */
+const loadUserReturn = async (req) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest || returnRequest.user.toString() !== req.user._id.toString()) {
+        return null;
+    }
+    return returnRequest;
+};
+
+// Choose delivered items to send back
+router.get('/orders/:id/return', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            req.flash('error_msg', 'Order not found');
+            return res.redirect('/user/orders');
+        }
+        
+        order.syncFulfilments();
+        const returnable = await ReturnService.getReturnableItems(order);
+        
+        if (returnable.length === 0) {
+            req.flash('error_msg', `Items can be returned within ${ReturnService.RETURN_WINDOW_DAYS} days of delivery, and none of this order's items can be returned now`);
+            return res.redirect(`/user/orders/${order._id}`);
+        }
+        
+        res.render('user/return-request', {
+            user: req.user,
+            title: 'Return Items',
+            order,
+            returnable,
+            reasons: ReturnRequest.getReasons(),
+            messages: {
+                success: req.flash('success_msg'),
+                error: req.flash('error_msg')
+            }
+        });
+    } catch (error) {
+        console.error('Error loading return form:', error);
+        req.flash('error_msg', 'Error loading return form');
+        res.redirect(`/user/orders/${req.params.id}`);
+    }
+});
+
+// Ask to return items, with optional photos of them
+router.post('/orders/:id/return', ensureAuthenticated, ensureUser, (req, res, next) => {
+    returnUpload.array('photos', 4)(req, res, (err) => {
+        if (err) {
+            req.flash('error_msg', err.message || 'Error uploading return photos');
+            return res.redirect(`/user/orders/${req.params.id}/return`);
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            req.flash('error_msg', 'Order not found');
+            return res.redirect('/user/orders');
+        }
+        
+        order.syncFulfilments();
+        
+        const quantities = {};
+        Object.keys(req.body)
+            .filter(key => key.startsWith('quantity_'))
+            .forEach(key => { quantities[key.slice('quantity_'.length)] = req.body[key]; });
+        
+        const returns = await ReturnService.createReturns(order, req.user, {
+            quantities,
+            reason: req.body.reason,
+            comments: req.body.comments,
+            photos: (req.files || []).map(file => `/uploads/returns/${file.filename}`)
+        });
+        
+        req.flash('success_msg', `Return ${returns.map(returnRequest => returnRequest.rmaNumber).join(', ')} requested. We will email you once it has been reviewed.`);
+        res.redirect(`/user/orders/${order._id}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/user/orders/${req.params.id}/return`);
+        }
+        console.error('Error requesting return:', error);
+        req.flash('error_msg', 'Error requesting return');
+        res.redirect(`/user/orders/${req.params.id}`);
+    }
+});
+
+// Add the tracking number of the parcel the items were sent back in
+router.post('/returns/:id/ship', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const returnRequest = await loadUserReturn(req);
+        
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/user/orders');
+        }
+        
+        await ReturnService.markShipped(returnRequest, {
+            carrier: req.body.carrier,
+            trackingNumber: req.body.trackingNumber
+        });
+        
+        req.flash('success_msg', `Tracking added to return ${returnRequest.rmaNumber}`);
+        res.redirect(`/user/orders/${returnRequest.order}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/user/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error updating return shipment:', error);
+        req.flash('error_msg', 'Error updating return shipment');
+        res.redirect('/user/orders');
+    }
+});
+
+// Withdraw a return before the items are sent back
+router.post('/returns/:id/cancel', ensureAuthenticated, ensureUser, async (req, res) => {
+    try {
+        const returnRequest = await loadUserReturn(req);
+        
+        if (!returnRequest) {
+            req.flash('error_msg', 'Return not found');
+            return res.redirect('/user/orders');
+        }
+        
+        await ReturnService.cancel(returnRequest);
+        
+        req.flash('success_msg', `Return ${returnRequest.rmaNumber} cancelled`);
+        res.redirect(`/user/orders/${returnRequest.order}`);
+    } catch (error) {
+        if (error instanceof ReturnService.ReturnError) {
+            req.flash('error_msg', error.message);
+            return res.redirect(`/user/orders/${error.returnRequest.order}`);
+        }
+        console.error('Error cancelling return:', error);
+        req.flash('error_msg', 'Error cancelling return');
+        res.redirect('/user/orders');
+    }
+});
+
 // Psychometric Test Routes
 
 // Start psychometric test
@@ -390,10 +771,22 @@ router.get('/psychometric-test/:id/payment', ensureAuthenticated, ensureUserRole
             return res.redirect('/user/dashboard');
         }
         
+        const tax = getTestFeeTax(req.user);
+        const payment = await PaymentService.createPayment({
+            purpose: 'psychometric_test',
+            reference: test._id,
+            user: req.user,
+            amount: round2(tax.taxableAmount + tax.totalTax),
+            tax,
+            description: 'Psychologist review fee'
+        });
+        
         res.render('user/psychometric-test-payment', {
             user: req.user,
             test: test,
-            testFee: 100 // Base fee in INR
+            testFee: PSYCHOMETRIC_TEST_FEE,
+            tax,
+            checkout: PaymentService.getCheckout(payment, req.user)
         });
         
     } catch (err) {
@@ -405,7 +798,7 @@ router.get('/psychometric-test/:id/payment', ensureAuthenticated, ensureUserRole
     }
 });
 
-// Complete payment for psychometric test
+// Verify the payment for a psychometric test posted back by the payment checkout
 router.post('/psychometric-test/:id/payment', ensureAuthenticated, async (req, res) => {
     try {
         const test = await PsychometricTest.findById(req.params.id);
@@ -417,16 +810,15 @@ router.post('/psychometric-test/:id/payment', ensureAuthenticated, async (req, r
             });
         }
         
-        // Dummy payment process - no actual verification
-        const paymentId = 'PSYCH' + Date.now() + Math.floor(Math.random() * 1000);
-        
-        // Update test with payment details
-        test.status = 'paid';
-        test.paymentId = paymentId;
-        test.paymentAmount = 118; // 100 + 18% GST
-        test.paymentDate = new Date();
-        
-        await test.save();
+        try {
+            // Marks the test paid so it goes to a psychologist for review
+            await PaymentService.confirmPayment('psychometric_test', test._id, req.body);
+        } catch (paymentError) {
+            if (!(paymentError instanceof PaymentService.PaymentError)) throw paymentError;
+            
+            req.flash('error_msg', paymentError.message);
+            return res.redirect(`/user/psychometric-test/${test._id}/payment`);
+        }
         
         req.flash('success_msg', 'Payment successful! Your test will be reviewed by a psychologist.');
         res.redirect('/user/dashboard');
@@ -468,6 +860,7 @@ router.get('/psychometric-test/:id/quote', ensureAuthenticated, ensureUserRole,
 // Accept quotation and proceed to payment
 router.post('/psychometric-test/:id/quote/accept', ensureAuthenticated, async (req, res) => {
     try {
+        const { mobileNumber, address, state } = req.body;
         const test = await PsychometricTest.findById(req.params.id);
         
         if (!test || test.user.toString() !== req.user._id.toString()) {
@@ -475,105 +868,27 @@ router.post('/psychometric-test/:id/quote/accept', ensureAuthenticated, async (r
             return res.redirect('/user/dashboard');
         }
         
-        if (test.status !== 'admin_quoted') {
+        if (!test.adminQuote || !test.adminQuote.budget || !test.adminQuote.description) {
             req.flash('error_msg', 'No quote available to accept');
-            return res.redirect('/user/dashboard');
-        }
-        
-        test.userApproval = true;
-        await test.save();
-        
-        res.redirect(`/user/psychometric-test/${test._id}/final-payment`);
-    } catch (error) {
-        console.error('Error accepting quote:', error);
-        req.flash('error_msg', 'Error accepting quote');
-        res.redirect('/user/dashboard');
-    }
-});
-
-// Final payment page
-router.get('/psychometric-test/:id/final-payment', ensureAuthenticated, ensureUserRole, async (req, res) => {
-    try {
-        const test = await PsychometricTest.findById(req.params.id);
-        
-        if (!test || test.user.toString() !== req.user._id.toString()) {
-            req.flash('error_msg', 'Test not found or not authorized');
-            return res.redirect('/user/dashboard');
-        }
-        
-        if (!test.userApproval) {
-            req.flash('error_msg', 'Please accept the quote first');
-            return res.redirect(`/user/psychometric-test/${test._id}/quote`);
-        }
-        
-        if (test.finalPaymentStatus === 'completed') {
-            req.flash('info_msg', 'Payment already completed');
-            return res.redirect('/user/dashboard');
-        }
-        
-        res.render('user/psychometric-test-final-payment', {
-            title: 'Final Payment',
-            user: req.user,
-            test
-        });
-    } catch (error) {
-        console.error('Error loading final payment page:', error);
-        req.flash('error_msg', 'Error loading final payment page');
-        res.redirect('/user/dashboard');
-    }
-});
-
-// Complete final payment
-router.post('/psychometric-test/:id/final-payment', ensureAuthenticated, async (req, res) => {
-    try {
-        const { mobileNumber, street, city, state, pincode } = req.body;
-        
-        // Validate input
-        if (!mobileNumber || !street || !city || !state || !pincode) {
-            req.flash('error_msg', 'Please fill in all address details');
-            return res.redirect(`/user/psychometric-test/${req.params.id}/final-payment`);
+            return res.redirect(`/user/psychometric-test/${test._id}`);
         }
         
-        const test = await PsychometricTest.findById(req.params.id);
-        
-        if (!test || test.user.toString() !== req.user._id.toString()) {
-            req.flash('error_msg', 'Test not found or not authorized');
-            return res.redirect('/user/dashboard');
-        }
-        
-        if (!test.userApproval) {
-            req.flash('error_msg', 'Please accept the quote first');
-            return res.redirect(`/user/psychometric-test/${test._id}/quote`);
+        if (test.order.approved) {
+            req.flash('error_msg', 'This quote has already been paid for');
+            return res.redirect(`/user/psychometric-test/${test._id}`);
         }
         
-        if (test.finalPaymentStatus === 'completed') {
-            req.flash('info_msg', 'Payment already completed');
-            return res.redirect('/user/dashboard');
+        // The quote is paid through the payment provider once the delivery details are known
+        const deliveryState = normalizeState(state);
+        if (!mobileNumber || !address || !deliveryState) {
+            req.flash('error_msg', 'Please enter your delivery details to pay for the quote');
+            return res.redirect(`/user/psychometric-test/${test._id}`);
         }
         
-        // Update order details
-        test.orderDetails = {
-            mobileNumber,
-            address: {
-                street,
-                city,
-                state,
-                pincode
-            }
-        };
-        
-        // In a real scenario, we would process payment here
-        // For now, we'll just mark it as completed
-        test.finalPaymentId = 'FINAL_' + Date.now();
-        test.finalPaymentStatus = 'completed';
-        test.status = 'payment_completed';
-        await test.save();
-        
-        req.flash('success_msg', 'Payment completed. Your order has been placed.');
-        res.redirect('/user/dashboard');
+        await startQuotePayment(req, res, test, { mobileNumber, address, deliveryState });
     } catch (error) {
-        console.error('Error processing final payment:', error);
-        req.flash('error_msg', 'Error processing payment');
+        console.error('Error accepting quote:', error);
+        req.flash('error_msg', 'Error accepting quote');
         res.redirect('/user/dashboard');
     }
 });
@@ -611,10 +926,15 @@ router.get('/psychometric-test/:id', ensureAuthenticated, ensureUserRole, async
             return res.redirect('/user/psychometric-tests');
         }
 
+        const personalityPicks = await PersonalityMatchService.matchForTest(test);
+
         res.render('user/psychometric-test-detail', {
             user: req.user,
             title: 'Test Details',
             test: test,
+            personalityPicks,
+            quoteTax: test.adminQuote && test.adminQuote.budget ? getQuoteTax(test.adminQuote.budget) : null,
+            indianStates: INDIAN_STATES,
             currentPath: req.path
         });
     } catch (error) {
@@ -624,6 +944,41 @@ router.get('/psychometric-test/:id', ensureAuthenticated, ensureUserRole, async
     }
 });
 
+/**
+ * Keep the delivery details for an admin's quote on the test and take the buyer to pay for it.
+ * The order is only placed once the payment has been verified.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} test - Psychometric test with an admin quote
+ * @param {Object} details - { mobileNumber, address, deliveryState }
+ */
+const startQuotePayment = async (req, res, test, { mobileNumber, address, deliveryState }) => {
+    const tax = getQuoteTax(test.adminQuote.budget, deliveryState.name);
+    
+    test.order.mobileNumber = mobileNumber;
+    test.order.address = `${address}, ${deliveryState.name}`;
+    test.order.paymentAmount = round2(tax.taxableAmount + tax.totalTax);
+    test.order.tax = tax;
+    await test.save();
+    
+    const payment = await PaymentService.createPayment({
+        purpose: 'psychometric_order',
+        reference: test._id,
+        user: req.user,
+        amount: test.order.paymentAmount,
+        tax,
+        description: 'Home decor project'
+    });
+    
+    res.render('user/psychometric-order-payment', {
+        title: 'Project Payment',
+        user: req.user,
+        test,
+        tax,
+        checkout: PaymentService.getCheckout(payment, req.user)
+    });
+};
+
 // Handle order approval and payment
 router.post('/psychometric-test/:id/approve', ensureAuthenticated, async (req, res) => {
     try {
@@ -650,29 +1005,22 @@ router.post('/psychometric-test/:id/approve', ensureAuthenticated, async (req, r
             return res.redirect(`/user/psychometric-test/${req.params.id}`);
         }
         
-        // In a real app, this would integrate with a payment gateway
-        const paymentId = 'ORDER' + Date.now() + Math.floor(Math.random() * 1000);
-        
-        // Update order details
-        test.order = {
-            approved: true,
-            paymentId: paymentId,
-            paymentAmount: test.adminQuote.budget,
-            paymentDate: new Date(),
-            status: 'pending',
-            shippingAddress: {
-                street,
-                city,
-                state,
-                pincode
-            },
-            mobileNumber
-        };
+        if (test.order.approved) {
+            req.flash('error_msg', 'This quote has already been paid for');
+            return res.redirect(`/user/psychometric-test/${req.params.id}`);
+        }
         
-        await test.save();
+        const deliveryState = normalizeState(state);
+        if (!deliveryState) {
+            req.flash('error_msg', 'Please choose a valid state');
+            return res.redirect(`/user/psychometric-test/${req.params.id}`);
+        }
         
-        req.flash('success_msg', 'Your order has been approved and payment processed!');
-        res.redirect('/user/dashboard');
+        await startQuotePayment(req, res, test, {
+            mobileNumber,
+            address: `${street}, ${city} ${pincode}`,
+            deliveryState
+        });
         
     } catch (err) {
         console.error('Error approving order:', err);
@@ -727,10 +1075,10 @@ router.post('/psychometric-test/:id/feedback', ensureAuthenticated, async (req,
     }
 });
 
-// Route for approving a quote and placing an order
+// Route for approving a quote and paying for the order
 router.post('/psychometric-test/:id/approve-quote', ensureAuthenticated, async (req, res) => {
     try {
-        const { mobileNumber, address } = req.body;
+        const { mobileNumber, address, state } = req.body;
         
         // Validate inputs
         if (!mobileNumber || !address) {
@@ -738,6 +1086,13 @@ router.post('/psychometric-test/:id/approve-quote', ensureAuthenticated, async (
             return res.redirect(`/user/psychometric-test/${req.params.id}`);
         }
         
+        // The delivery state decides whether the quote carries CGST/SGST or IGST
+        const deliveryState = normalizeState(state);
+        if (!deliveryState) {
+            req.flash('error_msg', 'Please choose the state the project will be delivered in');
+            return res.redirect(`/user/psychometric-test/${req.params.id}`);
+        }
+        
         const test = await PsychometricTest.findById(req.params.id);
         
         if (!test) {
@@ -757,70 +1112,46 @@ router.post('/psychometric-test/:id/approve-quote', ensureAuthenticated, async (
             return res.redirect(`/user/psychometric-test/${req.params.id}`);
         }
         
-        // Update test with order details
-        if (!test.order) {
-            test.order = {};
+        if (test.order.approved) {
+            req.flash('error_msg', 'This quote has already been paid for');
+            return res.redirect(`/user/psychometric-test/${req.params.id}`);
         }
         
-        // Generate a unique payment ID
-        const paymentId = 'ORDER' + Date.now() + Math.floor(Math.random() * 1000);
+        await startQuotePayment(req, res, test, { mobileNumber, address, deliveryState });
         
-        test.order.mobileNumber = mobileNumber;
-        test.order.address = address;
-        test.order.approvedAt = new Date();
-        test.order.status = 'placed';
-        test.order.approved = true;
-        test.order.paymentId = paymentId;
-        test.order.paymentAmount = test.adminQuote.budget;
-        test.order.paymentDate = new Date();
+    } catch (err) {
+        console.error('Error approving quote:', err);
+        req.flash('error_msg', 'Error approving quote');
+        res.redirect('/user/dashboard');
+    }
+});
         
-        // Update main test status to indicate order has been placed
-        test.status = 'order_placed';
+// Verify the payment for a quote and place the order
+router.post('/psychometric-test/:id/order-payment', ensureAuthenticated, async (req, res) => {
+    try {
+        const test = await PsychometricTest.findById(req.params.id);
         
-        await test.save();
+        if (!test || test.user.toString() !== req.user._id.toString()) {
+            req.flash('error_msg', 'Test not found');
+            return res.redirect('/user/dashboard');
+        }
         
-        // Optionally send email notification to admin about order placement
         try {
-            const adminEmails = await User.find({ role: 'admin' }).select('email');
-            if (adminEmails.length > 0) {
-                const transporter = nodemailer.createTransport({
-                    service: 'gmail',
-                    auth: {
-                        user: process.env.EMAIL_USER,
-                        pass: process.env.EMAIL_PASSWORD
-                    }
-                });
+            // Places the order and lets the admins know
+            await PaymentService.confirmPayment('psychometric_order', test._id, req.body);
+        } catch (paymentError) {
+            if (!(paymentError instanceof PaymentService.PaymentError)) throw paymentError;
                 
-                const mailOptions = {
-                    from: process.env.EMAIL_USER,
-                    to: adminEmails.map(admin => admin.email).join(','),
-                    subject: 'New Order Placed',
-                    html: `
-                        <h2>New Order Alert!</h2>
-                        <p>A user has approved a quote and placed an order.</p>
-                        <h3>Order Details:</h3>
-                        <p><strong>User:</strong> ${req.user.name} (${req.user.email})</p>
-                        <p><strong>Mobile Number:</strong> ${mobileNumber}</p>
-                        <p><strong>Address:</strong> ${address}</p>
-                        <p><strong>Budget:</strong> ₹${test.adminQuote.budget.toLocaleString('en-IN')}</p>
-                        <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
-                        <p>Please log in to the admin panel to process this order.</p>
-                    `
-                };
-                
-                await transporter.sendMail(mailOptions);
-            }
-        } catch (emailError) {
-            console.error('Error sending email notification:', emailError);
-            // Continue execution even if email fails
+            req.flash('error_msg', `${paymentError.message} You can approve the quote again to retry.`);
+            return res.redirect(`/user/psychometric-test/${test._id}`);
         }
         
         req.flash('success_msg', 'Quote approved and order placed successfully');
         res.redirect('/user/dashboard');
         
     } catch (err) {
-        console.error('Error approving quote:', err);
-        req.flash('error_msg', 'Error approving quote');
+        console.error('Error verifying quote payment:', err);
+        req.flash('error_msg', 'Error processing payment verification. Please contact support.');
         res.redirect('/user/dashboard');
     }
 });
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const PaymentService = require('../services/paymentService');
+
+// Payment gateway webhooks: /webhooks/payments/razorpay, or /webhooks/payments/mock for test payments.
+// The body is read raw because the signature covers it byte for byte.
+router.post('/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    try {
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+        const { duplicate } = await PaymentService.handleWebhook(req.params.provider, rawBody, req.headers);
+        
+        res.json({ success: true, duplicate });
+    } catch (error) {
+        if (error instanceof PaymentService.PaymentError) {
+            console.warn(`Rejected ${req.params.provider} webhook:`, error.message);
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        
+        // A 5xx makes the gateway deliver the event again later
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({ success: false, message: 'Error processing webhook' });
+    }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PaymentService = require('../services/paymentService');
+
+// Sends one of the fixtures in scripts/fixtures/webhooks to a running server, signed the way the
+// gateway would sign it. Usage:
+//   node scripts/sendTestWebhook.js payment.captured --order mock_order_abc --amount 118
+//   node scripts/sendTestWebhook.js refund.processed --order mock_order_abc --payment mock_pay_abc --amount 50
+// Options: --provider (mock by default), --url, and --event-id to send the same event twice.
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'webhooks');
+
+const parseArgs = (argv) => {
+    const options = { fixture: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            options.fixture = argv[i];
+        }
+    }
+    return options;
+};
+
+const sendTestWebhook = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const fixtures = fs.readdirSync(FIXTURE_DIR).map(file => path.basename(file, '.json'));
+    
+    if (!fixtures.includes(options.fixture) || !options.order) {
+        console.log(`Usage: node scripts/sendTestWebhook.js <${fixtures.join('|')}> --order <gateway order id> [--payment <id>] [--amount <rupees>] [--provider mock|razorpay] [--url <url>] [--event-id <id>]`);
+        process.exit(1);
+    }
+    
+    const providerName = options.provider || 'mock';
+    const provider = PaymentService.getProvider(providerName);
+    const values = {
+        orderId: options.order,
+        paymentId: options.payment || `pay_${crypto.randomBytes(7).toString('hex')}`,
+        refundId: `rfnd_${crypto.randomBytes(7).toString('hex')}`,
+        amountInPaise: Math.round(Number(options.amount || 0) * 100),
+        timestamp: Math.floor(Date.now() / 1000)
+    };
+    
+    // Placeholders are quoted in the fixtures so they stay valid JSON; numbers replace the quotes too
+    const template = fs.readFileSync(path.join(FIXTURE_DIR, `${options.fixture}.json`), 'utf8');
+    const body = template.replace(/"\{\{(\w+)\}\}"/g, (match, name) => JSON.stringify(values[name]));
+    
+    const eventId = options['event-id'] || `evt_${crypto.randomBytes(7).toString('hex')}`;
+    const url = options.url || `http://localhost:${process.env.PORT || 3000}/webhooks/payments/${providerName}`;
+    
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            [provider.webhookHeaders.signature]: provider.signWebhook(body),
+            [provider.webhookHeaders.eventId]: eventId
+        },
+        body
+    });
+    
+    console.log(`${options.fixture} (${eventId}) -> ${response.status}`, await response.text());
+    process.exit(response.ok ? 0 : 1);
+};
+
+sendTestWebhook().catch(error => {
+    console.error('Error sending webhook:', error);
+    process.exit(1);
+}); 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Stand-in courier for development and tests. Scans come from JSON fixtures in
+// scripts/fixtures/tracking: <awb>.json when there is one, default.json otherwise. Each scan
+// is offset in hours from when the parcel was shipped, so shipments move along as time passes.
+class StubCarrier {
+    constructor({ fixturesDir = process.env.STUB_CARRIER_FIXTURES || path.join(__dirname, '../../scripts/fixtures/tracking') } = {}) {
+        this.name = 'stub';
+        this.label = 'Test Courier (stub)';
+        this.fixturesDir = fixturesDir;
+    }
+
+    /**
+     * Fixture for an AWB, read on every call so fixtures can be edited while the app runs
+     * @param {String} awb - Tracking number
+     * @returns {Object} - { estimatedDeliveryDays, events: [{ offsetHours, status, description, location }] }
+     */
+    loadFixture(awb) {
+        const named = path.join(this.fixturesDir, `${path.basename(awb)}.json`);
+        const file = fs.existsSync(named) ? named : path.join(this.fixturesDir, 'default.json');
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Scans of a parcel so far
+     * @param {String} awb - Tracking number
+     * @param {Object} options - { shippedAt } when the parcel was handed over
+     * @returns {Promise<Object>} - { status, estimatedDeliveryDate, events: [{ status, description, location, occurredAt }] }
+     */
+    async track(awb, { shippedAt = new Date() } = {}) {
+        const fixture = this.loadFixture(awb);
+        const start = new Date(shippedAt).getTime();
+        const now = Date.now();
+        
+        const events = fixture.events
+            .map(event => ({
+                status: event.status,
+                description: event.description,
+                location: event.location || '',
+                occurredAt: new Date(start + event.offsetHours * HOUR_MS)
+            }))
+            .filter(event => event.occurredAt.getTime() <= now);
+        
+        return {
+            status: events.length > 0 ? events[events.length - 1].status : 'booked',
+            estimatedDeliveryDate: fixture.estimatedDeliveryDays ? new Date(start + fixture.estimatedDeliveryDays * DAY_MS) : null,
+            events
+        };
+    }
+
+    /**
+     * Page where the buyer can follow the parcel on the courier's site
+     * @returns {String|null}
+     */
+    getTrackingUrl() {
+        return null;
+    }
+}
+
+module.exports = StubCarrier; 
\ No newline at end of file
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const CartRecoveryCampaign = require('../models/CartRecoveryCampaign');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const UserActivity = require('../models/UserActivity');
+const { sendCartRecoveryEmail } = require('../utils/emailService');
+
+// A cart untouched this long, by a buyer who has not been to checkout since, is abandoned
+const ABANDON_AFTER_HOURS = parseInt(process.env.CART_ABANDON_HOURS) || 2;
+
+// Campaign created the first time abandoned carts are looked for
+const DEFAULT_CAMPAIGN = {
+    name: 'Cart reminders',
+    steps: [
+        { delayHours: 1, subject: 'You left something in your cart', discountPercent: 0 },
+        { delayHours: 24, subject: 'Your cart is still waiting for you', discountPercent: 0 },
+        { delayHours: 72, subject: 'A little something to help you decide', discountPercent: 10 }
+    ],
+    couponValidDays: 7
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class CartRecoveryService {
+    /**
+     * Campaign new abandoned carts are enrolled in. The default campaign is created when there
+     * are none yet; when every campaign has been switched off, carts are not followed up.
+     * @returns {Promise<Object|null>} - Campaign document
+     */
+    static async getActiveCampaign() {
+        const campaign = await CartRecoveryCampaign.findOne({ isActive: true }).sort({ createdAt: -1 });
+        if (campaign || await CartRecoveryCampaign.exists({})) {
+            return campaign;
+        }
+        return CartRecoveryCampaign.create(DEFAULT_CAMPAIGN);
+    }
+
+    /**
+     * Make a campaign the one new abandoned carts are enrolled in
+     * @param {Object} campaign - Campaign document
+     * @returns {Promise<Object>} - The campaign
+     */
+    static async activate(campaign) {
+        await CartRecoveryCampaign.updateMany({ _id: { $ne: campaign._id } }, { isActive: false });
+        campaign.isActive = true;
+        await campaign.save();
+        return campaign;
+    }
+
+    /**
+     * Mark carts of signed-in buyers as abandoned once they have been left alone for a while
+     * and the buyer has not started checkout since
+     * @param {Date} now - Current time
+     * @returns {Promise<Number>} - Carts marked abandoned
+     */
+    static async detectAbandoned(now = new Date()) {
+        const campaign = await this.getActiveCampaign();
+        if (!campaign) {
+            return 0;
+        }
+        
+        const cutoff = new Date(now.getTime() - ABANDON_AFTER_HOURS * HOUR_MS);
+        const carts = await Cart.find({
+            status: 'active',
+            user: { $ne: null },
+            'items.0': { $exists: true },
+            updatedAt: { $lt: cutoff }
+        }).select('user updatedAt');
+        
+        let abandoned = 0;
+        for (const cart of carts) {
+            const inCheckout = await UserActivity.exists({
+                user: cart.user,
+                activityType: { $in: ['begin_checkout', 'checkout'] },
+                createdAt: { $gte: cutoff }
+            });
+            if (inCheckout) {
+                continue;
+            }
+            
+            // Updated directly so the cart's updatedAt keeps the buyer's last change
+            const result = await Cart.updateOne({ _id: cart._id, status: 'active', updatedAt: cart.updatedAt }, {
+                $set: {
+                    status: 'abandoned',
+                    recovery: {
+                        campaign: campaign._id,
+                        token: crypto.randomBytes(24).toString('hex'),
+                        abandonedAt: cart.updatedAt,
+                        emailsSent: 0,
+                        lastEmailAt: null,
+                        couponCode: null,
+                        restoredAt: null
+                    }
+                }
+            });
+            if (result.modifiedCount > 0) {
+                abandoned += 1;
+            }
+        }
+        
+        if (abandoned > 0) {
+            await CartRecoveryCampaign.updateOne({ _id: campaign._id }, { $inc: { 'stats.cartsEnrolled': abandoned } });
+        }
+        return abandoned;
+    }
+
+    /**
+     * Send the next email of each abandoned cart's campaign once it is due
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { sent, failed }
+     */
+    static async sendDueEmails(now = new Date()) {
+        const carts = await Cart.find({ status: 'abandoned', 'recovery.campaign': { $ne: null } })
+            .populate('user', 'name email')
+            .populate('items.product', 'title status')
+            .populate('recovery.campaign');
+        
+        let sent = 0;
+        let failed = 0;
+        for (const cart of carts) {
+            const campaign = cart.recovery.campaign;
+            const step = campaign ? campaign.steps[cart.recovery.emailsSent] : null;
+            if (!step || !cart.user) {
+                continue;
+            }
+            if (now.getTime() < cart.recovery.abandonedAt.getTime() + step.delayHours * HOUR_MS) {
+                continue;
+            }
+            
+            const items = cart.items
+                .filter(item => item.product && item.product.status === 'approved')
+                .map(item => ({ title: item.product.title, variantName: item.variantName, quantity: item.quantity, price: item.price }));
+            if (items.length === 0) {
+                continue;
+            }
+            
+            try {
+                const coupon = step.discountPercent > 0 ? await this.createCoupon(campaign, step, now) : null;
+                await sendCartRecoveryEmail(cart.user.email, {
+                    name: cart.user.name,
+                    subject: step.subject,
+                    items,
+                    restoreUrl: `${process.env.BASE_URL}/shop/cart/restore/${cart.recovery.token}`,
+                    coupon
+                });
+                
+                const update = { $inc: { 'recovery.emailsSent': 1 }, $set: { 'recovery.lastEmailAt': now } };
+                if (coupon) {
+                    update.$set['recovery.couponCode'] = coupon.code;
+                }
+                await Cart.updateOne({ _id: cart._id, status: 'abandoned' }, update);
+                await CartRecoveryCampaign.updateOne({ _id: campaign._id }, { $inc: { 'stats.emailsSent': 1 } });
+                sent += 1;
+            } catch (error) {
+                console.error(`Error sending recovery email for cart ${cart._id}:`, error);
+                failed += 1;
+                // The email is tried again on the next run
+            }
+        }
+        return { sent, failed };
+    }
+
+    /**
+     * Single-use coupon for one recovery email
+     * @param {Object} campaign - Campaign document
+     * @param {Object} step - The campaign step being sent
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - Coupon document
+     */
+    static async createCoupon(campaign, step, now = new Date()) {
+        return Coupon.create({
+            code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            description: `${step.discountPercent}% off your saved cart`,
+            discountType: 'percentage',
+            discountValue: step.discountPercent,
+            usageLimit: 1,
+            perUserLimit: 1,
+            startsAt: now,
+            endsAt: new Date(now.getTime() + campaign.couponValidDays * 24 * HOUR_MS)
+        });
+    }
+
+    /**
+     * Bring back an abandoned cart from the link in a recovery email
+     * @param {String} token - Token from the link
+     * @returns {Promise<Object|null>} - The cart, null when the link is unknown or the cart is gone
+     */
+    static async restore(token) {
+        if (!token) {
+            return null;
+        }
+        // Links keep working after the buyer has been back and changed the cart
+        const cart = await Cart.findOne({ 'recovery.token': token });
+        if (!cart) {
+            return null;
+        }
+        
+        if (!cart.recovery.restoredAt) {
+            const update = { 'recovery.restoredAt': new Date() };
+            if (cart.status === 'abandoned') {
+                update.status = 'recovered';
+            }
+            await Cart.updateOne({ _id: cart._id }, { $set: update });
+            await CartRecoveryCampaign.updateOne({ _id: cart.recovery.campaign }, { $inc: { 'stats.restores': 1 } });
+            cart.status = update.status || cart.status;
+        }
+        return cart;
+    }
+
+    /**
+     * Campaign an order placed from a cart is credited to: the buyer must have been sent at
+     * least one of its emails since the cart was last abandoned
+     * @param {Object} cart - Cart being checked out
+     * @returns {ObjectId|null} - Campaign id
+     */
+    static getAttributedCampaign(cart) {
+        if (!cart.recovery || !cart.recovery.campaign || cart.recovery.emailsSent === 0) {
+            return null;
+        }
+        return cart.recovery.campaign;
+    }
+
+    /**
+     * Orders and revenue brought back by each campaign, cancelled orders left out
+     * @param {Array} campaignIds - Optional campaign ids to limit to
+     * @returns {Promise<Object>} - { campaignId: { orders, revenue } }
+     */
+    static async getRecoveredRevenue(campaignIds = null) {
+        const match = { recoveryCampaign: { $ne: null }, orderStatus: { $ne: 'cancelled' } };
+        if (campaignIds) {
+            match.recoveryCampaign = { $in: campaignIds.map(id => new mongoose.Types.ObjectId(id)) };
+        }
+        
+        const rows = await Order.aggregate([
+            { $match: match },
+            { $group: {
+                _id: '$recoveryCampaign',
+                orders: { $sum: 1 },
+                revenue: { $sum: '$totalAmount' }
+            } }
+        ]);
+        
+        const stats = {};
+        rows.forEach(row => {
+            stats[row._id.toString()] = { orders: row.orders, revenue: row.revenue };
+        });
+        return stats;
+    }
+
+    /**
+     * Find newly abandoned carts and send the emails that are due
+     * @returns {Promise<Object>} - { abandoned, sent, failed }
+     */
+    static async run() {
+        const now = new Date();
+        const abandoned = await this.detectAbandoned(now);
+        const { sent, failed } = await this.sendDueEmails(now);
+        return { abandoned, sent, failed };
+    }
+}
+
+CartRecoveryService.ABANDON_AFTER_HOURS = ABANDON_AFTER_HOURS;
+
+module.exports = CartRecoveryService; 
\ No newline at end of file
@@ -0,0 +1,214 @@
+const { v4: uuidv4 } = require('uuid');
+const Cart = require('../models/Cart');
+const InventoryService = require('./inventoryService');
+
+// Guest carts nobody came back to are removed after this long
+const GUEST_CART_DAYS = 30;
+
+class CartService {
+    /**
+     * Query matching the cart of whoever is making the request
+     * @param {Object} req - Express request
+     * @returns {Object|null} - { user } for buyers, { trackingId } for guests, null for guests without a session
+     */
+    static getOwner(req) {
+        if (req.user) {
+            return { user: req.user._id };
+        }
+        if (req.session && req.session.trackingId) {
+            return { user: null, trackingId: req.session.trackingId };
+        }
+        return null;
+    }
+
+    /**
+     * Cart of whoever is making the request
+     * @param {Object} req - Express request
+     * @returns {Promise<Object|null>} - Cart document, not populated
+     */
+    static async findCart(req) {
+        const owner = this.getOwner(req);
+        return owner ? Cart.findOne(owner) : null;
+    }
+
+    /**
+     * Cart of whoever is making the request, started empty when they have none yet
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} - Cart document, not saved when new
+     */
+    static async findOrCreateCart(req) {
+        const owner = this.getOwner(req);
+        if (!owner) {
+            // Guests are given a tracking id by the activity tracker; start one if it has not run
+            req.session.trackingId = uuidv4();
+            return new Cart({ trackingId: req.session.trackingId, items: [] });
+        }
+        return await Cart.findOne(owner) || new Cart({ ...owner, items: [] });
+    }
+
+    /**
+     * Cart of whoever is making the request, checked against the products as they are now
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} - { cart: populated cart document or null, changes: see revalidate }
+     */
+    static async loadCart(req) {
+        const cart = await this.findCart(req);
+        if (!cart) {
+            return { cart: null, changes: [] };
+        }
+        await cart.populate('items.product');
+        const changes = await this.revalidate(cart);
+        return { cart, changes };
+    }
+
+    /**
+     * Bring a cart in line with the live catalog. Items whose product was deleted, is no longer
+     * approved, no longer offers the chosen variant or is out of stock are removed; quantities
+     * above the stock left are lowered and prices are updated to today's price. The cart is
+     * saved when anything changed.
+     * @param {Object} cart - Cart with items.product populated
+     * @returns {Promise<Array>} - Changes made, each { type: 'removed'|'quantity'|'price', title, message }
+     */
+    static async revalidate(cart) {
+        const changes = [];
+        const removed = [];
+
+        cart.items.forEach((item, index) => {
+            const product = item.product;
+
+            if (!product) {
+                changes.push({ type: 'removed', title: null, message: 'A product in your cart is no longer sold and was removed' });
+                removed.push(index);
+                return;
+            }
+
+            const title = item.variantName ? `${product.title} (${item.variantName})` : product.title;
+            const option = product.status === 'approved' ? product.getPurchaseOption(item.variant) : null;
+            if (!option) {
+                changes.push({ type: 'removed', title, message: `${title} is no longer available and was removed` });
+                removed.push(index);
+                return;
+            }
+
+            // Other buyers' checkout reservations are only temporary, so they are left to checkout
+            if (option.stock <= 0) {
+                changes.push({ type: 'removed', title, message: `${title} is out of stock and was removed` });
+                removed.push(index);
+                return;
+            }
+            if (item.quantity > option.stock) {
+                changes.push({
+                    type: 'quantity',
+                    title,
+                    message: `Only ${option.stock} of ${title} left, so the quantity was lowered from ${item.quantity} to ${option.stock}`
+                });
+                item.quantity = option.stock;
+            }
+
+            if (item.price !== option.price) {
+                changes.push({
+                    type: 'price',
+                    title,
+                    message: `The price of ${title} changed from $${item.price.toFixed(2)} to $${option.price.toFixed(2)}`
+                });
+                item.price = option.price;
+            }
+        });
+
+        if (changes.length > 0) {
+            removed.reverse().forEach(index => cart.items.splice(index, 1));
+            await cart.save();
+        }
+        return changes;
+    }
+
+    /**
+     * Move the items of a guest cart into a buyer's cart after they log in. An item in both carts
+     * keeps the larger quantity, and every merged item is re-checked against the stock the buyer
+     * can get, at today's price.
+     * @param {String} trackingId - Tracking id of the session the guest cart was made in
+     * @param {Object} user - Buyer who logged in
+     * @returns {Promise<Object>} - { merged: items moved over, adjustments: messages about items
+     * that were dropped or reduced }
+     */
+    static async mergeGuestCart(trackingId, user) {
+        const result = { merged: 0, adjustments: [] };
+        if (!trackingId) {
+            return result;
+        }
+        
+        const guestCart = await Cart.findOne({ user: null, trackingId }).populate('items.product');
+        if (!guestCart) {
+            return result;
+        }
+        
+        const cart = await Cart.findOne({ user: user._id }) || new Cart({ user: user._id, items: [] });
+        
+        for (const item of guestCart.items) {
+            const product = item.product;
+            if (!product || product.status !== 'approved') {
+                result.adjustments.push(`${product ? product.title : 'A product'} is no longer available and was not added`);
+                continue;
+            }
+            
+            const option = product.getPurchaseOption(item.variant);
+            const title = item.variantName ? `${product.title} (${item.variantName})` : product.title;
+            if (!option) {
+                result.adjustments.push(`${title} is no longer available and was not added`);
+                continue;
+            }
+            
+            const index = cart.findItemIndex(product._id, item.variant);
+            const current = index > -1 ? cart.items[index].quantity : 0;
+            const wanted = Math.max(current, item.quantity);
+            const available = await InventoryService.getAvailableStock(product, item.variant, user._id);
+            const quantity = Math.min(wanted, available);
+            
+            if (quantity <= 0) {
+                result.adjustments.push(`${title} is out of stock and was not added`);
+                if (index > -1) {
+                    cart.items.splice(index, 1);
+                }
+                continue;
+            }
+            if (quantity < wanted) {
+                result.adjustments.push(`Only ${available} of ${title} available, so your cart has ${quantity}`);
+            }
+            
+            if (index > -1) {
+                cart.items[index].quantity = quantity;
+                cart.items[index].price = option.price;
+            } else {
+                cart.items.push({
+                    product: product._id,
+                    variant: option.variant ? option.variant._id : null,
+                    variantName: option.label,
+                    sku: option.variant ? option.variant.sku : null,
+                    quantity,
+                    price: option.price
+                });
+            }
+            result.merged += 1;
+        }
+        
+        if (result.merged > 0 || (!cart.isNew && cart.isModified())) {
+            await cart.save();
+        }
+        await Cart.deleteOne({ _id: guestCart._id });
+        return result;
+    }
+
+    /**
+     * Remove guest carts that have not been touched in a while
+     * @returns {Promise<Number>} - Carts removed
+     */
+    static async removeStaleGuestCarts() {
+        const cutoff = new Date(Date.now() - GUEST_CART_DAYS * 24 * 60 * 60 * 1000);
+        const result = await Cart.deleteMany({ user: null, updatedAt: { $lt: cutoff } });
+        return result.deletedCount;
+    }
+}
+
+CartService.GUEST_CART_DAYS = GUEST_CART_DAYS;
+
+module.exports = CartService; 
\ No newline at end of file
@@ -0,0 +1,650 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const yauzl = require('yauzl');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ImageService = require('./imageService');
+const { MEDIUMS, ORIENTATIONS, STYLES, COLORS, HSN_CODES } = require('../utils/productAttributes');
+const { DEFAULT_HSN_CODE } = require('../utils/tax');
+
+// Columns of import and export files, in order. Rows that share a product_key are the variants
+// of one product, whose product columns are read from its first row.
+const COLUMNS = [
+    { key: 'product_key', description: 'Rows with the same key are variants of one product. Leave empty for a product without variants.' },
+    { key: 'title', description: 'Required' },
+    { key: 'artist_name', description: 'Required' },
+    { key: 'description', description: 'Required' },
+    { key: 'price', description: 'Required unless the product has variants' },
+    { key: 'stock', description: 'Defaults to 1. Taken from the variants when there are any.' },
+    { key: 'low_stock_threshold', description: 'Stock level, of the product or any variant, at which you are alerted. Defaults to 0, alerting only when sold out.' },
+    { key: 'category', description: 'Name or slug of an existing category' },
+    { key: 'medium', description: MEDIUMS.join(', ') },
+    { key: 'style', description: STYLES.join(', ') },
+    { key: 'orientation', description: `${ORIENTATIONS.join(', ')}. Worked out from width and height when empty.` },
+    { key: 'width_cm', description: 'Width in centimetres' },
+    { key: 'height_cm', description: 'Height in centimetres' },
+    { key: 'depth_cm', description: 'Depth in centimetres' },
+    { key: 'weight_kg', description: 'Packed weight in kg' },
+    { key: 'colors', description: `Separated by semicolons: ${COLORS.join(', ')}` },
+    { key: 'hsn_code', description: `${HSN_CODES.map(hsn => hsn.code).join(', ')}. Defaults to ${DEFAULT_HSN_CODE}.` },
+    { key: 'image', description: 'Required. File name of the image in the images ZIP.' },
+    { key: 'variant_name', description: 'Built from size and framing when empty' },
+    { key: 'variant_sku', description: 'Generated when empty' },
+    { key: 'variant_size', description: 'e.g. A3 or 30x40 cm' },
+    { key: 'variant_framed', description: 'yes or no' },
+    { key: 'variant_price', description: 'Required for a variant' },
+    { key: 'variant_stock', description: 'Defaults to 0' },
+    { key: 'variant_image', description: 'File name in the images ZIP, the product image is used when empty' },
+    { key: 'variant_active', description: 'yes or no, defaults to yes' }
+];
+
+const REQUIRED_COLUMNS = ['title', 'artist_name', 'description', 'image'];
+
+const VARIANT_COLUMNS = COLUMNS.map(column => column.key).filter(key => key.startsWith('variant_'));
+
+// Most rows read from one file
+const MAX_ROWS = 500;
+
+// Images larger than this inside a ZIP are not read
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Most files in one images ZIP, and most bytes its images may unpack to, since they are held in memory
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_ZIP_BYTES = 100 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif'];
+
+const PRODUCT_UPLOADS_DIR = path.join(__dirname, '../public/uploads/products');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Column key for a header cell, e.g. "Artist Name" -> artist_name
+ * @param {String} header - Header text
+ * @returns {String}
+ */
+const toColumnKey = (header) => {
+    return header.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+};
+
+/**
+ * Plain text of a cell value, whatever kind of cell it came from
+ * @param {*} value - ExcelJS cell value
+ * @returns {String}
+ */
+const cellText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('').trim();
+        }
+        if (value.text !== undefined) {
+            return cellText(value.text);
+        }
+        return value.result !== undefined ? cellText(value.result) : '';
+    }
+    // Exported text that spreadsheet programs would read as a formula is prefixed with '
+    return String(value).trim().replace(/^'(?=[=+\-@])/, '');
+};
+
+/**
+ * Keep text that starts like a formula from being run when a CSV export is opened
+ * @param {*} value - Cell value
+ * @returns {*}
+ */
+const escapeFormula = (value) => {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+};
+
+/**
+ * Option from a list, given as the value or its label, e.g. "Mixed Media" -> mixed_media
+ * @param {String} text - Cell text
+ * @param {Array} options - Allowed values
+ * @returns {String|null|undefined} - Value, null when empty, undefined when not an option
+ */
+const parseChoice = (text, options) => {
+    if (!text) {
+        return null;
+    }
+    const value = text.toLowerCase().replace(/[\s-]+/g, '_');
+    return options.includes(value) ? value : undefined;
+};
+
+/**
+ * Yes/no cell
+ * @param {String} text - Cell text
+ * @param {Boolean} fallback - Value of an empty cell
+ * @returns {Boolean|undefined} - undefined when the text is not a yes or no
+ */
+const parseBoolean = (text, fallback) => {
+    if (!text) {
+        return fallback;
+    }
+    const value = text.toLowerCase();
+    if (['yes', 'y', 'true', '1'].includes(value)) {
+        return true;
+    }
+    if (['no', 'n', 'false', '0'].includes(value)) {
+        return false;
+    }
+    return undefined;
+};
+
+/**
+ * Non-negative number cell
+ * @param {String} text - Cell text
+ * @param {Object} options - { integer: whole numbers only, positive: zero not allowed }
+ * @returns {Number|null|undefined} - null when empty, undefined when not a valid number
+ */
+const parseNumber = (text, { integer = false, positive = false } = {}) => {
+    if (!text) {
+        return null;
+    }
+    const number = Number(text.replace(/,/g, ''));
+    if (isNaN(number) || number < 0 || (positive && number === 0) || (integer && !Number.isInteger(number))) {
+        return undefined;
+    }
+    return number;
+};
+
+/**
+ * Image files in a ZIP archive, by lower-cased path and by lower-cased file name. A file name
+ * shared by files in different folders maps to null, and can only be referred to by its path.
+ * Archives with more than MAX_ZIP_ENTRIES files or images unpacking to more than MAX_ZIP_BYTES
+ * are rejected.
+ * @param {Buffer} buffer - ZIP file
+ * @returns {Promise<Map>} - name => { name, buffer } or null
+ */
+const unzipImages = (buffer) => {
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipFile) => {
+            if (error) {
+                return reject(new Error('The images file is not a valid ZIP archive'));
+            }
+            if (zipFile.entryCount > MAX_ZIP_ENTRIES) {
+                zipFile.close();
+                return reject(new Error(`The images ZIP can have at most ${MAX_ZIP_ENTRIES} files, this one has ${zipFile.entryCount}`));
+            }
+            
+            const images = new Map();
+            // yauzl checks each entry unpacks to the size it declares
+            let totalBytes = 0;
+            zipFile.on('entry', entry => {
+                const name = entry.fileName;
+                const extension = path.extname(name).toLowerCase();
+                const skip = name.endsWith('/')
+                    || name.startsWith('__MACOSX/')
+                    || path.basename(name).startsWith('.')
+                    || !IMAGE_EXTENSIONS.includes(extension)
+                    || entry.uncompressedSize > MAX_IMAGE_BYTES;
+                if (skip) {
+                    return zipFile.readEntry();
+                }
+                totalBytes += entry.uncompressedSize;
+                if (totalBytes > MAX_ZIP_BYTES) {
+                    zipFile.close();
+                    return reject(new Error(`The images in the ZIP can add up to at most ${MAX_ZIP_BYTES / 1024 / 1024} MB`));
+                }
+                
+                zipFile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) {
+                        return reject(streamError);
+                    }
+                    const chunks = [];
+                    stream.on('data', chunk => chunks.push(chunk));
+                    stream.on('error', reject);
+                    stream.on('end', () => {
+                        const image = { name, buffer: Buffer.concat(chunks) };
+                        const baseName = path.basename(name).toLowerCase();
+                        images.set(name.toLowerCase(), image);
+                        images.set(baseName, images.has(baseName) && images.get(baseName) !== image ? null : image);
+                        zipFile.readEntry();
+                    });
+                });
+            });
+            zipFile.on('end', () => resolve(images));
+            zipFile.on('error', reject);
+            zipFile.readEntry();
+        });
+    });
+};
+
+/**
+ * Image a cell refers to, by its path in the ZIP or its file name. Urls from an export match on
+ * their file name.
+ * @param {String} reference - Cell text
+ * @param {Map|null} images - See unzipImages
+ * @returns {Object} - { image } or { error }
+ */
+const findImage = (reference, images) => {
+    if (!images) {
+        return { error: `image ${reference} needs a ZIP of the images to be uploaded with the file` };
+    }
+    const key = reference.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+    const image = images.has(key) ? images.get(key) : images.get(path.posix.basename(key));
+    if (image === null) {
+        return { error: `image ${reference} matches more than one file in the ZIP, use its folder path` };
+    }
+    return image ? { image } : { error: `image ${reference} is not in the ZIP` };
+};
+
+/**
+ * Save an image from an import next to the other product uploads and run it through the
+ * upload pipeline
+ * @param {Object} image - { name, buffer } from the ZIP
+ * @param {Object} watermark - Watermark of the seller, or null
+ * @param {Array} written - Files written so far, added to
+ * @returns {Promise<Object>} - { url, imageMeta }
+ */
+const saveImage = async (image, watermark, written) => {
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(image.name).toLowerCase()}`;
+    const filePath = path.join(PRODUCT_UPLOADS_DIR, fileName);
+    await fs.promises.writeFile(filePath, image.buffer);
+    written.push({ filePath, imageMeta: null });
+    const imageMeta = await ImageService.process(filePath, { watermark });
+    written[written.length - 1].imageMeta = imageMeta;
+    return { url: `/uploads/products/${fileName}`, imageMeta };
+};
+
+class CatalogService {
+    /**
+     * Rows of an uploaded CSV or XLSX file (first worksheet), keyed by column
+     * @param {Object} file - Multer file kept in memory
+     * @returns {Promise<Object>} - { columns: column keys found, rows: [{ row: row number, values }] }
+     */
+    static async readSheet(file) {
+        const extension = path.extname(file.originalname).toLowerCase();
+        const workbook = new ExcelJS.Workbook();
+        let worksheet;
+        if (extension === '.csv') {
+            // Values are kept as text so SKUs like 0012 keep their zeros
+            worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+        } else if (extension === '.xlsx') {
+            await workbook.xlsx.load(file.buffer);
+            worksheet = workbook.worksheets[0];
+        } else {
+            throw new Error('Please upload a .csv or .xlsx file');
+        }
+        if (!worksheet || worksheet.rowCount === 0) {
+            return { columns: [], rows: [] };
+        }
+        
+        const columns = [];
+        worksheet.getRow(1).eachCell((cell, columnNumber) => {
+            columns[columnNumber] = toColumnKey(cellText(cell.value));
+        });
+        
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) {
+                return;
+            }
+            const values = {};
+            row.eachCell((cell, columnNumber) => {
+                if (columns[columnNumber]) {
+                    values[columns[columnNumber]] = cellText(cell.value);
+                }
+            });
+            if (Object.values(values).some(Boolean)) {
+                rows.push({ row: rowNumber, values });
+            }
+        });
+        
+        return { columns: columns.filter(Boolean), rows };
+    }
+
+    /**
+     * Images uploaded with an import file
+     * @param {Object} file - Multer file kept in memory
+     * @returns {Promise<Map>} - File name => { name, buffer }, see unzipImages
+     */
+    static async readImageArchive(file) {
+        if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+            throw new Error('Please upload the images as a .zip file');
+        }
+        return unzipImages(file.buffer);
+    }
+
+    /**
+     * Check an import file without saving anything. Products with any problem on one of their
+     * rows are left out of the import; a product is a duplicate when the file or the seller's
+     * catalog already has one with the same title and artist.
+     * @param {Object} sheet - See readSheet
+     * @param {Object} options - { seller: user importing, images: see readImageArchive, or null }
+     * @returns {Promise<Object>} - { rows, products: ready to import, issues: [{ row, type:
+     * 'error'|'duplicate', message }] }
+     */
+    static async validateImport(sheet, { seller, images = null }) {
+        const report = { rows: sheet.rows.length, products: [], issues: [] };
+        
+        const missing = REQUIRED_COLUMNS.filter(key => !sheet.columns.includes(key));
+        if (missing.length > 0) {
+            report.issues.push({ row: 1, type: 'error', message: `Missing column(s): ${missing.join(', ')}` });
+            return report;
+        }
+        if (sheet.rows.length === 0) {
+            report.issues.push({ row: null, type: 'error', message: 'The file has no product rows' });
+            return report;
+        }
+        if (sheet.rows.length > MAX_ROWS) {
+            report.issues.push({ row: null, type: 'error', message: `Files can have at most ${MAX_ROWS} rows, this one has ${sheet.rows.length}` });
+            return report;
+        }
+        
+        // Rows of one product, in the order the products first appear
+        const groups = new Map();
+        sheet.rows.forEach(({ row, values }) => {
+            const key = values.product_key ? `key:${values.product_key.toLowerCase()}` : `row:${row}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push({ row, values });
+        });
+        
+        const categories = await Category.find({ isActive: true }).select('name slug');
+        const findCategory = (text) => categories.find(category =>
+            category.name.toLowerCase() === text.toLowerCase() || category.slug === text.toLowerCase());
+        
+        const existing = await Product.find({ seller: seller._id }).select('title artistName');
+        const catalogKeys = new Set(existing.map(product => `${product.title.trim().toLowerCase()}|${product.artistName.trim().toLowerCase()}`));
+        
+        const fileSkus = sheet.rows.map(({ values }) => (values.variant_sku || '').toUpperCase()).filter(Boolean);
+        const usedSkus = new Set();
+        if (fileSkus.length > 0) {
+            const products = await Product.find({ 'variants.sku': { $in: fileSkus } }).select('variants.sku');
+            products.forEach(product => product.variants.forEach(variant => usedSkus.add(variant.sku)));
+        }
+        
+        const seenProducts = new Map();
+        const seenSkus = new Map();
+        
+        groups.forEach(groupRows => {
+            const issues = [];
+            const error = (row, message) => issues.push({ row, type: 'error', message });
+            const { row, values } = groupRows[0];
+            
+            ['title', 'artist_name', 'description', 'image'].forEach(key => {
+                if (!values[key]) {
+                    error(row, `${key} is required`);
+                }
+            });
+            
+            const product = {
+                title: values.title,
+                artistName: values.artist_name,
+                description: values.description,
+                category: null,
+                dimensions: {},
+                dominantColors: [],
+                hsnCode: DEFAULT_HSN_CODE,
+                variants: []
+            };
+            
+            const price = parseNumber(values.price);
+            const stock = parseNumber(values.stock, { integer: true });
+            if (price === undefined) {
+                error(row, `price "${values.price}" is not a valid amount`);
+            }
+            if (stock === undefined) {
+                error(row, `stock "${values.stock}" is not a whole number`);
+            }
+            product.price = price;
+            product.stock = stock === null ? 1 : stock;
+            
+            const lowStockThreshold = parseNumber(values.low_stock_threshold, { integer: true });
+            if (lowStockThreshold === undefined) {
+                error(row, `low_stock_threshold "${values.low_stock_threshold}" is not a whole number`);
+            }
+            product.lowStockThreshold = lowStockThreshold || 0;
+            
+            if (values.category) {
+                const category = findCategory(values.category);
+                if (category) {
+                    product.category = category._id;
+                } else {
+                    error(row, `category "${values.category}" does not exist`);
+                }
+            }
+            
+            [['medium', MEDIUMS], ['style', STYLES], ['orientation', ORIENTATIONS]].forEach(([key, options]) => {
+                const value = parseChoice(values[key], options);
+                if (value === undefined) {
+                    error(row, `${key} "${values[key]}" is not one of ${options.join(', ')}`);
+                }
+                product[key] = value || null;
+            });
+            
+            [['width', 'width_cm'], ['height', 'height_cm'], ['depth', 'depth_cm']].forEach(([field, key]) => {
+                const value = parseNumber(values[key], { positive: true });
+                if (value === undefined) {
+                    error(row, `${key} "${values[key]}" is not a valid measurement`);
+                }
+                product.dimensions[field] = value || null;
+            });
+            product.weight = parseNumber(values.weight_kg, { positive: true });
+            if (product.weight === undefined) {
+                error(row, `weight_kg "${values.weight_kg}" is not a valid weight`);
+            }
+            
+            (values.colors || '').split(/[;,]/).map(color => color.trim().toLowerCase()).filter(Boolean).forEach(color => {
+                if (!COLORS.includes(color)) {
+                    error(row, `color "${color}" is not one of ${COLORS.join(', ')}`);
+                } else if (!product.dominantColors.includes(color)) {
+                    product.dominantColors.push(color);
+                }
+            });
+            
+            if (values.hsn_code) {
+                if (HSN_CODES.some(hsn => hsn.code === values.hsn_code)) {
+                    product.hsnCode = values.hsn_code;
+                } else {
+                    error(row, `hsn_code "${values.hsn_code}" is not one of ${HSN_CODES.map(hsn => hsn.code).join(', ')}`);
+                }
+            }
+            
+            if (values.image) {
+                const found = findImage(values.image, images);
+                if (found.error) {
+                    error(row, found.error);
+                }
+                product.image = found.image;
+            }
+            
+            // Every row of a product with variants is one variant
+            const hasVariants = groupRows.some(({ values: rowValues }) => VARIANT_COLUMNS.some(key => rowValues[key]));
+            if (hasVariants) {
+                groupRows.forEach(({ row: variantRow, values: rowValues }) => {
+                    const variant = {
+                        sku: rowValues.variant_sku ? rowValues.variant_sku.toUpperCase() : undefined,
+                        name: rowValues.variant_name,
+                        size: rowValues.variant_size || '',
+                        framed: parseBoolean(rowValues.variant_framed, false),
+                        price: parseNumber(rowValues.variant_price),
+                        stock: parseNumber(rowValues.variant_stock, { integer: true }),
+                        isActive: parseBoolean(rowValues.variant_active, true),
+                        image: null
+                    };
+                    
+                    if (variant.price === null || variant.price === undefined) {
+                        error(variantRow, `variant_price "${rowValues.variant_price || ''}" is not a valid amount`);
+                    }
+                    if (variant.stock === undefined) {
+                        error(variantRow, `variant_stock "${rowValues.variant_stock}" is not a whole number`);
+                    }
+                    if (variant.framed === undefined || variant.isActive === undefined) {
+                        error(variantRow, 'variant_framed and variant_active must be yes or no');
+                    }
+                    variant.stock = variant.stock || 0;
+                    if (!variant.name) {
+                        variant.name = [variant.size, variant.framed ? 'Framed' : 'Unframed'].filter(Boolean).join(' - ');
+                    }
+                    
+                    if (variant.sku) {
+                        if (usedSkus.has(variant.sku)) {
+                            issues.push({ row: variantRow, type: 'duplicate', message: `variant_sku ${variant.sku} is already used by a product in the catalog` });
+                        } else if (seenSkus.has(variant.sku)) {
+                            issues.push({ row: variantRow, type: 'duplicate', message: `variant_sku ${variant.sku} is also used on row ${seenSkus.get(variant.sku)}` });
+                        } else {
+                            seenSkus.set(variant.sku, variantRow);
+                        }
+                    }
+                    
+                    if (rowValues.variant_image) {
+                        const found = findImage(rowValues.variant_image, images);
+                        if (found.error) {
+                            error(variantRow, `variant_${found.error}`);
+                        }
+                        variant.image = found.image || null;
+                    }
+                    product.variants.push(variant);
+                });
+                // Replaced by the lowest variant price when the product is saved
+                product.price = product.price || 0;
+            } else if (price === null) {
+                error(row, 'price is required for a product without variants');
+            }
+            
+            if (product.title && product.artistName) {
+                const key = `${product.title.toLowerCase()}|${product.artistName.toLowerCase()}`;
+                if (catalogKeys.has(key)) {
+                    issues.push({ row, type: 'duplicate', message: `${product.title} by ${product.artistName} is already in the catalog` });
+                } else if (seenProducts.has(key)) {
+                    issues.push({ row, type: 'duplicate', message: `${product.title} by ${product.artistName} is also on row ${seenProducts.get(key)}` });
+                } else {
+                    seenProducts.set(key, row);
+                }
+            }
+            
+            if (issues.length > 0) {
+                report.issues.push(...issues);
+            } else {
+                report.products.push({ rows: groupRows.map(groupRow => groupRow.row), product });
+            }
+        });
+        
+        report.issues.sort((a, b) => (a.row || 0) - (b.row || 0));
+        return report;
+    }
+
+    /**
+     * Create the products that passed validateImport. They wait for approval like products
+     * submitted through the form.
+     * @param {Object} report - See validateImport
+     * @param {Object} options - { seller: user importing, watermark: drawn on the images, or null }
+     * @returns {Promise<Object>} - { created: products saved, failed: [{ row, message }] }
+     */
+    static async importProducts(report, { seller, watermark = null }) {
+        const result = { created: [], failed: [] };
+        
+        for (const { rows, product } of report.products) {
+            const written = [];
+            try {
+                const mainImage = await saveImage(product.image, watermark, written);
+                const variants = [];
+                for (const variant of product.variants) {
+                    const variantImage = variant.image ? await saveImage(variant.image, watermark, written) : null;
+                    variants.push({ ...variant, image: variantImage ? variantImage.url : null });
+                }
+                
+                const created = await Product.create({
+                    ...product,
+                    image: mainImage.url,
+                    imageMeta: mainImage.imageMeta,
+                    variants,
+                    seller: seller._id,
+                    status: 'pending'
+                });
+                result.created.push(created);
+            } catch (error) {
+                console.error(`Error importing product from row ${rows[0]}:`, error.message);
+                written.forEach(({ filePath, imageMeta }) => {
+                    ImageService.removeVariants(imageMeta);
+                    ImageService.removeUpload(filePath);
+                });
+                result.failed.push({ row: rows[0], message: error.message });
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Products as an import file, one row per product or per variant
+     * @param {Object} filter - Products to export
+     * @param {String} format - csv or xlsx
+     * @returns {Promise<Object>} - { buffer, contentType, extension }
+     */
+    static async exportProducts(filter, format = 'csv') {
+        const extension = FORMATS[format] ? format : 'csv';
+        const products = await Product.find(filter).populate('category', 'name').sort({ createdAt: -1 });
+        
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Products');
+        worksheet.columns = COLUMNS.map(column => ({ header: column.key, key: column.key, width: 18 }));
+        
+        products.forEach(product => {
+            const dimensions = product.dimensions || {};
+            const productValues = {
+                product_key: product._id.toString(),
+                title: product.title,
+                artist_name: product.artistName,
+                description: product.description,
+                price: product.price,
+                stock: product.stock,
+                low_stock_threshold: product.lowStockThreshold || 0,
+                category: product.category ? product.category.name : '',
+                medium: product.medium || '',
+                style: product.style || '',
+                orientation: product.orientation || '',
+                width_cm: dimensions.width || '',
+                height_cm: dimensions.height || '',
+                depth_cm: dimensions.depth || '',
+                weight_kg: product.weight || '',
+                colors: (product.dominantColors || []).join(';'),
+                hsn_code: product.hsnCode || '',
+                image: product.image
+            };
+            
+            const variantRows = (product.variants || []).map(variant => ({
+                variant_name: variant.name,
+                variant_sku: variant.sku,
+                variant_size: variant.size || '',
+                variant_framed: variant.framed ? 'yes' : 'no',
+                variant_price: variant.price,
+                variant_stock: variant.stock,
+                variant_image: variant.image || '',
+                variant_active: variant.isActive ? 'yes' : 'no'
+            }));
+            
+            (variantRows.length > 0 ? variantRows : [{}]).forEach(variantValues => {
+                const values = { ...productValues, ...variantValues };
+                if (extension === 'csv') {
+                    Object.keys(values).forEach(key => {
+                        values[key] = escapeFormula(values[key]);
+                    });
+                }
+                worksheet.addRow(values);
+            });
+        });
+        
+        const buffer = extension === 'xlsx'
+            ? await workbook.xlsx.writeBuffer()
+            : await workbook.csv.writeBuffer();
+        return { buffer: Buffer.from(buffer), contentType: FORMATS[extension].contentType, extension };
+    }
+}
+
+CatalogService.COLUMNS = COLUMNS;
+CatalogService.MAX_ROWS = MAX_ROWS;
+
+module.exports = CatalogService; 
\ No newline at end of file
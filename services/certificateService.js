@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Certificate = require('../models/Certificate');
+const Product = require('../models/Product');
+const ImageService = require('./imageService');
+const { BUSINESS } = require('../utils/tax');
+const { formatLabel } = require('../utils/productAttributes');
+
+// Key certificates are signed with. Anyone knowing a default could forge certificates, so
+// production refuses to start without one being configured.
+const SECRET = process.env.CERTIFICATE_SECRET || process.env.SESSION_SECRET
+    || (process.env.NODE_ENV === 'production' ? null : 'certificate_secret');
+if (!SECRET) {
+    throw new Error('CERTIFICATE_SECRET or SESSION_SECRET must be set to sign certificates of authenticity');
+}
+
+// Mediums that are reproductions, whose sales never get a certificate
+const REPRODUCTION_MEDIUMS = ['print', 'digital'];
+
+// Fulfilment statuses from which an order's artworks count as sold
+const SOLD_STATUSES = ['approved', 'in_transit', 'delivered'];
+
+// Serial characters, leaving out I, L, O and U which are easily misread
+const SERIAL_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const CERTIFICATE_DIR = path.join(__dirname, '../public/uploads/certificates');
+
+// Id of a reference whether or not it has been populated
+const refId = value => (value && value._id ? value._id : value);
+
+/**
+ * New random serial, e.g. COA-7K3M-9Q2X-H4PD
+ * @returns {String}
+ */
+const generateSerial = () => {
+    const characters = [...crypto.randomBytes(12)].map(byte => SERIAL_ALPHABET[byte % SERIAL_ALPHABET.length]).join('');
+    return `COA-${characters.match(/.{4}/g).join('-')}`;
+};
+
+/**
+ * HMAC of everything the certificate vouches for
+ * @param {Object} certificate - Certificate document or fields
+ * @returns {String} - Hex signature
+ */
+const sign = (certificate) => {
+    const dimensions = certificate.dimensions || {};
+    const text = JSON.stringify([
+        certificate.serial,
+        certificate.source,
+        String(refId(certificate.buyer)),
+        String(refId(certificate.seller) || ''),
+        certificate.title,
+        certificate.artistName,
+        certificate.medium || '',
+        dimensions.width || null,
+        dimensions.height || null,
+        dimensions.depth || null,
+        new Date(certificate.saleDate).toISOString()
+    ]);
+    return crypto.createHmac('sha256', SECRET).update(text).digest('hex');
+};
+
+/**
+ * Whether an order item is an original artwork rather than a reproduction. Prints and digital
+ * works never are; of a product sold in variants, only variants named as the original are.
+ * @param {Object} product - Product document
+ * @param {Object} item - Order item
+ * @returns {Boolean}
+ */
+const isOriginalItem = (product, item) => {
+    if (!product || REPRODUCTION_MEDIUMS.includes(product.medium)) {
+        return false;
+    }
+    return !item.variant || /original/i.test(item.variantName || '');
+};
+
+/**
+ * Dimensions as printed, e.g. 60 x 90 x 3 cm
+ * @param {Object} dimensions - { width, height, depth } in cm
+ * @returns {String}
+ */
+const formatDimensions = (dimensions = {}) => {
+    const sides = [dimensions.width, dimensions.height, dimensions.depth].filter(Boolean);
+    return sides.length >= 2 ? `${sides.join(' x ')} cm` : '';
+};
+
+class CertificateService {
+    /**
+     * Issue a certificate, keeping a copy of the artwork image with it
+     * @param {Object} fields - Certificate fields, with imageUrl for the artwork image
+     * @returns {Promise<Object>} - Certificate document; the existing one when it was issued
+     * by another request at the same time
+     */
+    static async issue({ imageUrl, ...fields }) {
+        const serial = generateSerial();
+        
+        let image = null;
+        try {
+            image = await ImageService.saveJpegCopy(imageUrl, path.join(CERTIFICATE_DIR, `${serial}.jpg`));
+        } catch (error) {
+            console.error(`Error copying the image of certificate ${serial}:`, error.message);
+        }
+        
+        const certificate = new Certificate({ ...fields, serial, image });
+        certificate.signature = sign(certificate);
+        
+        try {
+            return await certificate.save();
+        } catch (error) {
+            if (image) {
+                ImageService.removeUpload(path.join(CERTIFICATE_DIR, `${serial}.jpg`));
+            }
+            if (error.code !== 11000) throw error;
+            return fields.source === 'order'
+                ? Certificate.findOne({ order: fields.order, orderItem: fields.orderItem, unit: fields.unit })
+                : Certificate.findOne({ customRequest: fields.customRequest });
+        }
+    }
+
+    /**
+     * Issue the missing certificates of the originals in an order's approved, shipped and
+     * delivered items, one per piece. Certificates that were revoked are not issued again.
+     * @param {Object} order - Order document
+     * @returns {Promise<Array>} - Every certificate of the order
+     */
+    static async ensureForOrder(order) {
+        const items = order.fulfilments
+            .filter(fulfilment => SOLD_STATUSES.includes(fulfilment.status))
+            .flatMap(fulfilment => order.getFulfilmentItems(fulfilment));
+        
+        if (items.length > 0) {
+            const products = await Product.find({ _id: { $in: items.map(item => refId(item.product)) } })
+                .select('title artistName image medium dimensions variants');
+            const productsById = new Map(products.map(product => [product._id.toString(), product]));
+            const existing = await Certificate.find({ order: order._id }).select('orderItem unit');
+            const issued = new Set(existing.map(certificate => `${certificate.orderItem}-${certificate.unit}`));
+            
+            for (const item of items) {
+                const product = productsById.get(String(refId(item.product)));
+                if (!isOriginalItem(product, item)) {
+                    continue;
+                }
+                const variant = item.variant ? product.variants.id(item.variant) : null;
+                
+                for (let unit = 1; unit <= item.quantity; unit++) {
+                    if (issued.has(`${item._id}-${unit}`)) {
+                        continue;
+                    }
+                    await this.issue({
+                        source: 'order',
+                        order: order._id,
+                        orderItem: item._id,
+                        unit,
+                        product: product._id,
+                        buyer: refId(order.user),
+                        seller: refId(item.seller) || null,
+                        title: item.title || product.title,
+                        artistName: item.artistName || product.artistName,
+                        imageUrl: (variant && variant.image) || product.image,
+                        medium: product.medium,
+                        dimensions: product.dimensions,
+                        saleDate: order.createdAt
+                    });
+                }
+            }
+        }
+        
+        return Certificate.find({ order: order._id }).sort({ issuedAt: 1, unit: 1 });
+    }
+
+    /**
+     * Issue the certificate of a commissioned artwork when it is shipped
+     * @param {Object} request - CustomRequest document
+     * @param {Object} bid - Accepted bid with seller populated (name)
+     * @param {Object} artwork - { imageUrl: photo of the finished artwork, medium, dimensions }
+     * @returns {Promise<Object>} - Certificate document
+     */
+    static async issueForCustomRequest(request, bid, { imageUrl = null, medium = null, dimensions = {} } = {}) {
+        const existing = await Certificate.findOne({ customRequest: request._id });
+        if (existing) {
+            return existing;
+        }
+        
+        return this.issue({
+            source: 'custom_request',
+            customRequest: request._id,
+            buyer: refId(request.user),
+            seller: refId(bid.seller),
+            title: request.title,
+            artistName: bid.seller.name,
+            imageUrl,
+            medium,
+            dimensions,
+            saleDate: (request.payment && request.payment.paidAt) || new Date()
+        });
+    }
+
+    /**
+     * Revoke the certificates of cancelled fulfilments
+     * @param {Object} order - Order document
+     * @param {Array} fulfilments - Cancelled fulfilment subdocuments
+     * @param {String} reason - Shown on the verification page
+     * @returns {Promise<Number>} - Certificates revoked
+     */
+    static async revokeForFulfilments(order, fulfilments, reason) {
+        const itemIds = fulfilments.flatMap(fulfilment => order.getFulfilmentItems(fulfilment)).map(item => item._id);
+        const result = await Certificate.updateMany(
+            { order: order._id, orderItem: { $in: itemIds }, status: 'valid' },
+            { status: 'revoked', revokedAt: new Date(), revokedReason: reason }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Revoke the certificates of returned pieces, the last issued of each item first
+     * @param {ObjectId} orderId - Order id
+     * @param {Array} items - [{ orderItem, quantity }]
+     * @param {String} reason - Shown on the verification page
+     * @returns {Promise<Number>} - Certificates revoked
+     */
+    static async revokeForItems(orderId, items, reason) {
+        let revoked = 0;
+        for (const { orderItem, quantity } of items) {
+            const certificates = await Certificate.find({ order: orderId, orderItem, status: 'valid' })
+                .sort({ unit: -1 })
+                .limit(quantity)
+                .select('_id');
+            const result = await Certificate.updateMany(
+                { _id: { $in: certificates.map(certificate => certificate._id) } },
+                { status: 'revoked', revokedAt: new Date(), revokedReason: reason }
+            );
+            revoked += result.modifiedCount;
+        }
+        return revoked;
+    }
+
+    /**
+     * Whether a certificate is still valid and its details are the ones it was signed with
+     * @param {Object} certificate - Certificate document
+     * @returns {Boolean}
+     */
+    static isGenuine(certificate) {
+        const expected = Buffer.from(sign(certificate), 'hex');
+        const actual = Buffer.from(certificate.signature || '', 'hex');
+        return certificate.status === 'valid' && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Short code printed on the certificate and shown on its verification page, so the two can
+     * be compared
+     * @param {Object} certificate - Certificate document
+     * @returns {String} - e.g. 3F2A-9C1B-77D0-E4A5
+     */
+    static getVerificationCode(certificate) {
+        return certificate.signature.slice(0, 16).toUpperCase().match(/.{4}/g).join('-');
+    }
+
+    /**
+     * Public page confirming a certificate, linked from its QR code
+     * @param {Object} certificate - Certificate document
+     * @returns {String} - Url
+     */
+    static getVerifyUrl(certificate) {
+        return `${process.env.BASE_URL}/verify/${certificate.serial}`;
+    }
+
+    /**
+     * File name for a certificate download
+     * @param {Object} certificate - Certificate document
+     * @returns {String} - File name
+     */
+    static getFileName(certificate) {
+        return `certificate-${certificate.serial}.pdf`;
+    }
+
+    /**
+     * Write a certificate as PDF
+     * @param {Object} certificate - Certificate document
+     * @param {Stream} output - Writable stream, e.g. the Express response
+     */
+    static async renderCertificate(certificate, output) {
+        const verifyUrl = this.getVerifyUrl(certificate);
+        const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+        
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+        doc.pipe(output);
+        
+        const width = doc.page.width;
+        const height = doc.page.height;
+        
+        // Frame
+        doc.lineWidth(3).strokeColor('#8a6d3b').rect(20, 20, width - 40, height - 40).stroke();
+        doc.lineWidth(1).rect(28, 28, width - 56, height - 56).stroke();
+        doc.strokeColor('black');
+        
+        doc.fillColor('#333333').font('Helvetica-Bold').fontSize(28)
+            .text('Certificate of Authenticity', 50, 55, { align: 'center', width: width - 100 });
+        doc.font('Helvetica').fontSize(11).fillColor('#777777')
+            .text(BUSINESS.name, { align: 'center', width: width - 100 });
+        
+        // Artwork image on the left, details on the right
+        const top = 130;
+        const imageFile = certificate.image ? path.join(CERTIFICATE_DIR, path.basename(certificate.image)) : null;
+        let detailsX = 60;
+        if (imageFile && fs.existsSync(imageFile)) {
+            doc.image(imageFile, 60, top, { fit: [300, 300], align: 'center', valign: 'center' });
+            detailsX = 390;
+        }
+        const detailsWidth = width - detailsX - 60;
+        
+        const details = [
+            ['Title', certificate.title],
+            ['Artist', certificate.artistName],
+            ['Medium', formatLabel(certificate.medium)],
+            ['Dimensions', formatDimensions(certificate.dimensions)],
+            ['Date of Sale', new Date(certificate.saleDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })],
+            ['Serial Number', certificate.serial]
+        ].filter(([, value]) => value);
+        
+        doc.y = top;
+        details.forEach(([label, value]) => {
+            doc.x = detailsX;
+            doc.font('Helvetica').fontSize(9).fillColor('#777777').text(label.toUpperCase(), { width: detailsWidth });
+            doc.x = detailsX;
+            doc.font('Helvetica-Bold').fontSize(14).fillColor('#333333').text(value, { width: detailsWidth });
+            doc.moveDown(0.6);
+        });
+        
+        doc.x = detailsX;
+        doc.font('Helvetica').fontSize(10).fillColor('#333333')
+            .text(`This certifies that the artwork described here is an original work by ${certificate.artistName}, sold through ${BUSINESS.name}.`, { width: detailsWidth });
+        
+        if (certificate.status === 'revoked') {
+            doc.moveDown(0.6);
+            doc.x = detailsX;
+            doc.font('Helvetica-Bold').fontSize(14).fillColor('#c0392b').text('REVOKED', { width: detailsWidth });
+        }
+        
+        // Signature and QR code along the bottom
+        const bottom = height - 150;
+        doc.image(qrCode, width - 160, bottom, { width: 95 });
+        doc.font('Helvetica').fontSize(8).fillColor('#777777')
+            .text('Scan to verify', width - 160, bottom + 98, { width: 95, align: 'center' });
+        
+        doc.font('Helvetica').fontSize(9).fillColor('#777777')
+            .text('VERIFICATION CODE', 60, bottom + 20);
+        doc.font('Courier-Bold').fontSize(14).fillColor('#333333')
+            .text(this.getVerificationCode(certificate), 60, bottom + 33);
+        doc.font('Helvetica').fontSize(8).fillColor('#777777')
+            .text(`Digitally signed by ${BUSINESS.name} on ${new Date(certificate.issuedAt).toLocaleDateString('en-IN')}. Check this certificate at ${verifyUrl}`, 60, bottom + 55, { width: width - 260 });
+        
+        doc.end();
+    }
+}
+
+CertificateService.SOLD_STATUSES = SOLD_STATUSES;
+
+module.exports = CertificateService; 
\ No newline at end of file
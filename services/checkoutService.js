@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const InventoryService = require('./inventoryService');
+const CouponService = require('./couponService');
+const InvoiceService = require('./invoiceService');
+const ShippingService = require('./shippingService');
+const OrderLifecycleService = require('./orderLifecycleService');
+const CartRecoveryService = require('./cartRecoveryService');
+const { allocateDiscount, calculateTax, round2 } = require('../utils/tax');
+
+/**
+ * Checkout failure that is safe to show to the buyer
+ */
+class CheckoutError extends Error {
+    constructor(message, redirectTo = '/shop/checkout', reason = null) {
+        super(message);
+        this.name = 'CheckoutError';
+        this.redirectTo = redirectTo;
+        // e.g. 'coupon' when the applied coupon should be dropped
+        this.reason = reason;
+    }
+}
+
+class CheckoutService {
+    /**
+     * Work out what a cart costs: items, coupon discount, GST and shipping.
+     * Shipping is left out (null) until the delivery pincode is known.
+     * @param {Object} cart - Cart with items.product populated
+     * @param {Object} options - { applied: coupon evaluation from CouponService, shippingAddress, paymentMethod }
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<Object>} - { subtotal, discount, tax, shipping, total }
+     */
+    static async calculateTotals(cart, { applied = null, shippingAddress = {}, paymentMethod = null } = {}, session = null) {
+        const items = cart.items.filter(item => item.product);
+        
+        // Each line is taxed from its seller's state
+        const sellerIds = [...new Set(items.map(item => item.product.seller).filter(Boolean).map(String))];
+        const sellers = await User.find({ _id: { $in: sellerIds } }).select('taxProfile').session(session);
+        const sellerStates = new Map(sellers.map(seller => [seller._id.toString(), seller.taxProfile && seller.taxProfile.state]));
+        
+        const lineAmounts = items.map(item => item.price * item.quantity);
+        const subtotal = round2(lineAmounts.reduce((sum, amount) => sum + amount, 0));
+        const discount = applied && applied.valid ? applied.discount : 0;
+        
+        // The discount only lowers the taxable value of the items the coupon covers
+        const discounts = allocateDiscount(
+            items.map((item, index) => (!applied || applied.eligibleItemIds.includes(item._id.toString()) ? lineAmounts[index] : 0)),
+            discount
+        );
+        
+        const tax = calculateTax(items.map((item, index) => ({
+            description: item.variantName ? `${item.product.title} (${item.variantName})` : item.product.title,
+            hsnCode: item.product.hsnCode,
+            amount: lineAmounts[index] - discounts[index],
+            supplierState: item.product.seller ? sellerStates.get(item.product.seller.toString()) : null
+        })), { placeOfSupply: shippingAddress.state, country: shippingAddress.country });
+        
+        // Shipping is billed as its own line and is not part of the taxable value of the items
+        const shipping = shippingAddress.postalCode
+            ? await ShippingService.quote(cart, { shippingAddress, paymentMethod, orderValue: subtotal - discount }, session)
+            : null;
+        
+        return {
+            subtotal,
+            discount,
+            tax,
+            shipping,
+            total: round2(subtotal - discount + tax.totalTax + (shipping ? shipping.amount : 0))
+        };
+    }
+    
+    /**
+     * Turn the buyer's cart into an order in a single transaction.
+     * Stock is taken conditionally, so the order, stock changes and cart
+     * removal either all happen or none of them do.
+     * @param {Object} user - Buyer
+     * @param {Object} orderDetails - { shippingAddress, paymentMethod, couponCode }
+     * @returns {Promise<Object>} - { order, cart } where cart is the checked-out cart
+     */
+    static async placeOrder(user, { shippingAddress, paymentMethod, couponCode = null }) {
+        const session = await mongoose.startSession();
+        let order = null;
+        let checkedOutCart = null;
+        
+        try {
+            // withTransaction retries the callback on transient errors, so it must not keep state between runs
+            await session.withTransaction(async () => {
+                const cart = await Cart.findOne({ user: user._id })
+                    .populate('items.product')
+                    .session(session);
+                
+                if (!cart || cart.items.length === 0) {
+                    throw new CheckoutError('Your cart is empty', '/shop/cart');
+                }
+                
+                if (cart.items.some(item => !item.product)) {
+                    throw new CheckoutError('Some items in your cart are no longer available', '/shop/cart');
+                }
+                
+                for (const item of cart.items) {
+                    const committed = await InventoryService.commitStock(item, user._id, session);
+                    if (!committed) {
+                        const title = item.variantName ? `${item.product.title} (${item.variantName})` : item.product.title;
+                        throw new CheckoutError(`Sorry, there is no longer enough stock of "${title}" for your order`, '/shop/cart');
+                    }
+                }
+                
+                // The coupon is checked again here, against the cart being ordered
+                let applied = null;
+                if (couponCode) {
+                    applied = await CouponService.applyCode(couponCode, cart, user._id, session);
+                    if (!applied.valid) {
+                        throw new CheckoutError(applied.message, '/shop/checkout', 'coupon');
+                    }
+                    if (!await CouponService.redeem(applied.coupon, session)) {
+                        throw new CheckoutError(`Coupon ${applied.coupon.code} has reached its usage limit`, '/shop/checkout', 'coupon');
+                    }
+                }
+                const coupon = applied ? applied.coupon : null;
+                const totals = await this.calculateTotals(cart, { applied, shippingAddress, paymentMethod }, session);
+                if (!totals.shipping.available) {
+                    throw new CheckoutError(totals.shipping.message);
+                }
+                
+                order = new Order({
+                    user: user._id,
+                    items: cart.items.map(item => ({
+                        product: item.product._id,
+                        title: item.product.title,
+                        artistName: item.product.artistName || 'Unknown Artist',
+                        variant: item.variant || null,
+                        variantName: item.variantName || '',
+                        sku: item.sku || null,
+                        quantity: item.quantity,
+                        price: item.price,
+                        seller: item.product.seller,
+                        hsnCode: item.product.hsnCode
+                    })),
+                    totalAmount: totals.total,
+                    discountAmount: totals.discount,
+                    tax: totals.tax,
+                    shipping: {
+                        zone: totals.shipping.zone,
+                        zoneName: totals.shipping.zoneName,
+                        weight: totals.shipping.weight,
+                        charge: totals.shipping.charge,
+                        codSurcharge: totals.shipping.codSurcharge,
+                        amount: totals.shipping.amount,
+                        freeShipping: totals.shipping.freeShipping
+                    },
+                    coupon: {
+                        coupon: coupon ? coupon._id : null,
+                        code: coupon ? coupon.code : null,
+                        description: coupon ? coupon.description : ''
+                    },
+                    recoveryCampaign: CartRecoveryService.getAttributedCampaign(cart),
+                    shippingAddress,
+                    paymentMethod,
+                    paymentStatus: 'pending',
+                    orderStatus: 'processing'
+                });
+                OrderLifecycleService.recordPlaced(order, user);
+                
+                await InvoiceService.assignInvoiceNumber(order, session);
+                await order.save({ session });
+                await Cart.deleteOne({ _id: cart._id }, { session });
+                await InventoryService.releaseReservations(user._id, session);
+                
+                checkedOutCart = cart;
+            });
+        } finally {
+            await session.endSession();
+        }
+        
+        return { order, cart: checkedOutCart };
+    }
+}
+
+CheckoutService.CheckoutError = CheckoutError;
+
+module.exports = CheckoutService; 
\ No newline at end of file
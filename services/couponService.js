@@ -0,0 +1,193 @@
+const Coupon = require('../models/Coupon');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+
+class CouponService {
+    /**
+     * Check a coupon against a cart and work out the discount
+     * @param {Object} coupon - Coupon document
+     * @param {Object} cart - Cart with items.product populated
+     * @param {ObjectId} userId - Buyer id
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<Object>} - { valid, message, discount, eligibleSubtotal, eligibleItemIds }
+     */
+    static async evaluate(coupon, cart, userId, session = null) {
+        const invalid = message => ({ valid: false, message, discount: 0, eligibleSubtotal: 0, eligibleItemIds: [] });
+        const now = new Date();
+        
+        if (!coupon || !coupon.isActive) {
+            return invalid('This coupon code is not valid');
+        }
+        if (coupon.startsAt && coupon.startsAt > now) {
+            return invalid(`Coupon ${coupon.code} is not active yet`);
+        }
+        if (coupon.endsAt && coupon.endsAt < now) {
+            return invalid(`Coupon ${coupon.code} has expired`);
+        }
+        if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+            return invalid(`Coupon ${coupon.code} has reached its usage limit`);
+        }
+        
+        if (coupon.perUserLimit !== null) {
+            const timesUsed = await Order.countDocuments({
+                user: userId,
+                'coupon.coupon': coupon._id,
+                'coupon.releasedAt': null,
+                orderStatus: { $ne: 'cancelled' }
+            }).session(session);
+            
+            if (timesUsed >= coupon.perUserLimit) {
+                return invalid(`You have already used coupon ${coupon.code}`);
+            }
+        }
+        
+        const subtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (subtotal < coupon.minCartValue) {
+            return invalid(`Coupon ${coupon.code} needs a cart value of at least $${coupon.minCartValue.toFixed(2)}`);
+        }
+        
+        const eligibleItems = await this.getEligibleItems(coupon, cart);
+        const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (eligibleSubtotal <= 0) {
+            return invalid(`Coupon ${coupon.code} does not apply to the items in your cart`);
+        }
+        
+        let discount = coupon.discountType === 'percentage'
+            ? eligibleSubtotal * coupon.discountValue / 100
+            : coupon.discountValue;
+        
+        if (coupon.discountType === 'percentage' && coupon.maxDiscount !== null) {
+            discount = Math.min(discount, coupon.maxDiscount);
+        }
+        discount = Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+        
+        return {
+            valid: true,
+            message: null,
+            discount,
+            eligibleSubtotal,
+            eligibleItemIds: eligibleItems.map(item => item._id.toString())
+        };
+    }
+
+    /**
+     * Cart items inside the coupon's seller, category and product scope
+     * @param {Object} coupon - Coupon document
+     * @param {Object} cart - Cart with items.product populated
+     * @returns {Promise<Array>} - Eligible cart items
+     */
+    static async getEligibleItems(coupon, cart) {
+        const items = cart.items.filter(item => item.product);
+        if (!coupon.isScoped) {
+            return items;
+        }
+        
+        const sellerIds = new Set(coupon.sellers.map(id => id.toString()));
+        const productIds = new Set(coupon.products.map(id => id.toString()));
+        
+        // A category also covers its sub-categories
+        const categoryIds = new Set();
+        for (const categoryId of coupon.categories) {
+            const subtree = await Category.getSubtreeIds(categoryId);
+            subtree.forEach(id => categoryIds.add(id.toString()));
+        }
+        
+        return items.filter(item => {
+            const product = item.product;
+            return productIds.has(product._id.toString()) ||
+                (product.seller && sellerIds.has(product.seller.toString())) ||
+                (product.category && categoryIds.has(product.category.toString()));
+        });
+    }
+
+    /**
+     * Look up a coupon by code and evaluate it for a cart
+     * @param {String} code - Code entered by the buyer
+     * @param {Object} cart - Cart with items.product populated
+     * @param {ObjectId} userId - Buyer id
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<Object>} - Evaluation result plus the coupon
+     */
+    static async applyCode(code, cart, userId, session = null) {
+        const coupon = await Coupon.findOne({ code: Coupon.normalizeCode(code) }).session(session);
+        const result = await this.evaluate(coupon, cart, userId, session);
+        return { ...result, coupon };
+    }
+
+    /**
+     * Count a redemption, unless the global usage limit has been reached meanwhile
+     * @param {Object} coupon - Coupon document
+     * @param {ClientSession} session - Transaction session
+     * @returns {Promise<Boolean>} - False when the limit was reached
+     */
+    static async redeem(coupon, session) {
+        const filter = { _id: coupon._id, isActive: true };
+        if (coupon.usageLimit !== null) {
+            filter.usageCount = { $lt: coupon.usageLimit };
+        }
+        
+        const result = await Coupon.updateOne(filter, { $inc: { usageCount: 1 } }, { session });
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Give back the redemption of an order that was cancelled or fully refunded. Each order's
+     * redemption is only given back once, whichever happens first.
+     * @param {Object} order - Order document
+     * @returns {Promise<Boolean>} - False when the order had no coupon or it was already given back
+     */
+    static async release(order) {
+        if (!order.coupon || !order.coupon.coupon || order.coupon.releasedAt) {
+            return false;
+        }
+        
+        const releasedAt = new Date();
+        const claimed = await Order.updateOne(
+            { _id: order._id, 'coupon.releasedAt': null },
+            { $set: { 'coupon.releasedAt': releasedAt } }
+        );
+        if (claimed.modifiedCount !== 1) {
+            return false;
+        }
+        order.coupon.releasedAt = releasedAt;
+        
+        await Coupon.updateOne({ _id: order.coupon.coupon, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+        return true;
+    }
+
+    /**
+     * Redemption totals per coupon from placed (non-cancelled) orders
+     * @param {Array<ObjectId>} couponIds - Optional coupons to limit the stats to
+     * @returns {Promise<Object>} - Map of coupon id to { orders, customers, discountTotal, revenue }
+     */
+    static async getRedemptionStats(couponIds = null) {
+        const match = { 'coupon.coupon': { $ne: null }, orderStatus: { $ne: 'cancelled' } };
+        if (couponIds) {
+            match['coupon.coupon'] = { $in: couponIds };
+        }
+        
+        const rows = await Order.aggregate([
+            { $match: match },
+            { $group: {
+                _id: '$coupon.coupon',
+                orders: { $sum: 1 },
+                customers: { $addToSet: '$user' },
+                discountTotal: { $sum: '$discountAmount' },
+                revenue: { $sum: '$totalAmount' }
+            } }
+        ]);
+        
+        const stats = {};
+        rows.forEach(row => {
+            stats[row._id.toString()] = {
+                orders: row.orders,
+                customers: row.customers.length,
+                discountTotal: row.discountTotal,
+                revenue: row.revenue
+            };
+        });
+        return stats;
+    }
+}
+
+module.exports = CouponService; 
\ No newline at end of file
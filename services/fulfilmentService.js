@@ -0,0 +1,106 @@
+const Product = require('../models/Product');
+const SellerPerformance = require('../models/SellerPerformance');
+
+class FulfilmentService {
+    /**
+     * The fulfilment a seller handles in an order. Items of older orders that only
+     * point at one of the seller's products are assigned to the seller first.
+     * @param {Object} order - Order document
+     * @param {ObjectId} sellerId - Seller id
+     * @returns {Promise<Object|null>} - Fulfilment or null when the seller has no items in the order
+     */
+    static async getSellerFulfilment(order, sellerId) {
+        const unassigned = order.items.filter(item => !item.seller && item.product);
+        if (unassigned.length > 0) {
+            const owned = await Product.find({
+                _id: { $in: unassigned.map(item => item.product._id || item.product) },
+                seller: sellerId
+            }).select('_id');
+            const ownedIds = owned.map(product => product._id.toString());
+            
+            unassigned
+                .filter(item => ownedIds.includes((item.product._id || item.product).toString()))
+                .forEach(item => { item.seller = sellerId; });
+            order.syncFulfilments();
+        }
+        
+        return order.getFulfilment(sellerId) || null;
+    }
+
+    /**
+     * Count a delivered fulfilment in the seller's monthly performance
+     * @param {ObjectId} sellerId - Seller id
+     * @param {Number} amount - Value of the seller's items
+     */
+    static async recordSale(sellerId, amount) {
+        const performance = await this.getCurrentPerformance(sellerId);
+        
+        // Update metrics
+        performance.metrics.salesClosed += 1;
+        performance.metrics.totalRevenue += amount;
+        performance.metrics.averageOrderValue = performance.metrics.totalRevenue / performance.metrics.salesClosed;
+        
+        // Calculate conversion rate if leads were assigned
+        if (performance.metrics.leadsAssigned > 0) {
+            performance.metrics.conversionRate = 
+                (performance.metrics.salesClosed / performance.metrics.leadsAssigned) * 100;
+        }
+        
+        await performance.save();
+    }
+
+    /**
+     * Take refunded items off the revenue of the month the refund is made in
+     * @param {ObjectId} sellerId - Seller id
+     * @param {Number} amount - Value of the refunded items
+     */
+    static async recordRefund(sellerId, amount) {
+        const performance = await this.getCurrentPerformance(sellerId);
+        
+        performance.metrics.totalRevenue -= amount;
+        performance.metrics.refundedAmount += amount;
+        if (performance.metrics.salesClosed > 0) {
+            performance.metrics.averageOrderValue = performance.metrics.totalRevenue / performance.metrics.salesClosed;
+        }
+        
+        await performance.save();
+    }
+
+    /**
+     * The seller's performance record for the current month, started when there is none
+     * @param {ObjectId} sellerId - Seller id
+     * @returns {Promise<Object>} - SellerPerformance document, not yet saved when new
+     */
+    static async getCurrentPerformance(sellerId) {
+        const now = new Date();
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+        
+        const performance = await SellerPerformance.findOne({
+            seller: sellerId,
+            period: 'monthly',
+            startDate: { $lte: now },
+            endDate: { $gte: now }
+        });
+        
+        return performance || new SellerPerformance({
+            seller: sellerId,
+            period: 'monthly',
+            startDate: monthStart,
+            endDate: monthEnd,
+            metrics: {
+                leadsAssigned: 0,
+                leadsContacted: 0,
+                leadsQualified: 0,
+                proposalsSent: 0,
+                salesClosed: 0,
+                totalRevenue: 0,
+                averageOrderValue: 0,
+                conversionRate: 0,
+                responseTime: 0
+            }
+        });
+    }
+}
+
+module.exports = FulfilmentService; 
\ No newline at end of file
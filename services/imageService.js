@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { extractPalette } = require('../utils/colorExtraction');
+
+// Widths of the responsive copies offered in srcset; only those narrower than the image are made
+const RESPONSIVE_WIDTHS = [320, 640, 1024, 1600];
+
+// Originals longer than this on either side are scaled down before anything else is done with them
+const MAX_DIMENSION = 2400;
+
+// Corners and middle a seller's watermark can be placed in
+const WATERMARK_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left', 'center'];
+
+// Encoder settings for the re-saved original, by the format it was uploaded in
+const ORIGINAL_FORMATS = {
+    jpeg: { quality: 85, mozjpeg: true },
+    png: { compressionLevel: 9 },
+    webp: { quality: 85 },
+    gif: {}
+};
+
+const WEBP_OPTIONS = { quality: 80 };
+const AVIF_OPTIONS = { quality: 50, effort: 2 };
+
+const PUBLIC_DIR = path.join(__dirname, '../public');
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+/**
+ * Url an uploaded file is served from; files under uploads/ are served at /uploads by app.js
+ * @param {String} filePath - File under public/ or uploads/
+ * @returns {String}
+ */
+const toUrl = (filePath) => {
+    const absolute = path.resolve(filePath);
+    const relative = absolute.startsWith(PUBLIC_DIR + path.sep)
+        ? path.relative(PUBLIC_DIR, absolute)
+        : path.join('uploads', path.relative(UPLOADS_DIR, absolute));
+    return '/' + relative.split(path.sep).join('/');
+};
+
+/**
+ * File an image url is served from, refusing anything outside the upload folders
+ * @param {String} url - Image url
+ * @returns {String|null} - File path, null when the url is not a local upload
+ */
+const toFilePath = (url) => {
+    if (!url || !url.startsWith('/uploads/')) {
+        return null;
+    }
+    const candidates = [
+        path.join(PUBLIC_DIR, path.normalize(url)),
+        path.join(UPLOADS_DIR, path.normalize(url.slice('/uploads'.length)))
+    ];
+    return candidates.find(filePath => (filePath.startsWith(PUBLIC_DIR + path.sep) || filePath.startsWith(UPLOADS_DIR + path.sep))
+        && fs.existsSync(filePath)) || null;
+};
+
+/**
+ * Escape text for use inside an SVG document
+ * @param {String} text - Text
+ * @returns {String}
+ */
+const escapeXml = (text) => {
+    return text.replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[char]);
+};
+
+/**
+ * SVG overlay the size of the image with the watermark text drawn in place
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Object} watermark - { text, position, opacity }
+ * @returns {Buffer}
+ */
+const renderWatermark = (width, height, watermark) => {
+    const fontSize = Math.max(14, Math.round(Math.min(width, height) * 0.05));
+    const margin = Math.round(fontSize * 0.8);
+    const position = WATERMARK_POSITIONS.includes(watermark.position) ? watermark.position : 'bottom-right';
+    const opacity = Math.min(Math.max(Number(watermark.opacity) || 0.5, 0.1), 1);
+    
+    let x = width / 2;
+    let y = height / 2 + fontSize / 3;
+    let anchor = 'middle';
+    if (position !== 'center') {
+        const [vertical, horizontal] = position.split('-');
+        x = horizontal === 'left' ? margin : width - margin;
+        y = vertical === 'top' ? margin + fontSize : height - margin;
+        anchor = horizontal === 'left' ? 'start' : 'end';
+    }
+    
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <text x="${x}" y="${y}" text-anchor="${anchor}" font-family="sans-serif" font-size="${fontSize}"
+            fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity * 0.5}"
+            stroke-width="${Math.max(1, Math.round(fontSize / 20))}">${escapeXml(watermark.text)}</text>
+    </svg>`);
+};
+
+/**
+ * Delete files, ignoring any that are already gone
+ * @param {Array} filePaths - Files to delete
+ */
+const removeFiles = (filePaths) => {
+    filePaths.filter(Boolean).forEach(filePath => {
+        try {
+            fs.unlinkSync(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error deleting image ${filePath}:`, error.message);
+            }
+        }
+    });
+};
+
+class ImageService {
+    /**
+     * Prepare an uploaded image for the shop. The original is re-saved in place, upright, no larger
+     * than MAX_DIMENSION and without its EXIF data (camera details and GPS location), with the
+     * watermark drawn on when one is given. WebP and AVIF copies at the responsive widths are
+     * written next to it.
+     * @param {String} filePath - Uploaded file
+     * @param {Object} options - { watermark: { enabled, text, position, opacity } to draw on the image }
+     * @returns {Promise<Object>} - { width, height, palette, variants, processedAt } to keep as imageMeta
+     */
+    static async process(filePath, { watermark = null } = {}) {
+        const metadata = await sharp(filePath).metadata();
+        const format = ORIGINAL_FORMATS[metadata.format] ? metadata.format : 'jpeg';
+        
+        // Decoding to raw pixels leaves every bit of metadata behind
+        const { data, info } = await sharp(filePath)
+            .rotate()
+            .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        
+        let image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+        if (watermark && watermark.enabled && watermark.text && watermark.text.trim()) {
+            image = image.composite([{ input: renderWatermark(info.width, info.height, watermark), top: 0, left: 0 }]);
+        }
+        const output = await image.toFormat(format, ORIGINAL_FORMATS[format]).toBuffer();
+        await fs.promises.writeFile(filePath, output);
+        
+        const { dir, name } = path.parse(filePath);
+        const widths = [...RESPONSIVE_WIDTHS.filter(width => width < info.width), info.width];
+        const variants = [];
+        const written = [];
+        try {
+            for (const width of widths) {
+                const resized = sharp(output).resize({ width });
+                const webpPath = path.join(dir, `${name}-${width}w.webp`);
+                const avifPath = path.join(dir, `${name}-${width}w.avif`);
+                await resized.clone().webp(WEBP_OPTIONS).toFile(webpPath);
+                written.push(webpPath);
+                await resized.clone().avif(AVIF_OPTIONS).toFile(avifPath);
+                written.push(avifPath);
+                variants.push({ width, webp: toUrl(webpPath), avif: toUrl(avifPath) });
+            }
+        } catch (error) {
+            removeFiles(written);
+            throw error;
+        }
+        
+        return {
+            width: info.width,
+            height: info.height,
+            palette: await extractPalette(output),
+            variants,
+            processedAt: new Date()
+        };
+    }
+
+    /**
+     * Delete the responsive copies of an image, e.g. when it is replaced or its document deleted.
+     * The original is left to the caller.
+     * @param {Object} imageMeta - imageMeta saved with the image
+     */
+    static removeVariants(imageMeta) {
+        if (!imageMeta || !imageMeta.variants) {
+            return;
+        }
+        removeFiles(imageMeta.variants.flatMap(variant => [toFilePath(variant.webp), toFilePath(variant.avif)]));
+    }
+
+    /**
+     * Delete an uploaded file that will not be used
+     * @param {String} filePath - Uploaded file
+     */
+    static removeUpload(filePath) {
+        removeFiles([filePath]);
+    }
+
+    /**
+     * Save a JPEG copy of an uploaded image, for documents that have to keep showing the image
+     * after the upload is replaced or deleted
+     * @param {String} url - Url of the uploaded image
+     * @param {String} filePath - File to write
+     * @param {Object} options - { maxDimension: longest side of the copy }
+     * @returns {Promise<String|null>} - Url of the copy, null when the image is not a local upload
+     */
+    static async saveJpegCopy(url, filePath, { maxDimension = 1200 } = {}) {
+        const source = toFilePath(url);
+        if (!source) {
+            return null;
+        }
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await sharp(source)
+            .rotate()
+            .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 85 })
+            .toFile(filePath);
+        return toUrl(filePath);
+    }
+}
+
+ImageService.RESPONSIVE_WIDTHS = RESPONSIVE_WIDTHS;
+ImageService.WATERMARK_POSITIONS = WATERMARK_POSITIONS;
+
+module.exports = ImageService; 
\ No newline at end of file
@@ -0,0 +1,134 @@
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+
+class InventoryService {
+    /**
+     * Stock on hand for a product or one of its variants
+     * @param {Object} product - Product document
+     * @param {ObjectId} variantId - Variant id, or null
+     * @returns {Number} - Units in stock
+     */
+    static getStockLevel(product, variantId = null) {
+        const option = product.getPurchaseOption(variantId);
+        return option ? option.stock : 0;
+    }
+
+    /**
+     * Stock a buyer can still get, after other buyers' checkout reservations
+     * @param {Object} product - Product document
+     * @param {ObjectId} variantId - Variant id, or null
+     * @param {ObjectId} userId - Buyer asking, whose own reservations count as available
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<Number>} - Units available
+     */
+    static async getAvailableStock(product, variantId, userId, session = null) {
+        const reserved = await StockReservation.getReservedQuantity(product._id, variantId, userId, session);
+        return Math.max(0, this.getStockLevel(product, variantId) - reserved);
+    }
+
+    /**
+     * Hold stock for every item in a cart for the length of checkout
+     * @param {Object} cart - Cart with items.product populated
+     * @param {ObjectId} userId - Buyer id
+     * @returns {Promise<Object>} - { reserved, problems, expiresAt }
+     */
+    static async reserveCart(cart, userId) {
+        const problems = [];
+        
+        for (const item of cart.items) {
+            if (!item.product) {
+                problems.push({ title: 'A product in your cart', requested: item.quantity, available: 0 });
+                continue;
+            }
+            
+            const available = await this.getAvailableStock(item.product, item.variant, userId);
+            if (item.quantity > available) {
+                problems.push({
+                    title: item.variantName ? `${item.product.title} (${item.variantName})` : item.product.title,
+                    requested: item.quantity,
+                    available
+                });
+            }
+        }
+        
+        if (problems.length > 0) {
+            return { reserved: false, problems, expiresAt: null };
+        }
+        
+        const expiresAt = new Date(Date.now() + StockReservation.RESERVATION_MINUTES * 60 * 1000);
+        
+        for (const item of cart.items) {
+            await StockReservation.updateOne(
+                { user: userId, product: item.product._id, variant: item.variant || null },
+                { $set: { quantity: item.quantity, expiresAt } },
+                { upsert: true }
+            );
+        }
+        
+        // Drop holds on anything that has left the cart since the last checkout visit
+        await StockReservation.deleteMany({
+            user: userId,
+            $nor: cart.items.map(item => ({ product: item.product._id, variant: item.variant || null }))
+        });
+        
+        return { reserved: true, problems, expiresAt };
+    }
+
+    /**
+     * Release all checkout reservations held by a buyer
+     * @param {ObjectId} userId - Buyer id
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise}
+     */
+    static releaseReservations(userId, session = null) {
+        return StockReservation.deleteMany({ user: userId }, { session });
+    }
+
+    /**
+     * Take stock for a cart item, only if enough is left after other buyers' reservations
+     * @param {Object} item - Cart item with product populated
+     * @param {ObjectId} userId - Buyer id
+     * @param {ClientSession} session - Transaction session
+     * @returns {Promise<Boolean>} - False when there was not enough stock
+     */
+    static async commitStock(item, userId, session) {
+        const reservedByOthers = await StockReservation.getReservedQuantity(item.product._id, item.variant, userId, session);
+        const required = item.quantity + reservedByOthers;
+        
+        const filter = { _id: item.product._id, status: 'approved' };
+        const update = { $inc: { stock: -item.quantity, salesCount: item.quantity } };
+        
+        if (item.variant) {
+            // Variant stock lives on the matching subdocument
+            filter.variants = { $elemMatch: { _id: item.variant, isActive: true, stock: { $gte: required } } };
+            update.$inc['variants.$.stock'] = -item.quantity;
+        } else {
+            filter.stock = { $gte: required };
+        }
+        
+        const result = await Product.updateOne(filter, update, { session });
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Put the stock of a cancelled or refunded order item back on sale
+     * @param {Object} item - Order item: { product, variant, quantity }
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<Boolean>} - False when the product or variant no longer exists
+     */
+    static async restoreStock(item, session = null) {
+        const productId = item.product._id || item.product;
+        const filter = { _id: productId };
+        const update = { $inc: { stock: item.quantity, salesCount: -item.quantity } };
+        
+        if (item.variant) {
+            filter['variants._id'] = item.variant;
+            update.$inc['variants.$.stock'] = item.quantity;
+        }
+        
+        const result = await Product.updateOne(filter, update, { session });
+        return result.modifiedCount === 1;
+    }
+}
+
+module.exports = InventoryService; 
\ No newline at end of file
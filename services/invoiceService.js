@@ -0,0 +1,193 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const { BUSINESS, round2 } = require('../utils/tax');
+
+class InvoiceService {
+    /**
+     * Indian financial year (April to March) a date falls in, e.g. 2026-27
+     * @param {Date} date - Date
+     * @returns {String} - Financial year label
+     */
+    static getFinancialYear(date = new Date()) {
+        const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Give an order the next invoice number of the current financial year.
+     * Numbers run without gaps per financial year, as GST requires. Does not save the order.
+     * @param {Object} order - Order document
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<String>} - Invoice number
+     */
+    static async assignInvoiceNumber(order, session = null) {
+        if (order.invoice && order.invoice.number) {
+            return order.invoice.number;
+        }
+        
+        const issuedAt = new Date();
+        const financialYear = this.getFinancialYear(issuedAt);
+        const sequence = await Counter.next(`invoice-${financialYear}`, session);
+        
+        order.invoice = {
+            number: `INV/${financialYear}/${String(sequence).padStart(6, '0')}`,
+            issuedAt
+        };
+        return order.invoice.number;
+    }
+
+    /**
+     * Make sure an order has an invoice number, numbering and saving orders placed before invoicing existed
+     * @param {Object} order - Order document
+     * @returns {Promise<Object>} - The order
+     */
+    static async ensureInvoice(order) {
+        if (!order.invoice || !order.invoice.number) {
+            await this.assignInvoiceNumber(order);
+            await order.save();
+        }
+        return order;
+    }
+
+    /**
+     * File name for an invoice download
+     * @param {Object} order - Order document with an invoice number
+     * @returns {String} - File name
+     */
+    static getFileName(order) {
+        return `${order.invoice.number.replace(/\//g, '-')}.pdf`;
+    }
+
+    /**
+     * Write a GST tax invoice for an order as PDF
+     * @param {Object} order - Order with items.seller populated (name, taxProfile)
+     * @param {Stream} output - Writable stream, e.g. the Express response
+     */
+    static renderOrderInvoice(order, output) {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        doc.pipe(output);
+        
+        const money = value => `Rs. ${(value || 0).toFixed(2)}`;
+        const tax = order.tax || { lines: [], cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+        const address = order.shippingAddress || {};
+        const pageWidth = doc.page.width - 80;
+        
+        // Supplier and invoice details
+        doc.fontSize(18).font('Helvetica-Bold').text('TAX INVOICE', { align: 'center' });
+        doc.moveDown(0.5);
+        
+        const top = doc.y;
+        doc.fontSize(10).font('Helvetica-Bold').text(BUSINESS.name, 40, top);
+        doc.font('Helvetica');
+        if (BUSINESS.address) doc.text(BUSINESS.address, { width: pageWidth / 2 });
+        if (BUSINESS.state) doc.text(`State: ${BUSINESS.state}`);
+        if (BUSINESS.gstin) doc.text(`GSTIN: ${BUSINESS.gstin}`);
+        
+        doc.text(`Invoice No: ${order.invoice.number}`, 40 + pageWidth / 2, top, { width: pageWidth / 2, align: 'right' });
+        doc.text(`Invoice Date: ${new Date(order.invoice.issuedAt).toLocaleDateString('en-IN')}`, { width: pageWidth / 2, align: 'right' });
+        doc.text(`Order No: ${order._id}`, { width: pageWidth / 2, align: 'right' });
+        doc.text(`Place of Supply: ${tax.placeOfSupply || (tax.supplyType === 'export' ? 'Outside India (export)' : address.state || '-')}`, { width: pageWidth / 2, align: 'right' });
+        
+        // Buyer
+        doc.moveDown(2);
+        doc.x = 40;
+        doc.font('Helvetica-Bold').text('Bill To / Ship To');
+        doc.font('Helvetica')
+            .text(`${address.firstName || ''} ${address.lastName || ''}`.trim())
+            .text(address.address || '')
+            .text([address.city, address.state, address.postalCode].filter(Boolean).join(', '))
+            .text(address.country || '')
+            .text(address.phone ? `Phone: ${address.phone}` : '');
+        
+        // Line items
+        const columns = [
+            { label: 'Item', width: 150 },
+            { label: 'HSN', width: 45 },
+            { label: 'Qty', width: 30, align: 'right' },
+            { label: 'Taxable', width: 65, align: 'right' },
+            { label: 'GST %', width: 35, align: 'right' },
+            { label: 'CGST', width: 45, align: 'right' },
+            { label: 'SGST', width: 45, align: 'right' },
+            { label: 'IGST', width: 45, align: 'right' },
+            { label: 'Total', width: 55, align: 'right' }
+        ];
+        
+        const drawRow = (values, y, bold = false) => {
+            let x = 40;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+            columns.forEach((column, index) => {
+                doc.text(values[index], x, y, { width: column.width - 4, align: column.align || 'left' });
+                x += column.width;
+            });
+        };
+        
+        doc.moveDown(1.5);
+        let y = doc.y;
+        drawRow(columns.map(column => column.label), y, true);
+        y += 14;
+        doc.moveTo(40, y - 3).lineTo(40 + pageWidth, y - 3).stroke();
+        
+        order.items.forEach((item, index) => {
+            const line = tax.lines[index] || { hsnCode: item.hsnCode || '-', rate: 0, taxableAmount: item.price * item.quantity, cgst: 0, sgst: 0, igst: 0 };
+            const seller = item.seller && item.seller.name ? item.seller : null;
+            const description = [
+                item.title + (item.variantName ? ` (${item.variantName})` : ''),
+                seller ? `Sold by ${seller.name}${seller.taxProfile && seller.taxProfile.gstin ? `, GSTIN ${seller.taxProfile.gstin}` : ''}` : null
+            ].filter(Boolean).join('\n');
+            
+            if (y > doc.page.height - 160) {
+                doc.addPage();
+                y = 40;
+            }
+            
+            drawRow([
+                description,
+                line.hsnCode,
+                String(item.quantity),
+                line.taxableAmount.toFixed(2),
+                String(line.rate),
+                line.cgst.toFixed(2),
+                line.sgst.toFixed(2),
+                line.igst.toFixed(2),
+                round2(line.taxableAmount + line.cgst + line.sgst + line.igst).toFixed(2)
+            ], y);
+            y += Math.max(12, doc.heightOfString(description, { width: columns[0].width - 4 })) + 6;
+        });
+        
+        doc.moveTo(40, y).lineTo(40 + pageWidth, y).stroke();
+        
+        // Totals
+        const totals = [
+            ['Items', money(order.itemsSubtotal)],
+            order.discountAmount > 0 ? [`Discount${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}`, `- ${money(order.discountAmount)}`] : null,
+            ['Taxable Value', money(tax.taxableAmount || order.itemsSubtotal - (order.discountAmount || 0))],
+            tax.cgst > 0 ? ['CGST', money(tax.cgst)] : null,
+            tax.sgst > 0 ? ['SGST/UTGST', money(tax.sgst)] : null,
+            tax.igst > 0 ? ['IGST', money(tax.igst)] : null,
+            ['Total Tax', money(tax.totalTax)],
+            order.shipping && order.shipping.charge > 0 ? ['Shipping', money(order.shipping.charge)] : null,
+            order.shipping && order.shipping.codSurcharge > 0 ? ['Cash on Delivery Fee', money(order.shipping.codSurcharge)] : null,
+            ['Grand Total', money(order.totalAmount)]
+        ].filter(Boolean);
+        
+        y += 10;
+        totals.forEach(([label, value], index) => {
+            const bold = index === totals.length - 1;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+            doc.text(label, 40 + pageWidth - 220, y, { width: 120 });
+            doc.text(value, 40 + pageWidth - 100, y, { width: 100, align: 'right' });
+            y += bold ? 16 : 13;
+        });
+        
+        if (tax.supplyType === 'export') {
+            doc.moveDown(1).font('Helvetica').fontSize(8).text('Supply meant for export, zero-rated under GST.', 40, y + 10);
+        }
+        
+        doc.font('Helvetica').fontSize(8).fillColor('gray')
+            .text('This is a computer generated invoice and does not require a signature.', 40, doc.page.height - 70, { align: 'center', width: pageWidth });
+        
+        doc.end();
+    }
+}
+
+module.exports = InvoiceService; 
\ No newline at end of file
@@ -0,0 +1,336 @@
+const Order = require('../models/Order');
+const FulfilmentService = require('./fulfilmentService');
+const InventoryService = require('./inventoryService');
+const RefundService = require('./refundService');
+const CertificateService = require('./certificateService');
+const CouponService = require('./couponService');
+const ShippingService = require('./shippingService');
+const { sendOrderStatusEmail } = require('../utils/emailService');
+
+// Statuses each fulfilment may move to from each status, and the roles allowed to make each move.
+// Sellers can only move their own fulfilment and buyers their own order; system is courier tracking
+// and scheduled jobs.
+const TRANSITIONS = {
+    processing: {
+        approved: ['seller', 'admin'],
+        // Online orders left unpaid (see expireUnpaid)
+        cancelled: ['user', 'admin', 'system']
+    },
+    approved: {
+        in_transit: ['seller', 'admin', 'system'],
+        cancelled: ['user', 'admin']
+    },
+    in_transit: {
+        delivered: ['seller', 'admin', 'system'],
+        // Parcels lost by the courier
+        cancelled: ['admin']
+    },
+    delivered: {},
+    cancelled: {}
+};
+
+const STATUS_LABELS = {
+    processing: 'Processing',
+    approved: 'Approved',
+    shipped: 'Shipped',
+    in_transit: 'In Transit',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled'
+};
+
+// Online orders still unpaid this long after they were placed are cancelled and their stock released
+const UNPAID_ORDER_HOURS = parseInt(process.env.UNPAID_ORDER_HOURS) || 24;
+
+// Scheduled jobs change orders as the system
+const SYSTEM_ACTOR = { _id: null, role: 'system' };
+
+// Id of a reference whether or not it has been populated
+const refId = value => (value && value._id ? value._id : value);
+
+class OrderTransitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderTransitionError';
+    }
+}
+
+class OrderLifecycleService {
+    /**
+     * Statuses a role may move a fulfilment to
+     * @param {Object} fulfilment - Fulfilment subdocument
+     * @param {String} role - 'user', 'seller', 'admin' or 'system'
+     * @returns {Array} - Statuses
+     */
+    static getNextStatuses(fulfilment, role) {
+        return Object.entries(TRANSITIONS[fulfilment.status] || {})
+            .filter(([, roles]) => roles.includes(role))
+            .map(([status]) => status);
+    }
+
+    /**
+     * Whether a role may move a fulfilment to a status
+     * @param {Object} fulfilment - Fulfilment subdocument
+     * @param {String} status - Target status
+     * @param {String} role - 'user', 'seller', 'admin' or 'system'
+     * @returns {Boolean}
+     */
+    static canTransition(fulfilment, status, role) {
+        return this.getNextStatuses(fulfilment, role).includes(status);
+    }
+
+    /**
+     * Whether an order still has to be paid before it can be approved and shipped. Cash on
+     * delivery orders are paid to the courier.
+     * @param {Object} order - Order document
+     * @returns {Boolean}
+     */
+    static isAwaitingPayment(order) {
+        return order.paymentMethod !== ShippingService.COD_PAYMENT_METHOD && order.paymentStatus !== 'completed';
+    }
+
+    /**
+     * Label of an order or fulfilment status
+     * @param {String} status - Status value
+     * @returns {String}
+     */
+    static getStatusLabel(status) {
+        return STATUS_LABELS[status] || status;
+    }
+
+    /**
+     * Record the first entry of a new order's history. The order is not saved.
+     * @param {Object} order - New order document
+     * @param {Object} user - Buyer placing the order
+     */
+    static recordPlaced(order, user) {
+        order.statusHistory.push({
+            from: null,
+            to: order.orderStatus,
+            changedBy: user ? user._id : null,
+            role: 'user',
+            note: 'Order placed'
+        });
+    }
+
+    /**
+     * Put the items of cancelled fulfilments back on sale and, when the order was paid, request a
+     * refund for them that an admin then approves. A coupon used on an order cancelled in full can
+     * be used again. Failures are logged so the cancellation stands.
+     * @param {Object} order - Order document, already saved with the fulfilments cancelled
+     * @param {Array} fulfilments - Cancelled fulfilment subdocuments
+     * @param {Object} actor - User who cancelled them
+     * @returns {Promise<Object|null>} - Refund requested, null when there was nothing to refund
+     */
+    static async releaseCancelled(order, fulfilments, actor) {
+        const cancelledItems = fulfilments.flatMap(fulfilment => order.getFulfilmentItems(fulfilment));
+        for (const item of cancelledItems) {
+            try {
+                await InventoryService.restoreStock(item);
+            } catch (err) {
+                console.error('Error restoring product stock:', err);
+                // Continue with other items even if one fails
+            }
+        }
+        
+        if (order.orderStatus === 'cancelled') {
+            try {
+                await CouponService.release(order);
+            } catch (couponError) {
+                console.error('Error releasing coupon of cancelled order:', couponError);
+            }
+        }
+        
+        if (order.paymentStatus !== 'completed') {
+            return null;
+        }
+        try {
+            const items = cancelledItems.map(item => ({ item, quantity: item.quantity }));
+            const { available } = await RefundService.getRefundable('order', order);
+            const amount = order.orderStatus === 'cancelled'
+                ? available
+                : Math.min(available, RefundService.getItemsAmount(order, items));
+            
+            if (amount > 0) {
+                return await RefundService.requestRefund({
+                    purpose: 'order',
+                    reference: order,
+                    amount,
+                    reason: 'order_cancelled',
+                    items,
+                    requestedBy: actor._id ? actor : null
+                });
+            }
+        } catch (refundError) {
+            console.error('Error requesting refund for cancelled order:', refundError);
+        }
+        return null;
+    }
+
+    /**
+     * Move fulfilments of an order to a new status, record the change in the order's history and
+     * tell the buyer. Fulfilments the actor cannot move are left as they are; cancelled ones are
+     * restocked and refunded (see releaseCancelled).
+     * @param {Object} order - Order with user populated (name, email)
+     * @param {Array} fulfilments - Fulfilment subdocuments of the order
+     * @param {String} status - Target status
+     * @param {Object} change - { actor: user making the change, note, trackingNumber and
+     * estimatedDeliveryDate when shipping }
+     * @returns {Promise<Object>} - { updated: fulfilments that were updated, refund: refund requested
+     * for cancelled items, null when there was none }
+     * @throws {OrderTransitionError} - When none of the fulfilments can make the move
+     */
+    static async transition(order, fulfilments, status, { actor, note = '', trackingNumber = null, estimatedDeliveryDate = null }) {
+        const role = actor.role;
+        if (role === 'user' && refId(order.user).toString() !== actor._id.toString()) {
+            throw new OrderTransitionError('You can only change your own orders');
+        }
+        if (role === 'seller' && fulfilments.some(fulfilment => String(refId(fulfilment.seller) || '') !== actor._id.toString())) {
+            throw new OrderTransitionError('You can only change your own items in an order');
+        }
+        if (!STATUS_LABELS[status]) {
+            throw new OrderTransitionError('Choose a valid status');
+        }
+        // Courier scans are still recorded, since the parcel has left either way
+        if (['approved', 'in_transit'].includes(status) && role !== 'system' && this.isAwaitingPayment(order)) {
+            throw new OrderTransitionError('This order cannot be approved or shipped until it has been paid for');
+        }
+        
+        const updated = fulfilments.filter(fulfilment => this.canTransition(fulfilment, status, role));
+        if (updated.length === 0) {
+            const current = [...new Set(fulfilments.map(fulfilment => this.getStatusLabel(fulfilment.status).toLowerCase()))];
+            throw new OrderTransitionError(`Items that are ${current.join(' or ')} cannot be marked as ${this.getStatusLabel(status).toLowerCase()}`);
+        }
+        
+        const now = new Date();
+        const previousStatus = order.orderStatus;
+        const changes = updated.map(fulfilment => ({ fulfilment, from: fulfilment.status }));
+        
+        updated.forEach(fulfilment => {
+            fulfilment.status = status;
+            fulfilment.updatedAt = now;
+            if (status === 'in_transit') {
+                fulfilment.trackingNumber = trackingNumber || fulfilment.trackingNumber;
+                fulfilment.estimatedDeliveryDate = estimatedDeliveryDate ? new Date(estimatedDeliveryDate) : fulfilment.estimatedDeliveryDate;
+                fulfilment.shippedAt = now;
+            }
+            if (status === 'delivered') {
+                fulfilment.deliveredAt = now;
+            }
+        });
+        
+        order.deriveStatus();
+        order.updatedAt = now;
+        
+        // A change to every group is recorded and announced once for the whole order
+        const wholeOrder = updated.length === order.fulfilments.length;
+        const entries = wholeOrder
+            ? [{ fulfilment: null, from: previousStatus, to: status }]
+            : changes.map(({ fulfilment, from }) => ({ fulfilment: fulfilment._id, from, to: status }));
+        entries.forEach(entry => order.statusHistory.push({
+            ...entry,
+            changedBy: actor._id,
+            role,
+            note: (note || '').trim(),
+            changedAt: now
+        }));
+        
+        const notifyAbout = wholeOrder ? [null] : updated;
+        const notifications = notifyAbout.map(fulfilment => {
+            order.emailNotifications.push({
+                status,
+                fulfilment: fulfilment ? fulfilment._id : null,
+                sentAt: now,
+                successful: true
+            });
+            return order.emailNotifications[order.emailNotifications.length - 1];
+        });
+        
+        await order.save();
+        
+        // Sales are counted in the seller performance metrics on delivery
+        if (status === 'delivered') {
+            for (const fulfilment of updated.filter(group => group.seller)) {
+                const amount = order.getFulfilmentItems(fulfilment)
+                    .reduce((total, item) => total + item.price * item.quantity, 0);
+                await FulfilmentService.recordSale(refId(fulfilment.seller), amount);
+            }
+        }
+        
+        const refund = status === 'cancelled' ? await this.releaseCancelled(order, updated, actor) : null;
+        
+        // Originals are certified once the seller accepts the sale, and no longer if it falls through
+        try {
+            if (status === 'approved') {
+                await CertificateService.ensureForOrder(order);
+            } else if (status === 'cancelled') {
+                await CertificateService.revokeForFulfilments(order, updated, 'The sale was cancelled');
+            }
+        } catch (certificateError) {
+            console.error('Error updating certificates of authenticity:', certificateError);
+        }
+        
+        // Send email notifications to the customer
+        if (!order.populated('user')) {
+            await order.populate('user', 'name email');
+        }
+        await order.populate('fulfilments.seller', 'name');
+        let failed = false;
+        for (const [index, fulfilment] of notifyAbout.entries()) {
+            try {
+                await sendOrderStatusEmail(order, order.user, fulfilment);
+            } catch (emailError) {
+                console.error('Error sending order status email:', emailError);
+                notifications[index].successful = false;
+                failed = true;
+            }
+        }
+        if (failed) {
+            await order.save();
+        }
+        
+        return { updated, refund };
+    }
+
+    /**
+     * Cancel online orders that are still unpaid UNPAID_ORDER_HOURS after they were placed, so
+     * their stock goes back on sale
+     * @returns {Promise<Object>} - { cancelled, failed }
+     */
+    static async expireUnpaid() {
+        const placedBefore = new Date(Date.now() - UNPAID_ORDER_HOURS * 60 * 60 * 1000);
+        const orders = await Order.find({
+            paymentMethod: { $ne: ShippingService.COD_PAYMENT_METHOD },
+            paymentStatus: { $in: ['pending', 'failed'] },
+            orderStatus: 'processing',
+            createdAt: { $lt: placedBefore }
+        }).populate('user', 'name email');
+        
+        let cancelled = 0;
+        let failed = 0;
+        for (const order of orders) {
+            try {
+                order.syncFulfilments();
+                const unpaid = order.fulfilments.filter(fulfilment => this.canTransition(fulfilment, 'cancelled', 'system'));
+                if (unpaid.length > 0) {
+                    await this.transition(order, unpaid, 'cancelled', {
+                        actor: SYSTEM_ACTOR,
+                        note: `Not paid within ${UNPAID_ORDER_HOURS} hours`
+                    });
+                    cancelled += 1;
+                }
+            } catch (error) {
+                console.error(`Error cancelling unpaid order ${order._id}:`, error);
+                failed += 1;
+                // Continue with other orders even if one fails
+            }
+        }
+        return { cancelled, failed };
+    }
+}
+
+OrderLifecycleService.OrderTransitionError = OrderTransitionError;
+OrderLifecycleService.TRANSITIONS = TRANSITIONS;
+OrderLifecycleService.STATUS_LABELS = STATUS_LABELS;
+OrderLifecycleService.UNPAID_ORDER_HOURS = UNPAID_ORDER_HOURS;
+
+module.exports = OrderLifecycleService; 
\ No newline at end of file
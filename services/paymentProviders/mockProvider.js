@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const RazorpayProvider = require('./razorpayProvider');
+
+// Signs results and webhooks; the public default is only used outside production
+const DEFAULT_SECRET = process.env.NODE_ENV === 'production' ? null : 'mock_payment_secret';
+
+// Stand-in gateway for development and tests. Checkout is a button that approves or
+// declines the payment; results and webhooks are signed and shaped the way Razorpay's are.
+// PaymentService only offers it in production when MOCK_PAYMENTS=true.
+class MockProvider {
+    constructor({ secret = process.env.MOCK_PAYMENT_SECRET || DEFAULT_SECRET } = {}) {
+        if (!secret) {
+            throw new Error('MOCK_PAYMENT_SECRET must be set to use mock payments in production');
+        }
+        this.name = 'mock';
+        this.secret = secret;
+        this.webhookHeaders = { signature: 'x-mock-signature', eventId: 'x-mock-event-id' };
+    }
+
+    /**
+     * Signature for a payment against an order
+     * @param {String} orderId - Mock gateway order id
+     * @param {String} paymentId - Mock payment id
+     * @returns {String} - Hex HMAC
+     */
+    sign(orderId, paymentId) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+    }
+
+    /**
+     * Create a fake gateway order
+     * @returns {Promise<Object>} - { id }
+     */
+    async createOrder() {
+        return { id: `mock_order_${crypto.randomBytes(8).toString('hex')}` };
+    }
+
+    /**
+     * Refund part or all of a payment; mock refunds are processed straight away
+     * @returns {Promise<Object>} - { id, status }
+     */
+    async createRefund() {
+        return { id: `mock_rfnd_${crypto.randomBytes(8).toString('hex')}`, status: 'processed' };
+    }
+
+    /**
+     * Check a signed result from the mock checkout
+     * @param {Object} result - { orderId, paymentId, signature }
+     * @returns {Boolean}
+     */
+    verifySignature({ orderId, paymentId, signature }) {
+        return Boolean(orderId && paymentId && signature) && RazorpayProvider.signaturesMatch(this.sign(orderId, paymentId), signature);
+    }
+
+    /**
+     * Signature of a webhook body, e.g. for fixtures sent with scripts/sendTestWebhook.js
+     * @param {Buffer|String} rawBody - Body exactly as sent
+     * @returns {String} - Hex HMAC
+     */
+    signWebhook(rawBody) {
+        return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+    }
+
+    /**
+     * Check the signature on a webhook delivery
+     * @param {Buffer|String} rawBody - Body exactly as received
+     * @param {String} signature - Value of the signature header
+     * @returns {Boolean}
+     */
+    verifyWebhookSignature(rawBody, signature) {
+        return Boolean(signature) && RazorpayProvider.signaturesMatch(this.signWebhook(rawBody), signature);
+    }
+
+    /**
+     * Read a verified webhook delivery
+     * @param {Object} body - Parsed webhook body in Razorpay's format
+     * @param {Object} headers - Request headers
+     * @returns {Object} - See RazorpayProvider.parseWebhookBody
+     */
+    parseWebhookEvent(body, headers) {
+        return RazorpayProvider.parseWebhookBody(body, headers[this.webhookHeaders.eventId]);
+    }
+
+    /**
+     * A payment id and signature for the mock checkout to post back when the payment is approved
+     * @param {Object} payment - Payment document
+     * @returns {Object}
+     */
+    getCheckoutOptions(payment) {
+        const paymentId = `mock_pay_${crypto.randomBytes(8).toString('hex')}`;
+        return {
+            paymentId,
+            signature: this.sign(payment.providerOrderId, paymentId)
+        };
+    }
+}
+
+module.exports = MockProvider; 
\ No newline at end of file
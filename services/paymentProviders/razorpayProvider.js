@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Payments through Razorpay Checkout; amounts go to the gateway in paise
+class RazorpayProvider {
+    constructor({
+        keyId = process.env.RAZORPAY_KEY_ID,
+        keySecret = process.env.RAZORPAY_KEY_SECRET,
+        webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+    } = {}) {
+        if (!keyId || !keySecret) {
+            throw new Error('Razorpay credentials are not properly configured in environment variables');
+        }
+        this.name = 'razorpay';
+        this.keyId = keyId;
+        this.keySecret = keySecret;
+        this.webhookSecret = webhookSecret;
+        this.webhookHeaders = { signature: 'x-razorpay-signature', eventId: 'x-razorpay-event-id' };
+        this.client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+    }
+
+    /**
+     * Compare a signature with the expected one in constant time. Shared with the mock provider.
+     * @param {String} expected - Hex HMAC computed here
+     * @param {String} signature - Signature that was sent
+     * @returns {Boolean}
+     */
+    static signaturesMatch(expected, signature) {
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(String(signature || ''));
+        return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    /**
+     * Turn a webhook body in Razorpay's format into the fields payments are reconciled from.
+     * Shared with the mock provider, whose webhooks use the same format.
+     * @param {Object} body - Parsed webhook body
+     * @param {String} eventId - Event id from the webhook headers
+     * @returns {Object} - { id, type, providerOrderId, providerPaymentId, error, refund }
+     */
+    static parseWebhookBody(body, eventId) {
+        const payload = body.payload || {};
+        const payment = payload.payment ? payload.payment.entity : {};
+        const refund = payload.refund ? payload.refund.entity : null;
+
+        return {
+            id: eventId,
+            type: body.event,
+            providerOrderId: payment.order_id || null,
+            providerPaymentId: payment.id || (refund ? refund.payment_id : null),
+            error: payment.error_description || null,
+            refund: refund ? { id: refund.id, amount: refund.amount / 100 } : null
+        };
+    }
+
+    /**
+     * Create the gateway order the buyer pays against
+     * @param {Object} details - { amount in rupees, currency, receipt, notes }
+     * @returns {Promise<Object>} - { id }
+     */
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+        const order = await this.client.orders.create({
+            amount: Math.round(amount * 100),
+            currency,
+            receipt,
+            notes
+        });
+        return { id: order.id };
+    }
+
+    /**
+     * Refund part or all of a captured payment
+     * @param {Object} details - { paymentId, amount in rupees, notes }
+     * @returns {Promise<Object>} - { id, status }
+     */
+    async createRefund({ paymentId, amount, notes = {} }) {
+        const refund = await this.client.payments.refund(paymentId, {
+            amount: Math.round(amount * 100),
+            notes
+        });
+        return { id: refund.id, status: refund.status };
+    }
+
+    /**
+     * Check the signature Razorpay Checkout hands back after a successful payment
+     * @param {Object} result - { orderId, paymentId, signature }
+     * @returns {Boolean}
+     */
+    verifySignature({ orderId, paymentId, signature }) {
+        if (!orderId || !paymentId || !signature) return false;
+        
+        const expected = crypto.createHmac('sha256', this.keySecret)
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+        return RazorpayProvider.signaturesMatch(expected, signature);
+    }
+
+    /**
+     * Signature of a webhook body, as Razorpay computes it with the webhook secret
+     * @param {Buffer|String} rawBody - Body exactly as received
+     * @returns {String} - Hex HMAC
+     */
+    signWebhook(rawBody) {
+        if (!this.webhookSecret) {
+            throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+        }
+        return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    }
+
+    /**
+     * Check the signature on a webhook delivery
+     * @param {Buffer|String} rawBody - Body exactly as received
+     * @param {String} signature - Value of the signature header
+     * @returns {Boolean}
+     */
+    verifyWebhookSignature(rawBody, signature) {
+        if (!signature || !this.webhookSecret) return false;
+
+        return RazorpayProvider.signaturesMatch(this.signWebhook(rawBody), signature);
+    }
+
+    /**
+     * Read a verified webhook delivery
+     * @param {Object} body - Parsed webhook body
+     * @param {Object} headers - Request headers
+     * @returns {Object} - See parseWebhookBody
+     */
+    parseWebhookEvent(body, headers) {
+        return RazorpayProvider.parseWebhookBody(body, headers[this.webhookHeaders.eventId]);
+    }
+
+    /**
+     * Options the browser needs to open Razorpay Checkout
+     * @param {Object} payment - Payment document
+     * @returns {Object}
+     */
+    getCheckoutOptions(payment) {
+        return { key: this.keyId };
+    }
+}
+
+module.exports = RazorpayProvider; 
\ No newline at end of file
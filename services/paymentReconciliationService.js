@@ -0,0 +1,221 @@
+const Order = require('../models/Order');
+const CustomRequest = require('../models/CustomRequest');
+const Bid = require('../models/Bid');
+const PsychometricTest = require('../models/PsychometricTest');
+const User = require('../models/User');
+const CouponService = require('./couponService');
+const { sendQuoteOrderEmail } = require('../utils/emailService');
+
+// RefundService pays refunds back through PaymentService, which loads this module, so it is
+// required when first needed
+const getRefundService = () => require('./refundService');
+
+// Brings the record a payment is for in line with the payment. Every step can run more than
+// once for the same payment, since the browser redirect and the webhook both report it.
+class PaymentReconciliationService {
+    /**
+     * Apply a paid payment to its order, custom request or psychometric test
+     * @param {Object} payment - Paid Payment document
+     * @returns {Promise<Object|null>} - The updated record
+     */
+    static async applyPaid(payment) {
+        switch (payment.purpose) {
+            case 'order':
+                return this.markOrderPaid(payment);
+            case 'custom_request':
+                return this.acceptPaidBid(payment);
+            case 'psychometric_test':
+                return this.markTestPaid(payment);
+            case 'psychometric_order':
+                return this.placeQuoteOrder(payment);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Apply a failed payment. Only shop orders keep a failed state; requests and tests stay payable.
+     * @param {Object} payment - Failed Payment document
+     * @returns {Promise<Object|null>} - The updated order
+     */
+    static async applyFailed(payment) {
+        if (payment.purpose !== 'order') {
+            return null;
+        }
+        
+        const order = await Order.findById(payment.reference);
+        if (order && order.paymentStatus === 'pending') {
+            order.paymentStatus = 'failed';
+            await order.save();
+        }
+        return order;
+    }
+
+    /**
+     * Record how much of a payment has been refunded on the record it paid for
+     * @param {Object} payment - Payment document with its refunds
+     * @returns {Promise<Object|null>} - The updated record
+     */
+    static async applyRefund(payment) {
+        switch (payment.purpose) {
+            case 'order': {
+                const order = await Order.findById(payment.reference);
+                if (order && payment.status === 'refunded') {
+                    order.paymentStatus = 'refunded';
+                    await order.save();
+                    // A fully refunded order no longer uses up its coupon
+                    await CouponService.release(order);
+                }
+                return order;
+            }
+            case 'custom_request': {
+                // Payments for bids that did not win the request are refunded on their own
+                const request = await CustomRequest.findById(payment.reference);
+                if (request && request.paymentId === payment.providerPaymentId) {
+                    request.payment.refundedAmount = payment.amountRefunded;
+                    await request.save();
+                }
+                return request;
+            }
+            case 'psychometric_test':
+            case 'psychometric_order': {
+                const test = await PsychometricTest.findById(payment.reference);
+                if (test) {
+                    if (payment.purpose === 'psychometric_test') {
+                        test.paymentRefundedAmount = payment.amountRefunded;
+                    } else {
+                        test.order.refundedAmount = payment.amountRefunded;
+                    }
+                    await test.save();
+                }
+                return test;
+            }
+            default:
+                return null;
+        }
+    }
+
+    static async markOrderPaid(payment) {
+        const order = await Order.findById(payment.reference);
+        
+        // Unpaid orders are cancelled after a while and their stock released (see
+        // OrderLifecycleService.expireUnpaid), so a payment that comes through later is given back
+        if (order && order.orderStatus === 'cancelled' && order.paymentStatus !== 'completed') {
+            await getRefundService().refundPayment(payment, {
+                reason: 'order_cancelled',
+                note: 'Paid after the order was cancelled'
+            });
+            return order;
+        }
+        if (order && order.paymentStatus !== 'completed') {
+            order.paymentStatus = 'completed';
+            order.paymentId = payment.providerPaymentId;
+            await order.save();
+        }
+        return order;
+    }
+
+    // The bid a payment was made for wins the request; the other bids are rejected
+    static async acceptPaidBid(payment) {
+        const request = await CustomRequest.findById(payment.reference);
+        if (!request) {
+            return request;
+        }
+        
+        // Paying again for the bid that won changes nothing. A payment for a request that was
+        // cancelled or won by another bid meanwhile, e.g. paid in a second tab, is given back.
+        if (request.status !== 'open') {
+            if (request.paymentId !== payment.providerPaymentId) {
+                await getRefundService().refundPayment(payment, {
+                    reason: request.status === 'cancelled' ? 'request_cancelled' : 'other',
+                    note: request.status === 'cancelled'
+                        ? 'Paid after the request was cancelled'
+                        : 'Paid for a bid after another bid had won the request'
+                });
+            }
+            return request;
+        }
+        
+        const bid = await Bid.findById(payment.metadata.bid).populate('seller', 'name email');
+        if (!bid) {
+            throw new Error(`Bid for payment ${payment._id} not found`);
+        }
+        
+        request.status = 'in_progress';
+        request.assignedSeller = bid.seller._id;
+        request.paymentId = payment.providerPaymentId;
+        request.payment = {
+            amount: payment.tax ? payment.tax.taxableAmount : bid.amount,
+            tax: payment.tax,
+            totalAmount: payment.amount,
+            paidAt: payment.paidAt,
+            refundedAmount: 0
+        };
+        await request.save();
+        
+        bid.status = 'accepted';
+        await bid.save();
+        
+        await Bid.updateMany(
+            {
+                customRequest: request._id,
+                _id: { $ne: bid._id }
+            },
+            { status: 'rejected' }
+        );
+        
+        console.log('Bid accepted and payment verified for:', {
+            seller: bid.seller.name,
+            amount: bid.amount,
+            requestTitle: request.title
+        });
+        return request;
+    }
+
+    static async markTestPaid(payment) {
+        const test = await PsychometricTest.findById(payment.reference);
+        if (test && (test.status === 'taken' || test.status === 'awaiting_payment')) {
+            test.status = 'paid';
+            test.paymentId = payment.providerPaymentId;
+            test.paymentAmount = payment.amount;
+            test.paymentTax = payment.tax;
+            test.paymentDate = payment.paidAt;
+            await test.save();
+        }
+        return test;
+    }
+
+    // Paying for an admin's quote places the home decor order
+    static async placeQuoteOrder(payment) {
+        const test = await PsychometricTest.findById(payment.reference);
+        if (!test || test.order.approved) {
+            return test;
+        }
+        
+        test.order.approvedAt = new Date();
+        test.order.status = 'placed';
+        test.order.approved = true;
+        test.order.paymentId = payment.providerPaymentId;
+        test.order.paymentAmount = payment.amount;
+        test.order.tax = payment.tax;
+        test.order.paymentDate = payment.paidAt;
+        test.status = 'order_placed';
+        await test.save();
+        
+        try {
+            const [user, admins] = await Promise.all([
+                User.findById(test.user).select('name email'),
+                User.find({ role: 'admin' }).select('email')
+            ]);
+            if (user && admins.length > 0) {
+                await sendQuoteOrderEmail(admins.map(admin => admin.email), { user, test });
+            }
+        } catch (emailError) {
+            console.error('Error sending email notification:', emailError);
+            // The order stands even if the email fails
+        }
+        return test;
+    }
+}
+
+module.exports = PaymentReconciliationService; 
\ No newline at end of file
@@ -0,0 +1,338 @@
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const PaymentReconciliationService = require('./paymentReconciliationService');
+const { round2 } = require('../utils/tax');
+const RazorpayProvider = require('./paymentProviders/razorpayProvider');
+const MockProvider = require('./paymentProviders/mockProvider');
+
+const PROVIDERS = {
+    razorpay: RazorpayProvider
+};
+
+// Providers only registered outside production, since their checkout approves any payment
+const TEST_PROVIDERS = {
+    mock: MockProvider
+};
+
+// Shop orders paid through the gateway rather than cash on delivery
+const ONLINE_PAYMENT_METHOD = 'online';
+
+class PaymentError extends Error {
+    constructor(message, payment = null) {
+        super(message);
+        this.name = 'PaymentError';
+        this.payment = payment;
+    }
+}
+
+const instances = {};
+
+/**
+ * Payment providers available in this environment. The mock provider lets anyone approve their
+ * own payment, so it is left out in production unless MOCK_PAYMENTS=true asks for it.
+ * @returns {Object} - Providers by name
+ */
+const getProviders = () => {
+    if (process.env.NODE_ENV === 'production' && process.env.MOCK_PAYMENTS !== 'true') {
+        return PROVIDERS;
+    }
+    return { ...PROVIDERS, ...TEST_PROVIDERS };
+};
+
+class PaymentService {
+    /**
+     * Name of the provider new payments go through. PAYMENT_PROVIDER picks one explicitly;
+     * otherwise Razorpay is used when it is configured or in production, and the mock elsewhere.
+     * @returns {String}
+     */
+    static getDefaultProviderName() {
+        if (process.env.PAYMENT_PROVIDER) {
+            return process.env.PAYMENT_PROVIDER;
+        }
+        return (process.env.RAZORPAY_KEY_ID || process.env.NODE_ENV === 'production') ? 'razorpay' : 'mock';
+    }
+
+    /**
+     * Payment provider by name, created on first use
+     * @param {String} name - Provider name, the default provider when left out
+     * @returns {Object} - Provider with createOrder, verifySignature and getCheckoutOptions
+     */
+    static getProvider(name = null) {
+        const providerName = name || this.getDefaultProviderName();
+        const Provider = getProviders()[providerName];
+        if (!Provider) {
+            throw new Error(`Unknown payment provider: ${providerName}`);
+        }
+        if (!instances[providerName]) {
+            instances[providerName] = new Provider();
+        }
+        return instances[providerName];
+    }
+
+    /**
+     * Create a gateway order and record it as a Payment. An unpaid payment for the same
+     * purpose and amount is reused, so reloading a payment page does not open new gateway orders.
+     * @param {Object} details - { purpose, reference, user, amount in rupees, tax, description, metadata }
+     * @returns {Promise<Object>} - Payment document
+     */
+    static async createPayment({ purpose, reference, user, amount, tax = null, description = '', metadata = {} }) {
+        const provider = this.getProvider();
+        const existing = await Payment.findOne({
+            purpose,
+            reference,
+            provider: provider.name,
+            status: 'created',
+            amount,
+            metadata
+        }).sort({ createdAt: -1 });
+        
+        if (existing) {
+            return existing;
+        }
+        
+        const gatewayOrder = await provider.createOrder({
+            amount,
+            currency: 'INR',
+            receipt: `${purpose}_${reference}`.slice(0, 40),
+            notes: { purpose, reference: reference.toString() }
+        });
+        
+        return Payment.create({
+            purpose,
+            reference,
+            user: user._id || user,
+            provider: provider.name,
+            providerOrderId: gatewayOrder.id,
+            amount,
+            tax,
+            description,
+            metadata
+        });
+    }
+
+    /**
+     * Everything the payment-checkout partial needs to take the buyer through the gateway
+     * @param {Object} payment - Payment document
+     * @param {Object} user - Buyer, used to prefill the checkout form
+     * @returns {Object}
+     */
+    static getCheckout(payment, user) {
+        return {
+            provider: payment.provider,
+            orderId: payment.providerOrderId,
+            amount: payment.amount,
+            amountInPaise: Math.round(payment.amount * 100),
+            currency: payment.currency,
+            description: payment.description,
+            prefill: {
+                name: user.name || '',
+                email: user.email || ''
+            },
+            ...this.getProvider(payment.provider).getCheckoutOptions(payment)
+        };
+    }
+
+    /**
+     * Verify the result the checkout posted back, mark the payment paid or failed and
+     * reconcile what it paid for. Confirming a payment that is already paid returns it unchanged.
+     * @param {String} purpose - Payment purpose
+     * @param {ObjectId} reference - Id of the order, request or test being paid for
+     * @param {Object} result - Posted fields: providerOrderId, providerPaymentId, signature, error
+     * @returns {Promise<Object>} - The paid Payment
+     * @throws {PaymentError} - When the payment is unknown, was declined or does not verify
+     */
+    static async confirmPayment(purpose, reference, { providerOrderId, providerPaymentId, signature, error } = {}) {
+        const payment = providerOrderId
+            ? await Payment.findOne({ purpose, reference, providerOrderId })
+            : null;
+        
+        if (!payment) {
+            throw new PaymentError('We could not find this payment. Please try again.');
+        }
+        if (payment.status === 'paid') {
+            return payment;
+        }
+        
+        if (error) {
+            await this.markFailed(payment, error.toString().slice(0, 200), providerPaymentId);
+            throw new PaymentError(payment.failureReason, payment);
+        }
+        
+        const provider = this.getProvider(payment.provider);
+        if (!provider.verifySignature({ orderId: providerOrderId, paymentId: providerPaymentId, signature })) {
+            await this.markFailed(payment, 'Payment verification failed. Please contact support if the amount was deducted.', providerPaymentId);
+            throw new PaymentError(payment.failureReason, payment);
+        }
+        
+        return this.markPaid(payment, providerPaymentId);
+    }
+
+    /**
+     * Mark a payment paid and apply it to the order, request or test it is for
+     * @param {Object} payment - Payment document
+     * @param {String} providerPaymentId - Gateway payment id
+     * @returns {Promise<Object>} - The paid Payment
+     */
+    static async markPaid(payment, providerPaymentId) {
+        payment.status = 'paid';
+        payment.providerPaymentId = providerPaymentId || payment.providerPaymentId;
+        payment.failureReason = null;
+        payment.paidAt = payment.paidAt || new Date();
+        await payment.save();
+        
+        await PaymentReconciliationService.applyPaid(payment);
+        return payment;
+    }
+
+    /**
+     * Mark a payment failed and apply the failure to what it was for
+     * @param {Object} payment - Payment document
+     * @param {String} reason - Why the payment failed, shown to the buyer
+     * @param {String} providerPaymentId - Gateway payment id, when the gateway created one
+     * @returns {Promise<Object>} - The failed Payment
+     */
+    static async markFailed(payment, reason, providerPaymentId = null) {
+        payment.status = 'failed';
+        payment.failureReason = reason;
+        payment.providerPaymentId = providerPaymentId || payment.providerPaymentId;
+        await payment.save();
+        
+        await PaymentReconciliationService.applyFailed(payment);
+        return payment;
+    }
+
+    /**
+     * Handle a webhook delivery from a payment provider. The signature is checked against the
+     * raw body and each event is handled once; redeliveries of a handled event are reported
+     * as duplicates. Events the gateway sends before or after the browser confirms the payment
+     * leave the same result.
+     * @param {String} providerName - Provider from the webhook URL
+     * @param {Buffer} rawBody - Body exactly as received
+     * @param {Object} headers - Request headers
+     * @returns {Promise<Object>} - { duplicate, event }
+     * @throws {PaymentError} - When the provider is unknown or the delivery does not verify
+     */
+    static async handleWebhook(providerName, rawBody, headers) {
+        if (!getProviders()[providerName]) {
+            throw new PaymentError(`Unknown payment provider: ${providerName}`);
+        }
+        
+        const provider = this.getProvider(providerName);
+        if (!provider.verifyWebhookSignature(rawBody, headers[provider.webhookHeaders.signature])) {
+            throw new PaymentError('Invalid webhook signature');
+        }
+        
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString('utf8'));
+        } catch (parseError) {
+            throw new PaymentError('Webhook body is not valid JSON');
+        }
+        
+        const parsed = provider.parseWebhookEvent(body, headers);
+        if (!parsed.id) {
+            throw new PaymentError('Webhook event id is missing');
+        }
+        
+        let event = await WebhookEvent.findOne({ provider: providerName, eventId: parsed.id });
+        if (event && event.status !== 'failed') {
+            return { duplicate: true, event };
+        }
+        
+        if (!event) {
+            try {
+                event = await WebhookEvent.create({
+                    provider: providerName,
+                    eventId: parsed.id,
+                    type: parsed.type,
+                    payload: body
+                });
+            } catch (createError) {
+                // Another delivery of the same event got there first
+                if (createError.code === 11000) {
+                    return { duplicate: true, event: null };
+                }
+                throw createError;
+            }
+        }
+        
+        try {
+            const payment = await this.findWebhookPayment(providerName, parsed);
+            event.payment = payment ? payment._id : null;
+            event.status = payment && await this.applyWebhookEvent(payment, parsed) ? 'processed' : 'ignored';
+            event.error = null;
+            event.processedAt = new Date();
+            await event.save();
+            return { duplicate: false, event };
+        } catch (processError) {
+            event.status = 'failed';
+            event.error = processError.message;
+            await event.save();
+            throw processError;
+        }
+    }
+
+    /**
+     * Record a refund the gateway has made against a payment and apply it to what the payment was for.
+     * A payment that has been refunded in full is marked refunded.
+     * @param {Object} payment - Payment document
+     * @param {Object} refund - { providerRefundId, amount in rupees }
+     * @returns {Promise<Boolean>} - false when the refund was already recorded
+     */
+    static async recordRefund(payment, { providerRefundId, amount }) {
+        if (payment.refunds.some(entry => entry.providerRefundId === providerRefundId)) {
+            return false;
+        }
+        
+        payment.refunds.push({ providerRefundId, amount, processedAt: new Date() });
+        payment.amountRefunded = round2(payment.refunds.reduce((sum, entry) => sum + entry.amount, 0));
+        if (payment.amountRefunded >= payment.amount) {
+            payment.status = 'refunded';
+        }
+        await payment.save();
+        
+        await PaymentReconciliationService.applyRefund(payment);
+        return true;
+    }
+
+    static async findWebhookPayment(providerName, { providerOrderId, providerPaymentId }) {
+        if (providerOrderId) {
+            const payment = await Payment.findOne({ provider: providerName, providerOrderId });
+            if (payment) return payment;
+        }
+        if (providerPaymentId) {
+            return Payment.findOne({ provider: providerName, providerPaymentId });
+        }
+        return null;
+    }
+
+    /**
+     * Apply a parsed webhook event to its payment
+     * @returns {Promise<Boolean>} - Whether the event changed anything
+     */
+    static async applyWebhookEvent(payment, { type, providerPaymentId, error, refund }) {
+        switch (type) {
+            case 'payment.captured':
+                if (payment.status !== 'created' && payment.status !== 'failed') return false;
+                await this.markPaid(payment, providerPaymentId);
+                return true;
+                
+            case 'payment.failed':
+                if (payment.status !== 'created') return false;
+                await this.markFailed(payment, error || 'The payment failed', providerPaymentId);
+                return true;
+                
+            case 'refund.processed':
+                // Refunds issued from this site are recorded when they are made
+                return Boolean(refund) && this.recordRefund(payment, { providerRefundId: refund.id, amount: refund.amount });
+                
+            default:
+                return false;
+        }
+    }
+}
+
+PaymentService.PaymentError = PaymentError;
+PaymentService.ONLINE_PAYMENT_METHOD = ONLINE_PAYMENT_METHOD;
+
+module.exports = PaymentService; 
\ No newline at end of file
@@ -0,0 +1,279 @@
+const Product = require('../models/Product');
+const Gallery = require('../models/Gallery');
+const PsychometricTest = require('../models/PsychometricTest');
+const { STYLES, formatLabel } = require('../utils/productAttributes');
+const { extractDominantColors } = require('../utils/colorExtraction');
+
+// Artwork colors that go with each color preference of the psychometric test
+const COLOR_PALETTES = {
+    warm: ['red', 'orange', 'yellow', 'gold', 'brown', 'pink'],
+    cool: ['blue', 'green', 'purple', 'silver', 'gray'],
+    neutral: ['beige', 'white', 'gray', 'brown', 'black', 'silver'],
+    bold: ['red', 'orange', 'yellow', 'pink', 'purple', 'black', 'gold']
+};
+
+// How well each artwork style suits each style preference of the test, from 0 to 1
+const STYLE_AFFINITY = {
+    modern: { modern: 1, contemporary: 1, abstract: 0.6, minimalist: 0.5, pop_art: 0.5 },
+    traditional: { traditional: 1, realism: 1, folk: 0.7, impressionism: 0.7 },
+    minimal: { minimalist: 1, modern: 0.5, abstract: 0.5, contemporary: 0.4 },
+    eclectic: { eclectic: 1, pop_art: 0.8, folk: 0.7, surrealism: 0.7, expressionism: 0.7, abstract: 0.5 }
+};
+
+// Styles, colors and mediums that speak to each personality trait, with the reason shown to the user
+const TRAIT_AFFINITY = {
+    'Dynamic': {
+        styles: ['abstract', 'expressionism', 'pop_art'],
+        colors: ['red', 'orange', 'yellow'],
+        mediums: ['acrylic', 'mixed_media'],
+        reason: 'Energetic work for a dynamic personality'
+    },
+    'Comfort-focused': {
+        styles: ['impressionism', 'traditional', 'folk'],
+        colors: ['beige', 'brown', 'orange'],
+        mediums: ['textile', 'watercolor', 'pastel'],
+        reason: 'A soft, inviting piece for a comfort-focused home'
+    },
+    'Organized': {
+        styles: ['minimalist', 'modern', 'realism'],
+        colors: ['white', 'black', 'gray'],
+        mediums: ['print', 'photography'],
+        reason: 'A clean, ordered composition for an organized mind'
+    },
+    'Trend-conscious': {
+        styles: ['contemporary', 'pop_art', 'modern'],
+        colors: [],
+        mediums: ['digital', 'mixed_media', 'photography'],
+        reason: 'A current look for someone who keeps up with trends'
+    },
+    'Social': {
+        styles: ['pop_art', 'eclectic', 'contemporary'],
+        colors: ['red', 'gold'],
+        mediums: [],
+        reason: 'A conversation piece for a home you love to share'
+    },
+    'Sanctuary-seeker': {
+        styles: ['minimalist', 'impressionism'],
+        colors: ['blue', 'green', 'beige', 'white'],
+        mediums: ['watercolor'],
+        reason: 'A calming piece for a home that is your retreat'
+    }
+};
+
+// Points each part of the profile can add to a match score out of 100
+const COLOR_POINTS = 40;
+const STYLE_POINTS = 35;
+const TRAIT_POINTS = 25;
+
+// Pieces scoring less than this are not shown
+const MIN_MATCH_SCORE = 35;
+
+// Most recent pieces of each kind scored for a profile
+const CANDIDATE_LIMIT = 300;
+
+const PRODUCT_FIELDS = 'title artistName image imageMeta price stock variants status style medium dominantColors';
+
+/**
+ * List words as "a", "a and b" or "a, b and c"
+ * @param {Array} words - Words to list
+ * @returns {String}
+ */
+const listWords = (words) => {
+    if (words.length <= 1) {
+        return words.join('');
+    }
+    return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+};
+
+/**
+ * Guess the style of a gallery piece from its description
+ * @param {String} text - Description
+ * @returns {String|null} - Style from STYLES
+ */
+const inferStyle = (text) => {
+    const lower = (text || '').toLowerCase();
+    return STYLES.find(style => style !== 'other' && lower.includes(formatLabel(style).toLowerCase())) || null;
+};
+
+/**
+ * Score one piece against a test profile
+ * @param {Object} features - { colors, style, medium } of the piece
+ * @param {Object} test - Psychometric test with colorPreference, stylePreference, personalityTraits
+ * @returns {Object} - { score: 0-100, reasons: why the piece matches }
+ */
+const scorePiece = (features, test) => {
+    const reasons = [];
+    let score = 0;
+    
+    const palette = COLOR_PALETTES[test.colorPreference] || [];
+    const matchingColors = features.colors.filter(color => palette.includes(color));
+    if (matchingColors.length > 0) {
+        score += COLOR_POINTS * matchingColors.length / features.colors.length;
+        reasons.push(`Its ${listWords(matchingColors)} tones suit your ${test.colorPreference} palette`);
+    }
+    
+    const styleFit = features.style ? (STYLE_AFFINITY[test.stylePreference] || {})[features.style] || 0 : 0;
+    if (styleFit > 0) {
+        score += STYLE_POINTS * styleFit;
+        reasons.push(`${formatLabel(features.style)} style fits your ${test.stylePreference} taste`);
+    }
+    
+    const traits = (test.personalityTraits || []).filter(trait => TRAIT_AFFINITY[trait]);
+    if (traits.length > 0) {
+        const matchingTraits = traits.filter(trait => {
+            const affinity = TRAIT_AFFINITY[trait];
+            return affinity.styles.includes(features.style)
+                || affinity.mediums.includes(features.medium)
+                || features.colors.some(color => affinity.colors.includes(color));
+        });
+        score += TRAIT_POINTS * matchingTraits.length / traits.length;
+        matchingTraits.forEach(trait => reasons.push(TRAIT_AFFINITY[trait].reason));
+    }
+    
+    return { score: Math.round(score), reasons };
+};
+
+/**
+ * Pieces that score well enough, best first
+ * @param {Array} pieces - Products or gallery items
+ * @param {Function} getFeatures - Reads { colors, style, medium } from a piece
+ * @param {Object} test - Psychometric test
+ * @param {Number} limit - Most pieces to return
+ * @returns {Array} - [{ item, score, reasons }]
+ */
+const rankPieces = (pieces, getFeatures, test, limit) => {
+    return pieces
+        .map(item => ({ item, ...scorePiece(getFeatures(item), test) }))
+        .filter(match => match.score >= MIN_MATCH_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+class PersonalityMatchService {
+    /**
+     * Most recent test of a user that has results to match on
+     * @param {ObjectId} userId - User
+     * @returns {Promise<Object|null>} - Psychometric test
+     */
+    static async getLatestProfile(userId) {
+        return PsychometricTest.findOne({ user: userId, colorPreference: { $ne: null } })
+            .sort({ createdAt: -1 });
+    }
+
+    /**
+     * Approved products and gallery pieces that match the results of a test, each with the
+     * reasons it was picked
+     * @param {Object} test - Psychometric test
+     * @param {Object} options - { productLimit, galleryLimit }
+     * @returns {Promise<Object>} - { test, products, gallery } with [{ item, score, reasons }] lists
+     */
+    static async matchForTest(test, { productLimit = 6, galleryLimit = 3 } = {}) {
+        if (!test || !test.colorPreference) {
+            return { test, products: [], gallery: [] };
+        }
+        
+        // Only pieces that can score on at least one part of the profile are read
+        const traits = (test.personalityTraits || []).map(trait => TRAIT_AFFINITY[trait]).filter(Boolean);
+        const colors = [...new Set([...(COLOR_PALETTES[test.colorPreference] || []), ...traits.flatMap(trait => trait.colors)])];
+        const styles = [...new Set([...Object.keys(STYLE_AFFINITY[test.stylePreference] || {}), ...traits.flatMap(trait => trait.styles)])];
+        const mediums = [...new Set(traits.flatMap(trait => trait.mediums))];
+        
+        const [products, galleryItems] = await Promise.all([
+            Product.find({
+                status: 'approved',
+                $or: [
+                    { dominantColors: { $in: colors } },
+                    { style: { $in: styles } },
+                    { medium: { $in: mediums } }
+                ]
+            })
+                .select(PRODUCT_FIELDS)
+                .sort({ createdAt: -1 })
+                .limit(CANDIDATE_LIMIT),
+            Gallery.find({ dominantColors: { $in: colors } })
+                .sort({ createdAt: -1 })
+                .limit(CANDIDATE_LIMIT)
+        ]);
+        
+        return {
+            test,
+            products: rankPieces(products, product => ({
+                colors: product.dominantColors || [],
+                style: product.style,
+                medium: product.medium
+            }), test, productLimit),
+            gallery: rankPieces(galleryItems, item => ({
+                colors: item.dominantColors || [],
+                style: inferStyle(item.description),
+                medium: null
+            }), test, galleryLimit)
+        };
+    }
+
+    /**
+     * Matches for the latest test of a user
+     * @param {ObjectId} userId - User
+     * @returns {Promise<Object|null>} - See matchForTest, null when the user has not taken the test
+     */
+    static async matchForUser(userId) {
+        const test = await this.getLatestProfile(userId);
+        return test ? this.matchForTest(test) : null;
+    }
+
+    /**
+     * Read the dominant colors of a product or gallery item from its image, or from the palette
+     * the upload pipeline recorded for it. Products keep the colors their seller picked. Nothing
+     * is saved.
+     * @param {Object} piece - Product or gallery document
+     * @returns {Promise<Boolean>} - Whether colors were read
+     */
+    static async applyExtractedColors(piece) {
+        if (piece instanceof Product && piece.dominantColors.length > 0) {
+            return false;
+        }
+        try {
+            const palette = piece.imageMeta && piece.imageMeta.palette;
+            piece.dominantColors = palette && palette.length > 0 ? palette : await extractDominantColors(piece.image);
+        } catch (error) {
+            console.error(`Error reading colors of image ${piece.image}:`, error.message);
+            piece.dominantColors = [];
+        }
+        // Marked even when the image could not be read, so it is not tried again
+        piece.colorsExtractedAt = new Date();
+        return piece.dominantColors.length > 0;
+    }
+
+    /**
+     * Read the colors of products and gallery items that have none yet
+     * @param {Number} batchSize - Most pieces of each kind to read
+     * @returns {Promise<Object>} - { products, gallery } pieces read
+     */
+    static async extractMissingColors(batchSize = 50) {
+        const missing = { 'dominantColors.0': { $exists: false }, colorsExtractedAt: null };
+        const result = { products: 0, gallery: 0 };
+        
+        const products = await Product.find(missing).select('image imageMeta dominantColors').limit(batchSize);
+        for (const product of products) {
+            await this.applyExtractedColors(product);
+            await Product.updateOne({ _id: product._id }, {
+                $set: { dominantColors: product.dominantColors, colorsExtractedAt: product.colorsExtractedAt }
+            });
+            result.products += 1;
+        }
+        
+        const galleryItems = await Gallery.find(missing).select('image imageMeta').limit(batchSize);
+        for (const item of galleryItems) {
+            await this.applyExtractedColors(item);
+            await Gallery.updateOne({ _id: item._id }, {
+                $set: { dominantColors: item.dominantColors, colorsExtractedAt: item.colorsExtractedAt }
+            });
+            result.gallery += 1;
+        }
+        
+        return result;
+    }
+}
+
+PersonalityMatchService.MIN_MATCH_SCORE = MIN_MATCH_SCORE;
+
+module.exports = PersonalityMatchService; 
\ No newline at end of file
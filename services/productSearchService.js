@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { MEDIUMS, STYLES, ORIENTATIONS, COLORS, SIZES, formatLabel } = require('../utils/productAttributes');
+
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = {
+    relevance: { label: 'Best Match', sort: { score: -1, createdAt: -1 } },
+    newest: { label: 'Newest', sort: { createdAt: -1 } },
+    price_asc: { label: 'Price: Low to High', sort: { price: 1, createdAt: -1 } },
+    price_desc: { label: 'Price: High to Low', sort: { price: -1, createdAt: -1 } },
+    popular: { label: 'Most Popular', sort: { salesCount: -1, viewCount: -1, createdAt: -1 } },
+    top_rated: { label: 'Top Rated', sort: { ratingAverage: -1, ratingCount: -1, createdAt: -1 } }
+};
+
+// Upper bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BOUNDARIES = [0, 1000, 5000, 10000, 25000, 50000];
+
+// Single-valued attribute filters: query param, search param and Product field
+const ATTRIBUTE_FILTERS = [
+    { param: 'medium', key: 'mediums', field: 'medium', options: MEDIUMS },
+    { param: 'style', key: 'styles', field: 'style', options: STYLES },
+    { param: 'orientation', key: 'orientations', field: 'orientation', options: ORIENTATIONS }
+];
+
+// Longest side of the artwork, used for the size filter
+const LONGEST_SIDE = { $max: ['$dimensions.width', '$dimensions.height'] };
+
+// Leave sold out products out of the shop listing instead of showing them with a sold out badge
+const HIDE_SOLD_OUT = process.env.SHOP_HIDE_SOLD_OUT === 'true';
+
+class ProductSearchService {
+    /**
+     * Normalize shop query string parameters into search params
+     * @param {Object} query - Express req.query
+     * @returns {Object} - Normalized search params
+     */
+    static parseParams(query = {}) {
+        const toList = value => [].concat(value || [])
+            .map(item => String(item).trim())
+            .filter(Boolean);
+        const toPrice = value => {
+            const price = parseFloat(value);
+            return isNaN(price) || price < 0 ? null : price;
+        };
+        
+        const toOptions = (value, options) => toList(value).filter(item => options.includes(item));
+        
+        const q = typeof query.q === 'string' ? query.q.trim() : '';
+        let sort = SORT_OPTIONS[query.sort] ? query.sort : (q ? 'relevance' : 'newest');
+        if (sort === 'relevance' && !q) {
+            sort = 'newest';
+        }
+        
+        const params = {
+            q,
+            minPrice: toPrice(query.minPrice),
+            maxPrice: toPrice(query.maxPrice),
+            artists: toList(query.artist),
+            sellers: toList(query.seller).filter(id => mongoose.Types.ObjectId.isValid(id)),
+            category: typeof query.category === 'string' ? query.category.trim().toLowerCase() : '',
+            colors: toOptions(query.color, COLORS),
+            sizes: toOptions(query.size, SIZES.map(size => size.value)),
+            sort,
+            page: Math.max(parseInt(query.page) || 1, 1)
+        };
+        
+        ATTRIBUTE_FILTERS.forEach(filter => {
+            params[filter.key] = toOptions(query[filter.param], filter.options);
+        });
+        
+        return params;
+    }
+
+    /**
+     * Search approved products and compute facet counts. Sold out products are left out when
+     * SHOP_HIDE_SOLD_OUT is set.
+     * @param {Object} params - Params returned by parseParams
+     * @returns {Promise<Object>} - Products, facet counts and pagination info
+     */
+    static async search(params) {
+        const baseMatch = { status: 'approved' };
+        if (HIDE_SOLD_OUT) {
+            baseMatch.stock = { $gt: 0 };
+        }
+        if (params.q) {
+            baseMatch.$text = { $search: params.q };
+        }
+        
+        const pipeline = [{ $match: baseMatch }];
+        if (params.q) {
+            pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        }
+        
+        const category = params.category
+            ? await Category.findOne({ slug: params.category, isActive: true })
+            : null;
+        const categoryIds = category ? await Category.getSubtreeIds(category._id) : null;
+        
+        const conditions = this._buildFilterConditions(params, categoryIds);
+        const skip = (params.page - 1) * PAGE_SIZE;
+        
+        pipeline.push({
+            $facet: {
+                products: [
+                    { $match: this._matchExcept(conditions) },
+                    { $sort: SORT_OPTIONS[params.sort].sort },
+                    { $skip: skip },
+                    { $limit: PAGE_SIZE }
+                ],
+                total: [
+                    { $match: this._matchExcept(conditions) },
+                    { $count: 'count' }
+                ],
+                artists: [
+                    { $match: this._matchExcept(conditions, 'artist') },
+                    { $group: { _id: '$artistName', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: 20 }
+                ],
+                sellers: [
+                    { $match: this._matchExcept(conditions, 'seller') },
+                    { $group: { _id: '$seller', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: 20 },
+                    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'seller' } },
+                    { $project: { count: 1, name: { $ifNull: [{ $arrayElemAt: ['$seller.name', 0] }, 'Unknown Seller'] } } }
+                ],
+                categories: [
+                    { $match: this._matchExcept(conditions, 'category') },
+                    { $match: { category: { $ne: null } } },
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+                    { $unwind: '$category' },
+                    { $match: { 'category.isActive': true } },
+                    { $project: { count: 1, name: '$category.name', slug: '$category.slug' } },
+                    { $sort: { count: -1, name: 1 } }
+                ],
+                mediums: this._attributeFacet(conditions, 'medium'),
+                styles: this._attributeFacet(conditions, 'style'),
+                orientations: this._attributeFacet(conditions, 'orientation'),
+                colors: [
+                    { $match: this._matchExcept(conditions, 'color') },
+                    { $unwind: '$dominantColors' },
+                    { $group: { _id: '$dominantColors', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ],
+                sizes: [
+                    { $match: this._matchExcept(conditions, 'size') },
+                    {
+                        $bucket: {
+                            groupBy: LONGEST_SIDE,
+                            boundaries: [...SIZES.map(size => size.min), Number.MAX_SAFE_INTEGER],
+                            default: 'unknown',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                priceRanges: [
+                    { $match: this._matchExcept(conditions, 'price') },
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries: PRICE_BOUNDARIES,
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ]
+            }
+        });
+        
+        const [result] = await Product.aggregate(pipeline);
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+        const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+        
+        return {
+            products: result.products.map(doc => Product.hydrate(doc)),
+            facets: {
+                artists: result.artists.map(facet => ({
+                    value: facet._id,
+                    count: facet.count,
+                    selected: params.artists.includes(facet._id)
+                })),
+                sellers: result.sellers.map(facet => ({
+                    value: facet._id.toString(),
+                    label: facet.name,
+                    count: facet.count,
+                    selected: params.sellers.includes(facet._id.toString())
+                })),
+                priceRanges: this._formatPriceBuckets(result.priceRanges, params),
+                categories: result.categories.map(facet => ({
+                    value: facet.slug,
+                    label: facet.name,
+                    count: facet.count,
+                    selected: params.category === facet.slug
+                })),
+                mediums: this._formatOptionFacet(result.mediums, params.mediums),
+                styles: this._formatOptionFacet(result.styles, params.styles),
+                orientations: this._formatOptionFacet(result.orientations, params.orientations),
+                colors: this._formatOptionFacet(result.colors, params.colors),
+                sizes: result.sizes
+                    .filter(bucket => bucket._id !== 'unknown')
+                    .map(bucket => {
+                        const size = SIZES.find(option => option.min === bucket._id);
+                        return {
+                            value: size.value,
+                            label: size.label,
+                            count: bucket.count,
+                            selected: params.sizes.includes(size.value)
+                        };
+                    })
+            },
+            category,
+            pagination: {
+                page: params.page,
+                pageSize: PAGE_SIZE,
+                total,
+                totalPages,
+                hasPrev: params.page > 1,
+                hasNext: params.page < totalPages
+            },
+            sortOptions: Object.keys(SORT_OPTIONS)
+                .filter(key => key !== 'relevance' || params.q)
+                .map(key => ({ value: key, label: SORT_OPTIONS[key].label }))
+        };
+    }
+
+    /**
+     * Build a shop URL from the current params with some values overridden
+     * @param {Object} params - Current search params
+     * @param {Object} overrides - Params to replace (page resets to 1 unless given)
+     * @returns {String} - URL for the shop listing
+     */
+    static buildUrl(params, overrides = {}) {
+        const query = new URLSearchParams(this.toQueryPairs({ ...params, page: 1, ...overrides }));
+        const queryString = query.toString();
+        return queryString ? `/shop?${queryString}` : '/shop';
+    }
+
+    /**
+     * Serialize search params back into query string name/value pairs
+     * @param {Object} params - Search params
+     * @returns {Array} - [name, value] pairs, e.g. for hidden form fields
+     */
+    static toQueryPairs(params) {
+        const pairs = [];
+        const add = (name, values) => [].concat(values || []).forEach(value => pairs.push([name, String(value)]));
+        
+        if (params.q) add('q', params.q);
+        if (params.minPrice !== null && params.minPrice !== undefined) add('minPrice', params.minPrice);
+        if (params.maxPrice !== null && params.maxPrice !== undefined) add('maxPrice', params.maxPrice);
+        add('artist', params.artists);
+        add('seller', params.sellers);
+        if (params.category) add('category', params.category);
+        ATTRIBUTE_FILTERS.forEach(filter => add(filter.param, params[filter.key]));
+        add('color', params.colors);
+        add('size', params.sizes);
+        if (params.sort && params.sort !== (params.q ? 'relevance' : 'newest')) add('sort', params.sort);
+        if (params.page > 1) add('page', params.page);
+        
+        return pairs;
+    }
+
+    /**
+     * Build one match condition per filter dimension
+     * @param {Object} params - Search params
+     * @param {Array} categoryIds - Selected category and its descendants, if any
+     * @returns {Object} - Conditions keyed by dimension
+     */
+    static _buildFilterConditions(params, categoryIds = null) {
+        const conditions = {};
+        
+        if (params.minPrice !== null || params.maxPrice !== null) {
+            conditions.price = { price: {} };
+            if (params.minPrice !== null) conditions.price.price.$gte = params.minPrice;
+            if (params.maxPrice !== null) conditions.price.price.$lte = params.maxPrice;
+        }
+        
+        if (params.artists.length > 0) {
+            conditions.artist = { artistName: { $in: params.artists } };
+        }
+        
+        if (params.sellers.length > 0) {
+            conditions.seller = {
+                seller: { $in: params.sellers.map(id => new mongoose.Types.ObjectId(id)) }
+            };
+        }
+        
+        if (params.category) {
+            // An unknown category slug matches nothing rather than being ignored
+            conditions.category = { category: { $in: categoryIds || [] } };
+        }
+        
+        ATTRIBUTE_FILTERS.forEach(filter => {
+            if (params[filter.key].length > 0) {
+                conditions[filter.field] = { [filter.field]: { $in: params[filter.key] } };
+            }
+        });
+        
+        if (params.colors.length > 0) {
+            conditions.color = { dominantColors: { $in: params.colors } };
+        }
+        
+        if (params.sizes.length > 0) {
+            conditions.size = {
+                $or: SIZES
+                    .filter(size => params.sizes.includes(size.value))
+                    .map(size => ({
+                        $expr: {
+                            $and: [
+                                { $gte: [LONGEST_SIDE, size.min] },
+                                ...(size.max !== null ? [{ $lt: [LONGEST_SIDE, size.max] }] : [])
+                            ]
+                        }
+                    }))
+            };
+        }
+        
+        return conditions;
+    }
+
+    /**
+     * Combine filter conditions, leaving one dimension out so its facet
+     * still shows counts for the alternatives the user has not picked
+     * @param {Object} conditions - Conditions keyed by dimension
+     * @param {String} excluded - Dimension to leave out
+     * @returns {Object} - Mongo match expression
+     */
+    static _matchExcept(conditions, excluded = null) {
+        const active = Object.keys(conditions)
+            .filter(key => key !== excluded)
+            .map(key => conditions[key]);
+        
+        return active.length > 0 ? { $and: active } : {};
+    }
+
+    static _attributeFacet(conditions, field) {
+        return [
+            { $match: this._matchExcept(conditions, field) },
+            { $match: { [field]: { $ne: null } } },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ];
+    }
+    
+    static _formatOptionFacet(buckets, selectedValues) {
+        return buckets.map(bucket => ({
+            value: bucket._id,
+            label: formatLabel(bucket._id),
+            count: bucket.count,
+            selected: selectedValues.includes(bucket._id)
+        }));
+    }
+    
+    static _formatPriceBuckets(buckets, params) {
+        return buckets.map(bucket => {
+            const min = bucket._id === 'above'
+                ? PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1]
+                : bucket._id;
+            const index = PRICE_BOUNDARIES.indexOf(min);
+            const max = index > -1 && index < PRICE_BOUNDARIES.length - 1
+                ? PRICE_BOUNDARIES[index + 1]
+                : null;
+            
+            return {
+                min,
+                max,
+                label: max === null ? `${min.toLocaleString('en-IN')}+` : `${min.toLocaleString('en-IN')} - ${max.toLocaleString('en-IN')}`,
+                count: bucket.count,
+                selected: params.minPrice === min && params.maxPrice === max
+            };
+        });
+    }
+}
+
+module.exports = ProductSearchService; 
\ No newline at end of file
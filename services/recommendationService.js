@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const UserActivity = require('../models/UserActivity');
+
+// Activity and orders older than this no longer shape recommendations
+const LOOKBACK_DAYS = parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS) || 180;
+
+// How strongly each kind of interaction says a shopper is interested in a product
+const SIGNAL_WEIGHTS = {
+    product_view: 1,
+    add_to_cart: 2,
+    purchase: 3
+};
+
+// Only a shopper's most recent products are paired up, so one very active account cannot
+// dominate the scores
+const MAX_PRODUCTS_PER_SHOPPER = 50;
+
+// Related products kept for each product
+const MAX_RELATED = 12;
+
+// Being bought together says more than being looked at together
+const BOUGHT_TOGETHER_BOOST = 2;
+
+const PRODUCT_FIELDS = 'title artistName image imageMeta price stock variants status';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Interest of each shopper in each product, read from their activity and orders
+ * @param {Date} since - Oldest history to read
+ * @param {ObjectId} userId - Optional shopper to limit to
+ * @returns {Promise<Map>} - shopper id => Map of product id => { weight, bought, lastSeen }
+ */
+const collectInterests = async (since, userId = null) => {
+    const shoppers = new Map();
+    const record = (shopperId, productId, weight, bought, seenAt) => {
+        if (!shopperId || !productId || !mongoose.Types.ObjectId.isValid(productId.toString())) {
+            return;
+        }
+        const shopperKey = shopperId.toString();
+        const productKey = productId.toString();
+        if (!shoppers.has(shopperKey)) {
+            shoppers.set(shopperKey, new Map());
+        }
+        const products = shoppers.get(shopperKey);
+        const interest = products.get(productKey) || { weight: 0, bought: false, lastSeen: 0 };
+        interest.weight = Math.max(interest.weight, weight);
+        interest.bought = interest.bought || bought;
+        interest.lastSeen = Math.max(interest.lastSeen, seenAt ? seenAt.getTime() : 0);
+        products.set(productKey, interest);
+    };
+    
+    const activityMatch = { activityType: { $in: Object.keys(SIGNAL_WEIGHTS) }, createdAt: { $gte: since } };
+    const orderMatch = { orderStatus: { $ne: 'cancelled' }, createdAt: { $gte: since } };
+    if (userId) {
+        activityMatch.user = new mongoose.Types.ObjectId(userId);
+        orderMatch.user = activityMatch.user;
+    }
+
+    // Product views and cart adds name one product, purchases list all the products ordered
+    const activities = await UserActivity.aggregate([
+        { $match: activityMatch },
+        { $project: {
+            user: 1,
+            activityType: 1,
+            createdAt: 1,
+            products: { $cond: [
+                { $eq: ['$activityType', 'purchase'] },
+                { $ifNull: ['$metadata.products.id', []] },
+                [{ $ifNull: ['$targetId', '$metadata.productId'] }]
+            ] }
+        } },
+        { $unwind: '$products' },
+        { $match: { products: { $ne: null } } },
+        { $group: {
+            _id: { user: '$user', product: '$products', activityType: '$activityType' },
+            lastSeen: { $max: '$createdAt' }
+        } }
+    ]);
+    activities.forEach(row => {
+        const { user, product, activityType } = row._id;
+        record(user, product, SIGNAL_WEIGHTS[activityType], activityType === 'purchase', row.lastSeen);
+    });
+    
+    const orders = await Order.aggregate([
+        { $match: orderMatch },
+        { $unwind: '$items' },
+        { $group: {
+            _id: { user: '$user', product: '$items.product' },
+            lastSeen: { $max: '$createdAt' }
+        } }
+    ]);
+    orders.forEach(row => {
+        record(row._id.user, row._id.product, SIGNAL_WEIGHTS.purchase, true, row.lastSeen);
+    });
+    
+    return shoppers;
+};
+
+/**
+ * A shopper's products, most recently seen first
+ * @param {Map} products - product id => { weight, bought, lastSeen }
+ * @returns {Array} - [productId, interest] pairs
+ */
+const mostRecent = (products) => {
+    return [...products.entries()]
+        .sort((a, b) => b[1].lastSeen - a[1].lastSeen)
+        .slice(0, MAX_PRODUCTS_PER_SHOPPER);
+};
+
+/**
+ * Item-to-item scores from products that share shoppers. Two products score higher the more
+ * shoppers were interested in both, relative to how much interest each gets on its own (cosine
+ * similarity), so bestsellers do not end up related to everything.
+ * @param {Array} baskets - Per shopper, Map of product id => interest weight
+ * @returns {Map} - product id => [{ product, score }], best first
+ */
+const scoreCoOccurrence = (baskets) => {
+    const norms = new Map();
+    const pairs = new Map();
+    const addPair = (a, b, value) => {
+        if (!pairs.has(a)) {
+            pairs.set(a, new Map());
+        }
+        pairs.get(a).set(b, (pairs.get(a).get(b) || 0) + value);
+    };
+    
+    baskets.forEach(basket => {
+        const entries = [...basket.entries()];
+        entries.forEach(([productId, weight]) => {
+            norms.set(productId, (norms.get(productId) || 0) + weight * weight);
+        });
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const value = entries[i][1] * entries[j][1];
+                addPair(entries[i][0], entries[j][0], value);
+                addPair(entries[j][0], entries[i][0], value);
+            }
+        }
+    });
+    
+    const related = new Map();
+    pairs.forEach((neighbours, productId) => {
+        const scored = [...neighbours.entries()]
+            .map(([other, value]) => ({
+                product: other,
+                score: Math.round(value / Math.sqrt(norms.get(productId) * norms.get(other)) * 1000) / 1000
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RELATED);
+        related.set(productId, scored);
+    });
+    return related;
+};
+
+/**
+ * Approved products in the order of the ids given
+ * @param {Array} ids - Product ids, best first
+ * @param {Number} limit - Most products to return
+ * @returns {Promise<Array>} - Product documents
+ */
+const loadProducts = async (ids, limit) => {
+    if (ids.length === 0 || limit <= 0) {
+        return [];
+    }
+    const products = await Product.find({ _id: { $in: ids }, status: 'approved' }).select(PRODUCT_FIELDS);
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    return ids
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .slice(0, limit);
+};
+
+class RecommendationService {
+    /**
+     * Rebuild the item-to-item recommendations of every product from recent shopper activity
+     * and orders
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { products, shoppers }
+     */
+    static async rebuild(now = new Date()) {
+        const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS);
+        const shoppers = await collectInterests(since);
+        
+        const viewedBaskets = [];
+        const boughtBaskets = [];
+        const popularity = new Map();
+        shoppers.forEach(products => {
+            const recent = mostRecent(products);
+            viewedBaskets.push(new Map(recent.map(([productId, interest]) => [productId, interest.weight])));
+            
+            const bought = recent.filter(([, interest]) => interest.bought);
+            if (bought.length > 1) {
+                boughtBaskets.push(new Map(bought.map(([productId]) => [productId, 1])));
+            }
+            
+            recent.forEach(([productId, interest]) => {
+                popularity.set(productId, (popularity.get(productId) || 0) + interest.weight);
+            });
+        });
+        
+        const alsoViewed = scoreCoOccurrence(viewedBaskets);
+        const alsoBought = scoreCoOccurrence(boughtBaskets);
+        
+        const operations = [...popularity.keys()].map(productId => ({
+            updateOne: {
+                filter: { product: productId },
+                update: { $set: {
+                    alsoViewed: alsoViewed.get(productId) || [],
+                    alsoBought: alsoBought.get(productId) || [],
+                    popularity: popularity.get(productId),
+                    builtAt: now
+                } },
+                upsert: true
+            }
+        }));
+        if (operations.length > 0) {
+            await ProductRecommendation.bulkWrite(operations);
+        }
+        
+        // Products nobody has shown interest in since the last rebuild
+        await ProductRecommendation.deleteMany({ builtAt: { $lt: now } });
+        
+        return { products: operations.length, shoppers: shoppers.size };
+    }
+
+    /**
+     * "Customers also bought" and "customers also viewed" products for a product page. A product
+     * is only listed once, under bought when it is in both.
+     * @param {ObjectId} productId - Product being viewed
+     * @param {Number} limit - Most products in each list
+     * @returns {Promise<Object>} - { alsoBought, alsoViewed } arrays of products
+     */
+    static async getRelated(productId, limit = 4) {
+        const recommendation = await ProductRecommendation.findOne({ product: productId });
+        if (!recommendation) {
+            return { alsoBought: [], alsoViewed: [] };
+        }
+        
+        const alsoBought = await loadProducts(recommendation.alsoBought.map(related => related.product), limit);
+        const listed = new Set(alsoBought.map(product => product._id.toString()));
+        const viewedIds = recommendation.alsoViewed
+            .map(related => related.product)
+            .filter(id => !listed.has(id.toString()));
+        const alsoViewed = await loadProducts(viewedIds, limit);
+        
+        return { alsoBought, alsoViewed };
+    }
+
+    /**
+     * "Recommended for you" products for a shopper: products related to what they looked at,
+     * added to their cart or bought recently, weighted by how strong that interest was. Products
+     * they have already seen are left out, and popular products fill any remaining places, which
+     * is all new shoppers get.
+     * @param {ObjectId} userId - Shopper
+     * @param {Number} limit - Most products to return
+     * @returns {Promise<Object>} - { products, fromHistory: products picked from the shopper's
+     * own history }
+     */
+    static async getForUser(userId, limit = 8) {
+        const since = new Date(Date.now() - LOOKBACK_DAYS * DAY_MS);
+        const shoppers = await collectInterests(since, userId);
+        const interests = shoppers.get(userId.toString()) || new Map();
+        const seeds = mostRecent(interests);
+        
+        const scores = new Map();
+        if (seeds.length > 0) {
+            const seedWeights = new Map(seeds.map(([productId, interest]) => [productId, interest.weight]));
+            const recommendations = await ProductRecommendation.find({ product: { $in: [...seedWeights.keys()] } });
+            const add = (productId, value) => {
+                const key = productId.toString();
+                scores.set(key, (scores.get(key) || 0) + value);
+            };
+            recommendations.forEach(recommendation => {
+                const weight = seedWeights.get(recommendation.product.toString());
+                recommendation.alsoViewed.forEach(related => add(related.product, weight * related.score));
+                recommendation.alsoBought.forEach(related => add(related.product, weight * related.score * BOUGHT_TOGETHER_BOOST));
+            });
+        }
+        interests.forEach((interest, productId) => scores.delete(productId));
+        
+        const ranked = [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([productId]) => productId);
+        const products = await loadProducts(ranked, limit);
+        const fromHistory = products.length;
+        
+        if (products.length < limit) {
+            const exclude = [...interests.keys(), ...products.map(product => product._id.toString())];
+            products.push(...await this.getPopular(limit - products.length, exclude));
+        }
+        return { products, fromHistory };
+    }
+
+    /**
+     * Products with the most shopper interest, topped up with the best sellers when there is not
+     * enough activity yet
+     * @param {Number} limit - Most products to return
+     * @param {Array} exclude - Product ids to leave out
+     * @returns {Promise<Array>} - Product documents
+     */
+    static async getPopular(limit = 8, exclude = []) {
+        if (limit <= 0) {
+            return [];
+        }
+        
+        // Some of the most popular may since have been taken off sale, so read a few extra
+        const ranked = await ProductRecommendation.find({ product: { $nin: exclude } })
+            .sort({ popularity: -1 })
+            .limit(limit * 2)
+            .select('product');
+        const products = await loadProducts(ranked.map(recommendation => recommendation.product), limit);
+        
+        if (products.length < limit) {
+            const more = await Product.find({
+                status: 'approved',
+                _id: { $nin: [...exclude, ...products.map(product => product._id)] }
+            })
+                .sort({ salesCount: -1, viewCount: -1, createdAt: -1 })
+                .limit(limit - products.length)
+                .select(PRODUCT_FIELDS);
+            products.push(...more);
+        }
+        return products;
+    }
+}
+
+RecommendationService.LOOKBACK_DAYS = LOOKBACK_DAYS;
+
+module.exports = RecommendationService; 
\ No newline at end of file
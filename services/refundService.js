@@ -0,0 +1,366 @@
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const CustomRequest = require('../models/CustomRequest');
+const ReturnRequest = require('../models/ReturnRequest');
+const User = require('../models/User');
+const PaymentService = require('./paymentService');
+const FulfilmentService = require('./fulfilmentService');
+const InventoryService = require('./inventoryService');
+const CouponService = require('./couponService');
+const { sendRefundEmail } = require('../utils/emailService');
+const { round2 } = require('../utils/tax');
+
+const REFERENCE_MODELS = {
+    order: Order,
+    custom_request: CustomRequest
+};
+
+class RefundError extends Error {
+    constructor(message, refund = null) {
+        super(message);
+        this.name = 'RefundError';
+        this.refund = refund;
+    }
+}
+
+class RefundService {
+    /**
+     * The order or custom request a refund is for
+     * @param {String} purpose - 'order' or 'custom_request'
+     * @param {Object|ObjectId} reference - Document or id
+     * @returns {Promise<Object>}
+     */
+    static async loadReference(purpose, reference) {
+        const Model = REFERENCE_MODELS[purpose];
+        if (!Model) {
+            throw new RefundError(`Refunds are not supported for ${purpose}`);
+        }
+        if (reference instanceof Model) {
+            return reference;
+        }
+        
+        const document = await Model.findById(reference);
+        if (!document) {
+            throw new RefundError('The order to refund was not found');
+        }
+        return document;
+    }
+
+    /**
+     * Gateway payment an order or request was paid with. A request keeps the payment of the bid
+     * that won it; payments for other bids are refunded on their own (see refundPayment).
+     * @param {String} purpose - 'order' or 'custom_request'
+     * @param {Object} document - Order or CustomRequest
+     * @returns {Promise<Object|null>} - Payment document, null when paid in cash or not at all
+     */
+    static async findPayment(purpose, document) {
+        const query = {
+            purpose,
+            reference: document._id,
+            status: { $in: ['paid', 'refunded'] }
+        };
+        if (purpose === 'custom_request' && document.paymentId) {
+            query.providerPaymentId = document.paymentId;
+        }
+        return Payment.findOne(query).sort({ paidAt: -1 });
+    }
+
+    /**
+     * How much was paid for an order or request and how much of it can still be refunded.
+     * Gateway refunds made outside the site count through the payment's refunded amount.
+     * @param {String} purpose - 'order' or 'custom_request'
+     * @param {Object} document - Order or CustomRequest
+     * @param {ObjectId} excludeId - Refund to leave out of the totals, e.g. the one being approved
+     * @param {ObjectId} paymentId - Payment to look at instead of the one the record was paid with
+     * @returns {Promise<Object>} - { payment, paid, refunded, requested, available }
+     */
+    static async getRefundable(purpose, document, excludeId = null, paymentId = null) {
+        const payment = paymentId
+            ? await Payment.findById(paymentId)
+            : await this.findPayment(purpose, document);
+        
+        let paid = 0;
+        if (payment) {
+            paid = payment.amount;
+        } else if (purpose === 'order' && ['completed', 'refunded'].includes(document.paymentStatus)) {
+            // Cash on delivery, collected by the courier
+            paid = document.totalAmount;
+        } else if (purpose === 'custom_request' && document.payment && document.payment.paidAt) {
+            paid = document.payment.totalAmount || document.payment.amount;
+        }
+        
+        const totals = await Refund.getTotals(purpose, document._id, excludeId, payment ? payment._id : null);
+        const refunded = Math.max(totals.processed, payment ? payment.amountRefunded : 0);
+        
+        return {
+            payment,
+            paid,
+            refunded: round2(refunded),
+            requested: round2(totals.requested),
+            available: Math.max(0, round2(paid - refunded - totals.requested))
+        };
+    }
+
+    /**
+     * What the buyer paid for some of an order's items: their price less their share of the
+     * coupon discount, plus GST at the order's rate. Shipping is only returned by full refunds.
+     * @param {Object} order - Order document
+     * @param {Array} items - [{ item, quantity }] with order items
+     * @returns {Number} - Amount in rupees
+     */
+    static getItemsAmount(order, items) {
+        const value = items.reduce((sum, { item, quantity }) => sum + item.price * quantity, 0);
+        const subtotal = order.itemsSubtotal;
+        if (value === 0 || subtotal === 0) {
+            return 0;
+        }
+        
+        const taxable = value - (order.discountAmount || 0) * value / subtotal;
+        const taxRate = order.tax && order.tax.taxableAmount > 0 ? order.tax.totalTax / order.tax.taxableAmount : 0;
+        return round2(taxable * (1 + taxRate));
+    }
+
+    /**
+     * Ask for a refund, to be approved by an admin. The buyer is emailed.
+     * @param {Object} details - { purpose, reference (document or id), amount, reason, note,
+     * items: [{ item, quantity, restock }] with order items, requestedBy, notify: false to skip the email }
+     * @returns {Promise<Object>} - Refund document
+     * @throws {RefundError} - When nothing was paid or the amount is more than can be refunded
+     */
+    static async requestRefund({ purpose, reference, amount, reason, note = '', items = [], requestedBy = null, notify = true }) {
+        const document = await this.loadReference(purpose, reference);
+        const refundable = await this.getRefundable(purpose, document);
+        const refundAmount = round2(Number(amount));
+        
+        if (refundable.paid === 0) {
+            throw new RefundError('Nothing has been paid for this yet, so there is nothing to refund');
+        }
+        if (!(refundAmount > 0)) {
+            throw new RefundError('Enter an amount to refund');
+        }
+        if (refundAmount > refundable.available) {
+            throw new RefundError(`At most ₹${refundable.available.toFixed(2)} can still be refunded`);
+        }
+        if (!Object.keys(Refund.getReasons()).includes(reason)) {
+            throw new RefundError('Choose a reason for the refund');
+        }
+        
+        const refund = await Refund.create({
+            purpose,
+            reference: document._id,
+            payment: refundable.payment ? refundable.payment._id : null,
+            user: document.user,
+            amount: refundAmount,
+            type: refundAmount >= round2(refundable.paid - refundable.refunded) ? 'full' : 'partial',
+            reason,
+            note: (note || '').trim(),
+            items: items.map(({ item, quantity, restock = false }) => ({
+                product: item.product._id || item.product,
+                variant: item.variant || null,
+                seller: item.seller ? (item.seller._id || item.seller) : null,
+                title: item.variantName ? `${item.title} (${item.variantName})` : item.title,
+                quantity,
+                value: round2(item.price * quantity),
+                restock
+            })),
+            method: refundable.payment ? 'gateway' : 'manual',
+            requestedBy: requestedBy ? requestedBy._id || requestedBy : null
+        });
+        
+        if (notify) {
+            await this.notify(refund, document);
+        }
+        return refund;
+    }
+
+    /**
+     * Ask for a refund of the whole of a gateway payment that could not be applied, e.g. one that
+     * came through after its order was cancelled. An admin approves it like any other refund.
+     * Asking again for the same payment returns the refund already asked for.
+     * @param {Object} payment - Paid Payment document for an order or custom request
+     * @param {Object} details - { reason, note }
+     * @returns {Promise<Object|null>} - Refund document, null when the payment was refunded already
+     */
+    static async refundPayment(payment, { reason, note = '' }) {
+        const existing = await Refund.findOne({ payment: payment._id, status: { $in: ['requested', 'processed'] } });
+        if (existing) {
+            return existing;
+        }
+        
+        const amount = round2(payment.amount - (payment.amountRefunded || 0));
+        if (amount <= 0) {
+            return null;
+        }
+        
+        const document = await this.loadReference(payment.purpose, payment.reference);
+        const refund = await Refund.create({
+            purpose: payment.purpose,
+            reference: document._id,
+            payment: payment._id,
+            user: document.user,
+            amount,
+            type: 'full',
+            reason,
+            note,
+            method: 'gateway',
+            requestedBy: null
+        });
+        
+        await this.notify(refund, document);
+        return refund;
+    }
+
+    /**
+     * Approve a refund and pay it back. Gateway refunds go through the provider the buyer paid
+     * with; cash refunds are recorded for the team to pay back by hand. Once paid back, stock
+     * marked for restocking is put back, delivered items come off the seller's revenue and the
+     * return the refund is for is marked refunded.
+     * @param {Object} refund - Refund document
+     * @param {Object} admin - Approving admin
+     * @returns {Promise<Object>} - The processed refund
+     * @throws {RefundError} - When the refund was already reviewed or the provider refuses it
+     */
+    static async approve(refund, admin) {
+        if (!['requested', 'failed'].includes(refund.status)) {
+            throw new RefundError('This refund has already been reviewed', refund);
+        }
+        
+        const document = await this.loadReference(refund.purpose, refund.reference);
+        const refundable = await this.getRefundable(refund.purpose, document, refund._id, refund.payment);
+        if (refund.amount > refundable.available) {
+            throw new RefundError(`At most ₹${refundable.available.toFixed(2)} can still be refunded`, refund);
+        }
+        
+        refund.reviewedBy = admin._id;
+        refund.reviewedAt = new Date();
+        
+        const payment = refund.payment ? await Payment.findById(refund.payment) : null;
+        if (payment) {
+            try {
+                const result = await PaymentService.getProvider(payment.provider).createRefund({
+                    paymentId: payment.providerPaymentId,
+                    amount: refund.amount,
+                    notes: { refund: refund._id.toString(), reason: refund.reason }
+                });
+                refund.providerRefundId = result.id;
+            } catch (error) {
+                const message = error.error && error.error.description ? error.error.description : error.message;
+                refund.status = 'failed';
+                refund.failureReason = message;
+                await refund.save();
+                throw new RefundError(`The payment provider could not make the refund: ${message}`, refund);
+            }
+        }
+        
+        // The money has left once the provider accepts the refund, so it is processed from here on
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+        refund.failureReason = null;
+        await refund.save();
+        
+        if (payment) {
+            await PaymentService.recordRefund(payment, { providerRefundId: refund.providerRefundId, amount: refund.amount });
+        } else {
+            await this.applyManualRefund(refund, document);
+        }
+        await this.restoreStock(refund);
+        if (refund.purpose === 'order') {
+            await this.adjustSellerRevenue(refund, document);
+            // A return received earlier is complete once its refund is paid back
+            await ReturnRequest.updateMany({ refund: refund._id, status: 'received' }, { status: 'refunded', updatedAt: new Date() });
+        }
+        
+        await this.notify(refund, document);
+        return refund;
+    }
+
+    /**
+     * Turn a refund down. The buyer is emailed the reason.
+     * @param {Object} refund - Refund document
+     * @param {Object} admin - Reviewing admin
+     * @param {String} reason - Why the refund was rejected
+     * @returns {Promise<Object>} - The rejected refund
+     */
+    static async reject(refund, admin, reason = '') {
+        if (!['requested', 'failed'].includes(refund.status)) {
+            throw new RefundError('This refund has already been reviewed', refund);
+        }
+        
+        refund.status = 'rejected';
+        refund.rejectionReason = (reason || '').trim() || null;
+        refund.reviewedBy = admin._id;
+        refund.reviewedAt = new Date();
+        await refund.save();
+        
+        await this.notify(refund, await this.loadReference(refund.purpose, refund.reference));
+        return refund;
+    }
+
+    // Cash refunds have no gateway payment to reconcile, so the order or request is updated here
+    static async applyManualRefund(refund, document) {
+        const { processed } = await Refund.getTotals(refund.purpose, document._id);
+        
+        if (refund.purpose === 'order') {
+            if (processed >= document.totalAmount) {
+                document.paymentStatus = 'refunded';
+                await document.save();
+                await CouponService.release(document);
+            }
+        } else {
+            document.payment.refundedAmount = round2(processed);
+            await document.save();
+        }
+    }
+
+    static async restoreStock(refund) {
+        if (refund.stockRestored || !refund.items.some(item => item.restock)) {
+            return;
+        }
+        
+        for (const item of refund.items.filter(entry => entry.restock)) {
+            try {
+                await InventoryService.restoreStock(item);
+            } catch (error) {
+                console.error('Error restoring product stock:', error);
+                // Continue with other items even if one fails
+            }
+        }
+        refund.stockRestored = true;
+        await refund.save();
+    }
+
+    // Only delivered items were counted as sales, so only they come off the seller's revenue
+    static async adjustSellerRevenue(refund, order) {
+        const delivered = order.fulfilments.filter(fulfilment => fulfilment.status === 'delivered' && fulfilment.seller);
+        
+        for (const fulfilment of delivered) {
+            const sellerId = String(fulfilment.seller._id || fulfilment.seller);
+            const value = refund.items
+                .filter(item => String(item.seller || '') === sellerId)
+                .reduce((sum, item) => sum + item.value, 0);
+            if (value > 0) {
+                await FulfilmentService.recordRefund(sellerId, value);
+            }
+        }
+    }
+
+    static async notify(refund, document) {
+        try {
+            const user = await User.findById(refund.user).select('name email');
+            if (!user) return;
+            
+            const title = refund.purpose === 'order'
+                ? `order #${document._id.toString().slice(-6)}`
+                : `your custom request "${document.title}"`;
+            await sendRefundEmail(user.email, { name: user.name, refund, title });
+        } catch (error) {
+            console.error('Error sending refund email:', error);
+            // The refund stands even if the email fails
+        }
+    }
+}
+
+RefundService.RefundError = RefundError;
+
+module.exports = RefundService; 
\ No newline at end of file
@@ -0,0 +1,341 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const RefundService = require('./refundService');
+const InventoryService = require('./inventoryService');
+const CertificateService = require('./certificateService');
+const { sendReturnEmail } = require('../utils/emailService');
+
+// Days after delivery a buyer can ask to send items back
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 7);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Id of a reference whether or not it has been populated
+const refId = value => (value && value._id ? value._id : value);
+
+class ReturnError extends Error {
+    constructor(message, returnRequest = null) {
+        super(message);
+        this.name = 'ReturnError';
+        this.returnRequest = returnRequest;
+    }
+}
+
+class ReturnService {
+    /**
+     * Last day a delivered fulfilment's items can be returned
+     * @param {Object} fulfilment - Order fulfilment
+     * @returns {Date|null} - null when the items have not been delivered
+     */
+    static getReturnDeadline(fulfilment) {
+        if (fulfilment.status !== 'delivered' || !fulfilment.deliveredAt) {
+            return null;
+        }
+        return new Date(fulfilment.deliveredAt.getTime() + RETURN_WINDOW_DAYS * DAY_MS);
+    }
+
+    /**
+     * Order items the buyer can still send back: delivered within the return window and
+     * not already in a return that is going ahead
+     * @param {Object} order - Order document
+     * @returns {Promise<Array>} - [{ item, fulfilment, returnable, deadline }]
+     */
+    static async getReturnableItems(order) {
+        const now = new Date();
+        const returned = await ReturnRequest.getReturnedQuantities(order._id);
+        
+        return order.fulfilments.reduce((returnable, fulfilment) => {
+            const deadline = this.getReturnDeadline(fulfilment);
+            if (!deadline || deadline < now) {
+                return returnable;
+            }
+            
+            order.getFulfilmentItems(fulfilment).forEach(item => {
+                const quantity = item.quantity - (returned[item._id.toString()] || 0);
+                if (quantity > 0) {
+                    returnable.push({ item, fulfilment, returnable: quantity, deadline });
+                }
+            });
+            return returnable;
+        }, []);
+    }
+
+    /**
+     * Open returns for some of an order's items. Items from different sellers go back to
+     * each seller separately, so one return is made per fulfilment.
+     * @param {Object} order - Order document
+     * @param {Object} user - Buyer
+     * @param {Object} details - { quantities: { orderItemId: quantity }, reason, comments, photos }
+     * @returns {Promise<Array>} - ReturnRequest documents
+     * @throws {ReturnError} - When no returnable items are chosen or the details are missing
+     */
+    static async createReturns(order, user, { quantities = {}, reason, comments = '', photos = [] }) {
+        if (!Object.keys(ReturnRequest.getReasons()).includes(reason)) {
+            throw new ReturnError('Choose a reason for the return');
+        }
+        
+        const returnable = await this.getReturnableItems(order);
+        const groups = new Map();
+        
+        for (const [itemId, value] of Object.entries(quantities)) {
+            const quantity = parseInt(value, 10) || 0;
+            if (quantity <= 0) continue;
+            
+            const entry = returnable.find(({ item }) => item._id.toString() === itemId);
+            if (!entry) {
+                throw new ReturnError('One of the items can no longer be returned');
+            }
+            if (quantity > entry.returnable) {
+                throw new ReturnError(`Only ${entry.returnable} of "${entry.item.title}" can be returned`);
+            }
+            
+            const key = entry.fulfilment._id.toString();
+            if (!groups.has(key)) {
+                groups.set(key, { fulfilment: entry.fulfilment, items: [] });
+            }
+            groups.get(key).items.push({ item: entry.item, quantity });
+        }
+        
+        if (groups.size === 0) {
+            throw new ReturnError('Choose at least one item to return');
+        }
+        
+        const returns = [];
+        for (const { fulfilment, items } of groups.values()) {
+            const sequence = await Counter.next('rma');
+            const returnRequest = await ReturnRequest.create({
+                rmaNumber: `RMA-${String(sequence).padStart(6, '0')}`,
+                order: order._id,
+                user: user._id,
+                seller: refId(fulfilment.seller) || null,
+                items: items.map(({ item, quantity }) => ({
+                    orderItem: item._id,
+                    product: refId(item.product),
+                    variant: item.variant || null,
+                    title: item.variantName ? `${item.title} (${item.variantName})` : item.title,
+                    quantity,
+                    price: item.price
+                })),
+                reason,
+                comments: (comments || '').trim(),
+                photos
+            });
+            returns.push(returnRequest);
+            
+            await this.notifyReviewers(returnRequest, order);
+        }
+        return returns;
+    }
+
+    /**
+     * Whether a user can approve, reject and receive a return: admins, and the seller the items go back to
+     * @param {Object} returnRequest - ReturnRequest document
+     * @param {Object} user - Signed-in user
+     * @returns {Boolean}
+     */
+    static canManage(returnRequest, user) {
+        if (user.role === 'admin') {
+            return true;
+        }
+        return user.role === 'seller' && Boolean(returnRequest.seller)
+            && refId(returnRequest.seller).toString() === user._id.toString();
+    }
+
+    /**
+     * Accept a return so the buyer can send the items back
+     * @param {Object} returnRequest - ReturnRequest document
+     * @param {Object} reviewer - Seller or admin
+     * @returns {Promise<Object>} - The approved return
+     */
+    static async approve(returnRequest, reviewer) {
+        if (returnRequest.status !== 'requested') {
+            throw new ReturnError('This return has already been reviewed', returnRequest);
+        }
+        
+        returnRequest.status = 'approved';
+        returnRequest.reviewedBy = reviewer._id;
+        returnRequest.reviewedAt = new Date();
+        await returnRequest.save();
+        
+        await this.notify(returnRequest);
+        return returnRequest;
+    }
+
+    /**
+     * Turn a return down. The buyer is emailed the reason.
+     * @param {Object} returnRequest - ReturnRequest document
+     * @param {Object} reviewer - Seller or admin
+     * @param {String} reason - Why the return was rejected
+     * @returns {Promise<Object>} - The rejected return
+     */
+    static async reject(returnRequest, reviewer, reason = '') {
+        if (returnRequest.status !== 'requested') {
+            throw new ReturnError('This return has already been reviewed', returnRequest);
+        }
+        
+        returnRequest.status = 'rejected';
+        returnRequest.rejectionReason = (reason || '').trim() || null;
+        returnRequest.reviewedBy = reviewer._id;
+        returnRequest.reviewedAt = new Date();
+        await returnRequest.save();
+        
+        await this.notify(returnRequest);
+        return returnRequest;
+    }
+
+    /**
+     * Record the parcel the buyer sent the items back in
+     * @param {Object} returnRequest - ReturnRequest document
+     * @param {Object} shipment - { carrier, trackingNumber }
+     * @returns {Promise<Object>} - The return, now in transit
+     */
+    static async markShipped(returnRequest, { carrier, trackingNumber }) {
+        if (!['approved', 'in_transit'].includes(returnRequest.status)) {
+            throw new ReturnError('Items can only be sent back once the return is approved', returnRequest);
+        }
+        if (!trackingNumber || !trackingNumber.trim()) {
+            throw new ReturnError('Enter the tracking number of the parcel', returnRequest);
+        }
+        
+        returnRequest.status = 'in_transit';
+        returnRequest.returnShipment = {
+            carrier: (carrier || '').trim() || null,
+            trackingNumber: trackingNumber.trim(),
+            shippedAt: returnRequest.returnShipment.shippedAt || new Date()
+        };
+        await returnRequest.save();
+        return returnRequest;
+    }
+
+    /**
+     * Withdraw a return the buyer no longer wants to make
+     * @param {Object} returnRequest - ReturnRequest document
+     * @returns {Promise<Object>} - The cancelled return
+     */
+    static async cancel(returnRequest) {
+        if (!['requested', 'approved'].includes(returnRequest.status)) {
+            throw new ReturnError('Returns can only be cancelled before the items are sent back', returnRequest);
+        }
+        
+        returnRequest.status = 'cancelled';
+        await returnRequest.save();
+        return returnRequest;
+    }
+
+    /**
+     * Record that the returned items arrived. They go back on sale and a refund of what the buyer
+     * paid for them is requested; the return is refunded once an admin approves it.
+     * @param {Object} returnRequest - ReturnRequest document
+     * @param {Object} receiver - Seller or admin who received the parcel
+     * @returns {Promise<Object>} - { returnRequest, refund, refundError } where refundError is
+     * the message when the refund could not be requested
+     */
+    static async markReceived(returnRequest, receiver) {
+        if (!['approved', 'in_transit'].includes(returnRequest.status)) {
+            throw new ReturnError('Only approved returns can be received', returnRequest);
+        }
+        
+        returnRequest.status = 'received';
+        returnRequest.receivedBy = receiver._id;
+        returnRequest.receivedAt = new Date();
+        await returnRequest.save();
+        
+        for (const item of returnRequest.items) {
+            try {
+                await InventoryService.restoreStock(item);
+            } catch (error) {
+                console.error('Error restoring product stock:', error);
+                // Continue with other items even if one fails
+            }
+        }
+        
+        try {
+            await CertificateService.revokeForItems(refId(returnRequest.order), returnRequest.items, `Returned under ${returnRequest.rmaNumber}`);
+        } catch (error) {
+            console.error('Error revoking certificates of returned items:', error);
+        }
+        
+        let refund = null;
+        let refundError = null;
+        try {
+            refund = await this.refund(returnRequest, receiver);
+        } catch (error) {
+            if (!(error instanceof RefundService.RefundError)) throw error;
+            refundError = error.message;
+        }
+        
+        if (refund) {
+            returnRequest.refund = refund._id;
+            await returnRequest.save();
+        }
+        
+        await this.notify(returnRequest);
+        return { returnRequest, refund, refundError };
+    }
+
+    // Ask for what the buyer paid for the returned items back, capped at what is left to refund.
+    // An admin approves it like any other refund (see RefundService.approve).
+    static async refund(returnRequest, receiver) {
+        const order = await Order.findById(refId(returnRequest.order));
+        const refundable = await RefundService.getRefundable('order', order);
+        if (refundable.paid === 0) {
+            return null;
+        }
+        
+        const items = returnRequest.items
+            .map(entry => ({ item: order.items.id(entry.orderItem), quantity: entry.quantity }))
+            .filter(({ item }) => item);
+        const amount = Math.min(RefundService.getItemsAmount(order, items), refundable.available);
+        if (!(amount > 0)) {
+            return null;
+        }
+        
+        // The stock was put back when the parcel arrived, so the refund does not restock again
+        return RefundService.requestRefund({
+            purpose: 'order',
+            reference: order,
+            amount,
+            reason: 'returned',
+            note: `Return ${returnRequest.rmaNumber}`,
+            items,
+            requestedBy: receiver
+        });
+    }
+
+    // Let the seller know, or the admins for items the platform sold itself
+    static async notifyReviewers(returnRequest, order) {
+        try {
+            const reviewers = returnRequest.seller
+                ? await User.find({ _id: returnRequest.seller }).select('name email')
+                : await User.find({ role: 'admin' }).select('name email');
+            const title = `order #${order._id.toString().slice(-6)}`;
+            
+            for (const reviewer of reviewers) {
+                await sendReturnEmail(reviewer.email, { name: reviewer.name, returnRequest, title, forSeller: true });
+            }
+        } catch (error) {
+            console.error('Error sending return email:', error);
+            // The return stands even if the email fails
+        }
+    }
+
+    static async notify(returnRequest) {
+        try {
+            const user = await User.findById(returnRequest.user).select('name email');
+            if (!user) return;
+            
+            const title = `order #${refId(returnRequest.order).toString().slice(-6)}`;
+            await sendReturnEmail(user.email, { name: user.name, returnRequest, title });
+        } catch (error) {
+            console.error('Error sending return email:', error);
+            // The return stands even if the email fails
+        }
+    }
+}
+
+ReturnService.ReturnError = ReturnError;
+ReturnService.RETURN_WINDOW_DAYS = RETURN_WINDOW_DAYS;
+
+module.exports = ReturnService; 
\ No newline at end of file
@@ -8,6 +8,13 @@ const Order = require('../models/Order');
 const Lead = require('../models/Lead');
 const User = require('../models/User');
 const Cart = require('../models/Cart');
+const ShipmentService = require('./shipmentService');
+const OrderLifecycleService = require('./orderLifecycleService');
+const CartService = require('./cartService');
+const CartRecoveryService = require('./cartRecoveryService');
+const RecommendationService = require('./recommendationService');
+const PersonalityMatchService = require('./personalityMatchService');
+const StockAlertService = require('./stockAlertService');
 
 class SchedulerService {
     constructor() {
@@ -34,6 +41,18 @@ class SchedulerService {
                 updatedAt: { $lt: thirtyDaysAgo },
                 status: 'abandoned'
             });
+            
+            const guestCarts = await CartService.removeStaleGuestCarts();
+            console.log(`Removed ${guestCarts} stale guest carts`);
+        }, {
+            scheduled: false
+        });
+
+        // Find abandoned carts and send due reminder emails every 15 minutes
+        this.tasks.recoverCarts = cron.schedule('*/15 * * * *', async () => {
+            console.log('Running scheduled task: Cart recovery');
+            const { abandoned, sent, failed } = await CartRecoveryService.run();
+            console.log(`Marked ${abandoned} carts abandoned, sent ${sent} reminder emails, ${failed} failed`);
         }, {
             scheduled: false
         });
@@ -46,6 +65,33 @@ class SchedulerService {
             scheduled: false
         });
 
+        // Rebuild product recommendations from shopper activity and orders daily at 12:30am
+        this.tasks.rebuildRecommendations = cron.schedule('30 0 * * *', async () => {
+            console.log('Running scheduled task: Rebuild product recommendations');
+            const { products, shoppers } = await RecommendationService.rebuild();
+            console.log(`Rebuilt recommendations for ${products} products from ${shoppers} shoppers`);
+        }, {
+            scheduled: false
+        });
+
+        // Read the dominant colors of new artwork images every hour
+        this.tasks.extractColors = cron.schedule('15 * * * *', async () => {
+            console.log('Running scheduled task: Extract artwork colors');
+            const { products, gallery } = await PersonalityMatchService.extractMissingColors();
+            console.log(`Read colors of ${products} products and ${gallery} gallery items`);
+        }, {
+            scheduled: false
+        });
+
+        // Email sellers a digest of their sold out and low stock products at 9am
+        this.tasks.stockDigests = cron.schedule('0 9 * * *', async () => {
+            console.log('Running scheduled task: Send seller stock digests');
+            const { sent, failed, alerts } = await StockAlertService.sendDigests();
+            console.log(`Sent ${sent} stock digests covering ${alerts} items, ${failed} failed`);
+        }, {
+            scheduled: false
+        });
+
         // Send order status reminder emails at 10am
         this.tasks.orderReminders = cron.schedule('0 10 * * *', async () => {
             console.log('Running scheduled task: Send order status reminders');
@@ -159,6 +205,24 @@ class SchedulerService {
         }, {
             scheduled: false
         });
+
+        // Cancel online orders left unpaid and release their stock every hour
+        this.tasks.expireUnpaidOrders = cron.schedule('45 * * * *', async () => {
+            console.log('Running scheduled task: Cancel unpaid orders');
+            const { cancelled, failed } = await OrderLifecycleService.expireUnpaid();
+            console.log(`Cancelled ${cancelled} unpaid orders, ${failed} failed`);
+        }, {
+            scheduled: false
+        });
+
+        // Poll couriers for parcels still on their way every 30 minutes
+        this.tasks.pollShipments = cron.schedule('*/30 * * * *', async () => {
+            console.log('Running scheduled task: Poll shipment tracking');
+            const { checked, failed } = await ShipmentService.pollActive();
+            console.log(`Checked ${checked} shipments, ${failed} could not be tracked`);
+        }, {
+            scheduled: false
+        });
     }
 
     startAll() {
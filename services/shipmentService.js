@@ -0,0 +1,328 @@
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const Bid = require('../models/Bid');
+const CustomRequest = require('../models/CustomRequest');
+const User = require('../models/User');
+const OrderLifecycleService = require('./orderLifecycleService');
+const StubCarrier = require('./carriers/stubCarrier');
+const { sendRequestDeliveredEmail } = require('../utils/emailService');
+
+// Carrier adapters by name. Each has a name and label, track(awb, { shippedAt }) resolving to
+// { status, estimatedDeliveryDate, events: [{ status, description, location, occurredAt }] }
+// with statuses from Shipment.getStatuses() or 'exception', and getTrackingUrl(awb).
+const CARRIERS = {};
+
+// Adapters only registered outside production, since anyone can pick their scans
+const TEST_CARRIERS = {
+    stub: StubCarrier
+};
+
+// Couriers without an adapter; their parcels are not polled and sellers mark them delivered
+const UNTRACKED_CARRIER = 'other';
+
+// Parcels still not delivered this long after shipping stop being polled
+const TRACKING_WINDOW_DAYS = 30;
+
+// The system moves orders along as the courier's scans come in
+const TRACKING_ACTOR = { _id: null, role: 'system' };
+
+class ShipmentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShipmentError';
+    }
+}
+
+const instances = {};
+
+/**
+ * Carrier adapters available in this environment. The stub courier delivers whichever fixture
+ * the AWB names, so it is left out in production unless STUB_CARRIER=true asks for it.
+ * @returns {Object} - Adapters by name
+ */
+const getCarriers = () => {
+    if (process.env.NODE_ENV === 'production' && process.env.STUB_CARRIER !== 'true') {
+        return CARRIERS;
+    }
+    return { ...CARRIERS, ...TEST_CARRIERS };
+};
+
+class ShipmentService {
+    /**
+     * Carrier adapter by name, created on first use
+     * @param {String} name - Carrier name
+     * @returns {Object|null} - Adapter, null for untracked couriers
+     */
+    static getCarrier(name) {
+        const Carrier = getCarriers()[name];
+        if (!Carrier) {
+            return null;
+        }
+        if (!instances[name]) {
+            instances[name] = new Carrier();
+        }
+        return instances[name];
+    }
+
+    /**
+     * Couriers a seller can pick when shipping
+     * @returns {Array} - [{ value, label }]
+     */
+    static getCarrierOptions() {
+        return [
+            ...Object.keys(getCarriers()).map(name => ({ value: name, label: this.getCarrier(name).label })),
+            { value: UNTRACKED_CARRIER, label: 'Other courier (not tracked)' }
+        ];
+    }
+
+    /**
+     * Whether a shipment's scans come from a carrier adapter
+     * @param {Object} shipment - Shipment document
+     * @returns {Boolean}
+     */
+    static isTracked(shipment) {
+        return Boolean(getCarriers()[shipment.carrier]);
+    }
+
+    /**
+     * Record the parcel a seller's part of an order was handed over in. Parcels with a tracked
+     * courier move the items to in transit once the courier picks them up; other parcels are
+     * marked as shipped straight away.
+     * @param {Object} order - Order with user populated (name, email)
+     * @param {Object} fulfilment - The seller's fulfilment
+     * @param {Object} details - { carrier, awb, estimatedDeliveryDate, actor: seller or admin shipping it }
+     * @returns {Promise<Object>} - Shipment document
+     * @throws {ShipmentError} - When the courier or tracking number is missing
+     * @throws {OrderTransitionError} - When the actor cannot ship these items
+     */
+    static async shipFulfilment(order, fulfilment, { carrier, awb, estimatedDeliveryDate = null, actor }) {
+        if (!OrderLifecycleService.canTransition(fulfilment, 'in_transit', actor.role)) {
+            throw new OrderLifecycleService.OrderTransitionError(
+                `Items that are ${OrderLifecycleService.getStatusLabel(fulfilment.status).toLowerCase()} cannot be shipped`
+            );
+        }
+        if (OrderLifecycleService.isAwaitingPayment(order)) {
+            throw new OrderLifecycleService.OrderTransitionError('This order cannot be shipped until it has been paid for');
+        }
+        
+        const shipment = await this.record({
+            purpose: 'order',
+            reference: order._id,
+            fulfilment: fulfilment._id,
+            seller: fulfilment.seller ? fulfilment.seller._id || fulfilment.seller : null
+        }, { carrier, awb, estimatedDeliveryDate });
+        
+        if (this.isTracked(shipment)) {
+            try {
+                await this.refresh(shipment, order);
+            } catch (error) {
+                // The scheduled poll tries the courier again
+                console.error(`Error tracking shipment ${shipment.awb}:`, error);
+            }
+        } else {
+            await OrderLifecycleService.transition(order, [fulfilment], 'in_transit', {
+                actor,
+                trackingNumber: shipment.awb,
+                estimatedDeliveryDate
+            });
+        }
+        return shipment;
+    }
+
+    /**
+     * Record the parcel the accepted seller sent a custom request's artwork in
+     * @param {Object} request - CustomRequest document
+     * @param {Object} bid - Accepted bid
+     * @param {Object} details - { carrier, awb }
+     * @returns {Promise<Object>} - Shipment document
+     */
+    static async shipBid(request, bid, { carrier, awb }) {
+        const shipment = await this.record({
+            purpose: 'custom_request',
+            reference: request._id,
+            bid: bid._id,
+            seller: bid.seller._id || bid.seller
+        }, { carrier, awb });
+        
+        if (this.isTracked(shipment)) {
+            try {
+                await this.refresh(shipment);
+            } catch (error) {
+                // The scheduled poll tries the courier again
+                console.error(`Error tracking shipment ${shipment.awb}:`, error);
+            }
+        }
+        return shipment;
+    }
+
+    // A parcel booked again, e.g. with a corrected tracking number, replaces the earlier one
+    static async record(target, { carrier, awb, estimatedDeliveryDate = null }) {
+        const carrierName = carrier || UNTRACKED_CARRIER;
+        if (!this.getCarrierOptions().some(option => option.value === carrierName)) {
+            throw new ShipmentError('Choose a courier');
+        }
+        if (!awb || !awb.trim()) {
+            throw new ShipmentError('Tracking number is required');
+        }
+        
+        const filter = { purpose: target.purpose, reference: target.reference };
+        if (target.fulfilment) filter.fulfilment = target.fulfilment;
+        if (target.bid) filter.bid = target.bid;
+        
+        const shipment = await Shipment.findOne(filter) || new Shipment(target);
+        const now = new Date();
+        shipment.carrier = carrierName;
+        shipment.carrierLabel = this.getCarrier(carrierName) ? this.getCarrier(carrierName).label : 'Courier';
+        shipment.awb = awb.trim();
+        shipment.status = 'booked';
+        shipment.events = [];
+        shipment.deliveredAt = null;
+        shipment.lastError = null;
+        shipment.shippedAt = now;
+        shipment.estimatedDeliveryDate = estimatedDeliveryDate ? new Date(estimatedDeliveryDate) : null;
+        
+        if (!this.getCarrier(carrierName)) {
+            // Untracked parcels only have the seller's word that they were sent
+            shipment.status = 'in_transit';
+            shipment.events = [{ status: 'in_transit', description: 'Handed to the courier by the seller', occurredAt: now }];
+        }
+        await shipment.save();
+        return shipment;
+    }
+
+    /**
+     * Fetch the latest scans of a tracked parcel and move its order or request along
+     * @param {Object} shipment - Shipment document
+     * @param {Object} order - The order, when already loaded
+     * @returns {Promise<Object>} - The updated shipment
+     */
+    static async refresh(shipment, order = null) {
+        const carrier = this.getCarrier(shipment.carrier);
+        if (!carrier) {
+            return shipment;
+        }
+        
+        shipment.lastPolledAt = new Date();
+        try {
+            const tracking = await carrier.track(shipment.awb, { shippedAt: shipment.shippedAt });
+            shipment.mergeEvents(tracking.events);
+            shipment.status = tracking.status;
+            shipment.estimatedDeliveryDate = tracking.estimatedDeliveryDate || shipment.estimatedDeliveryDate;
+            if (tracking.status === 'delivered' && !shipment.deliveredAt) {
+                const delivered = tracking.events.find(event => event.status === 'delivered');
+                shipment.deliveredAt = delivered ? delivered.occurredAt : new Date();
+            }
+            shipment.lastError = null;
+        } catch (error) {
+            shipment.lastError = error.message;
+            await shipment.save();
+            throw error;
+        }
+        await shipment.save();
+        
+        if (shipment.purpose === 'order') {
+            await this.applyToOrder(shipment, order);
+        } else {
+            await this.applyToBid(shipment);
+        }
+        return shipment;
+    }
+
+    static async applyToOrder(shipment, order = null) {
+        // A delivery problem after pickup still means the parcel left the seller
+        const pickedUp = shipment.events.some(event => !['booked', 'exception'].includes(event.status));
+        if (!pickedUp) {
+            return;
+        }
+        
+        const document = order || await Order.findById(shipment.reference).populate('user', 'name email');
+        const fulfilment = document ? document.fulfilments.id(shipment.fulfilment) : null;
+        if (!fulfilment) {
+            return;
+        }
+        
+        if (fulfilment.status === 'approved') {
+            await OrderLifecycleService.transition(document, [fulfilment], 'in_transit', {
+                actor: TRACKING_ACTOR,
+                note: `Picked up by ${this.getCarrier(shipment.carrier).label}, AWB ${shipment.awb}`,
+                trackingNumber: shipment.awb,
+                estimatedDeliveryDate: shipment.estimatedDeliveryDate
+            });
+        }
+        if (shipment.status === 'delivered' && fulfilment.status === 'in_transit') {
+            await OrderLifecycleService.transition(document, [fulfilment], 'delivered', {
+                actor: TRACKING_ACTOR,
+                note: `Delivery scanned by ${this.getCarrier(shipment.carrier).label}`
+            });
+        }
+    }
+
+    // Delivered artwork completes the custom request, as when the seller marks it delivered
+    static async applyToBid(shipment) {
+        if (shipment.status !== 'delivered') {
+            return;
+        }
+        
+        const bid = await Bid.findById(shipment.bid).populate('customRequest').populate('seller', 'name');
+        if (!bid || bid.delivered) {
+            return;
+        }
+        if (bid.status !== 'accepted' || !bid.customRequest) {
+            return;
+        }
+        
+        // A request cancelled while the parcel was on its way is not completed by the delivery
+        const { modifiedCount } = await CustomRequest.updateOne(
+            { _id: bid.customRequest._id, status: 'in_progress' },
+            { status: 'completed' }
+        );
+        if (modifiedCount === 0) {
+            return;
+        }
+        await Bid.findByIdAndUpdate(bid._id, { delivered: true, deliveredAt: shipment.deliveredAt }, { runValidators: false });
+        
+        try {
+            const buyer = await User.findById(bid.customRequest.user).select('name email');
+            if (buyer) {
+                await sendRequestDeliveredEmail(buyer.email, {
+                    name: buyer.name,
+                    requestTitle: bid.customRequest.title,
+                    sellerName: bid.seller.name
+                });
+            }
+        } catch (error) {
+            console.error('Error sending delivery email:', error);
+            // The delivery stands even if the email fails
+        }
+    }
+
+    /**
+     * Poll the couriers for every tracked parcel that is still on its way
+     * @returns {Promise<Object>} - { checked, failed }
+     */
+    static async pollActive() {
+        const since = new Date(Date.now() - TRACKING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const shipments = await Shipment.find({
+            carrier: { $in: Object.keys(getCarriers()) },
+            status: { $ne: 'delivered' },
+            shippedAt: { $gte: since }
+        }).sort({ lastPolledAt: 1 });
+        
+        let failed = 0;
+        for (const shipment of shipments) {
+            try {
+                await this.refresh(shipment);
+            } catch (error) {
+                console.error(`Error tracking shipment ${shipment.awb}:`, error);
+                failed += 1;
+                // Continue with other shipments even if one fails
+            }
+        }
+        return { checked: shipments.length, failed };
+    }
+}
+
+ShipmentService.ShipmentError = ShipmentError;
+ShipmentService.UNTRACKED_CARRIER = UNTRACKED_CARRIER;
+
+module.exports = ShipmentService; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+const ShippingZone = require('../models/ShippingZone');
+const User = require('../models/User');
+const { isIndia, round2 } = require('../utils/tax');
+
+// Pincode that parcels of products without a seller are sent from
+const PLATFORM_PINCODE = process.env.BUSINESS_PINCODE || '';
+
+// Payment method value of cash on delivery at checkout
+const COD_PAYMENT_METHOD = 'cash';
+
+// Couriers bill the larger of the actual weight and width x height x depth (cm) / 5000
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Assumed for a product with neither a weight nor dimensions
+const DEFAULT_WEIGHT = 1;
+
+// Packing depth of artwork listed without a depth
+const DEFAULT_PACKAGE_DEPTH = 5;
+
+// Billed weights are rounded up to the next half kg
+const WEIGHT_STEP = 0.5;
+
+class ShippingService {
+    /**
+     * Weight one unit of a product is billed at
+     * @param {Object} product - Product document
+     * @returns {Number} - Weight in kg
+     */
+    static getChargeableWeight(product) {
+        const dimensions = product.dimensions || {};
+        const volumetric = dimensions.width && dimensions.height
+            ? dimensions.width * dimensions.height * (dimensions.depth || DEFAULT_PACKAGE_DEPTH) / VOLUMETRIC_DIVISOR
+            : 0;
+        
+        if (!product.weight && !volumetric) {
+            return DEFAULT_WEIGHT;
+        }
+        return Math.max(product.weight || 0, volumetric);
+    }
+
+    /**
+     * Zone a delivery address falls in: the zone with the longest matching pincode prefix,
+     * or the default zone for unmatched and international addresses
+     * @param {Array} zones - Active ShippingZone documents
+     * @param {Object} shippingAddress - { postalCode, country }
+     * @returns {Object|null} - Zone or null when the address cannot be delivered to
+     */
+    static findZone(zones, shippingAddress = {}) {
+        let best = null;
+        let bestLength = 0;
+        
+        if (isIndia(shippingAddress.country)) {
+            zones.forEach(zone => {
+                const length = zone.matchLength(shippingAddress.postalCode);
+                if (length > bestLength) {
+                    best = zone;
+                    bestLength = length;
+                }
+            });
+        }
+        
+        return best || zones.find(zone => zone.isDefault) || null;
+    }
+
+    /**
+     * Charge for one parcel under a zone's slabs
+     * @param {Object} zone - ShippingZone document
+     * @param {Number} weight - Billed weight in kg
+     * @param {Boolean} withinZone - Whether the parcel is picked up inside the zone
+     * @returns {Number} - Charge
+     */
+    static getParcelCharge(zone, weight, withinZone) {
+        const slabRate = slab => (withinZone && slab.withinZoneRate !== null ? slab.withinZoneRate : slab.rate);
+        const slab = zone.slabs.find(candidate => weight <= candidate.maxWeight);
+        if (slab) {
+            return slabRate(slab);
+        }
+        
+        const heaviest = zone.slabs[zone.slabs.length - 1];
+        return slabRate(heaviest) + Math.ceil(weight - heaviest.maxWeight) * zone.additionalPerKg;
+    }
+
+    /**
+     * Shipping cost of a cart. Each seller ships their items as one parcel from their pickup pincode.
+     * @param {Object} cart - Cart with items.product populated
+     * @param {Object} options - { shippingAddress, paymentMethod, orderValue } with orderValue the amount after discounts
+     * @param {ClientSession} session - Optional transaction session
+     * @returns {Promise<Object>} - { available, message, zone, zoneName, weight, charge, codSurcharge, amount, freeShipping }
+     */
+    static async quote(cart, { shippingAddress = {}, paymentMethod = null, orderValue = 0 } = {}, session = null) {
+        const zones = await ShippingZone.find({ isActive: true }).session(session);
+        
+        // Until an admin sets up zones, shipping stays free
+        if (zones.length === 0) {
+            return { available: true, message: null, zone: null, zoneName: null, weight: 0, charge: 0, codSurcharge: 0, amount: 0, freeShipping: true };
+        }
+        
+        const zone = this.findZone(zones, shippingAddress);
+        if (!zone) {
+            return {
+                available: false,
+                message: `Sorry, we do not deliver to ${isIndia(shippingAddress.country) ? `pincode ${shippingAddress.postalCode}` : shippingAddress.country} yet`,
+                zone: null, zoneName: null, weight: 0, charge: 0, codSurcharge: 0, amount: 0, freeShipping: false
+            };
+        }
+        
+        // Group items into one parcel per seller
+        const items = cart.items.filter(item => item.product);
+        const parcels = new Map();
+        items.forEach(item => {
+            const key = item.product.seller ? item.product.seller.toString() : '';
+            parcels.set(key, (parcels.get(key) || 0) + this.getChargeableWeight(item.product) * item.quantity);
+        });
+        
+        const sellers = await User.find({ _id: { $in: [...parcels.keys()].filter(Boolean) } })
+            .select('pickupPincode')
+            .session(session);
+        const origins = new Map(sellers.map(seller => [seller._id.toString(), seller.pickupPincode]));
+        
+        let weight = 0;
+        let charge = 0;
+        parcels.forEach((parcelWeight, sellerId) => {
+            const billedWeight = Math.ceil(parcelWeight / WEIGHT_STEP) * WEIGHT_STEP;
+            const origin = sellerId ? origins.get(sellerId) : PLATFORM_PINCODE;
+            weight += billedWeight;
+            charge += this.getParcelCharge(zone, billedWeight, zone.matchLength(origin) > 0);
+        });
+        
+        const freeShipping = zone.freeShippingThreshold !== null && orderValue >= zone.freeShippingThreshold;
+        const codSurcharge = paymentMethod === COD_PAYMENT_METHOD ? zone.codSurcharge : 0;
+        charge = freeShipping ? 0 : round2(charge);
+        
+        return {
+            available: true,
+            message: null,
+            zone: zone._id,
+            zoneName: zone.name,
+            weight,
+            charge,
+            codSurcharge,
+            amount: round2(charge + codSurcharge),
+            freeShipping
+        };
+    }
+}
+
+ShippingService.COD_PAYMENT_METHOD = COD_PAYMENT_METHOD;
+
+module.exports = ShippingService; 
\ No newline at end of file
@@ -0,0 +1,137 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { sendLowStockDigestEmail } = require('../utils/emailService');
+
+const THRESHOLD = { $ifNull: ['$lowStockThreshold', 0] };
+
+// Approved products whose stock, or the stock of any active variant, is at or below their threshold
+const LOW_STOCK_MATCH = {
+    status: 'approved',
+    $expr: {
+        $or: [
+            { $lte: ['$stock', THRESHOLD] },
+            {
+                $anyElementTrue: [{
+                    $map: {
+                        input: { $ifNull: ['$variants', []] },
+                        as: 'variant',
+                        in: { $and: ['$$variant.isActive', { $lte: ['$$variant.stock', THRESHOLD] }] }
+                    }
+                }]
+            }
+        ]
+    }
+};
+
+const PRODUCT_FIELDS = 'title image price stock lowStockThreshold variants seller status';
+
+/**
+ * Alerts for one product: the product itself when it has no active variants, otherwise every
+ * active variant at or below the threshold
+ * @param {Object} product - Product document
+ * @returns {Array} - [{ product, variant, title, stock, threshold, soldOut }]
+ */
+const toAlerts = (product) => {
+    const threshold = product.lowStockThreshold || 0;
+    const variants = (product.variants || []).filter(variant => variant.isActive);
+    const options = variants.length > 0
+        ? variants.map(variant => ({ variant, stock: variant.stock, title: `${product.title} (${variant.name})` }))
+        : [{ variant: null, stock: product.stock, title: product.title }];
+    
+    return options
+        .filter(option => option.stock <= threshold)
+        .map(option => ({ product, threshold, soldOut: option.stock <= 0, ...option }));
+};
+
+/**
+ * Split alerts into sold out and running low, lowest stock first
+ * @param {Array} alerts - Alerts returned by toAlerts
+ * @returns {Object} - { soldOut, low }
+ */
+const groupAlerts = (alerts) => {
+    const sorted = [...alerts].sort((a, b) => a.stock - b.stock || a.title.localeCompare(b.title));
+    return {
+        soldOut: sorted.filter(alert => alert.soldOut),
+        low: sorted.filter(alert => !alert.soldOut)
+    };
+};
+
+class StockAlertService {
+    /**
+     * Approved products of a seller that are sold out or at or below their low stock threshold
+     * @param {ObjectId} sellerId - Seller id
+     * @returns {Promise<Object>} - { soldOut, low } lists of alerts
+     */
+    static async getAlerts(sellerId) {
+        const products = await Product.find({ ...LOW_STOCK_MATCH, seller: sellerId }).select(PRODUCT_FIELDS);
+        return groupAlerts(products.flatMap(toAlerts));
+    }
+
+    /**
+     * Email every active seller a digest of their sold out and low stock products. Sellers with
+     * nothing to report are not emailed.
+     * @returns {Promise<Object>} - { sent, failed, alerts }
+     */
+    static async sendDigests() {
+        const products = await Product.find(LOW_STOCK_MATCH).select(PRODUCT_FIELDS);
+        
+        const bySeller = new Map();
+        products.forEach(product => {
+            const alerts = toAlerts(product);
+            if (alerts.length === 0) {
+                return;
+            }
+            const key = product.seller.toString();
+            bySeller.set(key, [...(bySeller.get(key) || []), ...alerts]);
+        });
+        
+        const sellers = await User.find({
+            _id: { $in: [...bySeller.keys()] },
+            role: 'seller',
+            isActive: true
+        }).select('name email');
+        
+        let sent = 0;
+        let failed = 0;
+        let alerts = 0;
+        for (const seller of sellers) {
+            const { soldOut, low } = groupAlerts(bySeller.get(seller._id.toString()));
+            try {
+                await sendLowStockDigestEmail(seller.email, {
+                    name: seller.name,
+                    soldOut,
+                    low,
+                    manageUrl: `${process.env.BASE_URL}/seller/stock-alerts`
+                });
+                sent++;
+                alerts += soldOut.length + low.length;
+            } catch (error) {
+                console.error(`Error sending stock digest to seller ${seller._id}:`, error);
+                failed++;
+            }
+        }
+        
+        return { sent, failed, alerts };
+    }
+
+    /**
+     * Change the low stock threshold of one of a seller's products
+     * @param {ObjectId} sellerId - Seller id
+     * @param {String} productId - Product id
+     * @param {*} value - Submitted threshold
+     * @returns {Promise<Object|null>} - Updated product, or null when the seller has no such product
+     */
+    static async setThreshold(sellerId, productId, value) {
+        const threshold = parseInt(value);
+        if (isNaN(threshold) || threshold < 0) {
+            throw new Error('The alert level must be a whole number of 0 or more');
+        }
+        return Product.findOneAndUpdate(
+            { _id: productId, seller: sellerId },
+            { lowStockThreshold: threshold },
+            { new: true, runValidators: true }
+        );
+    }
+}
+
+module.exports = StockAlertService; 
\ No newline at end of file
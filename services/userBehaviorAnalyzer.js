@@ -38,6 +38,7 @@ class UserBehaviorAnalyzer {
                     avgTimeSpent: 0,
                     productViews: 0,
                     addToCart: 0,
+                    wishlistAdds: 0,
                     conversion: 0
                 },
                 patterns: [],
@@ -56,6 +57,7 @@ class UserBehaviorAnalyzer {
             avgTimeSpent: this._calculateAverageTimeSpent(activities),
             productViews: activities.filter(a => a.activityType === 'product_view').length,
             addToCart: activities.filter(a => a.activityType === 'add_to_cart').length,
+            wishlistAdds: activities.filter(a => a.activityType === 'wishlist_add').length,
             checkout: activities.filter(a => a.activityType === 'checkout').length,
             searches: activities.filter(a => a.activityType === 'search').length,
             productEngagement: this._calculateProductEngagement(activities),
@@ -242,6 +244,7 @@ class UserBehaviorAnalyzer {
         score += Math.min(15, metrics.avgTimeSpent); // Up to 15 points for time spent
         score += Math.min(20, metrics.productViews); // Up to 20 points for product views
         score += Math.min(15, metrics.addToCart * 3); // Up to 15 points for cart adds
+        score += Math.min(10, (metrics.wishlistAdds || 0) * 2); // Up to 10 points for saved favorites
         score += Math.min(5, metrics.searches); // Up to 5 points for searches
         
         // Bonus for engagement patterns
@@ -0,0 +1,282 @@
+/// <reference types="jest" />
+import { Types } from 'mongoose';
+
+/* eslint-disable @typescript-eslint/no-var-requires */
+const CartService = require('../../services/cartService');
+const InventoryService = require('../../services/inventoryService');
+const Cart = require('../../models/Cart');
+const Product = require('../../models/Product');
+/* eslint-enable @typescript-eslint/no-var-requires */
+
+type Doc = Record<string, any>;
+
+const buyer = { _id: new Types.ObjectId() };
+
+const buildProduct = (fields: Doc = {}): Doc => new Product({
+  title: 'Monsoon',
+  image: 'monsoon.jpg',
+  price: 1000,
+  stock: 5,
+  status: 'approved',
+  ...fields
+});
+
+// Carts are real Cart documents whose items hold populated products, as after populate('items.product')
+const buildCart = (items: Doc[], fields: Doc = {}): Doc => new Cart({ user: buyer._id, items, ...fields });
+
+const item = (product: Doc, fields: Doc = {}): Doc => ({ product, variant: null, quantity: 1, price: product.price, ...fields });
+
+// Saved carts are collected rather than written, so new carts can be inspected too
+let saved: Doc[];
+
+describe('Cart', () => {
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(Cart.prototype, 'save').mockImplementation(async function(this: Doc) {
+      saved.push(this);
+      return this;
+    } as never);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Revalidating', () => {
+    it('leaves a cart that matches the catalog alone', async () => {
+      const cart = buildCart([item(buildProduct(), { quantity: 2 })]);
+
+      expect(await CartService.revalidate(cart)).toEqual([]);
+      expect(saved).toHaveLength(0);
+    });
+
+    it('updates prices to today\'s price', async () => {
+      const cart = buildCart([item(buildProduct({ price: 1200 }), { price: 1000 })]);
+
+      const changes = await CartService.revalidate(cart);
+
+      expect(changes).toEqual([
+        { type: 'price', title: 'Monsoon', message: 'The price of Monsoon changed from $1000.00 to $1200.00' }
+      ]);
+      expect(cart.items[0].price).toBe(1200);
+      expect(saved).toEqual([cart]);
+    });
+
+    it('lowers quantities to the stock left', async () => {
+      const cart = buildCart([item(buildProduct({ stock: 2 }), { quantity: 4 })]);
+
+      const changes = await CartService.revalidate(cart);
+
+      expect(changes).toEqual([
+        { type: 'quantity', title: 'Monsoon', message: 'Only 2 of Monsoon left, so the quantity was lowered from 4 to 2' }
+      ]);
+      expect(cart.items[0].quantity).toBe(2);
+      expect(saved).toEqual([cart]);
+    });
+
+    it('checks the variant that was chosen', async () => {
+      const product = buildProduct({ variants: [{ name: 'A3 print', price: 800, stock: 1 }] });
+      const variant = product.variants[0];
+      const cart = buildCart([item(product, { variant: variant._id, variantName: 'A3 print', quantity: 3, price: 700 })]);
+
+      const changes = await CartService.revalidate(cart);
+
+      expect(changes.map((change: Doc) => change.message)).toEqual([
+        'Only 1 of Monsoon (A3 print) left, so the quantity was lowered from 3 to 1',
+        'The price of Monsoon (A3 print) changed from $700.00 to $800.00'
+      ]);
+      expect(cart.items[0]).toEqual(expect.objectContaining({ quantity: 1, price: 800 }));
+    });
+
+    it.each([
+      ['is out of stock', () => item(buildProduct({ stock: 0 })), 'Monsoon is out of stock and was removed'],
+      ['is no longer approved', () => item(buildProduct({ status: 'pending' })), 'Monsoon is no longer available and was removed'],
+      ['was unpublished', () => item(buildProduct({ status: 'rejected' })), 'Monsoon is no longer available and was removed'],
+      [
+        'no longer offers the variant',
+        () => {
+          const product = buildProduct({
+            variants: [{ name: 'A3 print', price: 800, stock: 3, isActive: false }, { name: 'A2 print', price: 1200, stock: 3 }]
+          });
+          return item(product, { variant: product.variants[0]._id, variantName: 'A3 print', price: 800 });
+        },
+        'Monsoon (A3 print) is no longer available and was removed'
+      ],
+      [
+        'lost the variant',
+        () => item(buildProduct({ variants: [{ name: 'A3 print', price: 800, stock: 3 }] }), { variant: new Types.ObjectId(), variantName: 'A2 print' }),
+        'Monsoon (A2 print) is no longer available and was removed'
+      ]
+    ])('removes an item that %s', async (label, build, message) => {
+      const kept = buildProduct({ title: 'Dusk' });
+      const cart = buildCart([build(), item(kept)]);
+
+      const changes = await CartService.revalidate(cart);
+
+      expect(changes).toEqual([expect.objectContaining({ type: 'removed', message })]);
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].product.title).toBe('Dusk');
+      expect(saved).toEqual([cart]);
+    });
+
+    it('removes items whose product was deleted', async () => {
+      const cart = buildCart([item(buildProduct())]);
+      cart.items[0].product = null;
+
+      const changes = await CartService.revalidate(cart);
+
+      expect(changes).toEqual([
+        { type: 'removed', title: null, message: 'A product in your cart is no longer sold and was removed' }
+      ]);
+      expect(cart.items).toHaveLength(0);
+    });
+
+    it('removes several items and keeps the rest in order', async () => {
+      const cart = buildCart([
+        item(buildProduct({ title: 'Gone', stock: 0 })),
+        item(buildProduct({ title: 'Dawn' })),
+        item(buildProduct({ title: 'Hidden', status: 'pending' })),
+        item(buildProduct({ title: 'Dusk' }))
+      ]);
+
+      await CartService.revalidate(cart);
+
+      expect(cart.items.map((cartItem: Doc) => cartItem.product.title)).toEqual(['Dawn', 'Dusk']);
+    });
+  });
+
+  describe('Merging a guest cart', () => {
+    let guestCart: Doc | null;
+    let userCart: Doc | null;
+
+    beforeEach(() => {
+      guestCart = null;
+      userCart = null;
+      // The guest cart is read populated, the buyer's own cart as it is
+      jest.spyOn(Cart, 'findOne').mockImplementation(((filter: Doc) => (filter.trackingId
+        ? { populate: () => Promise.resolve(guestCart) }
+        : Promise.resolve(userCart))) as never);
+      jest.spyOn(Cart, 'deleteOne').mockResolvedValue({ deletedCount: 1 } as never);
+      jest.spyOn(InventoryService, 'getAvailableStock').mockImplementation((async (product: Doc, variantId: unknown) => (
+        product.getPurchaseOption(variantId).stock
+      )) as never);
+    });
+
+    const buildGuestCart = (items: Doc[]) => new Cart({ user: null, trackingId: 'guest-session', items });
+
+    // The buyer's own cart as it is stored, with product ids rather than products
+    const buildUserCart = (items: Doc[]) => {
+      const cart = buildCart(items.map(cartItem => ({ ...cartItem, product: cartItem.product._id })));
+      cart.isNew = false;
+      return cart;
+    };
+
+    it('does nothing without a guest session', async () => {
+      expect(await CartService.mergeGuestCart(null, buyer)).toEqual({ merged: 0, adjustments: [] });
+      expect(Cart.findOne).not.toHaveBeenCalled();
+    });
+
+    it('does nothing when the guest has no cart', async () => {
+      expect(await CartService.mergeGuestCart('guest-session', buyer)).toEqual({ merged: 0, adjustments: [] });
+      expect(Cart.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('moves the guest\'s items into a new cart at today\'s price and removes the guest cart', async () => {
+      const plain = buildProduct({ price: 1200 });
+      const withVariants = buildProduct({ title: 'Dusk', variants: [{ name: 'A3 print', price: 800, stock: 3, sku: 'DUSK-A3' }] });
+      const variant = withVariants.variants[0];
+      const guest = buildGuestCart([
+        item(plain, { price: 1000 }),
+        item(withVariants, { variant: variant._id, variantName: 'A3 print', quantity: 2, price: 800 })
+      ]);
+      guestCart = guest;
+
+      const result = await CartService.mergeGuestCart('guest-session', buyer);
+
+      expect(result).toEqual({ merged: 2, adjustments: [] });
+      expect(saved).toHaveLength(1);
+      const [cart] = saved;
+      expect(String(cart.user)).toBe(String(buyer._id));
+      expect(cart.items.map((cartItem: Doc) => ({
+        product: String(cartItem.product),
+        variant: cartItem.variant ? String(cartItem.variant) : null,
+        variantName: cartItem.variantName,
+        sku: cartItem.sku,
+        quantity: cartItem.quantity,
+        price: cartItem.price
+      }))).toEqual([
+        { product: String(plain._id), variant: null, variantName: '', sku: null, quantity: 1, price: 1200 },
+        { product: String(withVariants._id), variant: String(variant._id), variantName: 'A3 print', sku: 'DUSK-A3', quantity: 2, price: 800 }
+      ]);
+      expect(Cart.deleteOne).toHaveBeenCalledWith({ _id: guest._id });
+    });
+
+    it.each([
+      ['the guest', 3, 1],
+      ['the buyer', 1, 3]
+    ])('keeps the larger quantity of an item both carts hold when %s has more', async (label, guestQuantity, userQuantity) => {
+      const product = buildProduct({ price: 1200 });
+      guestCart = buildGuestCart([item(product, { quantity: guestQuantity })]);
+      userCart = buildUserCart([item(product, { quantity: userQuantity, price: 1000 })]);
+
+      const result = await CartService.mergeGuestCart('guest-session', buyer);
+
+      expect(result).toEqual({ merged: 1, adjustments: [] });
+      expect(saved).toEqual([userCart]);
+      expect(userCart.items).toHaveLength(1);
+      expect(userCart.items[0]).toEqual(expect.objectContaining({ quantity: 3, price: 1200 }));
+    });
+
+    it('caps merged quantities at the stock the buyer can get', async () => {
+      const product = buildProduct({ stock: 5 });
+      guestCart = buildGuestCart([item(product, { quantity: 4 })]);
+      (InventoryService.getAvailableStock as jest.Mock).mockResolvedValue(2);
+
+      const result = await CartService.mergeGuestCart('guest-session', buyer);
+
+      expect(InventoryService.getAvailableStock).toHaveBeenCalledWith(product, null, buyer._id);
+      expect(result).toEqual({ merged: 1, adjustments: ['Only 2 of Monsoon available, so your cart has 2'] });
+      expect(saved[0].items[0].quantity).toBe(2);
+    });
+
+    it('reports the items it could not add and still removes the guest cart', async () => {
+      const deleted = item(buildProduct());
+      const withVariants = buildProduct({ title: 'Dusk', variants: [{ name: 'A3 print', price: 800, stock: 3 }] });
+      const guest = buildGuestCart([
+        deleted,
+        item(buildProduct({ title: 'Hidden', status: 'pending' })),
+        item(withVariants, { variant: new Types.ObjectId(), variantName: 'A2 print' }),
+        item(buildProduct({ title: 'Gone', stock: 0 }))
+      ]);
+      guest.items[0].product = null;
+      guestCart = guest;
+
+      const result = await CartService.mergeGuestCart('guest-session', buyer);
+
+      expect(result).toEqual({
+        merged: 0,
+        adjustments: [
+          'A product is no longer available and was not added',
+          'Hidden is no longer available and was not added',
+          'Dusk (A2 print) is no longer available and was not added',
+          'Gone is out of stock and was not added'
+        ]
+      });
+      expect(saved).toHaveLength(0);
+      expect(Cart.deleteOne).toHaveBeenCalledWith({ _id: guest._id });
+    });
+
+    it('drops an item from the buyer\'s cart when none of it is left', async () => {
+      const soldOut = buildProduct({ title: 'Gone', stock: 0 });
+      const kept = buildProduct({ title: 'Dusk' });
+      guestCart = buildGuestCart([item(soldOut)]);
+      userCart = buildUserCart([item(soldOut), item(kept)]);
+
+      const result = await CartService.mergeGuestCart('guest-session', buyer);
+
+      expect(result).toEqual({ merged: 0, adjustments: ['Gone is out of stock and was not added'] });
+      expect(saved).toEqual([userCart]);
+      expect(userCart.items.map((cartItem: Doc) => String(cartItem.product))).toEqual([String(kept._id)]);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/// <reference types="jest" />
+import { Types } from 'mongoose';
+
+/* eslint-disable @typescript-eslint/no-var-requires */
+const CouponService = require('../../services/couponService');
+const OrderLifecycleService = require('../../services/orderLifecycleService');
+const RefundService = require('../../services/refundService');
+const Coupon = require('../../models/Coupon');
+const Category = require('../../models/Category');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const Refund = require('../../models/Refund');
+/* eslint-enable @typescript-eslint/no-var-requires */
+
+type Doc = Record<string, any>;
+
+// Coupons and orders are real documents; the counters the service updates are kept on them, so
+// redemptions and releases can be followed across calls
+let coupons: Doc[];
+let ordersUsingCoupon: number;
+
+const same = (a: unknown, b: unknown) => String(a) === String(b);
+
+const updateCoupon = async (filter: Doc, update: Doc) => {
+  const coupon = coupons.find(candidate => same(candidate._id, filter._id));
+  const matches = coupon
+    && (filter.isActive === undefined || coupon.isActive === filter.isActive)
+    && (!filter.usageCount || filter.usageCount.$lt === undefined || coupon.usageCount < filter.usageCount.$lt)
+    && (!filter.usageCount || filter.usageCount.$gt === undefined || coupon.usageCount > filter.usageCount.$gt);
+  if (!matches) {
+    return { modifiedCount: 0 };
+  }
+  coupon.usageCount += update.$inc.usageCount;
+  return { modifiedCount: 1 };
+};
+
+const buildCoupon = (fields: Doc = {}): Doc => {
+  const coupon = new Coupon({
+    code: 'MONSOON10',
+    discountType: 'percentage',
+    discountValue: 10,
+    ...fields
+  });
+  coupons.push(coupon);
+  return coupon;
+};
+
+const sellerA = new Types.ObjectId();
+const sellerB = new Types.ObjectId();
+const prints = new Types.ObjectId();
+const buyer = new Types.ObjectId();
+
+// A cart of one ₹1000 painting from seller A and two ₹250 prints from seller B
+const buildCart = (): Doc => ({
+  items: [
+    { _id: new Types.ObjectId(), price: 1000, quantity: 1, product: { _id: new Types.ObjectId(), seller: sellerA, category: null } },
+    { _id: new Types.ObjectId(), price: 250, quantity: 2, product: { _id: new Types.ObjectId(), seller: sellerB, category: prints } }
+  ]
+});
+
+const buildOrder = (fields: Doc = {}): Doc => {
+  const order = new Order({
+    user: buyer,
+    items: [{ product: new Types.ObjectId(), seller: sellerA, quantity: 1, price: 1000 }],
+    paymentMethod: 'online',
+    paymentStatus: 'pending',
+    totalAmount: 900,
+    ...fields
+  });
+  order.syncFulfilments();
+  order.save = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+describe('Coupons', () => {
+  beforeEach(() => {
+    coupons = [];
+    ordersUsingCoupon = 0;
+    jest.spyOn(Coupon, 'updateOne').mockImplementation(updateCoupon as never);
+    jest.spyOn(Order, 'countDocuments').mockImplementation((() => ({
+      session: () => Promise.resolve(ordersUsingCoupon)
+    })) as never);
+    jest.spyOn(Category, 'getSubtreeIds').mockImplementation((async (id: Types.ObjectId) => [id]) as never);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Eligibility', () => {
+    it('takes a percentage off the whole cart', async () => {
+      const result = await CouponService.evaluate(buildCoupon(), buildCart(), buyer);
+
+      expect(result.valid).toBe(true);
+      expect(result.eligibleSubtotal).toBe(1500);
+      expect(result.discount).toBe(150);
+      expect(result.eligibleItemIds).toHaveLength(2);
+    });
+
+    it('caps a percentage discount at its maximum', async () => {
+      const result = await CouponService.evaluate(buildCoupon({ discountValue: 50, maxDiscount: 200 }), buildCart(), buyer);
+
+      expect(result.discount).toBe(200);
+    });
+
+    it('never takes off more than the eligible items cost', async () => {
+      const coupon = buildCoupon({ discountType: 'fixed', discountValue: 800, sellers: [sellerB] });
+
+      const result = await CouponService.evaluate(coupon, buildCart(), buyer);
+
+      expect(result.eligibleSubtotal).toBe(500);
+      expect(result.discount).toBe(500);
+    });
+
+    it('only discounts the items of its sellers, categories and products', async () => {
+      const cart = buildCart();
+
+      const bySeller = await CouponService.evaluate(buildCoupon({ sellers: [sellerA] }), cart, buyer);
+      const byCategory = await CouponService.evaluate(buildCoupon({ categories: [prints] }), cart, buyer);
+      const byProduct = await CouponService.evaluate(buildCoupon({ products: [cart.items[0].product._id] }), cart, buyer);
+
+      expect(bySeller.eligibleItemIds).toEqual([cart.items[0]._id.toString()]);
+      expect(byCategory.eligibleItemIds).toEqual([cart.items[1]._id.toString()]);
+      expect(byCategory.discount).toBe(50);
+      expect(byProduct.eligibleItemIds).toEqual([cart.items[0]._id.toString()]);
+    });
+
+    it('covers the sub-categories of its categories', async () => {
+      const parent = new Types.ObjectId();
+      jest.spyOn(Category, 'getSubtreeIds').mockResolvedValue([parent, prints] as never);
+
+      const result = await CouponService.evaluate(buildCoupon({ categories: [parent] }), buildCart(), buyer);
+
+      expect(Category.getSubtreeIds).toHaveBeenCalledWith(parent);
+      expect(result.eligibleSubtotal).toBe(500);
+    });
+
+    it.each([
+      ['is switched off', { isActive: false }, 'This coupon code is not valid'],
+      ['has not started', { startsAt: new Date(Date.now() + 60 * 60 * 1000) }, 'Coupon MONSOON10 is not active yet'],
+      ['has ended', { endsAt: new Date(Date.now() - 60 * 60 * 1000) }, 'Coupon MONSOON10 has expired'],
+      ['is used up', { usageLimit: 5, usageCount: 5 }, 'Coupon MONSOON10 has reached its usage limit'],
+      ['needs a bigger cart', { minCartValue: 2000 }, 'Coupon MONSOON10 needs a cart value of at least $2000.00'],
+      ['covers nothing in the cart', { sellers: [new Types.ObjectId()] }, 'Coupon MONSOON10 does not apply to the items in your cart']
+    ])('is refused when it %s', async (label, fields, message) => {
+      const result = await CouponService.evaluate(buildCoupon(fields), buildCart(), buyer);
+
+      expect(result).toEqual({ valid: false, message, discount: 0, eligibleSubtotal: 0, eligibleItemIds: [] });
+    });
+
+    it('is refused when there is no such coupon', async () => {
+      const result = await CouponService.evaluate(null, buildCart(), buyer);
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('Usage limits', () => {
+    it('counts the buyer\'s orders that still use the coupon against the per-buyer limit', async () => {
+      const coupon = buildCoupon({ perUserLimit: 2 });
+
+      ordersUsingCoupon = 1;
+      expect((await CouponService.evaluate(coupon, buildCart(), buyer)).valid).toBe(true);
+
+      ordersUsingCoupon = 2;
+      const result = await CouponService.evaluate(coupon, buildCart(), buyer);
+      expect(result.valid).toBe(false);
+      expect(result.message).toBe('You have already used coupon MONSOON10');
+      // Cancelled orders and given back redemptions do not count
+      expect(Order.countDocuments).toHaveBeenCalledWith({
+        user: buyer,
+        'coupon.coupon': coupon._id,
+        'coupon.releasedAt': null,
+        orderStatus: { $ne: 'cancelled' }
+      });
+    });
+
+    it('does not count orders when buyers may use the coupon any number of times', async () => {
+      await CouponService.evaluate(buildCoupon({ perUserLimit: null }), buildCart(), buyer);
+
+      expect(Order.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('redeems a coupon until its usage limit is reached', async () => {
+      const coupon = buildCoupon({ usageLimit: 2 });
+
+      expect(await CouponService.redeem(coupon, null)).toBe(true);
+      expect(await CouponService.redeem(coupon, null)).toBe(true);
+      expect(await CouponService.redeem(coupon, null)).toBe(false);
+      expect(coupon.usageCount).toBe(2);
+    });
+
+    it('does not redeem a coupon switched off meanwhile', async () => {
+      const coupon = buildCoupon();
+      coupon.isActive = false;
+
+      expect(await CouponService.redeem(coupon, null)).toBe(false);
+      expect(coupon.usageCount).toBe(0);
+    });
+  });
+
+  describe('Giving redemptions back', () => {
+    let releasedOrders: Set<string>;
+
+    beforeEach(() => {
+      releasedOrders = new Set();
+      // The release is claimed on the order, so only one caller gets it
+      jest.spyOn(Order, 'updateOne').mockImplementation((async (filter: Doc) => {
+        if (releasedOrders.has(String(filter._id))) {
+          return { modifiedCount: 0 };
+        }
+        releasedOrders.add(String(filter._id));
+        return { modifiedCount: 1 };
+      }) as never);
+    });
+
+    it('gives back a redemption once per order', async () => {
+      const coupon = buildCoupon({ usageCount: 3 });
+      const order = buildOrder({ coupon: { coupon: coupon._id, code: coupon.code } });
+
+      expect(await CouponService.release(order)).toBe(true);
+      expect(order.coupon.releasedAt).toBeInstanceOf(Date);
+      expect(await CouponService.release(order)).toBe(false);
+      expect(coupon.usageCount).toBe(2);
+    });
+
+    it('gives back a redemption only once when two callers release the same order', async () => {
+      const coupon = buildCoupon({ usageCount: 1 });
+      const order = buildOrder({ coupon: { coupon: coupon._id, code: coupon.code } });
+      const sameOrder = buildOrder({ _id: order._id, coupon: { coupon: coupon._id, code: coupon.code } });
+
+      const results = await Promise.all([CouponService.release(order), CouponService.release(sameOrder)]);
+
+      expect(results.sort()).toEqual([false, true]);
+      expect(coupon.usageCount).toBe(0);
+    });
+
+    it('never takes the usage count below zero', async () => {
+      const coupon = buildCoupon({ usageCount: 0 });
+
+      await CouponService.release(buildOrder({ coupon: { coupon: coupon._id, code: coupon.code } }));
+
+      expect(coupon.usageCount).toBe(0);
+    });
+
+    it('has nothing to give back for orders without a coupon', async () => {
+      expect(await CouponService.release(buildOrder())).toBe(false);
+      expect(Order.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('gives back the redemption of an order cancelled in full', async () => {
+      const coupon = buildCoupon({ usageCount: 1 });
+      const order = buildOrder({ coupon: { coupon: coupon._id, code: coupon.code } });
+      jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 } as never);
+      order.fulfilments.forEach((fulfilment: Doc) => { fulfilment.status = 'cancelled'; });
+      order.deriveStatus();
+
+      await OrderLifecycleService.releaseCancelled(order, order.fulfilments, { _id: buyer, role: 'user' });
+
+      expect(coupon.usageCount).toBe(0);
+    });
+
+    it('gives back the redemption of a cash order once it is refunded in full', async () => {
+      const coupon = buildCoupon({ usageCount: 1 });
+      const order = buildOrder({ paymentMethod: 'cash', paymentStatus: 'completed', coupon: { coupon: coupon._id, code: coupon.code } });
+      const getTotals = jest.spyOn(Refund, 'getTotals');
+
+      getTotals.mockResolvedValue({ requested: 0, processed: 400 } as never);
+      await RefundService.applyManualRefund({ purpose: 'order' }, order);
+      expect(order.paymentStatus).toBe('completed');
+      expect(coupon.usageCount).toBe(1);
+
+      getTotals.mockResolvedValue({ requested: 0, processed: 900 } as never);
+      await RefundService.applyManualRefund({ purpose: 'order' }, order);
+      expect(order.paymentStatus).toBe('refunded');
+      expect(coupon.usageCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+/// <reference types="jest" />
+import { Types } from 'mongoose';
+
+/* eslint-disable @typescript-eslint/no-var-requires */
+const InventoryService = require('../../services/inventoryService');
+const Product = require('../../models/Product');
+const StockReservation = require('../../models/StockReservation');
+/* eslint-enable @typescript-eslint/no-var-requires */
+
+type Doc = Record<string, any>;
+
+// Products are real Product documents; the database writes the service makes are replayed
+// against them and against an in-memory list of reservations, so the queries it builds are checked
+// for what they do rather than how they are spelled
+let products: Doc[];
+let reservations: Doc[];
+
+const same = (a: unknown, b: unknown) => String(a || null) === String(b || null);
+
+const sumReserved = (pipeline: Doc[]) => {
+  const match = pipeline[0].$match;
+  const quantity = reservations
+    .filter(reservation => same(reservation.product, match.product)
+      && same(reservation.variant, match.variant)
+      && reservation.expiresAt > match.expiresAt.$gt
+      && (!match.user || !same(reservation.user, match.user.$ne)))
+    .reduce((sum, reservation) => sum + reservation.quantity, 0);
+  return quantity > 0 ? [{ _id: null, quantity }] : [];
+};
+
+const upsertReservation = async (filter: Doc, update: Doc) => {
+  const existing = reservations.find(reservation => same(reservation.user, filter.user)
+    && same(reservation.product, filter.product)
+    && same(reservation.variant, filter.variant));
+  if (existing) {
+    Object.assign(existing, update.$set);
+  } else {
+    reservations.push({ ...filter, ...update.$set });
+  }
+  return { acknowledged: true };
+};
+
+const deleteReservations = async (filter: Doc) => {
+  const kept = (filter.$nor || []) as Doc[];
+  reservations = reservations.filter(reservation => !same(reservation.user, filter.user)
+    || kept.some(item => same(reservation.product, item.product) && same(reservation.variant, item.variant)));
+  return { acknowledged: true };
+};
+
+const updateProduct = async (filter: Doc, update: Doc) => {
+  const product = products.find(candidate => same(candidate._id, filter._id));
+  if (!product || (filter.status && product.status !== filter.status)) {
+    return { modifiedCount: 0 };
+  }
+
+  let variant = null;
+  if (filter.variants) {
+    const { _id, isActive, stock } = filter.variants.$elemMatch;
+    variant = product.variants.id(_id);
+    if (!variant || variant.isActive !== isActive || variant.stock < stock.$gte) {
+      return { modifiedCount: 0 };
+    }
+  } else if (filter['variants._id']) {
+    variant = product.variants.id(filter['variants._id']);
+    if (!variant) {
+      return { modifiedCount: 0 };
+    }
+  }
+  if (filter.stock && product.stock < filter.stock.$gte) {
+    return { modifiedCount: 0 };
+  }
+
+  product.stock += update.$inc.stock;
+  product.salesCount += update.$inc.salesCount;
+  if (variant) {
+    variant.stock += update.$inc['variants.$.stock'];
+  }
+  return { modifiedCount: 1 };
+};
+
+const buildProduct = (fields: Doc = {}): Doc => {
+  const product = new Product({
+    title: 'Monsoon',
+    image: 'monsoon.jpg',
+    price: 1000,
+    stock: 5,
+    status: 'approved',
+    ...fields
+  });
+  products.push(product);
+  return product;
+};
+
+const reserve = (user: Types.ObjectId, product: Doc, quantity: number, variant: Types.ObjectId | null = null, minutes = 15) => {
+  reservations.push({ user, product: product._id, variant, quantity, expiresAt: new Date(Date.now() + minutes * 60 * 1000) });
+};
+
+const buyer = new Types.ObjectId();
+const otherBuyer = new Types.ObjectId();
+
+describe('Inventory', () => {
+  beforeEach(() => {
+    products = [];
+    reservations = [];
+    jest.spyOn(StockReservation, 'aggregate').mockImplementation(((pipeline: Doc[]) => ({
+      session: () => Promise.resolve(sumReserved(pipeline))
+    })) as never);
+    jest.spyOn(StockReservation, 'updateOne').mockImplementation(upsertReservation as never);
+    jest.spyOn(StockReservation, 'deleteMany').mockImplementation(deleteReservations as never);
+    jest.spyOn(Product, 'updateOne').mockImplementation(updateProduct as never);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Available stock', () => {
+    it('reads the stock of a product or of one of its active variants', () => {
+      const plain = buildProduct({ stock: 4 });
+      const withVariants = buildProduct({
+        variants: [
+          { name: 'A3 print', price: 800, stock: 7 },
+          { name: 'Original', price: 5000, stock: 1, isActive: false }
+        ]
+      });
+      const [print, original] = withVariants.variants;
+
+      expect(InventoryService.getStockLevel(plain)).toBe(4);
+      expect(InventoryService.getStockLevel(withVariants, print._id)).toBe(7);
+      expect(InventoryService.getStockLevel(withVariants, original._id)).toBe(0);
+      expect(InventoryService.getStockLevel(withVariants, new Types.ObjectId())).toBe(0);
+    });
+
+    it('holds back what other buyers have reserved, but not the buyer\'s own reservations', async () => {
+      const product = buildProduct({ stock: 5 });
+      reserve(otherBuyer, product, 2);
+      reserve(buyer, product, 1);
+
+      expect(await InventoryService.getAvailableStock(product, null, buyer)).toBe(3);
+      expect(await InventoryService.getAvailableStock(product, null, null)).toBe(2);
+    });
+
+    it('ignores expired reservations and never reports less than nothing', async () => {
+      const product = buildProduct({ stock: 2 });
+      reserve(otherBuyer, product, 2, null, -1);
+
+      expect(await InventoryService.getAvailableStock(product, null, buyer)).toBe(2);
+
+      reserve(otherBuyer, product, 4);
+      expect(await InventoryService.getAvailableStock(product, null, buyer)).toBe(0);
+    });
+
+    it('counts reservations per variant', async () => {
+      const product = buildProduct({
+        variants: [{ name: 'A3 print', price: 800, stock: 3 }, { name: 'A2 print', price: 1200, stock: 3 }]
+      });
+      const [small, large] = product.variants;
+      reserve(otherBuyer, product, 2, small._id);
+
+      expect(await InventoryService.getAvailableStock(product, small._id, buyer)).toBe(1);
+      expect(await InventoryService.getAvailableStock(product, large._id, buyer)).toBe(3);
+    });
+  });
+
+  describe('Reserving a cart', () => {
+    it('holds every item for the checkout window', async () => {
+      const first = buildProduct({ stock: 3 });
+      const second = buildProduct({ stock: 1 });
+      const before = Date.now();
+
+      const result = await InventoryService.reserveCart({
+        items: [{ product: first, variant: null, quantity: 2 }, { product: second, variant: null, quantity: 1 }]
+      }, buyer);
+
+      expect(result.reserved).toBe(true);
+      expect(result.problems).toEqual([]);
+      expect(result.expiresAt.getTime()).toBeGreaterThanOrEqual(before + StockReservation.RESERVATION_MINUTES * 60 * 1000);
+      expect(reservations).toHaveLength(2);
+      expect(await InventoryService.getAvailableStock(first, null, otherBuyer)).toBe(1);
+    });
+
+    it('refreshes its holds and drops those on items that left the cart', async () => {
+      const kept = buildProduct({ stock: 3 });
+      const removed = buildProduct({ stock: 3 });
+      await InventoryService.reserveCart({
+        items: [{ product: kept, variant: null, quantity: 1 }, { product: removed, variant: null, quantity: 1 }]
+      }, buyer);
+
+      await InventoryService.reserveCart({ items: [{ product: kept, variant: null, quantity: 3 }] }, buyer);
+
+      expect(reservations).toHaveLength(1);
+      expect(reservations[0]).toEqual(expect.objectContaining({ product: kept._id, quantity: 3 }));
+    });
+
+    it('reserves nothing when another buyer holds the stock', async () => {
+      const product = buildProduct({ title: 'Monsoon', variants: [{ name: 'A3 print', price: 800, stock: 2 }] });
+      const variant = product.variants[0];
+      reserve(otherBuyer, product, 2, variant._id);
+
+      const result = await InventoryService.reserveCart({
+        items: [
+          { product, variant: variant._id, variantName: 'A3 print', quantity: 1 },
+          { product: null, variant: null, quantity: 1 }
+        ]
+      }, buyer);
+
+      expect(result.reserved).toBe(false);
+      expect(result.problems).toEqual([
+        { title: 'Monsoon (A3 print)', requested: 1, available: 0 },
+        { title: 'A product in your cart', requested: 1, available: 0 }
+      ]);
+      expect(reservations.filter(reservation => same(reservation.user, buyer))).toHaveLength(0);
+    });
+
+    it('releases every hold of a buyer', async () => {
+      const product = buildProduct();
+      reserve(buyer, product, 1);
+      reserve(otherBuyer, product, 1);
+
+      await InventoryService.releaseReservations(buyer);
+
+      expect(reservations).toHaveLength(1);
+      expect(reservations[0].user).toBe(otherBuyer);
+    });
+  });
+
+  describe('Committing stock', () => {
+    it('takes the stock of an order and counts the sale', async () => {
+      const product = buildProduct({ stock: 3 });
+
+      const committed = await InventoryService.commitStock({ product, variant: null, quantity: 2 }, buyer, null);
+
+      expect(committed).toBe(true);
+      expect(product.stock).toBe(1);
+      expect(product.salesCount).toBe(2);
+    });
+
+    it('does not take stock another buyer has reserved', async () => {
+      const product = buildProduct({ stock: 3 });
+      reserve(otherBuyer, product, 2);
+
+      expect(await InventoryService.commitStock({ product, variant: null, quantity: 2 }, buyer, null)).toBe(false);
+      expect(product.stock).toBe(3);
+      expect(await InventoryService.commitStock({ product, variant: null, quantity: 1 }, buyer, null)).toBe(true);
+      expect(product.stock).toBe(2);
+    });
+
+    it('lets a buyer use the stock they reserved themselves', async () => {
+      const product = buildProduct({ stock: 2 });
+      reserve(buyer, product, 2);
+
+      expect(await InventoryService.commitStock({ product, variant: null, quantity: 2 }, buyer, null)).toBe(true);
+      expect(product.stock).toBe(0);
+    });
+
+    it('takes the stock of the variant that was ordered', async () => {
+      const product = buildProduct({
+        variants: [{ name: 'A3 print', price: 800, stock: 2 }, { name: 'Original', price: 5000, stock: 1, isActive: false }]
+      });
+      const [print, original] = product.variants;
+      const listed = product.stock;
+
+      expect(await InventoryService.commitStock({ product, variant: print._id, quantity: 2 }, buyer, null)).toBe(true);
+      expect(print.stock).toBe(0);
+      expect(product.stock).toBe(listed - 2);
+      expect(await InventoryService.commitStock({ product, variant: print._id, quantity: 1 }, buyer, null)).toBe(false);
+      expect(await InventoryService.commitStock({ product, variant: original._id, quantity: 1 }, buyer, null)).toBe(false);
+    });
+
+    it('does not sell products that are not approved', async () => {
+      const product = buildProduct({ status: 'pending' });
+
+      expect(await InventoryService.commitStock({ product, variant: null, quantity: 1 }, buyer, null)).toBe(false);
+      expect(product.stock).toBe(5);
+    });
+
+    it('passes the checkout transaction on to every query', async () => {
+      const product = buildProduct();
+      const session = { id: 'session' };
+
+      await InventoryService.commitStock({ product, variant: null, quantity: 1 }, buyer, session);
+
+      expect(Product.updateOne).toHaveBeenCalledWith(expect.anything(), expect.anything(), { session });
+    });
+  });
+
+  describe('Restoring stock', () => {
+    it('puts the items of a cancelled order back on sale', async () => {
+      const product = buildProduct({ stock: 1, salesCount: 2 });
+
+      expect(await InventoryService.restoreStock({ product: product._id, variant: null, quantity: 2 })).toBe(true);
+      expect(product.stock).toBe(3);
+      expect(product.salesCount).toBe(0);
+    });
+
+    it('restores variant stock and accepts a populated product', async () => {
+      const product = buildProduct({ variants: [{ name: 'A3 print', price: 800, stock: 0 }] });
+      const variant = product.variants[0];
+
+      expect(await InventoryService.restoreStock({ product, variant: variant._id, quantity: 1 })).toBe(true);
+      expect(variant.stock).toBe(1);
+    });
+
+    it('reports products that no longer exist', async () => {
+      expect(await InventoryService.restoreStock({ product: new Types.ObjectId(), variant: null, quantity: 1 })).toBe(false);
+    });
+  });
+});
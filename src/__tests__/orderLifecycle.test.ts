@@ -0,0 +1,307 @@
+/// <reference types="jest" />
+import { Types } from 'mongoose';
+
+// Orders are real Order documents with save and populate stubbed, so the status rules of the
+// model run as they do in the app; the services a transition calls afterwards are mocked
+jest.mock('../../services/fulfilmentService', () => ({ recordSale: jest.fn() }));
+jest.mock('../../services/inventoryService', () => ({ restoreStock: jest.fn() }));
+jest.mock('../../services/refundService', () => ({
+  getRefundable: jest.fn(),
+  getItemsAmount: jest.fn(),
+  requestRefund: jest.fn()
+}));
+jest.mock('../../services/certificateService', () => ({
+  ensureForOrder: jest.fn(),
+  revokeForFulfilments: jest.fn()
+}));
+jest.mock('../../services/couponService', () => ({ release: jest.fn() }));
+jest.mock('../../utils/emailService', () => ({ sendOrderStatusEmail: jest.fn() }));
+
+/* eslint-disable @typescript-eslint/no-var-requires */
+const OrderLifecycleService = require('../../services/orderLifecycleService');
+const Order = require('../../models/Order');
+const FulfilmentService = require('../../services/fulfilmentService');
+const InventoryService = require('../../services/inventoryService');
+const RefundService = require('../../services/refundService');
+const CertificateService = require('../../services/certificateService');
+const CouponService = require('../../services/couponService');
+const { sendOrderStatusEmail } = require('../../utils/emailService');
+/* eslint-enable @typescript-eslint/no-var-requires */
+
+const { OrderTransitionError } = OrderLifecycleService;
+
+type Doc = Record<string, any>;
+
+const buyer = { _id: new Types.ObjectId(), role: 'user' };
+const sellerA = { _id: new Types.ObjectId(), role: 'seller' };
+const sellerB = { _id: new Types.ObjectId(), role: 'seller' };
+const admin = { _id: new Types.ObjectId(), role: 'admin' };
+const system = { _id: null, role: 'system' };
+
+// An order with one item from each seller, paid online unless told otherwise
+const buildOrder = (fields: Doc = {}): Doc => {
+  const order = new Order({
+    user: buyer._id,
+    items: [
+      { product: new Types.ObjectId(), seller: sellerA._id, quantity: 1, price: 100 },
+      { product: new Types.ObjectId(), seller: sellerB._id, quantity: 2, price: 50 }
+    ],
+    paymentMethod: 'online',
+    paymentStatus: 'completed',
+    ...fields
+  });
+  order.syncFulfilments();
+  order.save = jest.fn().mockResolvedValue(order);
+  order.populate = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+const fulfilmentOf = (order: Doc, seller: Doc) => order.getFulfilment(seller._id);
+
+describe('Order lifecycle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    RefundService.getRefundable.mockResolvedValue({ available: 200 });
+    RefundService.getItemsAmount.mockReturnValue(100);
+    RefundService.requestRefund.mockImplementation(async (details: Doc) => details);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Transition table', () => {
+    it.each([
+      ['processing', 'approved', 'seller', true],
+      ['processing', 'approved', 'admin', true],
+      ['processing', 'approved', 'user', false],
+      ['processing', 'approved', 'system', false],
+      ['processing', 'in_transit', 'seller', false],
+      ['processing', 'cancelled', 'user', true],
+      ['processing', 'cancelled', 'admin', true],
+      ['processing', 'cancelled', 'system', true],
+      ['processing', 'cancelled', 'seller', false],
+      ['approved', 'in_transit', 'seller', true],
+      ['approved', 'in_transit', 'system', true],
+      ['approved', 'in_transit', 'user', false],
+      ['approved', 'cancelled', 'user', true],
+      ['approved', 'cancelled', 'system', false],
+      ['approved', 'delivered', 'seller', false],
+      ['in_transit', 'delivered', 'seller', true],
+      ['in_transit', 'delivered', 'system', true],
+      ['in_transit', 'delivered', 'user', false],
+      ['in_transit', 'cancelled', 'admin', true],
+      ['in_transit', 'cancelled', 'user', false],
+      ['in_transit', 'approved', 'admin', false],
+      ['delivered', 'cancelled', 'admin', false],
+      ['cancelled', 'processing', 'admin', false]
+    ])('%s -> %s by %s allowed: %s', (from, to, role, allowed) => {
+      expect(OrderLifecycleService.canTransition({ status: from }, to, role)).toBe(allowed);
+    });
+
+    it('lists the moves open to a role', () => {
+      expect(OrderLifecycleService.getNextStatuses({ status: 'processing' }, 'admin')).toEqual(['approved', 'cancelled']);
+      expect(OrderLifecycleService.getNextStatuses({ status: 'approved' }, 'seller')).toEqual(['in_transit']);
+      expect(OrderLifecycleService.getNextStatuses({ status: 'in_transit' }, 'user')).toEqual([]);
+    });
+
+    it('has no moves out of delivered, cancelled or unknown statuses', () => {
+      ['delivered', 'cancelled', 'shipped'].forEach(status => {
+        ['user', 'seller', 'admin', 'system'].forEach(role => {
+          expect(OrderLifecycleService.getNextStatuses({ status }, role)).toEqual([]);
+        });
+      });
+    });
+
+    it('only moves to statuses that have a label', () => {
+      Object.values(OrderLifecycleService.TRANSITIONS).forEach(moves => {
+        Object.keys(moves as Doc).forEach(status => {
+          expect(OrderLifecycleService.STATUS_LABELS[status]).toBeDefined();
+        });
+      });
+    });
+  });
+
+  describe('Payment', () => {
+    it('waits for online orders to be paid but not for cash on delivery', () => {
+      expect(OrderLifecycleService.isAwaitingPayment({ paymentMethod: 'online', paymentStatus: 'pending' })).toBe(true);
+      expect(OrderLifecycleService.isAwaitingPayment({ paymentMethod: 'online', paymentStatus: 'failed' })).toBe(true);
+      expect(OrderLifecycleService.isAwaitingPayment({ paymentMethod: 'online', paymentStatus: 'completed' })).toBe(false);
+      expect(OrderLifecycleService.isAwaitingPayment({ paymentMethod: 'cash', paymentStatus: 'pending' })).toBe(false);
+    });
+
+    it('refuses to approve an unpaid online order', async () => {
+      const order = buildOrder({ paymentStatus: 'pending' });
+
+      await expect(OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerA)], 'approved', { actor: sellerA }))
+        .rejects.toThrow(OrderTransitionError);
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('approves an unpaid cash on delivery order', async () => {
+      const order = buildOrder({ paymentMethod: 'cash', paymentStatus: 'pending' });
+
+      await OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerA)], 'approved', { actor: sellerA });
+
+      expect(fulfilmentOf(order, sellerA).status).toBe('approved');
+    });
+
+    it('still records courier scans of an unpaid order', async () => {
+      const order = buildOrder({ paymentStatus: 'pending' });
+      fulfilmentOf(order, sellerA).status = 'approved';
+
+      await OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerA)], 'in_transit', { actor: system, trackingNumber: 'TRK1' });
+
+      expect(fulfilmentOf(order, sellerA).status).toBe('in_transit');
+      expect(fulfilmentOf(order, sellerA).trackingNumber).toBe('TRK1');
+    });
+  });
+
+  describe('Transitions', () => {
+    it('moves a seller\'s own fulfilment and records it in the history', async () => {
+      const order = buildOrder();
+
+      const { updated, refund } = await OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerA)], 'approved', { actor: sellerA, note: ' Packed ' });
+
+      expect(updated).toHaveLength(1);
+      expect(refund).toBeNull();
+      expect(fulfilmentOf(order, sellerA).status).toBe('approved');
+      expect(fulfilmentOf(order, sellerB).status).toBe('processing');
+      // The order is as far along as its least advanced group
+      expect(order.orderStatus).toBe('processing');
+      const entry = order.statusHistory[order.statusHistory.length - 1];
+      expect(String(entry.fulfilment)).toBe(String(fulfilmentOf(order, sellerA)._id));
+      expect(entry.from).toBe('processing');
+      expect(entry.to).toBe('approved');
+      expect(entry.role).toBe('seller');
+      expect(entry.note).toBe('Packed');
+      expect(order.save).toHaveBeenCalled();
+      expect(CertificateService.ensureForOrder).toHaveBeenCalledWith(order);
+      expect(sendOrderStatusEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('records a change to every group once for the whole order', async () => {
+      const order = buildOrder();
+
+      await OrderLifecycleService.transition(order, order.fulfilments, 'approved', { actor: admin });
+
+      expect(order.orderStatus).toBe('approved');
+      const entry = order.statusHistory[order.statusHistory.length - 1];
+      expect(entry.fulfilment).toBeNull();
+      expect(order.emailNotifications).toHaveLength(1);
+      expect(sendOrderStatusEmail).toHaveBeenCalledWith(order, order.user, null);
+    });
+
+    it('keeps sellers to their own fulfilments', async () => {
+      const order = buildOrder();
+
+      await expect(OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerB)], 'approved', { actor: sellerA }))
+        .rejects.toThrow('You can only change your own items in an order');
+    });
+
+    it('keeps buyers to their own orders', async () => {
+      const order = buildOrder();
+      const otherBuyer = { _id: new Types.ObjectId(), role: 'user' };
+
+      await expect(OrderLifecycleService.transition(order, order.fulfilments, 'cancelled', { actor: otherBuyer }))
+        .rejects.toThrow('You can only change your own orders');
+    });
+
+    it('rejects moves the table does not allow', async () => {
+      const order = buildOrder();
+
+      await expect(OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerA)], 'delivered', { actor: sellerA }))
+        .rejects.toThrow('Items that are processing cannot be marked as delivered');
+      await expect(OrderLifecycleService.transition(order, order.fulfilments, 'lost', { actor: admin }))
+        .rejects.toThrow('Choose a valid status');
+    });
+
+    it('counts the sale of a delivered fulfilment for its seller', async () => {
+      const order = buildOrder();
+      fulfilmentOf(order, sellerB).status = 'in_transit';
+
+      await OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerB)], 'delivered', { actor: sellerB });
+
+      expect(fulfilmentOf(order, sellerB).deliveredAt).toBeInstanceOf(Date);
+      expect(FulfilmentService.recordSale).toHaveBeenCalledWith(sellerB._id, 100);
+    });
+  });
+
+  describe('Cancellation', () => {
+    it('restocks, refunds and releases the coupon of a paid order cancelled in full', async () => {
+      const order = buildOrder();
+
+      const { refund } = await OrderLifecycleService.transition(order, order.fulfilments, 'cancelled', { actor: buyer });
+
+      expect(order.orderStatus).toBe('cancelled');
+      expect(InventoryService.restoreStock).toHaveBeenCalledTimes(2);
+      expect(CouponService.release).toHaveBeenCalledWith(order);
+      expect(refund).toEqual(expect.objectContaining({ amount: 200, reason: 'order_cancelled' }));
+      expect(RefundService.requestRefund).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: 'order',
+        reference: order,
+        amount: 200,
+        reason: 'order_cancelled',
+        requestedBy: buyer
+      }));
+      expect(CertificateService.revokeForFulfilments).toHaveBeenCalled();
+    });
+
+    it('refunds only the cancelled items when an admin cancels part of an order', async () => {
+      const order = buildOrder();
+
+      await OrderLifecycleService.transition(order, [fulfilmentOf(order, sellerA)], 'cancelled', { actor: admin });
+
+      expect(order.orderStatus).toBe('processing');
+      expect(InventoryService.restoreStock).toHaveBeenCalledTimes(1);
+      expect(InventoryService.restoreStock).toHaveBeenCalledWith(order.getFulfilmentItems(fulfilmentOf(order, sellerA))[0]);
+      expect(CouponService.release).not.toHaveBeenCalled();
+      expect(RefundService.requestRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 100, requestedBy: admin }));
+    });
+
+    it('does not refund an order that was never paid', async () => {
+      const order = buildOrder({ paymentStatus: 'pending' });
+
+      const { refund } = await OrderLifecycleService.transition(order, order.fulfilments, 'cancelled', { actor: buyer });
+
+      expect(InventoryService.restoreStock).toHaveBeenCalledTimes(2);
+      expect(RefundService.requestRefund).not.toHaveBeenCalled();
+      expect(refund).toBeNull();
+    });
+
+    it('lets the cancellation stand when restocking or the refund fails', async () => {
+      const order = buildOrder();
+      InventoryService.restoreStock.mockRejectedValueOnce(new Error('Product deleted'));
+      RefundService.requestRefund.mockRejectedValueOnce(new Error('Gateway down'));
+
+      const { refund } = await OrderLifecycleService.transition(order, order.fulfilments, 'cancelled', { actor: admin });
+
+      expect(order.orderStatus).toBe('cancelled');
+      expect(InventoryService.restoreStock).toHaveBeenCalledTimes(2);
+      expect(refund).toBeNull();
+    });
+  });
+
+  describe('Unpaid orders', () => {
+    it('cancels stale unpaid online orders as the system', async () => {
+      const order = buildOrder({ paymentStatus: 'pending' });
+      const find = jest.spyOn(Order, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([order]) } as never);
+
+      const result = await OrderLifecycleService.expireUnpaid();
+
+      expect(result).toEqual({ cancelled: 1, failed: 0 });
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({
+        paymentMethod: { $ne: 'cash' },
+        paymentStatus: { $in: ['pending', 'failed'] },
+        orderStatus: 'processing'
+      }));
+      expect(order.orderStatus).toBe('cancelled');
+      const entry = order.statusHistory[order.statusHistory.length - 1];
+      expect(entry.role).toBe('system');
+      expect(entry.note).toBe(`Not paid within ${OrderLifecycleService.UNPAID_ORDER_HOURS} hours`);
+      expect(InventoryService.restoreStock).toHaveBeenCalledTimes(2);
+      expect(RefundService.requestRefund).not.toHaveBeenCalled();
+    });
+  });
+});
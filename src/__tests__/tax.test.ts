@@ -0,0 +1,154 @@
+/// <reference types="jest" />
+
+/* eslint-disable @typescript-eslint/no-var-requires */
+const { allocateDiscount, calculateTax, getRate, round2 } = require('../../utils/tax');
+/* eslint-enable @typescript-eslint/no-var-requires */
+
+// Every line names its supplier's state, so nothing here depends on BUSINESS_STATE
+describe('Tax', () => {
+  describe('Rounding', () => {
+    it.each([
+      [1.005, 1.01],
+      [2.675, 2.68],
+      [12.006, 12.01],
+      [6.004999, 6],
+      [0.1 + 0.2, 0.3],
+      [-1.005, -1]
+    ])('rounds %p to %p', (value, expected) => {
+      expect(round2(value)).toBe(expected);
+    });
+  });
+
+  describe('Rates', () => {
+    it.each([
+      ['9701', 12],
+      ['4911', 12],
+      ['998391', 18],
+      ['998399', 18],
+      ['0000', 18],
+      [undefined, 18]
+    ])('charges HSN code %p at %p%', (code, rate) => {
+      expect(getRate(code)).toBe(rate);
+    });
+  });
+
+  describe('Calculating tax', () => {
+    it.each([
+      [
+        'splits a supply within one state into CGST and SGST',
+        { hsnCode: '9701', amount: 1000, supplierState: 'Maharashtra' }, { placeOfSupply: 'Maharashtra' },
+        { supplyType: 'intra_state', rate: 12, cgst: 60, sgst: 60, igst: 0 }
+      ],
+      [
+        'charges IGST on a supply between states',
+        { hsnCode: '9701', amount: 1000, supplierState: 'Karnataka' }, { placeOfSupply: 'Maharashtra' },
+        { supplyType: 'inter_state', rate: 12, cgst: 0, sgst: 0, igst: 120 }
+      ],
+      [
+        'reads states given by their GST code',
+        { hsnCode: '998399', amount: 500, supplierState: '27' }, { placeOfSupply: 'maharashtra' },
+        { supplyType: 'intra_state', rate: 18, cgst: 45, sgst: 45, igst: 0 }
+      ],
+      [
+        'taxes from the supplier\'s state when there is no place of supply',
+        { hsnCode: '9701', amount: 1000, supplierState: 'Karnataka' }, {},
+        { supplyType: 'intra_state', rate: 12, cgst: 60, sgst: 60, igst: 0 }
+      ],
+      [
+        'zero-rates exports',
+        { hsnCode: '9701', amount: 1000, supplierState: 'Maharashtra' }, { placeOfSupply: 'California', country: 'USA' },
+        { supplyType: 'export', rate: 0, cgst: 0, sgst: 0, igst: 0 }
+      ],
+      [
+        'rounds the tax to the paisa and gives SGST what is left after CGST',
+        { hsnCode: '9701', amount: 100.05, supplierState: 'Maharashtra' }, { placeOfSupply: 'Maharashtra' },
+        { supplyType: 'intra_state', rate: 12, cgst: 6.01, sgst: 6, igst: 0 }
+      ],
+      [
+        'rounds IGST to the paisa',
+        { hsnCode: '9701', amount: 333.33, supplierState: 'Karnataka' }, { placeOfSupply: 'Maharashtra' },
+        { supplyType: 'inter_state', rate: 12, cgst: 0, sgst: 0, igst: 40 }
+      ]
+    ])('%s', (label, line, options, expected) => {
+      const tax = calculateTax([line], options);
+
+      expect(tax.lines[0]).toEqual(expect.objectContaining({ ...expected, taxableAmount: line.amount }));
+      expect(tax.supplyType).toBe(expected.supplyType);
+      expect(tax.totalTax).toBe(round2(expected.cgst + expected.sgst + expected.igst));
+    });
+
+    it('names the place of supply, except for exports', () => {
+      const line = { hsnCode: '9701', amount: 100, supplierState: 'Maharashtra' };
+
+      expect(calculateTax([line], { placeOfSupply: '29' }).placeOfSupply).toBe('Karnataka');
+      expect(calculateTax([line], { placeOfSupply: '29', country: 'India' }).placeOfSupply).toBe('Karnataka');
+      expect(calculateTax([line], { placeOfSupply: 'Ontario', country: 'Canada' }).placeOfSupply).toBeNull();
+    });
+
+    it('adds up lines shipped from different states as a mixed supply', () => {
+      const tax = calculateTax([
+        { hsnCode: '9701', amount: 333.33, supplierState: 'Karnataka' },
+        { hsnCode: '998399', amount: 0.05, supplierState: 'Maharashtra' }
+      ], { placeOfSupply: 'Maharashtra' });
+
+      expect(tax).toEqual(expect.objectContaining({
+        supplyType: 'mixed',
+        supplierState: null,
+        taxableAmount: 333.38,
+        cgst: 0.01,
+        sgst: 0,
+        igst: 40,
+        totalTax: 40.01
+      }));
+    });
+
+    it('keeps one supply type for lines shipped from the same state', () => {
+      const tax = calculateTax([
+        { hsnCode: '9701', amount: 1000, supplierState: 'Maharashtra' },
+        { hsnCode: '998399', amount: 100, supplierState: '27' }
+      ], { placeOfSupply: 'Maharashtra' });
+
+      expect(tax).toEqual(expect.objectContaining({
+        supplyType: 'intra_state',
+        supplierState: 'Maharashtra',
+        taxableAmount: 1100,
+        cgst: 69,
+        sgst: 69,
+        totalTax: 138
+      }));
+    });
+  });
+
+  describe('Spreading a discount', () => {
+    it.each([
+      ['in proportion to each line', [100, 200, 300], 60, [10, 20, 30]],
+      ['with the rounding leftover on the last line', [100, 100, 100], 100, [33.33, 33.33, 33.34]],
+      ['leaving out lines that take no part', [0, 100, 0], 10, [0, 10, 0]],
+      ['with the leftover on the last line that takes part', [100, 100, 0], 0.05, [0.03, 0.02, 0]],
+      ['rounded to the paisa', [10.01, 20.02], 0.07, [0.02, 0.05]],
+      ['capped at the lines when it is larger than them', [100, 50], 200, [100, 50]],
+      ['capped at lines that do not add up evenly', [33.33, 66.67, 0], 150, [33.33, 66.67, 0]],
+      ['not at all when there is no discount', [100, 200], 0, [0, 0]],
+      ['not at all when no line takes part', [0, 0], 50, [0, 0]]
+    ])('%s', (label, amounts, discount, expected) => {
+      const shares = allocateDiscount(amounts, discount);
+
+      expect(shares).toEqual(expected);
+      expect(round2(shares.reduce((sum: number, share: number) => sum + share, 0)))
+        .toBe(round2(Math.min(discount, amounts.reduce((sum, amount) => sum + amount, 0))));
+    });
+
+    it('never leaves a line with a negative taxable value', () => {
+      const amounts = [1000, 250, 250];
+      const shares = allocateDiscount(amounts, 5000);
+      const tax = calculateTax(amounts.map((amount, index) => ({
+        hsnCode: '9701',
+        amount: amount - shares[index],
+        supplierState: 'Maharashtra'
+      })), { placeOfSupply: 'Maharashtra' });
+
+      expect(tax.lines.every((line: { taxableAmount: number }) => line.taxableAmount === 0)).toBe(true);
+      expect(tax.totalTax).toBe(0);
+    });
+  });
+});
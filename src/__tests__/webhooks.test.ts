@@ -0,0 +1,395 @@
+/// <reference types="jest" />
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import express from 'express';
+
+// The webhook route is exercised end to end with the mock provider; the models it reaches are
+// replaced with in-memory stand-ins so no database is needed
+jest.mock('../../models/Payment', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/WebhookEvent', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../../models/Order', () => ({ findById: jest.fn() }));
+jest.mock('../../models/CustomRequest', () => ({ findById: jest.fn() }));
+jest.mock('../../models/Bid', () => ({ findById: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../../models/PsychometricTest', () => ({ findById: jest.fn() }));
+jest.mock('../../models/User', () => ({ findById: jest.fn(), find: jest.fn() }));
+jest.mock('../../services/couponService', () => ({ release: jest.fn() }));
+jest.mock('../../services/refundService', () => ({ refundPayment: jest.fn() }));
+jest.mock('../../utils/emailService', () => ({ sendQuoteOrderEmail: jest.fn() }));
+
+/* eslint-disable @typescript-eslint/no-var-requires */
+const webhookRoutes = require('../../routes/webhooks');
+const MockProvider = require('../../services/paymentProviders/mockProvider');
+const Payment = require('../../models/Payment');
+const WebhookEvent = require('../../models/WebhookEvent');
+const Order = require('../../models/Order');
+const CustomRequest = require('../../models/CustomRequest');
+const Bid = require('../../models/Bid');
+const PsychometricTest = require('../../models/PsychometricTest');
+const User = require('../../models/User');
+const CouponService = require('../../services/couponService');
+const RefundService = require('../../services/refundService');
+const { sendQuoteOrderEmail } = require('../../utils/emailService');
+/* eslint-enable @typescript-eslint/no-var-requires */
+
+const FIXTURE_DIR = path.join(__dirname, '..', '..', 'scripts', 'fixtures', 'webhooks');
+
+const app = express();
+app.use('/webhooks/payments', webhookRoutes);
+
+const provider = new MockProvider();
+
+type Doc = Record<string, any>;
+
+// A stand-in document whose save() can be counted
+const makeDoc = (fields: Doc): Doc => ({ ...fields, save: jest.fn().mockResolvedValue(undefined) });
+
+// Fill a fixture the way scripts/sendTestWebhook.js does
+const loadFixture = (name: string, values: Doc): string => {
+  const template = fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8');
+  return template.replace(/"\{\{(\w+)\}\}"/g, (match, key) => JSON.stringify(values[key]));
+};
+
+const sendWebhook = (body: string, eventId: string, signature = provider.signWebhook(body)) =>
+  request(app)
+    .post('/webhooks/payments/mock')
+    .set('Content-Type', 'application/json')
+    .set('x-mock-signature', signature)
+    .set('x-mock-event-id', eventId)
+    .send(body);
+
+const capturedBody = (payment: Doc) =>
+  loadFixture('payment.captured', {
+    orderId: payment.providerOrderId,
+    paymentId: 'mock_pay_1',
+    amountInPaise: Math.round(payment.amount * 100),
+    timestamp: 1700000000
+  });
+
+const makePayment = (fields: Doc): Doc =>
+  makeDoc({
+    _id: 'payment_1',
+    provider: 'mock',
+    providerOrderId: 'mock_order_1',
+    providerPaymentId: null,
+    status: 'created',
+    amount: 118,
+    amountRefunded: 0,
+    refunds: [],
+    tax: null,
+    metadata: {},
+    ...fields
+  });
+
+describe('Payment webhooks', () => {
+  let events: Map<string, Doc>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+
+    events = new Map();
+    WebhookEvent.findOne.mockImplementation(async ({ provider: name, eventId }: Doc) => events.get(`${name}:${eventId}`) || null);
+    WebhookEvent.create.mockImplementation(async (fields: Doc) => {
+      const event = makeDoc({ ...fields, status: 'received' });
+      events.set(`${fields.provider}:${fields.eventId}`, event);
+      return event;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const usePayment = (payment: Doc) => {
+    Payment.findOne.mockImplementation(async (query: Doc) =>
+      query.providerOrderId === payment.providerOrderId || query.providerPaymentId === payment.providerPaymentId ? payment : null);
+  };
+
+  describe('Signatures', () => {
+    it('rejects a delivery signed with the wrong secret', async () => {
+      const body = capturedBody(makePayment({ purpose: 'order' }));
+      const forged = new MockProvider({ secret: 'not_the_secret' }).signWebhook(body);
+
+      const response = await sendWebhook(body, 'evt_forged', forged);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, message: 'Invalid webhook signature' });
+      expect(WebhookEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects a body changed after it was signed', async () => {
+      const body = capturedBody(makePayment({ purpose: 'order' }));
+      const signature = provider.signWebhook(body);
+
+      const response = await sendWebhook(body.replace('"captured"', '"failed"'), 'evt_tampered', signature);
+
+      expect(response.status).toBe(400);
+      expect(Payment.findOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unsigned delivery', async () => {
+      const body = capturedBody(makePayment({ purpose: 'order' }));
+
+      const response = await sendWebhook(body, 'evt_unsigned', '');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('rejects a signature of the wrong length', async () => {
+      const body = capturedBody(makePayment({ purpose: 'order' }));
+
+      const response = await sendWebhook(body, 'evt_short', provider.signWebhook(body).slice(1));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+      delete process.env.MOCK_PAYMENTS;
+    });
+
+    it('does not accept mock payment webhooks unless mock payments are enabled', async () => {
+      process.env.NODE_ENV = 'production';
+      const body = capturedBody(makePayment({ purpose: 'order' }));
+
+      const response = await sendWebhook(body, 'evt_production');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unknown payment provider: mock');
+      expect(WebhookEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('requires a secret of its own for mock payments', () => {
+      process.env.NODE_ENV = 'production';
+      jest.isolateModules(() => {
+        // eslint-disable-next-line @typescript-eslint/no-var-requires
+        const ProductionMockProvider = require('../../services/paymentProviders/mockProvider');
+        expect(() => new ProductionMockProvider()).toThrow('MOCK_PAYMENT_SECRET must be set');
+        expect(new ProductionMockProvider({ secret: 'configured' }).secret).toBe('configured');
+      });
+    });
+  });
+
+  describe('Duplicate events', () => {
+    it('handles an event id once and reports redeliveries as duplicates', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1' });
+      const order = makeDoc({ _id: 'order_1', paymentStatus: 'pending' });
+      usePayment(payment);
+      Order.findById.mockResolvedValue(order);
+      const body = capturedBody(payment);
+
+      const first = await sendWebhook(body, 'evt_repeat');
+      const second = await sendWebhook(body, 'evt_repeat');
+
+      expect(first.body).toEqual({ success: true, duplicate: false });
+      expect(second.body).toEqual({ success: true, duplicate: true });
+      expect(WebhookEvent.create).toHaveBeenCalledTimes(1);
+      expect(payment.save).toHaveBeenCalledTimes(1);
+      expect(order.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports a concurrent delivery that loses the insert race as a duplicate', async () => {
+      WebhookEvent.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const response = await sendWebhook(capturedBody(makePayment({ purpose: 'order' })), 'evt_race');
+
+      expect(response.body).toEqual({ success: true, duplicate: true });
+      expect(Payment.findOne).not.toHaveBeenCalled();
+    });
+
+    it('retries an event whose earlier handling failed', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1' });
+      const order = makeDoc({ _id: 'order_1', paymentStatus: 'pending' });
+      usePayment(payment);
+      Order.findById.mockResolvedValue(order);
+      events.set('mock:evt_retry', makeDoc({ provider: 'mock', eventId: 'evt_retry', status: 'failed' }));
+
+      const response = await sendWebhook(capturedBody(payment), 'evt_retry');
+
+      expect(response.body).toEqual({ success: true, duplicate: false });
+      expect(events.get('mock:evt_retry')!.status).toBe('processed');
+      expect(order.paymentStatus).toBe('completed');
+    });
+
+    it('treats a payment that is already paid as nothing to do', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1', status: 'paid' });
+      usePayment(payment);
+
+      const response = await sendWebhook(capturedBody(payment), 'evt_late');
+
+      expect(response.body).toEqual({ success: true, duplicate: false });
+      expect(events.get('mock:evt_late')!.status).toBe('ignored');
+      expect(payment.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Reconciliation', () => {
+    it('marks a shop order paid', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1' });
+      const order = makeDoc({ _id: 'order_1', paymentStatus: 'pending' });
+      usePayment(payment);
+      Order.findById.mockResolvedValue(order);
+
+      const response = await sendWebhook(capturedBody(payment), 'evt_order');
+
+      expect(response.status).toBe(200);
+      expect(payment.status).toBe('paid');
+      expect(payment.providerPaymentId).toBe('mock_pay_1');
+      expect(Order.findById).toHaveBeenCalledWith('order_1');
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.paymentId).toBe('mock_pay_1');
+      expect(events.get('mock:evt_order')!.status).toBe('processed');
+    });
+
+    it('accepts the paid bid on a custom request and rejects the others', async () => {
+      const payment = makePayment({ purpose: 'custom_request', reference: 'request_1', metadata: { bid: 'bid_1' } });
+      const customRequest = makeDoc({ _id: 'request_1', status: 'open', title: 'Mural' });
+      const bid = makeDoc({ _id: 'bid_1', amount: 100, status: 'pending', seller: { _id: 'seller_1', name: 'Seller' } });
+      usePayment(payment);
+      CustomRequest.findById.mockResolvedValue(customRequest);
+      Bid.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(bid) });
+
+      await sendWebhook(capturedBody(payment), 'evt_request');
+
+      expect(customRequest.status).toBe('in_progress');
+      expect(customRequest.assignedSeller).toBe('seller_1');
+      expect(customRequest.payment.totalAmount).toBe(118);
+      expect(bid.status).toBe('accepted');
+      expect(Bid.updateMany).toHaveBeenCalledWith(
+        { customRequest: 'request_1', _id: { $ne: 'bid_1' } },
+        { status: 'rejected' }
+      );
+    });
+
+    it('refunds a payment for a shop order cancelled before it was paid', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1' });
+      const order = makeDoc({ _id: 'order_1', orderStatus: 'cancelled', paymentStatus: 'pending' });
+      usePayment(payment);
+      Order.findById.mockResolvedValue(order);
+
+      await sendWebhook(capturedBody(payment), 'evt_cancelled_order');
+
+      expect(payment.status).toBe('paid');
+      expect(order.paymentStatus).toBe('pending');
+      expect(order.save).not.toHaveBeenCalled();
+      expect(RefundService.refundPayment).toHaveBeenCalledWith(payment, expect.objectContaining({ reason: 'order_cancelled' }));
+    });
+
+    it('refunds a payment for a bid on a request another bid has won', async () => {
+      const payment = makePayment({ purpose: 'custom_request', reference: 'request_1', metadata: { bid: 'bid_2' } });
+      const customRequest = makeDoc({ _id: 'request_1', status: 'in_progress', paymentId: 'mock_pay_0' });
+      usePayment(payment);
+      CustomRequest.findById.mockResolvedValue(customRequest);
+
+      await sendWebhook(capturedBody(payment), 'evt_second_bid');
+
+      expect(customRequest.paymentId).toBe('mock_pay_0');
+      expect(customRequest.save).not.toHaveBeenCalled();
+      expect(Bid.findById).not.toHaveBeenCalled();
+      expect(RefundService.refundPayment).toHaveBeenCalledWith(payment, expect.objectContaining({ reason: 'other' }));
+    });
+
+    it('refunds a payment for a request cancelled before it was paid', async () => {
+      const payment = makePayment({ purpose: 'custom_request', reference: 'request_1', metadata: { bid: 'bid_1' } });
+      const customRequest = makeDoc({ _id: 'request_1', status: 'cancelled', paymentId: null });
+      usePayment(payment);
+      CustomRequest.findById.mockResolvedValue(customRequest);
+
+      await sendWebhook(capturedBody(payment), 'evt_cancelled_request');
+
+      expect(RefundService.refundPayment).toHaveBeenCalledWith(payment, expect.objectContaining({ reason: 'request_cancelled' }));
+    });
+
+    it('does not refund the winning bid\'s payment when it is reported again', async () => {
+      const payment = makePayment({ purpose: 'custom_request', reference: 'request_1', status: 'failed' });
+      const customRequest = makeDoc({ _id: 'request_1', status: 'in_progress', paymentId: 'mock_pay_1' });
+      usePayment(payment);
+      CustomRequest.findById.mockResolvedValue(customRequest);
+
+      await sendWebhook(capturedBody(payment), 'evt_again');
+
+      expect(RefundService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    it('marks a psychometric test paid', async () => {
+      const payment = makePayment({ purpose: 'psychometric_test', reference: 'test_1' });
+      const test = makeDoc({ _id: 'test_1', status: 'awaiting_payment' });
+      usePayment(payment);
+      PsychometricTest.findById.mockResolvedValue(test);
+
+      await sendWebhook(capturedBody(payment), 'evt_test');
+
+      expect(test.status).toBe('paid');
+      expect(test.paymentId).toBe('mock_pay_1');
+      expect(test.paymentAmount).toBe(118);
+      expect(test.save).toHaveBeenCalled();
+    });
+
+    it('places the order for a paid psychometric test quote', async () => {
+      const payment = makePayment({ purpose: 'psychometric_order', reference: 'test_1' });
+      const test = makeDoc({ _id: 'test_1', user: 'user_1', status: 'quoted', order: { approved: false } });
+      const user = { name: 'Buyer', email: 'buyer@example.com' };
+      usePayment(payment);
+      PsychometricTest.findById.mockResolvedValue(test);
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ email: 'admin@example.com' }]) });
+
+      await sendWebhook(capturedBody(payment), 'evt_quote');
+
+      expect(test.status).toBe('order_placed');
+      expect(test.order.approved).toBe(true);
+      expect(test.order.status).toBe('placed');
+      expect(test.order.paymentId).toBe('mock_pay_1');
+      expect(sendQuoteOrderEmail).toHaveBeenCalledWith(['admin@example.com'], { user, test });
+    });
+
+    it('marks a shop order failed when its payment fails', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1' });
+      const order = makeDoc({ _id: 'order_1', paymentStatus: 'pending' });
+      usePayment(payment);
+      Order.findById.mockResolvedValue(order);
+      const body = loadFixture('payment.failed', {
+        orderId: payment.providerOrderId,
+        paymentId: 'mock_pay_1',
+        amountInPaise: 11800,
+        timestamp: 1700000000
+      });
+
+      await sendWebhook(body, 'evt_failed');
+
+      expect(payment.status).toBe('failed');
+      expect(payment.failureReason).toBe('Payment was declined by the bank');
+      expect(order.paymentStatus).toBe('failed');
+    });
+
+    it('records a refund made at the gateway and releases the coupon of a fully refunded order', async () => {
+      const payment = makePayment({ purpose: 'order', reference: 'order_1', status: 'paid', providerPaymentId: 'mock_pay_1' });
+      const order = makeDoc({ _id: 'order_1', paymentStatus: 'completed' });
+      usePayment(payment);
+      Order.findById.mockResolvedValue(order);
+      const body = loadFixture('refund.processed', {
+        orderId: payment.providerOrderId,
+        paymentId: 'mock_pay_1',
+        refundId: 'mock_rfnd_1',
+        amountInPaise: 11800,
+        timestamp: 1700000000
+      });
+
+      await sendWebhook(body, 'evt_refund');
+      await sendWebhook(body, 'evt_refund_again');
+
+      expect(payment.refunds).toHaveLength(1);
+      expect(payment.amountRefunded).toBe(118);
+      expect(payment.status).toBe('refunded');
+      expect(order.paymentStatus).toBe('refunded');
+      expect(CouponService.release).toHaveBeenCalledWith(order);
+      expect(events.get('mock:evt_refund_again')!.status).toBe('ignored');
+    });
+  });
+});
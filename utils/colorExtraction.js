@@ -0,0 +1,115 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const { COLORS } = require('./productAttributes');
+
+// Reference shade of each named color in COLORS, pixels are counted towards the nearest one
+const PALETTE = {
+    red: [200, 30, 40],
+    orange: [240, 140, 30],
+    yellow: [240, 210, 50],
+    green: [60, 150, 70],
+    blue: [40, 90, 190],
+    purple: [120, 60, 160],
+    pink: [240, 150, 180],
+    brown: [120, 75, 40],
+    beige: [225, 205, 170],
+    black: [20, 20, 20],
+    white: [245, 245, 245],
+    gray: [128, 128, 128],
+    gold: [212, 175, 55],
+    silver: [192, 192, 192]
+};
+
+// Images are shrunk to this many pixels a side before counting
+const SAMPLE_SIZE = 48;
+
+// A color must cover this share of the image to count as dominant
+const MIN_SHARE = 0.08;
+
+const PUBLIC_DIR = path.join(__dirname, '../public');
+
+/**
+ * Nearest named color to a pixel, using the "redmean" approximation of perceived distance
+ * @param {Number} r - Red 0-255
+ * @param {Number} g - Green 0-255
+ * @param {Number} b - Blue 0-255
+ * @returns {String} - Color name
+ */
+const nearestColor = (r, g, b) => {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    COLORS.forEach(name => {
+        const [pr, pg, pb] = PALETTE[name];
+        const redMean = (r + pr) / 2;
+        const distance = (2 + redMean / 256) * (r - pr) ** 2 + 4 * (g - pg) ** 2 + (2 + (255 - redMean) / 256) * (b - pb) ** 2;
+        if (distance < nearestDistance) {
+            nearest = name;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+};
+
+/**
+ * Local file of an image stored under public/, e.g. /uploads/products/x.jpg
+ * @param {String} imageUrl - Image path as saved on a product or gallery item
+ * @returns {String|null} - File path, null for remote or missing images
+ */
+const resolveImagePath = (imageUrl) => {
+    if (!imageUrl || !imageUrl.startsWith('/')) {
+        return null;
+    }
+    const filePath = path.join(PUBLIC_DIR, path.normalize(imageUrl));
+    if (!filePath.startsWith(PUBLIC_DIR) || !fs.existsSync(filePath)) {
+        return null;
+    }
+    return filePath;
+};
+
+/**
+ * Dominant colors of an image, as names from the shop's color list
+ * @param {String|Buffer} input - Image file path or contents
+ * @param {Number} limit - Most colors to return
+ * @returns {Promise<Array>} - Color names, most dominant first
+ */
+const extractPalette = async (input, limit = 3) => {
+    const { data, info } = await sharp(input)
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    
+    const counts = {};
+    const pixels = info.width * info.height;
+    for (let i = 0; i < data.length; i += info.channels) {
+        const name = nearestColor(data[i], data[i + 1], data[i + 2]);
+        counts[name] = (counts[name] || 0) + 1;
+    }
+    
+    return Object.entries(counts)
+        .filter(([, count]) => count / pixels >= MIN_SHARE)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([name]) => name);
+};
+
+/**
+ * Dominant colors of an artwork image, as names from the shop's color list
+ * @param {String} imageUrl - Image path as saved on a product or gallery item
+ * @param {Number} limit - Most colors to return
+ * @returns {Promise<Array>} - Color names, most dominant first; empty when the image cannot be read
+ */
+const extractDominantColors = async (imageUrl, limit = 3) => {
+    const filePath = resolveImagePath(imageUrl);
+    if (!filePath) {
+        return [];
+    }
+    return extractPalette(filePath, limit);
+};
+
+module.exports = {
+    extractDominantColors,
+    extractPalette,
+    resolveImagePath
+}; 
\ No newline at end of file
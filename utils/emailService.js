@@ -73,7 +73,9 @@ const sendPasswordResetEmail = async (email, resetToken) => {
     }
 };
 
-const sendOrderStatusEmail = async (order, user) => {
+// Tell the buyer about a status change of their order, or of one seller's part of it (fulfilment),
+// listing each seller's shipment separately. Seller names need fulfilments.seller populated.
+const sendOrderStatusEmail = async (order, user, fulfilment = null) => {
     try {
         // Format the status for display
         const statusDisplay = {
@@ -84,54 +86,89 @@ const sendOrderStatusEmail = async (order, user) => {
             'cancelled': 'Cancelled'
         };
 
-        // Create appropriate messaging based on order status
+        const status = fulfilment ? fulfilment.status : order.orderStatus;
+        const sellerName = group => (group.seller && group.seller.name ? group.seller.name : 'Sparklume Art');
+        const subject = fulfilment && order.fulfilments.length > 1 ? `part of your order from ${sellerName(fulfilment)}` : 'your order';
+
+        // Create appropriate messaging based on the status
         let statusMessage = '';
         let actionMessage = '';
 
-        switch(order.orderStatus) {
+        switch(status) {
             case 'processing':
                 statusMessage = 'We have received your order and it is being processed.';
                 actionMessage = 'Our team is preparing your items for shipment.';
                 break;
             case 'approved':
-                statusMessage = 'Your order has been approved and is ready for shipping.';
+                statusMessage = `The seller has approved ${subject} and it is ready for shipping.`;
                 actionMessage = 'Your items will be shipped soon.';
                 break;
-            case 'in_transit':
-                statusMessage = 'Your order has been shipped and is on its way!';
-                actionMessage = `Your tracking number is: <strong>${order.trackingNumber || 'Not available'}</strong>`;
-                if (order.estimatedDeliveryDate) {
-                    const date = new Date(order.estimatedDeliveryDate).toLocaleDateString();
+            case 'in_transit': {
+                const tracked = fulfilment || order;
+                statusMessage = `${subject.charAt(0).toUpperCase() + subject.slice(1)} has been shipped and is on its way!`;
+                actionMessage = `Your tracking number is: <strong>${tracked.trackingNumber || 'Not available'}</strong>`;
+                if (tracked.estimatedDeliveryDate) {
+                    const date = new Date(tracked.estimatedDeliveryDate).toLocaleDateString();
                     actionMessage += `<br>Estimated delivery date: <strong>${date}</strong>`;
                 }
                 break;
+            }
             case 'delivered':
-                statusMessage = 'Your order has been delivered. Thank you for shopping with us!';
+                statusMessage = `${subject.charAt(0).toUpperCase() + subject.slice(1)} has been delivered. Thank you for shopping with us!`;
                 actionMessage = 'We hope you enjoy your purchase. If you have any issues, please contact our customer support.';
                 break;
             case 'cancelled':
-                statusMessage = 'Your order has been cancelled.';
+                statusMessage = `${subject.charAt(0).toUpperCase() + subject.slice(1)} has been cancelled.`;
                 actionMessage = 'If you did not request this cancellation, please contact our customer support immediately.';
                 break;
             default:
-                statusMessage = `Order status: ${order.orderStatus}`;
+                statusMessage = `Order status: ${status}`;
                 actionMessage = 'Thank you for your order.';
         }
 
-        // Format order items for email
-        const itemsList = order.items.map(item => `
-            <tr>
-                <td style="padding: 10px; border-bottom: 1px solid #eee;">${item.title}</td>
-                <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
-                <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">$${item.price.toFixed(2)}</td>
-                <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">$${(item.price * item.quantity).toFixed(2)}</td>
-            </tr>
-        `).join('');
+        // One table per seller shipment, so buyers can tell which items the update is about
+        const groups = order.fulfilments && order.fulfilments.length > 0
+            ? order.fulfilments.map(group => ({ group, items: order.getFulfilmentItems(group) }))
+            : [{ group: null, items: order.items }];
+
+        const shipments = groups.map(({ group, items }) => {
+            const itemsList = items.map(item => `
+                <tr>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee;">${item.title}${item.variantName ? ` (${item.variantName})` : ''}</td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">$${item.price.toFixed(2)}</td>
+                    <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">$${(item.price * item.quantity).toFixed(2)}</td>
+                </tr>
+            `).join('');
+            const highlight = group && fulfilment && group._id.equals(fulfilment._id);
+
+            return `
+                <div style="margin-top: 15px; border: 1px solid ${highlight ? '#4a90e2' : '#eee'}; border-radius: 5px; padding: 10px;">
+                    ${group ? `
+                        <p style="margin: 0 0 5px;"><strong>Shipped by ${sellerName(group)}</strong> &middot; ${statusDisplay[group.status]}</p>
+                        ${group.trackingNumber ? `<p style="margin: 0 0 5px; font-size: 14px;">Tracking number: ${group.trackingNumber}</p>` : ''}
+                    ` : ''}
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr style="background-color: #f2f2f2;">
+                                <th style="padding: 10px; text-align: left;">Product</th>
+                                <th style="padding: 10px; text-align: center;">Quantity</th>
+                                <th style="padding: 10px; text-align: right;">Price</th>
+                                <th style="padding: 10px; text-align: right;">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${itemsList}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }).join('');
 
         const mailOptions = {
             from: process.env.EMAIL_USER,
             to: user.email,
-            subject: `Order ${order._id.toString().substring(0, 8)} - ${statusDisplay[order.orderStatus]}`,
+            subject: `Order ${order._id.toString().substring(0, 8)} - ${statusDisplay[status]}`,
             html: `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                     <h2 style="color: #4a90e2; text-align: center;">Order Update</h2>
@@ -147,27 +184,11 @@ const sendOrderStatusEmail = async (order, user) => {
                             <div style="padding: 15px;">
                                 <p><strong>Order ID:</strong> ${order._id.toString().substring(0, 8)}...</p>
                                 <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-                                <p><strong>Status:</strong> ${statusDisplay[order.orderStatus]}</p>
+                                <p><strong>Order Status:</strong> ${statusDisplay[order.orderStatus]}</p>
                                 
-                                <table style="width: 100%; border-collapse: collapse; margin-top: 15px;">
-                                    <thead>
-                                        <tr style="background-color: #f2f2f2;">
-                                            <th style="padding: 10px; text-align: left;">Product</th>
-                                            <th style="padding: 10px; text-align: center;">Quantity</th>
-                                            <th style="padding: 10px; text-align: right;">Price</th>
-                                            <th style="padding: 10px; text-align: right;">Total</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        ${itemsList}
-                                    </tbody>
-                                    <tfoot>
-                                        <tr>
-                                            <td colspan="3" style="padding: 10px; text-align: right; font-weight: bold;">Total:</td>
-                                            <td style="padding: 10px; text-align: right; font-weight: bold;">$${order.totalAmount.toFixed(2)}</td>
-                                        </tr>
-                                    </tfoot>
-                                </table>
+                                ${shipments}
+                                
+                                <p style="margin-top: 15px; text-align: right; font-weight: bold;">Order Total: $${order.totalAmount.toFixed(2)}</p>
                             </div>
                         </div>
                         
@@ -179,7 +200,7 @@ const sendOrderStatusEmail = async (order, user) => {
         };
 
         const result = await transporter.sendMail(mailOptions);
-        console.log(`Order status email sent for order ${order._id}, status: ${order.orderStatus}`);
+        console.log(`Order status email sent for order ${order._id}, status: ${status}`);
         return result;
     } catch (error) {
         console.error('Error sending order status email:', error);
@@ -247,10 +268,276 @@ async function sendShippingUpdateEmail(email, { requestTitle, trackingId, billNu
     }
 }
 
+// Tell a buyer that the artwork for their custom request was delivered
+async function sendRequestDeliveredEmail(email, { name, requestTitle, sellerName }) {
+    const subject = `Your order "${requestTitle}" has been delivered`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4a90e2; text-align: center;">Order Delivered</h2>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
+                <p>Hello ${name},</p>
+                <p>Great news! Your custom request "${requestTitle}" from ${sellerName} has been delivered.</p>
+                <p>If you have received your order, please check that everything is as expected.</p>
+                <p>If you have any questions or concerns, please contact the seller directly.</p>
+                <p>Thank you for using our platform!</p>
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject,
+            html
+        });
+        console.log('Request delivered email sent successfully');
+    } catch (error) {
+        console.error('Error sending request delivered email:', error);
+        throw error;
+    }
+}
+
+// Tell the admins that a buyer has paid for a psychometric test quote
+async function sendQuoteOrderEmail(emails, { user, test }) {
+    const html = `
+        <h2>New Order Alert!</h2>
+        <p>A user has approved a quote and placed an order.</p>
+        <h3>Order Details:</h3>
+        <p><strong>User:</strong> ${user.name} (${user.email})</p>
+        <p><strong>Mobile Number:</strong> ${test.order.mobileNumber}</p>
+        <p><strong>Address:</strong> ${test.order.address}</p>
+        <p><strong>Budget:</strong> ₹${test.adminQuote.budget.toLocaleString('en-IN')} + ₹${test.order.tax ? test.order.tax.totalTax.toFixed(2) : '0.00'} GST</p>
+        <p><strong>Payment ID:</strong> ${test.order.paymentId}</p>
+        <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
+        <p>Please log in to the admin panel to process this order.</p>
+    `;
+
+    await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: emails.join(','),
+        subject: 'New Order Placed',
+        html
+    });
+}
+
+// Tell a buyer that a refund was requested, paid back or turned down
+async function sendRefundEmail(email, { name, refund, title }) {
+    const amount = `₹${refund.amount.toFixed(2)}`;
+    const content = {
+        requested: {
+            subject: `Refund requested for ${title}`,
+            heading: 'Refund Requested',
+            message: `A refund of ${amount} for ${title} has been requested. We will let you know once it has been reviewed.`
+        },
+        processed: {
+            subject: `Refund processed for ${title}`,
+            heading: 'Refund Processed',
+            message: refund.method === 'manual'
+                ? `Your refund of ${amount} for ${title} has been approved. Our team will contact you to pay it back.`
+                : `Your refund of ${amount} for ${title} has been processed. It usually reaches your account within 5-7 business days.`
+        },
+        rejected: {
+            subject: `Refund update for ${title}`,
+            heading: 'Refund Not Approved',
+            message: `Your refund of ${amount} for ${title} was not approved.${refund.rejectionReason ? ` Reason: ${refund.rejectionReason}` : ''}`
+        }
+    }[refund.status];
+
+    if (!content) {
+        return;
+    }
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4a90e2; text-align: center;">${content.heading}</h2>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
+                <p>Hello ${name || ''},</p>
+                <p>${content.message}</p>
+                <p><strong>Reason:</strong> ${refund.reasonLabel}</p>
+                ${refund.providerRefundId ? `<p><strong>Refund Reference:</strong> ${refund.providerRefundId}</p>` : ''}
+                <p>Thank you for using our service!</p>
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: content.subject,
+            html
+        });
+        console.log(`Refund email sent for refund ${refund._id}, status: ${refund.status}`);
+    } catch (error) {
+        console.error('Error sending refund email:', error);
+        throw error;
+    }
+}
+
+// Tell a buyer how their return is going, or a seller that items are coming back
+async function sendReturnEmail(email, { name, returnRequest, title, forSeller = false }) {
+    const rma = returnRequest.rmaNumber;
+    const content = forSeller ? {
+        subject: `Return ${rma} requested for ${title}`,
+        heading: 'Return Requested',
+        message: `The buyer has asked to return items from ${title}. Please approve or reject the return from the order page.`
+    } : {
+        requested: {
+            subject: `Return ${rma} requested for ${title}`,
+            heading: 'Return Requested',
+            message: `We have received your return request for ${title}. We will let you know once it has been reviewed.`
+        },
+        approved: {
+            subject: `Return ${rma} approved`,
+            heading: 'Return Approved',
+            message: `Your return for ${title} has been approved. Please send the items back and add the tracking number on your order page, quoting ${rma} on the parcel.`
+        },
+        rejected: {
+            subject: `Return ${rma} update`,
+            heading: 'Return Not Approved',
+            message: `Your return for ${title} was not approved.${returnRequest.rejectionReason ? ` Reason: ${returnRequest.rejectionReason}` : ''}`
+        },
+        received: {
+            subject: `Return ${rma} received`,
+            heading: 'Return Received',
+            message: `The items you sent back from ${title} have arrived. Any refund due will follow separately.`
+        },
+        refunded: {
+            subject: `Return ${rma} refunded`,
+            heading: 'Return Refunded',
+            message: `The items you sent back from ${title} have arrived and your refund has been processed.`
+        }
+    }[returnRequest.status];
+
+    if (!content) {
+        return;
+    }
+
+    const items = returnRequest.items
+        .map(item => `<li>${item.title} × ${item.quantity}</li>`)
+        .join('');
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4a90e2; text-align: center;">${content.heading}</h2>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
+                <p>Hello ${name || ''},</p>
+                <p>${content.message}</p>
+                <p><strong>Return Number:</strong> ${rma}</p>
+                <p><strong>Reason:</strong> ${returnRequest.reasonLabel}</p>
+                <ul>${items}</ul>
+                <p>Thank you for using our service!</p>
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: content.subject,
+            html
+        });
+        console.log(`Return email sent for ${rma}, status: ${returnRequest.status}`);
+    } catch (error) {
+        console.error('Error sending return email:', error);
+        throw error;
+    }
+}
+
+// Remind a buyer of the items left in their cart, with a link that brings the cart back
+async function sendCartRecoveryEmail(email, { name, subject, items, restoreUrl, coupon = null }) {
+    const rows = items.map(item => `
+        <tr>
+            <td style="padding: 6px 0;">${item.title}${item.variantName ? ` (${item.variantName})` : ''} x ${item.quantity}</td>
+            <td style="padding: 6px 0; text-align: right;">$${(item.price * item.quantity).toFixed(2)}</td>
+        </tr>
+    `).join('');
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4a90e2; text-align: center;">Your Cart Is Waiting</h2>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
+                <p>Hello ${name || ''},</p>
+                <p>You left these items in your cart. We have saved them for you.</p>
+                <table style="width: 100%; border-collapse: collapse;">${rows}</table>
+                ${coupon ? `<p>Use code <strong>${coupon.code}</strong> for ${coupon.discountValue}% off your order, valid until ${new Date(coupon.endsAt).toLocaleDateString()}.</p>` : ''}
+                <p style="text-align: center;">
+                    <a href="${restoreUrl}" style="background-color: #4a90e2; color: #fff; padding: 10px 20px; border-radius: 5px; text-decoration: none;">Return to my cart</a>
+                </p>
+                <p>Items sell out quickly, so prices and availability may change until you check out.</p>
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject,
+            html
+        });
+        console.log(`Cart recovery email sent to ${email}`);
+    } catch (error) {
+        console.error('Error sending cart recovery email:', error);
+        throw error;
+    }
+}
+
+// Daily digest telling a seller which of their products have sold out or are running low
+async function sendLowStockDigestEmail(email, { name, soldOut, low, manageUrl }) {
+    const rows = alerts => alerts.map(alert => `
+        <tr>
+            <td style="padding: 6px 0;">${alert.title}</td>
+            <td style="padding: 6px 0; text-align: right;">${alert.stock} left${alert.soldOut ? '' : ` (alert at ${alert.threshold})`}</td>
+        </tr>
+    `).join('');
+    const section = (heading, alerts) => alerts.length === 0 ? '' : `
+        <h3 style="margin-bottom: 4px;">${heading}</h3>
+        <table style="width: 100%; border-collapse: collapse;">${rows(alerts)}</table>
+    `;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4a90e2; text-align: center;">Stock Update</h2>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px;">
+                <p>Hello ${name || ''},</p>
+                <p>Some of your products need restocking. Sold out products cannot be bought until stock is added.</p>
+                ${section('Sold Out', soldOut)}
+                ${section('Running Low', low)}
+                <p style="text-align: center; margin-top: 20px;">
+                    <a href="${manageUrl}" style="background-color: #4a90e2; color: #fff; padding: 10px 20px; border-radius: 5px; text-decoration: none;">Review stock alerts</a>
+                </p>
+                <p>You can change the level each product alerts at on the same page.</p>
+            </div>
+        </div>
+    `;
+    const subject = soldOut.length > 0
+        ? `${soldOut.length} of your products ${soldOut.length === 1 ? 'has' : 'have'} sold out`
+        : `${low.length} of your products ${low.length === 1 ? 'is' : 'are'} running low`;
+
+    try {
+        await transporter.sendMail({
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject,
+            html
+        });
+        console.log(`Stock digest email sent to ${email}`);
+    } catch (error) {
+        console.error('Error sending stock digest email:', error);
+        throw error;
+    }
+}
+
 module.exports = {
     sendOTP,
     sendPasswordResetEmail,
     sendOrderStatusEmail,
     sendDeliveryDateEmail,
-    sendShippingUpdateEmail
+    sendShippingUpdateEmail,
+    sendRequestDeliveredEmail,
+    sendQuoteOrderEmail,
+    sendRefundEmail,
+    sendReturnEmail,
+    sendCartRecoveryEmail,
+    sendLowStockDigestEmail
 }; 
\ No newline at end of file
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { HSN_CODES, DEFAULT_HSN_CODE } = require('./tax');
+
+// Structured artwork attributes shared by the Product model, product forms and shop filters
+const MEDIUMS = [
+    'oil', 'acrylic', 'watercolor', 'gouache', 'pastel', 'charcoal', 'pencil', 'ink',
+    'mixed_media', 'digital', 'print', 'photography', 'sculpture', 'textile', 'other'
+];
+
+const ORIENTATIONS = ['portrait', 'landscape', 'square', 'panoramic'];
+
+const STYLES = [
+    'abstract', 'contemporary', 'modern', 'minimalist', 'traditional', 'folk', 'realism',
+    'impressionism', 'expressionism', 'pop_art', 'surrealism', 'eclectic', 'other'
+];
+
+const COLORS = [
+    'red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'brown',
+    'beige', 'black', 'white', 'gray', 'gold', 'silver'
+];
+
+// Size buckets use the longest side of the artwork in centimetres
+const SIZES = [
+    { value: 'small', label: 'Small (up to 40 cm)', min: 0, max: 40 },
+    { value: 'medium', label: 'Medium (40 - 90 cm)', min: 40, max: 90 },
+    { value: 'large', label: 'Large (90 cm and above)', min: 90, max: null }
+];
+
+/**
+ * Turn an option value into a display label (e.g. mixed_media -> Mixed Media)
+ * @param {String} value - Option value
+ * @returns {String} - Human readable label
+ */
+const formatLabel = (value) => {
+    if (!value) return '';
+    return value
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+};
+
+/**
+ * Work out orientation from width and height
+ * @param {Number} width - Width in cm
+ * @param {Number} height - Height in cm
+ * @returns {String|null} - Orientation or null when dimensions are missing
+ */
+const deriveOrientation = (width, height) => {
+    if (!width || !height) return null;
+    const ratio = width / height;
+    if (ratio >= 2) return 'panoramic';
+    if (ratio > 1.05) return 'landscape';
+    if (ratio < 0.95) return 'portrait';
+    return 'square';
+};
+
+/**
+ * Read taxonomy and attribute fields from a submitted product form
+ * @param {Object} body - Express req.body
+ * @returns {Object} - Fields ready to be assigned to a Product
+ */
+const parseProductAttributes = (body = {}) => {
+    const toDimension = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) || number <= 0 ? null : number;
+    };
+    
+    const dimensions = {
+        width: toDimension(body.width),
+        height: toDimension(body.height),
+        depth: toDimension(body.depth)
+    };
+    
+    const dominantColors = [].concat(body.dominantColors || [])
+        .filter(color => COLORS.includes(color));
+    
+    const lowStockThreshold = parseInt(body.lowStockThreshold);
+    
+    return {
+        category: mongoose.Types.ObjectId.isValid(body.category) ? body.category : null,
+        medium: MEDIUMS.includes(body.medium) ? body.medium : null,
+        style: STYLES.includes(body.style) ? body.style : null,
+        orientation: ORIENTATIONS.includes(body.orientation)
+            ? body.orientation
+            : deriveOrientation(dimensions.width, dimensions.height),
+        dimensions,
+        weight: toDimension(body.weight),
+        dominantColors: [...new Set(dominantColors)],
+        hsnCode: HSN_CODES.some(hsn => hsn.code === body.hsnCode && !hsn.service) ? body.hsnCode : DEFAULT_HSN_CODE,
+        lowStockThreshold: isNaN(lowStockThreshold) || lowStockThreshold < 0 ? 0 : lowStockThreshold
+    };
+};
+
+module.exports = {
+    MEDIUMS,
+    ORIENTATIONS,
+    STYLES,
+    COLORS,
+    SIZES,
+    HSN_CODES: HSN_CODES.filter(hsn => !hsn.service),
+    formatLabel,
+    deriveOrientation,
+    parseProductAttributes
+}; 
\ No newline at end of file
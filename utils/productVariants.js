@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Upper bound on variant rows a product form can submit
+const MAX_VARIANTS = 10;
+
+// Multer field list for the main product image plus one optional image per variant row
+const productImageFields = [
+    { name: 'image', maxCount: 1 },
+    ...Array.from({ length: MAX_VARIANTS }, (_, index) => ({ name: `variantImage${index}`, maxCount: 1 }))
+];
+
+/**
+ * Get the uploaded main product image from a multer fields() upload
+ * @param {Object} files - Express req.files
+ * @returns {Object|null} - Multer file or null
+ */
+const getMainImage = (files) => {
+    return files && files.image && files.image[0] ? files.image[0] : null;
+};
+
+/**
+ * Read variant rows from a submitted product form
+ * @param {Object} body - Express req.body, with variants[n][field] entries
+ * @param {Object} files - Express req.files from a multer fields() upload
+ * @returns {Array} - Variant objects ready to be assigned to a Product
+ */
+const parseProductVariants = (body = {}, files = {}) => {
+    const rows = body.variants || [];
+    const variants = [];
+    
+    Object.entries(rows).slice(0, MAX_VARIANTS).forEach(([index, row]) => {
+        if (!row || (!row.name && !row.sku && !row.price)) return;
+        
+        const upload = files && files[`variantImage${index}`] ? files[`variantImage${index}`][0] : null;
+        const price = parseFloat(row.price);
+        const stock = parseInt(row.stock);
+        const variant = {
+            sku: row.sku ? row.sku.trim() : undefined,
+            name: (row.name || '').trim(),
+            size: (row.size || '').trim(),
+            framed: row.framed === 'on' || row.framed === 'true',
+            price: isNaN(price) ? undefined : price,
+            stock: isNaN(stock) || stock < 0 ? 0 : stock,
+            image: upload ? `/uploads/products/${upload.filename}` : (row.existingImage || null),
+            isActive: row.isActive === 'on' || row.isActive === 'true'
+        };
+        
+        // Build a name from size and framing when the seller left it blank
+        if (!variant.name) {
+            variant.name = [variant.size, variant.framed ? 'Framed' : 'Unframed'].filter(Boolean).join(' - ');
+        }
+        
+        // Keep the id of existing variants so carts and orders still point at them
+        if (row._id && mongoose.Types.ObjectId.isValid(row._id)) {
+            variant._id = row._id;
+        }
+        
+        variants.push(variant);
+    });
+    
+    return variants;
+};
+
+module.exports = {
+    MAX_VARIANTS,
+    productImageFields,
+    getMainImage,
+    parseProductVariants
+}; 
\ No newline at end of file
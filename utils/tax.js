@@ -0,0 +1,200 @@
+// GST rules shared by checkout, custom request and psychometric payments, and invoices
+
+// State and union territory codes, as used in the first two digits of a GSTIN
+const INDIAN_STATES = [
+    { code: '01', name: 'Jammu and Kashmir' },
+    { code: '02', name: 'Himachal Pradesh' },
+    { code: '03', name: 'Punjab' },
+    { code: '04', name: 'Chandigarh' },
+    { code: '05', name: 'Uttarakhand' },
+    { code: '06', name: 'Haryana' },
+    { code: '07', name: 'Delhi' },
+    { code: '08', name: 'Rajasthan' },
+    { code: '09', name: 'Uttar Pradesh' },
+    { code: '10', name: 'Bihar' },
+    { code: '11', name: 'Sikkim' },
+    { code: '12', name: 'Arunachal Pradesh' },
+    { code: '13', name: 'Nagaland' },
+    { code: '14', name: 'Manipur' },
+    { code: '15', name: 'Mizoram' },
+    { code: '16', name: 'Tripura' },
+    { code: '17', name: 'Meghalaya' },
+    { code: '18', name: 'Assam' },
+    { code: '19', name: 'West Bengal' },
+    { code: '20', name: 'Jharkhand' },
+    { code: '21', name: 'Odisha' },
+    { code: '22', name: 'Chhattisgarh' },
+    { code: '23', name: 'Madhya Pradesh' },
+    { code: '24', name: 'Gujarat' },
+    { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+    { code: '27', name: 'Maharashtra' },
+    { code: '29', name: 'Karnataka' },
+    { code: '30', name: 'Goa' },
+    { code: '31', name: 'Lakshadweep' },
+    { code: '32', name: 'Kerala' },
+    { code: '33', name: 'Tamil Nadu' },
+    { code: '34', name: 'Puducherry' },
+    { code: '35', name: 'Andaman and Nicobar Islands' },
+    { code: '36', name: 'Telangana' },
+    { code: '37', name: 'Andhra Pradesh' },
+    { code: '38', name: 'Ladakh' }
+];
+
+// HSN (goods) and SAC (services) codes the marketplace sells under, with their GST rate in percent
+const HSN_CODES = [
+    { code: '9701', description: 'Original paintings, drawings and pastels', rate: 12 },
+    { code: '9702', description: 'Original engravings, prints and lithographs', rate: 12 },
+    { code: '9703', description: 'Original sculptures and statuary', rate: 12 },
+    { code: '4911', description: 'Printed art prints, posters and pictures', rate: 12 },
+    { code: '998391', description: 'Interior decor design services', rate: 18, service: true },
+    { code: '998399', description: 'Art consultation and assessment services', rate: 18, service: true }
+];
+
+const DEFAULT_HSN_CODE = '9701';
+
+// Applied to codes missing from HSN_CODES
+const DEFAULT_RATE = 18;
+
+const SERVICE_CODES = {
+    PSYCHOMETRIC_REVIEW: '998399',
+    DECOR_PROJECT: '998391'
+};
+
+// The platform itself, which supplies psychometric services and stands in for sellers without a tax profile
+const BUSINESS = {
+    name: process.env.BUSINESS_NAME || 'SparklumeArt',
+    gstin: process.env.BUSINESS_GSTIN || '',
+    address: process.env.BUSINESS_ADDRESS || '',
+    state: process.env.BUSINESS_STATE || ''
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Find a state by GST code or name
+ * @param {String} value - State name or two-digit code
+ * @returns {Object|null} - { code, name } or null when not an Indian state
+ */
+const normalizeState = (value) => {
+    if (!value) return null;
+    const search = value.toString().trim().toLowerCase();
+    return INDIAN_STATES.find(state => state.code === search || state.name.toLowerCase() === search) || null;
+};
+
+/**
+ * Whether a shipping country is India (an empty country is taken as India)
+ * @param {String} country - Country name or code
+ * @returns {Boolean}
+ */
+const isIndia = (country) => !country || /^(india|in|ind)$/i.test(country.toString().trim());
+
+/**
+ * GST rate for an HSN or SAC code
+ * @param {String} hsnCode - HSN/SAC code
+ * @returns {Number} - Rate in percent
+ */
+const getRate = (hsnCode) => {
+    const entry = HSN_CODES.find(hsn => hsn.code === hsnCode);
+    return entry ? entry.rate : DEFAULT_RATE;
+};
+
+/**
+ * Split a discount across amounts in proportion to their size.
+ * A discount larger than the amounts is capped at their total, so no line goes below zero.
+ * @param {Array<Number>} amounts - Line amounts
+ * @param {Number} discount - Total discount
+ * @returns {Array<Number>} - Discount per line, summing exactly to the (capped) discount
+ */
+const allocateDiscount = (amounts, discount) => {
+    const total = round2(amounts.reduce((sum, amount) => sum + amount, 0));
+    if (!discount || total <= 0) return amounts.map(() => 0);
+    
+    // Rounding leftovers go to the last line that takes part
+    const lastIndex = amounts.map(amount => amount > 0).lastIndexOf(true);
+    const capped = Math.min(round2(discount), total);
+    let remaining = capped;
+    return amounts.map((amount, index) => {
+        if (index === lastIndex) return remaining;
+        const share = round2(capped * amount / total);
+        remaining = round2(remaining - share);
+        return share;
+    });
+};
+
+/**
+ * Work out CGST/SGST/IGST for a set of taxable lines.
+ * A supply within one state is split evenly into CGST and SGST; between states it is IGST.
+ * Supplies shipped outside India are zero-rated exports.
+ * @param {Array<Object>} lines - { description, hsnCode, amount, supplierState } with amount the taxable value
+ * @param {Object} options - { placeOfSupply, country }; without a place of supply the supplier's state is used
+ * @returns {Object} - Tax breakdown matching models/schemas/taxBreakdownSchema
+ */
+const calculateTax = (lines, { placeOfSupply = null, country = null } = {}) => {
+    const isExport = !isIndia(country);
+    const destination = normalizeState(placeOfSupply);
+    
+    const taxLines = lines.map(line => {
+        const supplier = normalizeState(line.supplierState || BUSINESS.state);
+        const buyerState = destination || supplier;
+        const taxableAmount = round2(line.amount);
+        
+        let supplyType = 'inter_state';
+        if (isExport) {
+            supplyType = 'export';
+        } else if (supplier && buyerState && supplier.code === buyerState.code) {
+            supplyType = 'intra_state';
+        }
+        
+        const rate = supplyType === 'export' ? 0 : getRate(line.hsnCode);
+        const tax = round2(taxableAmount * rate / 100);
+        const cgst = supplyType === 'intra_state' ? round2(tax / 2) : 0;
+        
+        return {
+            description: line.description || '',
+            hsnCode: line.hsnCode || DEFAULT_HSN_CODE,
+            rate,
+            supplyType,
+            supplierState: supplier ? supplier.name : null,
+            taxableAmount,
+            cgst,
+            sgst: supplyType === 'intra_state' ? round2(tax - cgst) : 0,
+            igst: supplyType === 'inter_state' ? tax : 0
+        };
+    });
+    
+    const sum = field => round2(taxLines.reduce((total, line) => total + line[field], 0));
+    const supplyTypes = [...new Set(taxLines.map(line => line.supplyType))];
+    const supplierStates = [...new Set(taxLines.map(line => line.supplierState))];
+    const cgst = sum('cgst');
+    const sgst = sum('sgst');
+    const igst = sum('igst');
+    
+    return {
+        supplyType: supplyTypes.length === 1 ? supplyTypes[0] : 'mixed',
+        supplierState: supplierStates.length === 1 ? supplierStates[0] : null,
+        placeOfSupply: isExport ? null : (destination ? destination.name : null),
+        taxableAmount: sum('taxableAmount'),
+        cgst,
+        sgst,
+        igst,
+        totalTax: round2(cgst + sgst + igst),
+        lines: taxLines
+    };
+};
+
+module.exports = {
+    INDIAN_STATES,
+    HSN_CODES,
+    DEFAULT_HSN_CODE,
+    SERVICE_CODES,
+    BUSINESS,
+    GSTIN_PATTERN,
+    round2,
+    normalizeState,
+    isIndia,
+    getRate,
+    allocateDiscount,
+    calculateTax
+}; 
\ No newline at end of file